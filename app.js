@@ -16,12 +16,27 @@ const app = express();
 
 // Import du job de vérification des échéances
 const dueDateCheckerJob = require('./jobs/dueDateCheckerJob');
+const holdExpiryJob = require('./jobs/holdExpiryJob');
+const membershipCheckerJob = require('./jobs/membershipCheckerJob');
+
+// Import du middleware d'authentification et du registre des permissions
+const { authenticate } = require('./middlewares/authMiddleware');
+const permissionService = require('./services/permissionService');
+const roleService = require('./services/roleService');
+const loanPolicyService = require('./services/loanPolicyService');
+const autoApprovalService = require('./services/autoApprovalService');
+const calendarService = require('./services/calendarService');
 
 // Import des routes
 const authRoutes = require('./routes/authRoutes');
 const bookRoutes = require('./routes/bookRoutes');
+const itemRoutes = require('./routes/itemRoutes');
 const libraryRoutes = require('./routes/libraryRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const fineRoutes = require('./routes/fineRoutes');
+const cardRoutes = require('./routes/cardRoutes');
+const membershipRoutes = require('./routes/membershipRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Configuration
 const PORT = process.env.PORT || 3000;
@@ -54,23 +69,10 @@ app.use((req, res, next) => {
 });
 
 /**
- * @description Middleware d'authentification (simplifié)
- * Récupère l'utilisateur depuis le token ou la session
+ * @description Middleware d'authentification
+ * Résout l'utilisateur connecté à partir du jeton de session (en-tête Authorization)
  */
-app.use((req, res, next) => {
-  // Pour l'instant, on simule un utilisateur si un userId est dans les headers
-  const userId = req.headers['x-user-id'];
-  const userRole = req.headers['x-user-role'];
-  
-  if (userId) {
-    req.user = {
-      id: userId,
-      role: userRole || 'Member'
-    };
-  }
-  
-  next();
-});
+app.use(authenticate);
 
 // ============================================================================
 // ROUTES
@@ -93,7 +95,12 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       books: '/api/books',
-      library: '/api/library'
+      items: '/api/items',
+      library: '/api/library',
+      fines: '/api/fines',
+      cards: '/api/cards',
+      memberships: '/api/memberships',
+      admin: '/api/admin'
     },
     designPatterns: {
       singleton: 'DatabaseConnection (services/database.js)',
@@ -109,8 +116,13 @@ app.get('/', (req, res) => {
  */
 app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/items', itemRoutes);
 app.use('/api/library', libraryRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/fines', fineRoutes);
+app.use('/api/cards', cardRoutes);
+app.use('/api/memberships', membershipRoutes);
+app.use('/api/admin', adminRoutes);
 
 // ============================================================================
 // GESTION DES ERREURS
@@ -146,14 +158,37 @@ app.use((error, req, res, next) => {
 
 /**
  * @description Démarrage du serveur Express
+ * Les permissions, les rôles personnalisés, les règles de prêt, les règles d'approbation automatique
+ * et le calendrier sont chargés avant d'accepter des requêtes
  */
-app.listen(PORT, () => {
-  console.log(`\n🏛️ Library System - http://localhost:${PORT}`);
-  console.log(`Patterns: Singleton | Factory | Proxy | Facade | Observer\n`);
-  
-  // Démarrer le job de vérification des échéances (toutes les 24h)
-  dueDateCheckerJob.start();
-});
+const startServer = async () => {
+  try {
+    await permissionService.load();
+    await roleService.load();
+    await loanPolicyService.load();
+    await autoApprovalService.load();
+    await calendarService.load();
+  } catch (error) {
+    console.error('✗ Démarrage impossible:', error.message);
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`\n🏛️ Library System - http://localhost:${PORT}`);
+    console.log(`Patterns: Singleton | Factory | Proxy | Facade | Observer\n`);
+    
+    // Démarrer le job de vérification des échéances (toutes les 24h)
+    dueDateCheckerJob.start();
+
+    // Démarrer le job d'expiration des réservations (toutes les heures)
+    holdExpiryJob.start();
+
+    // Démarrer le job de rappel d'expiration des adhésions (toutes les 24h)
+    membershipCheckerJob.start();
+  });
+};
+
+startServer();
 
 /**
  * @description Gestion de l'arrêt propre du serveur
@@ -161,12 +196,16 @@ app.listen(PORT, () => {
 process.on('SIGTERM', () => {
   console.log('\n⚠️  SIGTERM reçu, arrêt du serveur...');
   dueDateCheckerJob.stop();
+  holdExpiryJob.stop();
+  membershipCheckerJob.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\n⚠️  SIGINT reçu, arrêt du serveur...');
   dueDateCheckerJob.stop();
+  holdExpiryJob.stop();
+  membershipCheckerJob.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,812 @@
+/**
+ * @file adminController.js
+ * @description Controller pour l'administration du système (registre des rôles et permissions,
+ * règles de prêt, journal d'audit, réconciliation du stock).
+ * Les routes associées sont protégées par le registre des permissions.
+ */
+
+const permissionService = require('../services/permissionService');
+const roleService = require('../services/roleService');
+const loanPolicyService = require('../services/loanPolicyService');
+const autoApprovalService = require('../services/autoApprovalService');
+const calendarService = require('../services/calendarService');
+const userService = require('../services/userService');
+const auditService = require('../services/auditService');
+const inventoryService = require('../services/inventoryService');
+
+/**
+ * @description Liste les permissions connues et leur attribution à chaque rôle
+ * @access Permission roles:manage (vérifiée par la route)
+ */
+const getPermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: permissionService.listPermissions(),
+        roles: permissionService.getAllRolePermissions()
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des permissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des permissions'
+    });
+  }
+};
+
+/**
+ * @description Remplace les permissions attribuées à un rôle
+ * @access Permission roles:manage (vérifiée par la route)
+ */
+const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le champ permissions doit être un tableau'
+      });
+    }
+
+    if (!roleService.hasRole(role)) {
+      return res.status(404).json({
+        success: false,
+        error: `Rôle ${role} non trouvé`
+      });
+    }
+
+    const oldPermissions = permissionService.getRolePermissions(role);
+    const newPermissions = await permissionService.setRolePermissions(role, permissions);
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.ROLE_PERMISSIONS_UPDATE,
+      entity: 'role',
+      entityId: role,
+      before: { permissions: oldPermissions },
+      after: { permissions: newPermissions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Permissions du rôle ${role} mises à jour`,
+      data: {
+        role,
+        oldPermissions,
+        newPermissions
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des permissions:', error);
+
+    if (error.message.includes('Permission(s) inconnue(s)') || error.message.includes('doit conserver')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la mise à jour des permissions'
+    });
+  }
+};
+
+/**
+ * @description Traduit une erreur du registre des rôles en réponse HTTP
+ * @param {Object} res - Réponse Express
+ * @param {Error} error - Erreur levée par le roleService
+ * @param {string} fallbackMessage - Message renvoyé pour une erreur inattendue
+ * @private
+ */
+const sendRoleError = (res, error, fallbackMessage) => {
+  if (error.message.includes('non trouvé')) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('existe déjà') || error.message.includes('encore attribué')) {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('Définition de rôle invalide') ||
+      error.message.includes('ne peut pas être supprimé') ||
+      error.message.includes('doit conserver')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+/**
+ * @description Liste les rôles du registre (classe de base, permissions, politique de prêt)
+ * @access Permission roles:manage (vérifiée par la route)
+ */
+const getRoles = async (req, res) => {
+  try {
+    const roles = roleService.listRoles();
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des rôles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des rôles'
+    });
+  }
+};
+
+/**
+ * @description Définit un nouveau rôle
+ * @access Permission roles:manage (vérifiée par la route)
+ */
+const createRole = async (req, res) => {
+  try {
+    const { name, baseClass, permissions, loanPolicy, membershipDays, description } = req.body;
+
+    const role = await roleService.createRole({
+      name,
+      baseClass,
+      permissions: permissions || [],
+      loanPolicy,
+      membershipDays,
+      description
+    });
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.ROLE_CREATE,
+      entity: 'role',
+      entityId: role.name,
+      after: role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Rôle ${role.name} créé avec succès`,
+      data: role
+    });
+  } catch (error) {
+    console.error('Erreur lors de la création du rôle:', error);
+    sendRoleError(res, error, 'Erreur lors de la création du rôle');
+  }
+};
+
+/**
+ * @description Modifie un rôle (classe de base, permissions, politique de prêt, durée d'adhésion, description)
+ * @access Permission roles:manage (vérifiée par la route)
+ */
+const updateRole = async (req, res) => {
+  try {
+    const { role: name } = req.params;
+    const { baseClass, permissions, loanPolicy, membershipDays, description } = req.body;
+
+    const before = roleService.getRole(name);
+    const role = await roleService.updateRole(name, {
+      baseClass,
+      permissions,
+      loanPolicy,
+      membershipDays,
+      description
+    });
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.ROLE_UPDATE,
+      entity: 'role',
+      entityId: name,
+      before,
+      after: role
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Rôle ${name} mis à jour`,
+      data: role
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du rôle:', error);
+    sendRoleError(res, error, 'Erreur lors de la mise à jour du rôle');
+  }
+};
+
+/**
+ * @description Supprime un rôle personnalisé qui n'est plus attribué à aucun utilisateur
+ * @access Permission roles:manage (vérifiée par la route)
+ */
+const deleteRole = async (req, res) => {
+  try {
+    const { role: name } = req.params;
+
+    const before = roleService.getRole(name);
+    const assignedUsers = before ? await userService.findUsersByRole(name) : [];
+    await roleService.deleteRole(name, assignedUsers.length);
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.ROLE_DELETE,
+      entity: 'role',
+      entityId: name,
+      before
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Rôle ${name} supprimé`
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du rôle:', error);
+    sendRoleError(res, error, 'Erreur lors de la suppression du rôle');
+  }
+};
+
+/**
+ * @description Traduit une erreur du moteur de règles de prêt en réponse HTTP
+ * @param {Object} res - Réponse Express
+ * @param {Error} error - Erreur levée par le loanPolicyService
+ * @param {string} fallbackMessage - Message renvoyé pour une erreur inattendue
+ * @private
+ */
+const sendLoanPolicyError = (res, error, fallbackMessage) => {
+  if (error.message.includes('non trouvée')) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('existe déjà')) {
+    return res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('Politique de prêt invalide')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+/**
+ * @description Liste les règles de prêt, des plus générales aux plus spécifiques
+ * @access Permission policies:manage (vérifiée par la route)
+ */
+const getLoanPolicies = async (req, res) => {
+  try {
+    const policies = loanPolicyService.listPolicies();
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des règles de prêt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des règles de prêt'
+    });
+  }
+};
+
+/**
+ * @description Calcule la politique applicable à un contexte (query string: role, genre, itemType)
+ * Permet de vérifier l'effet des règles avant de les appliquer aux emprunts.
+ * @access Permission policies:manage (vérifiée par la route)
+ */
+const resolveLoanPolicy = async (req, res) => {
+  try {
+    const { role, genre, itemType } = req.query;
+
+    res.status(200).json({
+      success: true,
+      data: loanPolicyService.resolve({ role, genre, itemType })
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul de la politique de prêt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du calcul de la politique de prêt'
+    });
+  }
+};
+
+/**
+ * @description Crée une règle de prêt
+ * @access Permission policies:manage (vérifiée par la route)
+ */
+const createLoanPolicy = async (req, res) => {
+  try {
+    const { role, genre, itemType, limits, description } = req.body;
+
+    const policy = await loanPolicyService.createPolicy({ role, genre, itemType, limits, description });
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.LOAN_POLICY_CREATE,
+      entity: 'loan-policy',
+      entityId: policy.id,
+      after: policy
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Règle de prêt créée avec succès',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Erreur lors de la création de la règle de prêt:', error);
+    sendLoanPolicyError(res, error, 'Erreur lors de la création de la règle de prêt');
+  }
+};
+
+/**
+ * @description Modifie une règle de prêt (critères, limites, description)
+ * @access Permission policies:manage (vérifiée par la route)
+ */
+const updateLoanPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, genre, itemType, limits, description } = req.body;
+
+    const before = loanPolicyService.getPolicy(id);
+    const policy = await loanPolicyService.updatePolicy(id, { role, genre, itemType, limits, description });
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.LOAN_POLICY_UPDATE,
+      entity: 'loan-policy',
+      entityId: id,
+      before,
+      after: policy
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Règle de prêt mise à jour',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la règle de prêt:', error);
+    sendLoanPolicyError(res, error, 'Erreur lors de la mise à jour de la règle de prêt');
+  }
+};
+
+/**
+ * @description Supprime une règle de prêt
+ * @access Permission policies:manage (vérifiée par la route)
+ */
+const deleteLoanPolicy = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await loanPolicyService.deletePolicy(id);
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.LOAN_POLICY_DELETE,
+      entity: 'loan-policy',
+      entityId: id,
+      before
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Règle de prêt supprimée'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la règle de prêt:', error);
+    sendLoanPolicyError(res, error, 'Erreur lors de la suppression de la règle de prêt');
+  }
+};
+
+/**
+ * @description Traduit une erreur des règles d'approbation automatique en réponse HTTP
+ * @param {Object} res - Réponse Express
+ * @param {Error} error - Erreur levée par l'autoApprovalService
+ * @param {string} fallbackMessage - Message renvoyé pour une erreur inattendue
+ * @private
+ */
+const sendAutoApprovalError = (res, error, fallbackMessage) => {
+  if (error.message.includes('non trouvée')) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('Règle d\'approbation automatique invalide')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+/**
+ * @description Liste les règles d'approbation automatique dans leur ordre d'évaluation
+ * @access Permission policies:manage (vérifiée par la route)
+ */
+const getAutoApprovalRules = async (req, res) => {
+  try {
+    const rules = autoApprovalService.listRules();
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des règles d\'approbation automatique:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des règles d\'approbation automatique'
+    });
+  }
+};
+
+/**
+ * @description Crée une règle d'approbation automatique
+ * @access Permission policies:manage (vérifiée par la route)
+ */
+const createAutoApprovalRule = async (req, res) => {
+  try {
+    const { name, conditions, enabled, description } = req.body;
+
+    const rule = await autoApprovalService.createRule({ name, conditions, enabled, description });
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.AUTO_APPROVAL_RULE_CREATE,
+      entity: 'auto-approval-rule',
+      entityId: rule.id,
+      after: rule
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Règle d\'approbation automatique créée avec succès',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Erreur lors de la création de la règle d\'approbation automatique:', error);
+    sendAutoApprovalError(res, error, 'Erreur lors de la création de la règle d\'approbation automatique');
+  }
+};
+
+/**
+ * @description Modifie une règle d'approbation automatique (nom, conditions, activation, description)
+ * @access Permission policies:manage (vérifiée par la route)
+ */
+const updateAutoApprovalRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, conditions, enabled, description } = req.body;
+
+    const before = autoApprovalService.getRule(id);
+    const rule = await autoApprovalService.updateRule(id, { name, conditions, enabled, description });
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.AUTO_APPROVAL_RULE_UPDATE,
+      entity: 'auto-approval-rule',
+      entityId: id,
+      before,
+      after: rule
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Règle d\'approbation automatique mise à jour',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la règle d\'approbation automatique:', error);
+    sendAutoApprovalError(res, error, 'Erreur lors de la mise à jour de la règle d\'approbation automatique');
+  }
+};
+
+/**
+ * @description Supprime une règle d'approbation automatique
+ * @access Permission policies:manage (vérifiée par la route)
+ */
+const deleteAutoApprovalRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await autoApprovalService.deleteRule(id);
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.AUTO_APPROVAL_RULE_DELETE,
+      entity: 'auto-approval-rule',
+      entityId: id,
+      before
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Règle d\'approbation automatique supprimée'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la règle d\'approbation automatique:', error);
+    sendAutoApprovalError(res, error, 'Erreur lors de la suppression de la règle d\'approbation automatique');
+  }
+};
+
+/**
+ * @description Traduit une erreur du calendrier en réponse HTTP
+ * @param {Object} res - Réponse Express
+ * @param {Error} error - Erreur levée par le calendarService
+ * @param {string} fallbackMessage - Message renvoyé pour une erreur inattendue
+ * @private
+ */
+const sendCalendarError = (res, error, fallbackMessage) => {
+  if (error.message.includes('non trouvée')) {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (error.message.includes('Calendrier invalide')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+/**
+ * @description Récupère le calendrier: horaires hebdomadaires et fermetures exceptionnelles
+ * (query: includePast=true pour inclure les fermetures passées)
+ * @access Permission calendar:manage (vérifiée par la route)
+ */
+const getCalendar = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: calendarService.getCalendar(req.query.includePast === 'true')
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du calendrier:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération du calendrier'
+    });
+  }
+};
+
+/**
+ * @description Modifie les horaires d'ouverture (body: openingHours, jour → { open, close } ou null)
+ * @access Permission calendar:manage (vérifiée par la route)
+ */
+const updateOpeningHours = async (req, res) => {
+  try {
+    const before = calendarService.getCalendar().openingHours;
+    const openingHours = await calendarService.setOpeningHours(req.body.openingHours);
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.CALENDAR_HOURS_UPDATE,
+      entity: 'calendar',
+      entityId: 'openingHours',
+      before,
+      after: openingHours
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Horaires d\'ouverture mis à jour',
+      data: openingHours
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des horaires:', error);
+    sendCalendarError(res, error, 'Erreur lors de la mise à jour des horaires');
+  }
+};
+
+/**
+ * @description Ajoute une fermeture exceptionnelle (body: startDate, endDate, reason)
+ * @access Permission calendar:manage (vérifiée par la route)
+ */
+const createClosure = async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+
+    const closure = await calendarService.addClosure({ startDate, endDate, reason });
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.CALENDAR_CLOSURE_CREATE,
+      entity: 'calendar',
+      entityId: closure.id,
+      after: closure
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fermeture exceptionnelle ajoutée',
+      data: closure
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout de la fermeture:', error);
+    sendCalendarError(res, error, 'Erreur lors de l\'ajout de la fermeture');
+  }
+};
+
+/**
+ * @description Supprime une fermeture exceptionnelle
+ * @access Permission calendar:manage (vérifiée par la route)
+ */
+const deleteClosure = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await calendarService.removeClosure(id);
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.CALENDAR_CLOSURE_DELETE,
+      entity: 'calendar',
+      entityId: id,
+      before
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Fermeture exceptionnelle supprimée'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la fermeture:', error);
+    sendCalendarError(res, error, 'Erreur lors de la suppression de la fermeture');
+  }
+};
+
+/**
+ * @description Convertit un paramètre de date (ISO ou timestamp) en timestamp
+ * @param {string|undefined} value - Valeur reçue dans la query string
+ * @returns {number|null|undefined} Timestamp, null si absent, undefined si invalide
+ * @private
+ */
+const parseDateParam = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const timestamp = /^\d+$/.test(value) ? parseInt(value, 10) : new Date(value).getTime();
+  return Number.isNaN(timestamp) ? undefined : timestamp;
+};
+
+/**
+ * @description Consulte le journal d'audit
+ * Filtres (query string): actor (ID utilisateur), entity, entityId, action, from, to (date ISO ou timestamp), limit
+ * @access Permission audit:read (vérifiée par la route)
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const { actor, entity, entityId, action, limit } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Paramètres from/to invalides (date ISO ou timestamp attendu)'
+      });
+    }
+
+    const entries = await auditService.query({
+      actorId: actor,
+      entity,
+      entityId,
+      action,
+      from,
+      to,
+      limit: parseInt(limit, 10) || undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Erreur lors de la consultation du journal d\'audit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la consultation du journal d\'audit'
+    });
+  }
+};
+
+/**
+ * @description Réconcilie les quantités disponibles des livres avec les emprunts en cours
+ * Par défaut, simple simulation: les écarts sont signalés sans être corrigés ({ "fix": true } pour corriger).
+ * @access Permission inventory:manage (vérifiée par la route)
+ */
+const reconcileInventory = async (req, res) => {
+  try {
+    const fix = req.body.fix === true;
+    const report = await inventoryService.reconcile({ fix, actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: fix
+        ? `${report.fixed.length} livre(s) corrigé(s) sur ${report.discrepancies.length} écart(s)`
+        : `${report.discrepancies.length} écart(s) détecté(s) (simulation, aucune correction appliquée)`,
+      data: {
+        dryRun: !fix,
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la réconciliation du stock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la réconciliation du stock'
+    });
+  }
+};
+
+module.exports = {
+  getPermissions,
+  updateRolePermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getLoanPolicies,
+  resolveLoanPolicy,
+  createLoanPolicy,
+  updateLoanPolicy,
+  deleteLoanPolicy,
+  getAutoApprovalRules,
+  createAutoApprovalRule,
+  updateAutoApprovalRule,
+  deleteAutoApprovalRule,
+  getCalendar,
+  updateOpeningHours,
+  createClosure,
+  deleteClosure,
+  getAuditLog,
+  reconcileInventory
+};
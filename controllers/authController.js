@@ -5,15 +5,49 @@
  */
 
 const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const passwordResetService = require('../services/passwordResetService');
+const mailService = require('../services/mailService');
+const bootstrapService = require('../services/bootstrapService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const libraryCardService = require('../services/libraryCardService');
+const membershipService = require('../services/membershipService');
 const UserFactory = require('../factories/userFactory');
 
 /**
- * @description Crée le premier administrateur (à utiliser une seule fois)
+ * @description Émet la carte de bibliothèque d'un compte qui vient d'être créé
+ * Un échec n'annule pas la création du compte: la carte sera émise à la première consultation.
+ * @param {Object} user - Utilisateur créé
+ * @returns {Promise<LibraryCard|null>} La carte émise ou null
  */
-const setupAdmin = async (req, res) => {
+const issueCardOnCreation = async (user) => {
   try {
-    const { email, name, password } = req.body;
+    return await libraryCardService.issueCard(user.id);
+  } catch (error) {
+    console.error(`Carte de bibliothèque non émise pour ${user.email}:`, error);
+    return null;
+  }
+};
 
+/**
+ * @description Crée le premier administrateur (mode bootstrap)
+ * Autorisé uniquement tant qu'aucun administrateur n'existe, ou avec le secret de setup
+ * (variable d'environnement SETUP_SECRET, en-tête x-setup-secret) qui n'est utilisable qu'une fois.
+ * Chaque tentative, réussie ou refusée, est enregistrée dans le journal d'audit.
+ */
+const setupAdmin = async (req, res) => {
+  const { email, name, password } = req.body;
+  const setupSecret = req.headers['x-setup-secret'] || null;
+  const attempt = {
+    email,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  };
+  let lockId = null;
+
+  try {
     if (!email || !name || !password) {
       return res.status(400).json({
         success: false,
@@ -21,6 +55,39 @@ const setupAdmin = async (req, res) => {
       });
     }
 
+    // Vérifier la robustesse du mot de passe
+    const passwordErrors = passwordService.validateStrength(password);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Mot de passe trop faible: ${passwordErrors.join(', ')}`,
+        details: passwordErrors
+      });
+    }
+
+    // Déterminer la méthode d'initialisation autorisée
+    let method;
+    if (setupSecret) {
+      if (!bootstrapService.isValidSetupSecret(setupSecret)) {
+        await bootstrapService.recordAttempt({ ...attempt, outcome: 'refused', method: 'setup-secret', reason: 'Secret de setup invalide' });
+        return res.status(403).json({
+          success: false,
+          error: 'Accès refusé: secret de setup invalide'
+        });
+      }
+      method = 'setup-secret';
+    } else {
+      const admins = await userService.findUsersByRole('Admin');
+      if (admins.length > 0) {
+        await bootstrapService.recordAttempt({ ...attempt, outcome: 'refused', method: 'first-admin', reason: 'Un administrateur existe déjà' });
+        return res.status(403).json({
+          success: false,
+          error: 'Accès refusé: le système a déjà été initialisé'
+        });
+      }
+      method = 'first-admin';
+    }
+
     // Vérifier si l'utilisateur existe déjà
     const existingUser = await userService.findUserByEmail(email);
     if (existingUser) {
@@ -30,15 +97,25 @@ const setupAdmin = async (req, res) => {
       });
     }
 
+    // Réclamer l'initialisation (atomique: un seul appel concurrent peut réussir)
+    lockId = await bootstrapService.claim(method, setupSecret);
+
     // Créer l'admin
     const userData = {
       email,
       name,
       role: 'Admin',
-      createdAt: Date.now()
+      passwordHash: await passwordService.hashPassword(password),
+      createdAt: Date.now(),
+      ...membershipService.initialMembership('Admin')
     };
 
     const newAdmin = await userService.createUser(userData);
+    const card = await issueCardOnCreation(newAdmin);
+    await bootstrapService.completeClaim(lockId, newAdmin);
+    await bootstrapService.recordAttempt({ ...attempt, outcome: 'success', method, adminId: newAdmin.id });
+
+    console.log(`✓ Système initialisé par ${newAdmin.email} (méthode: ${method})`);
 
     res.status(201).json({
       success: true,
@@ -47,11 +124,26 @@ const setupAdmin = async (req, res) => {
         id: newAdmin.id,
         email: newAdmin.email,
         name: newAdmin.name,
-        role: newAdmin.role
+        role: newAdmin.role,
+        cardNumber: card ? card.cardNumber : null
       }
     });
   } catch (error) {
     console.error('Erreur setup admin:', error);
+
+    if (error.message.includes('Accès refusé')) {
+      await bootstrapService.recordAttempt({ ...attempt, outcome: 'refused', reason: error.message });
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Échec après la réclamation: libérer le verrou pour permettre une nouvelle tentative
+    if (lockId) {
+      await bootstrapService.releaseClaim(lockId);
+    }
+
     res.status(500).json({
       success: false,
       error: 'Erreur lors de la création'
@@ -73,6 +165,16 @@ const register = async (req, res) => {
       });
     }
 
+    // Vérifier la robustesse du mot de passe
+    const passwordErrors = passwordService.validateStrength(password);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Mot de passe trop faible: ${passwordErrors.join(', ')}`,
+        details: passwordErrors
+      });
+    }
+
     // Vérifier si l'utilisateur existe déjà
     const existingUser = await userService.findUserByEmail(email);
     if (existingUser) {
@@ -87,10 +189,28 @@ const register = async (req, res) => {
       email,
       name,
       role: 'Member',
-      createdAt: Date.now()
+      passwordHash: await passwordService.hashPassword(password),
+      createdAt: Date.now(),
+      ...membershipService.initialMembership('Member')
     };
 
     const newUser = await userService.createUser(userData);
+    const card = await issueCardOnCreation(newUser);
+
+    await auditService.record({
+      actor: newUser,
+      action: auditService.ACTIONS.USER_REGISTER,
+      entity: 'user',
+      entityId: newUser.id,
+      after: { email: newUser.email, name: newUser.name, role: newUser.role, cardNumber: card ? card.cardNumber : null },
+      metadata: { ip: req.ip }
+    });
+
+    // Connecter directement le nouvel utilisateur
+    const session = await sessionService.createSession(newUser.id, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
 
     res.status(201).json({
       success: true,
@@ -99,7 +219,12 @@ const register = async (req, res) => {
         id: newUser.id,
         email: newUser.email,
         name: newUser.name,
-        role: newUser.role
+        role: newUser.role,
+        cardNumber: card ? card.cardNumber : null,
+        membershipExpiresAt: newUser.membershipExpiresAt,
+        permissions: permissionService.getRolePermissions(newUser.role),
+        token: session.token,
+        expiresAt: session.expiresAt
       }
     });
   } catch (error) {
@@ -135,7 +260,22 @@ const login = async (req, res) => {
       });
     }
 
-    // Dans un vrai système, on vérifierait le hash du password ici
+    // Vérifier le mot de passe (un compte sans mot de passe ne peut pas se connecter)
+    const passwordHash = await userService.findPasswordHash(user.id);
+    const isPasswordValid = await passwordService.verifyPassword(password, passwordHash);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Email ou mot de passe incorrect'
+      });
+    }
+
+    // Ouvrir une session: le jeton devra être envoyé dans l'en-tête Authorization
+    const session = await sessionService.createSession(user.id, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
 
     res.status(200).json({
       success: true,
@@ -144,7 +284,10 @@ const login = async (req, res) => {
         id: user.id,
         email: user.email,
         name: user.name,
-        role: user.role
+        role: user.role,
+        permissions: permissionService.getRolePermissions(user.role),
+        token: session.token,
+        expiresAt: session.expiresAt
       }
     });
   } catch (error) {
@@ -156,6 +299,259 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * @description Déconnexion: révoque la session courante
+ */
+const logout = async (req, res) => {
+  try {
+    if (!req.session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Non authentifié'
+      });
+    }
+
+    await sessionService.revokeSession(req.session.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Déconnexion réussie'
+    });
+  } catch (error) {
+    console.error('Erreur déconnexion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la déconnexion'
+    });
+  }
+};
+
+/**
+ * @description Révoque toutes les sessions de l'utilisateur connecté (déconnexion de tous les appareils)
+ */
+const logoutAll = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Non authentifié'
+      });
+    }
+
+    const count = await sessionService.revokeAllUserSessions(req.user.id);
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.USER_SESSIONS_REVOKE,
+      entity: 'user',
+      entityId: req.user.id,
+      metadata: { revokedSessions: count, ip: req.ip }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${count} session(s) révoquée(s)`,
+      count: count
+    });
+  } catch (error) {
+    console.error('Erreur déconnexion globale:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la révocation des sessions'
+    });
+  }
+};
+
+/**
+ * @description Change le mot de passe de l'utilisateur connecté
+ * Les autres sessions de l'utilisateur sont révoquées, seule la session courante est conservée.
+ */
+const changePassword = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Non authentifié'
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Mot de passe actuel et nouveau mot de passe requis'
+      });
+    }
+
+    // Vérifier le mot de passe actuel
+    const passwordHash = await userService.findPasswordHash(req.user.id);
+    const isPasswordValid = await passwordService.verifyPassword(currentPassword, passwordHash);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Mot de passe actuel incorrect'
+      });
+    }
+
+    // Vérifier la robustesse du nouveau mot de passe
+    const passwordErrors = passwordService.validateStrength(newPassword);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Mot de passe trop faible: ${passwordErrors.join(', ')}`,
+        details: passwordErrors
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le nouveau mot de passe doit être différent de l\'actuel'
+      });
+    }
+
+    await userService.updatePasswordHash(req.user.id, await passwordService.hashPassword(newPassword));
+    const revokedCount = await sessionService.revokeAllUserSessions(req.user.id, req.session.id);
+
+    // Le journal ne conserve jamais les mots de passe ni leurs empreintes
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.USER_PASSWORD_CHANGE,
+      entity: 'user',
+      entityId: req.user.id,
+      metadata: { revokedSessions: revokedCount, ip: req.ip }
+    });
+
+    console.log(`✓ Mot de passe de ${req.user.name} modifié (${revokedCount} autre(s) session(s) révoquée(s))`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Mot de passe modifié avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors du changement de mot de passe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du changement de mot de passe'
+    });
+  }
+};
+
+/**
+ * @description Demande de réinitialisation du mot de passe (mot de passe oublié)
+ * La réponse est identique que l'email existe ou non, pour ne pas révéler les comptes existants.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email requis'
+      });
+    }
+
+    const user = await userService.findUserByEmail(email);
+
+    if (user) {
+      const { token, expiresAt } = await passwordResetService.createResetToken(user.id);
+      const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+      const resetLink = `${baseUrl}/?resetToken=${token}`;
+      const validityMinutes = Math.round((expiresAt - Date.now()) / 60000);
+
+      await mailService.sendMail({
+        to: user.email,
+        subject: 'Réinitialisation de votre mot de passe',
+        text: [
+          `Bonjour ${user.name},`,
+          '',
+          'Une réinitialisation de mot de passe a été demandée pour votre compte.',
+          `Pour choisir un nouveau mot de passe, ouvrez ce lien (valable ${validityMinutes} minutes, utilisable une seule fois):`,
+          '',
+          resetLink,
+          '',
+          'Si vous n\'êtes pas à l\'origine de cette demande, ignorez simplement cet email.'
+        ].join('\n')
+      });
+
+      console.log(`✓ Lien de réinitialisation envoyé à ${user.email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Si un compte existe avec cet email, un lien de réinitialisation a été envoyé'
+    });
+  } catch (error) {
+    console.error('Erreur mot de passe oublié:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la demande de réinitialisation'
+    });
+  }
+};
+
+/**
+ * @description Réinitialise le mot de passe à partir d'un jeton reçu par email
+ * Toutes les sessions de l'utilisateur sont révoquées.
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Jeton et nouveau mot de passe requis'
+      });
+    }
+
+    // Vérifier la robustesse avant de consommer le jeton (l'utilisateur peut réessayer)
+    const passwordErrors = passwordService.validateStrength(newPassword);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Mot de passe trop faible: ${passwordErrors.join(', ')}`,
+        details: passwordErrors
+      });
+    }
+
+    const userId = await passwordResetService.consumeResetToken(token);
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Lien de réinitialisation invalide ou expiré'
+      });
+    }
+
+    await userService.updatePasswordHash(userId, await passwordService.hashPassword(newPassword));
+    const revokedCount = await sessionService.revokeAllUserSessions(userId);
+
+    await auditService.record({
+      actor: { id: userId },
+      action: auditService.ACTIONS.USER_PASSWORD_RESET,
+      entity: 'user',
+      entityId: userId,
+      metadata: { revokedSessions: revokedCount, ip: req.ip }
+    });
+
+    console.log(`✓ Mot de passe réinitialisé pour l'utilisateur ${userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Mot de passe réinitialisé. Vous pouvez vous connecter.'
+    });
+  } catch (error) {
+    console.error('Erreur réinitialisation mot de passe:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la réinitialisation du mot de passe'
+    });
+  }
+};
+
 /**
  * @description Récupère les informations de l'utilisateur connecté
  */
@@ -174,7 +570,10 @@ const getMe = async (req, res) => {
         id: req.user.id,
         email: req.user.email,
         name: req.user.name,
-        role: req.user.role
+        role: req.user.role,
+        cardNumber: req.user.cardNumber,
+        membershipExpiresAt: req.user.membershipExpiresAt,
+        permissions: permissionService.getRolePermissions(req.user.role)
       }
     });
   } catch (error) {
@@ -187,31 +586,23 @@ const getMe = async (req, res) => {
 };
 
 /**
- * @description Récupère tous les utilisateurs (Admin uniquement)
+ * @description Récupère tous les utilisateurs
+ * @access Permission users:manage (vérifiée par la route)
  */
 const getAllUsers = async (req, res) => {
   try {
-    const userId = req.headers['x-user-id'];
-    const userRole = req.headers['x-user-role'];
-
-    // Vérifier les permissions
-    if (!userId || userRole !== 'Admin') {
-      return res.status(403).json({
-        success: false,
-        error: 'Accès refusé: Seuls les administrateurs peuvent voir tous les utilisateurs'
-      });
-    }
-
     const users = await userService.findAllUsers();
 
     res.status(200).json({
       success: true,
       count: users.length,
+      roles: UserFactory.getAvailableRoles(),
       data: users.map(user => ({
         id: user.id,
         email: user.email,
         name: user.name,
-        role: user.role
+        role: user.role,
+        membershipExpiresAt: user.membershipExpiresAt
       }))
     });
   } catch (error) {
@@ -224,29 +615,19 @@ const getAllUsers = async (req, res) => {
 };
 
 /**
- * @description Change le rôle d'un utilisateur (Admin uniquement)
+ * @description Change le rôle d'un utilisateur
+ * @access Permission users:manage (vérifiée par la route)
  */
 const updateUserRole = async (req, res) => {
   try {
-    const adminId = req.headers['x-user-id'];
-    const adminRole = req.headers['x-user-role'];
     const { userId } = req.params;
     const { newRole } = req.body;
 
-    // Vérifier les permissions
-    if (!adminId || adminRole !== 'Admin') {
-      return res.status(403).json({
-        success: false,
-        error: 'Accès refusé: Seuls les administrateurs peuvent changer les rôles'
-      });
-    }
-
-    // Vérifier que le nouveau rôle est valide
-    const validRoles = ['Member', 'Librarian', 'Admin'];
-    if (!validRoles.includes(newRole)) {
+    // Vérifier que le nouveau rôle est défini dans le registre des rôles
+    if (!UserFactory.isValidRole(newRole)) {
       return res.status(400).json({
         success: false,
-        error: `Rôle invalide. Valeurs acceptées: ${validRoles.join(', ')}`
+        error: `Rôle invalide. Valeurs acceptées: ${UserFactory.getAvailableRoles().join(', ')}`
       });
     }
 
@@ -260,15 +641,34 @@ const updateUserRole = async (req, res) => {
     }
 
     // Empêcher un admin de changer son propre rôle
-    if (userId === adminId) {
+    if (userId === req.user.id) {
       return res.status(400).json({
         success: false,
         error: 'Vous ne pouvez pas modifier votre propre rôle'
       });
     }
 
-    // Mettre à jour le rôle
-    await userService.updateUserRole(userId, newRole);
+    // Mettre à jour le rôle et recalculer l'adhésion avec la durée du nouveau rôle
+    const previous = await membershipService.getMembership(userId);
+    const membership = membershipService.membershipForRole(previous, newRole);
+    await userService.updateUserRole(userId, newRole, membership);
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.USER_ROLE_UPDATE,
+      entity: 'user',
+      entityId: userId,
+      before: {
+        role: user.role,
+        membershipStartedAt: previous.startedAt,
+        membershipExpiresAt: previous.expiresAt
+      },
+      after: {
+        role: newRole,
+        membershipStartedAt: membership.membershipStartedAt,
+        membershipExpiresAt: membership.membershipExpiresAt
+      }
+    });
 
     console.log(`✓ Rôle de ${user.name} changé: ${user.role} → ${newRole}`);
 
@@ -280,7 +680,8 @@ const updateUserRole = async (req, res) => {
         name: user.name,
         email: user.email,
         oldRole: user.role,
-        newRole: newRole
+        newRole: newRole,
+        membershipExpiresAt: membership.membershipExpiresAt
       }
     });
   } catch (error) {
@@ -296,6 +697,11 @@ module.exports = {
   setupAdmin,
   register,
   login,
+  logout,
+  logoutAll,
+  changePassword,
+  forgotPassword,
+  resetPassword,
   getMe,
   getAllUsers,
   updateUserRole
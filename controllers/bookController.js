@@ -5,6 +5,7 @@
  */
 
 const bookServiceProxy = require('../services/bookServiceProxy');
+const libraryFacade = require('../facades/libraryFacade');
 
 /**
  * @description Récupère tous les livres du catalogue (PUBLIC)
@@ -119,6 +120,14 @@ const createBook = async (req, res) => {
         error: error.message
       });
     }
+
+    // Nombre d'exemplaires invalide ou exemplaires en prêt
+    if (error.message.includes('invalide') || error.message.includes('en rayon')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -143,6 +152,11 @@ const updateBook = async (req, res) => {
       });
     }
 
+    // Nouveaux exemplaires: servir la file d'attente des réservations
+    if (req.body.totalQuantity !== undefined) {
+      await libraryFacade.processHoldQueue(req.params.id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Livre mis à jour avec succès',
@@ -158,6 +172,14 @@ const updateBook = async (req, res) => {
         error: error.message
       });
     }
+
+    // Nombre d'exemplaires invalide ou exemplaires en prêt
+    if (error.message.includes('invalide') || error.message.includes('en rayon')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -196,11 +218,97 @@ const deleteBook = async (req, res) => {
   }
 };
 
+/**
+ * @description Récupère les exemplaires d'un livre avec leur code-barres et leur statut (PUBLIC)
+ */
+const getBookItems = async (req, res) => {
+  try {
+    const book = await bookServiceProxy.findBookById(req.params.id);
+
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        error: 'Livre non trouvé'
+      });
+    }
+
+    const items = await bookServiceProxy.findItemsByBook(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des exemplaires:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des exemplaires'
+    });
+  }
+};
+
+/**
+ * @description Ajoute des exemplaires à un livre (PROTÉGÉ)
+ * @access Permission catalog:write
+ */
+const addBookItems = async (req, res) => {
+  try {
+    const { count = 1, condition, shelfLocation, itemType } = req.body;
+
+    const items = await bookServiceProxy.addItems(
+      req.params.id,
+      parseInt(count, 10),
+      { condition, shelfLocation, itemType },
+      req.user
+    );
+
+    // Nouveaux exemplaires: servir la file d'attente des réservations
+    await libraryFacade.processHoldQueue(req.params.id);
+
+    res.status(201).json({
+      success: true,
+      message: `${items.length} exemplaire(s) ajouté(s)`,
+      data: items
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout d\'exemplaires:', error);
+
+    if (error.message.includes('Accès refusé')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('invalide')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'ajout d\'exemplaires'
+    });
+  }
+};
+
 module.exports = {
   getAllBooks,
   searchBooks,
   getBookById,
   createBook,
   updateBook,
-  deleteBook
+  deleteBook,
+  getBookItems,
+  addBookItems
 };
@@ -0,0 +1,276 @@
+/**
+ * @file cardController.js
+ * @description Controller pour les cartes de bibliothèque.
+ * Les membres consultent et impriment leur carte; les bibliothécaires retrouvent un membre à partir
+ * du numéro scanné, impriment et remplacent les cartes (remplacements journalisés dans l'audit).
+ * Les comptes créés avant les cartes reçoivent la leur à la première consultation.
+ */
+
+const libraryCardService = require('../services/libraryCardService');
+const userService = require('../services/userService');
+const auditService = require('../services/auditService');
+const LibraryCard = require('../models/libraryCard');
+
+/**
+ * @description Retourne la carte d'un utilisateur, en l'émettant s'il n'en a pas encore
+ * @param {Object} user - Titulaire de la carte
+ * @param {Object} actor - Utilisateur à l'origine de la demande (audit)
+ * @returns {Promise<LibraryCard>} La carte
+ * @private
+ */
+const ensureCard = async (user, actor) => {
+  if (user.cardNumber) {
+    return await libraryCardService.getCard(user.id);
+  }
+
+  const card = await libraryCardService.issueCard(user.id);
+  await auditService.record({
+    actor,
+    action: auditService.ACTIONS.CARD_ISSUE,
+    entity: 'user',
+    entityId: user.id,
+    after: { cardNumber: card.cardNumber }
+  });
+  return card;
+};
+
+/**
+ * @description Résumé d'un utilisateur et de sa carte renvoyé par l'API
+ * @param {Object} user - Titulaire
+ * @param {LibraryCard} card - Carte
+ * @returns {Object} Données de la carte
+ * @private
+ */
+const toCardResponse = (user, card) => ({
+  cardNumber: card.cardNumber,
+  formattedNumber: card.formattedNumber,
+  issuedAt: card.issuedAt,
+  previousCards: card.previousCards,
+  user: { id: user.id, name: user.name, email: user.email, role: user.role }
+});
+
+/**
+ * @description Envoie une carte imprimable au format SVG
+ * @param {Object} res - Réponse Express
+ * @param {Object} user - Titulaire
+ * @param {LibraryCard} card - Carte
+ * @private
+ */
+const sendCardSvg = (res, user, card) => {
+  res.status(200)
+    .type('image/svg+xml')
+    .set('Content-Disposition', `inline; filename="carte-${card.cardNumber}.svg"`)
+    .send(libraryCardService.renderCardSvg(user, card));
+};
+
+/**
+ * @description Récupère la carte de l'utilisateur connecté
+ * @access Utilisateur connecté
+ */
+const getMyCard = async (req, res) => {
+  try {
+    const card = await ensureCard(req.user, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: toCardResponse(req.user, card)
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la carte:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de la carte de bibliothèque'
+    });
+  }
+};
+
+/**
+ * @description Carte imprimable (SVG) de l'utilisateur connecté
+ * @access Utilisateur connecté
+ */
+const printMyCard = async (req, res) => {
+  try {
+    const card = await ensureCard(req.user, req.user);
+    sendCardSvg(res, req.user, card);
+  } catch (error) {
+    console.error('Erreur lors de l\'impression de la carte:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'impression de la carte de bibliothèque'
+    });
+  }
+};
+
+/**
+ * @description Retrouve un membre à partir d'un numéro de carte saisi ou scanné
+ * Un numéro mal saisi (chiffre de contrôle faux) est refusé; un numéro remplacé est signalé (410).
+ * @access Permission cards:manage (vérifiée par la route)
+ */
+const lookupCard = async (req, res) => {
+  try {
+    const { cardNumber } = req.params;
+
+    if (!LibraryCard.isValidNumber(cardNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: `Numéro de carte invalide: ${cardNumber} (${LibraryCard.NUMBER_LENGTH} chiffres, chiffre de contrôle compris)`
+      });
+    }
+
+    const user = await userService.findUserByCardNumber(cardNumber);
+    if (user) {
+      const card = await libraryCardService.getCard(user.id);
+      return res.status(200).json({
+        success: true,
+        data: toCardResponse(user, card)
+      });
+    }
+
+    const previousHolder = await userService.findUserByReplacedCardNumber(cardNumber);
+    if (previousHolder) {
+      return res.status(410).json({
+        success: false,
+        error: `La carte ${LibraryCard.format(LibraryCard.normalize(cardNumber))} a été remplacée et n'est plus valide`,
+        data: { user: { id: previousHolder.id, name: previousHolder.name, email: previousHolder.email } }
+      });
+    }
+
+    res.status(404).json({
+      success: false,
+      error: 'Aucun membre ne correspond à cette carte'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la recherche par carte:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la recherche par carte'
+    });
+  }
+};
+
+/**
+ * @description Récupère la carte d'un membre
+ * @access Permission cards:manage (vérifiée par la route)
+ */
+const getUserCard = async (req, res) => {
+  try {
+    const user = await userService.findUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Utilisateur non trouvé'
+      });
+    }
+
+    const card = await ensureCard(user, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: toCardResponse(user, card)
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la carte:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de la carte de bibliothèque'
+    });
+  }
+};
+
+/**
+ * @description Carte imprimable (SVG) d'un membre
+ * @access Permission cards:manage (vérifiée par la route)
+ */
+const printUserCard = async (req, res) => {
+  try {
+    const user = await userService.findUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Utilisateur non trouvé'
+      });
+    }
+
+    const card = await ensureCard(user, req.user);
+    sendCardSvg(res, user, card);
+  } catch (error) {
+    console.error('Erreur lors de l\'impression de la carte:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'impression de la carte de bibliothèque'
+    });
+  }
+};
+
+/**
+ * @description Remplace la carte d'un membre (body: reason); l'ancien numéro n'est plus accepté
+ * @access Permission cards:manage (vérifiée par la route)
+ */
+const replaceUserCard = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'reason doit être une chaîne'
+      });
+    }
+
+    const user = await userService.findUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Utilisateur non trouvé'
+      });
+    }
+
+    const { card, previousCardNumber } = await libraryCardService.replaceCard(user.id, {
+      replacedBy: req.user.id,
+      reason: reason || ''
+    });
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.CARD_REPLACE,
+      entity: 'user',
+      entityId: user.id,
+      before: { cardNumber: previousCardNumber },
+      after: { cardNumber: card.cardNumber },
+      metadata: { reason: reason || '' }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Nouvelle carte ${card.formattedNumber} émise pour ${user.name}` +
+        (previousCardNumber ? `. L'ancienne carte ${LibraryCard.format(previousCardNumber)} n'est plus valide` : ''),
+      data: {
+        ...toCardResponse(user, card),
+        previousCardNumber
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors du remplacement de la carte:', error);
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du remplacement de la carte de bibliothèque'
+    });
+  }
+};
+
+module.exports = {
+  getMyCard,
+  printMyCard,
+  lookupCard,
+  getUserCard,
+  printUserCard,
+  replaceUserCard
+};
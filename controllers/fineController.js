@@ -0,0 +1,153 @@
+/**
+ * @file fineController.js
+ * @description Controller pour les comptes d'amendes des membres.
+ * Les membres consultent leur solde; les bibliothécaires consultent les comptes et y enregistrent
+ * paiements, remises et remboursements (montants en centimes), journalisés dans l'audit.
+ */
+
+const fineService = require('../services/fineService');
+const userService = require('../services/userService');
+const auditService = require('../services/auditService');
+
+/**
+ * @description Récupère le compte d'amendes de l'utilisateur connecté
+ * @access Utilisateur connecté
+ */
+const getMyAccount = async (req, res) => {
+  try {
+    const account = await fineService.getAccount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du compte d\'amendes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération du compte d\'amendes'
+    });
+  }
+};
+
+/**
+ * @description Récupère le compte d'amendes d'un membre
+ * @access Permission fines:manage (vérifiée par la route)
+ */
+const getUserAccount = async (req, res) => {
+  try {
+    const user = await userService.findUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Utilisateur non trouvé'
+      });
+    }
+
+    const account = await fineService.getAccount(user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...account,
+        user: { id: user.id, name: user.name, email: user.email }
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du compte d\'amendes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération du compte d\'amendes'
+    });
+  }
+};
+
+/**
+ * @description Crée le handler d'une écriture saisie par un bibliothécaire (paiement, remise, remboursement)
+ * @param {string} operation - Méthode du fineService à appeler ('recordPayment', 'waive' ou 'refund')
+ * @param {string} action - Action auditée
+ * @param {string} label - Libellé de l'écriture (messages et logs)
+ * @returns {Function} Handler Express
+ * @private
+ */
+const createAdjustmentHandler = (operation, action, label) => async (req, res) => {
+  try {
+    const { amount, note, relatedEntryId } = req.body;
+
+    const user = await userService.findUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Utilisateur non trouvé'
+      });
+    }
+
+    const { entry, balance } = await fineService[operation](user.id, amount, {
+      note,
+      relatedEntryId,
+      createdBy: req.user.id
+    });
+
+    await auditService.record({
+      actor: req.user,
+      action,
+      entity: 'fine',
+      entityId: entry.id,
+      after: entry,
+      metadata: { userId: user.id, balance }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${label} de ${fineService.formatAmount(entry.amount)} enregistré(e). Solde dû: ${fineService.formatAmount(balance)}`,
+      data: { entry, balance }
+    });
+  } catch (error) {
+    console.error(`Erreur lors de l'enregistrement (${label}):`, error);
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('Montant invalide')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: `Erreur lors de l'enregistrement (${label})`
+    });
+  }
+};
+
+/**
+ * @description Enregistre un paiement (body: amount en centimes, note)
+ * @access Permission fines:manage (vérifiée par la route)
+ */
+const recordPayment = createAdjustmentHandler('recordPayment', auditService.ACTIONS.FINE_PAYMENT, 'Paiement');
+
+/**
+ * @description Accorde une remise (body: amount en centimes, note, relatedEntryId optionnel)
+ * @access Permission fines:manage (vérifiée par la route)
+ */
+const waiveFine = createAdjustmentHandler('waive', auditService.ACTIONS.FINE_WAIVE, 'Remise');
+
+/**
+ * @description Rembourse un paiement (body: amount en centimes, relatedEntryId du paiement, note)
+ * @access Permission fines:manage (vérifiée par la route)
+ */
+const refundPayment = createAdjustmentHandler('refund', auditService.ACTIONS.FINE_REFUND, 'Remboursement');
+
+module.exports = {
+  getMyAccount,
+  getUserAccount,
+  recordPayment,
+  waiveFine,
+  refundPayment
+};
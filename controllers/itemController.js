@@ -0,0 +1,127 @@
+/**
+ * @file itemController.js
+ * @description Controller pour la gestion des exemplaires physiques (items).
+ * Les lectures passent par l'itemService, les modifications par le BookServiceProxy
+ * (contrôle des permissions et journal d'audit).
+ */
+
+const itemService = require('../services/itemService');
+const bookServiceProxy = require('../services/bookServiceProxy');
+const libraryFacade = require('../facades/libraryFacade');
+
+/**
+ * @description Recherche un exemplaire par son code-barres (scan au comptoir)
+ * @access Permission catalog:write
+ */
+const getItemByBarcode = async (req, res) => {
+  try {
+    const item = await itemService.findItemByBarcode(req.params.barcode);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: `Aucun exemplaire avec le code-barres ${req.params.barcode}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    console.error('Erreur lors de la recherche par code-barres:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la recherche de l\'exemplaire'
+    });
+  }
+};
+
+/**
+ * @description Récupère un exemplaire par son ID
+ * @access Permission catalog:write
+ */
+const getItemById = async (req, res) => {
+  try {
+    const item = await itemService.findItemById(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exemplaire non trouvé'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'exemplaire:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de l\'exemplaire'
+    });
+  }
+};
+
+/**
+ * @description Modifie un exemplaire (condition, shelfLocation, itemType, status)
+ * @access Permission catalog:write
+ */
+const updateItem = async (req, res) => {
+  try {
+    const { condition, shelfLocation, itemType, status } = req.body;
+    const item = await bookServiceProxy.updateItem(
+      req.params.itemId,
+      { condition, shelfLocation, itemType, status },
+      req.user
+    );
+
+    // Exemplaire remis en rayon (ex: retour de réparation): servir la file d'attente
+    if (status) {
+      await libraryFacade.processHoldQueue(item.bookId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Exemplaire mis à jour avec succès',
+      data: item
+    });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de l\'exemplaire:', error);
+
+    if (error.message.includes('Accès refusé')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Valeur invalide, exemplaire en prêt ou mis de côté
+    if (error.message.includes('invalide') || error.message.includes('en prêt') || error.message.includes('mis de côté')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la mise à jour de l\'exemplaire'
+    });
+  }
+};
+
+module.exports = {
+  getItemByBarcode,
+  getItemById,
+  updateItem
+};
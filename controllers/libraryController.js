@@ -6,6 +6,19 @@
 
 const libraryFacade = require('../facades/libraryFacade');
 const borrowingService = require('../services/borrowingService');
+const holdService = require('../services/holdService');
+const permissionService = require('../services/permissionService');
+const Borrowing = require('../models/borrowing');
+
+/**
+ * @description Nombre maximal de demandes examinées en un seul appel groupé
+ */
+const MAX_BULK_REVIEWS = 100;
+
+/**
+ * @description Nombre maximal d'emprunts rappelés en un seul appel
+ */
+const MAX_BULK_RECALLS = 100;
 
 /**
  * @description Permet à un membre de demander l'emprunt d'un livre
@@ -40,6 +53,16 @@ const requestBook = async (req, res) => {
     });
   } catch (error) {
     console.error('Erreur lors de la demande d\'emprunt:', error);
+
+    // Membre non éligible: motifs lisibles par l'interface
+    if (error.reasons) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+        reasons: error.reasons
+      });
+    }
+
     res.status(400).json({
       success: false,
       error: error.message
@@ -48,19 +71,41 @@ const requestBook = async (req, res) => {
 };
 
 /**
- * @description Récupère toutes les demandes d'emprunt en attente
- * @access Librarian, Admin
+ * @description Indique si l'utilisateur connecté peut faire une demande d'emprunt, et sinon pourquoi
+ * Query string: bookId (optionnel) pour appliquer la politique de prêt propre au genre du livre
+ * @access Utilisateur connecté
  */
-const getPendingRequests = async (req, res) => {
+const getEligibility = async (req, res) => {
   try {
-    // Vérifier que l'utilisateur a les permissions
-    if (!req.user || (req.user.role !== 'Librarian' && req.user.role !== 'Admin')) {
-      return res.status(403).json({
+    const result = await libraryFacade.checkEligibility(req.user, req.query.bookId || null);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Erreur lors de la vérification de l\'éligibilité:', error);
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
         success: false,
-        error: 'Accès refusé: Seuls les bibliothécaires et administrateurs peuvent voir les demandes'
+        error: error.message
       });
     }
 
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la vérification de l\'éligibilité'
+    });
+  }
+};
+
+/**
+ * @description Récupère toutes les demandes d'emprunt en attente
+ * @access Permission loans:review (vérifiée par la route)
+ */
+const getPendingRequests = async (req, res) => {
+  try {
     const requests = await libraryFacade.getPendingRequests();
 
     res.status(200).json({
@@ -79,18 +124,10 @@ const getPendingRequests = async (req, res) => {
 
 /**
  * @description Récupère tous les emprunts actuellement actifs (approved)
- * @access Librarian, Admin
+ * @access Permission loans:view-all (vérifiée par la route)
  */
 const getActiveLoans = async (req, res) => {
   try {
-    // Vérifier que l'utilisateur a les permissions
-    if (!req.user || (req.user.role !== 'Librarian' && req.user.role !== 'Admin')) {
-      return res.status(403).json({
-        success: false,
-        error: 'Accès refusé: Seuls les bibliothécaires et administrateurs peuvent voir les emprunts actifs'
-      });
-    }
-
     const loans = await libraryFacade.getActiveLoans();
 
     res.status(200).json({
@@ -130,6 +167,13 @@ const reviewRequest = async (req, res) => {
       });
     }
 
+    if (returnDueDate && Number.isNaN(new Date(returnDueDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: `Date de retour invalide: ${returnDueDate}`
+      });
+    }
+
     // Vérifier l'authentification
     if (!req.user) {
       return res.status(401).json({
@@ -156,6 +200,15 @@ const reviewRequest = async (req, res) => {
         error: error.message
       });
     }
+
+    // Emprunteur non éligible (limite d'emprunts atteinte depuis la demande)
+    if (error.reasons) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        reasons: error.reasons
+      });
+    }
     
     res.status(400).json({
       success: false,
@@ -164,6 +217,56 @@ const reviewRequest = async (req, res) => {
   }
 };
 
+/**
+ * @description Approuve ou rejette plusieurs demandes en un appel
+ * Body: { reviews: [{ requestId, action, returnDueDate }], action, returnDueDate }
+ * action et returnDueDate au premier niveau s'appliquent aux éléments qui ne les précisent pas.
+ * Répond 200 avec un rapport par demande, même si certaines échouent.
+ * @access Permission loans:review (vérifiée par la route)
+ */
+const bulkReviewRequests = async (req, res) => {
+  try {
+    const { reviews, action, returnDueDate } = req.body;
+
+    if (!Array.isArray(reviews) || reviews.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Une liste de demandes (reviews) est requise'
+      });
+    }
+
+    if (reviews.length > MAX_BULK_REVIEWS) {
+      return res.status(400).json({
+        success: false,
+        error: `Trop de demandes: ${MAX_BULK_REVIEWS} au maximum par appel`
+      });
+    }
+
+    const normalized = reviews.map(review => {
+      const entry = typeof review === 'string' ? { requestId: review } : (review || {});
+      return {
+        requestId: entry.requestId,
+        action: entry.action || action,
+        returnDueDate: entry.returnDueDate || returnDueDate || null
+      };
+    });
+
+    const report = await libraryFacade.reviewRequests(req.user, normalized);
+
+    res.status(200).json({
+      success: true,
+      message: `${report.succeeded} demande(s) traitée(s), ${report.failed} échec(s)`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'examen groupé des demandes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'examen groupé des demandes'
+    });
+  }
+};
+
 /**
  * @description Récupère l'historique des emprunts de l'utilisateur connecté
  * @access Member (propres emprunts), Librarian, Admin
@@ -219,11 +322,11 @@ const returnBook = async (req, res) => {
       });
     }
 
-    // Vérifier que c'est bien l'utilisateur qui a emprunté (ou un staff)
+    // Vérifier que c'est bien l'utilisateur qui a emprunté (ou un gestionnaire des emprunts)
     const isOwner = request.userId === req.user.id;
-    const isStaff = req.user.role === 'Librarian' || req.user.role === 'Admin';
+    const canManageLoans = permissionService.hasPermission(req.user, permissionService.PERMISSIONS.LOANS_MANAGE);
     
-    if (!isOwner && !isStaff) {
+    if (!isOwner && !canManageLoans) {
       return res.status(403).json({
         success: false,
         error: 'Vous ne pouvez retourner que vos propres emprunts'
@@ -255,11 +358,586 @@ const returnBook = async (req, res) => {
   }
 };
 
+/**
+ * @description Renouvelle un emprunt en cours (repousse la date de retour)
+ * @access Member (son propre emprunt), Librarian, Admin
+ */
+const renewBook = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    // Vérifier l'authentification
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentification requise'
+      });
+    }
+
+    // Récupérer l'emprunt
+    const request = await borrowingService.findRequestById(requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Emprunt non trouvé'
+      });
+    }
+
+    // Vérifier que c'est bien l'emprunteur (ou un gestionnaire des emprunts)
+    const isOwner = request.userId === req.user.id;
+    const canManageLoans = permissionService.hasPermission(req.user, permissionService.PERMISSIONS.LOANS_MANAGE);
+
+    if (!isOwner && !canManageLoans) {
+      return res.status(403).json({
+        success: false,
+        error: 'Vous ne pouvez renouveler que vos propres emprunts'
+      });
+    }
+
+    const result = await libraryFacade.renewLoan(req.user, requestId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error('Erreur lors du renouvellement:', error);
+
+    // Refus métier (emprunt terminé, livre attendu, limite atteinte)
+    if (error.message.includes('Renouvellement impossible')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du renouvellement'
+    });
+  }
+};
+
+/**
+ * @description Rappelle des exemplaires prêtés: la date de retour des emprunts sélectionnés est raccourcie
+ * Body: { requestIds: [...], reason }
+ * Répond 200 avec un rapport par emprunt, même si certains rappels échouent.
+ * @access Permission loans:manage (vérifiée par la route)
+ */
+const recallLoans = async (req, res) => {
+  try {
+    const { requestIds, reason = '' } = req.body;
+
+    if (!Array.isArray(requestIds) || requestIds.length === 0 || requestIds.some(id => !id || typeof id !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Une liste d\'emprunts (requestIds) est requise'
+      });
+    }
+
+    if (requestIds.length > MAX_BULK_RECALLS) {
+      return res.status(400).json({
+        success: false,
+        error: `Trop d'emprunts: ${MAX_BULK_RECALLS} au maximum par appel`
+      });
+    }
+
+    if (typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Le motif du rappel doit être une chaîne de caractères'
+      });
+    }
+
+    const report = await libraryFacade.recallLoans(req.user, requestIds, reason.trim());
+
+    res.status(200).json({
+      success: true,
+      message: `${report.succeeded} exemplaire(s) rappelé(s), ${report.failed} échec(s)`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Erreur lors du rappel des emprunts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du rappel des emprunts'
+    });
+  }
+};
+
+/**
+ * @description Prête au comptoir un exemplaire scanné à un membre (emprunt approuvé en une étape)
+ * Body: { member (numéro de carte, ID ou email), barcode, returnDueDate (optionnel) }
+ * @access Permission loans:manage (vérifiée par la route)
+ */
+const deskCheckout = async (req, res) => {
+  try {
+    const { member, barcode, returnDueDate } = req.body;
+
+    if (!member || !barcode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le membre (numéro de carte, ID ou email) et le code-barres de l\'exemplaire sont requis'
+      });
+    }
+
+    if (returnDueDate && Number.isNaN(new Date(returnDueDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: `Date de retour invalide: ${returnDueDate}`
+      });
+    }
+
+    const result = await libraryFacade.deskCheckout(req.user, member, String(barcode).trim(), returnDueDate || null);
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error('Erreur lors du prêt au comptoir:', error);
+
+    // Membre non éligible: motifs lisibles par l'interface
+    if (error.reasons) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+        reasons: error.reasons
+      });
+    }
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Carte remplacée (perte, vol): elle ne doit plus permettre d'emprunter
+    if (error.message.includes('a été remplacée')) {
+      return res.status(410).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('mis de côté pour un autre membre') || error.message.includes('n\'est pas en rayon')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('Date de retour')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du prêt au comptoir'
+    });
+  }
+};
+
+/**
+ * @description Enregistre au comptoir le retour d'un exemplaire scanné
+ * Body: { barcode }. La réponse indique si l'exemplaire est mis de côté pour un autre membre (heldFor).
+ * @access Permission loans:manage (vérifiée par la route)
+ */
+const deskCheckin = async (req, res) => {
+  try {
+    const { barcode } = req.body;
+
+    if (!barcode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le code-barres de l\'exemplaire est requis'
+      });
+    }
+
+    const result = await libraryFacade.deskCheckin(req.user, String(barcode).trim());
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error('Erreur lors du retour au comptoir:', error);
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('Aucun emprunt en cours') || error.message.includes('ne peut être retourné')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du retour au comptoir'
+    });
+  }
+};
+
+/**
+ * @description Annule une demande d'emprunt encore en attente
+ * @access Member (sa propre demande)
+ */
+const cancelRequest = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const result = await libraryFacade.cancelRequest(req.user, requestId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'annulation de la demande:', error);
+
+    if (error.message.includes('non trouvée')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('Accès refusé')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('déjà été traitée')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'annulation de la demande'
+    });
+  }
+};
+
+/**
+ * @description Signale un incident sur un emprunt en cours (body: status, note)
+ * Le membre peut déclarer son exemplaire perdu ou affirmer l'avoir rendu; seul un gestionnaire
+ * des emprunts peut enregistrer un exemplaire rendu endommagé.
+ * @access Member (son propre emprunt), Librarian, Admin
+ */
+const reportIncident = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { status, note } = req.body;
+
+    const request = await borrowingService.findRequestById(requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        error: 'Emprunt non trouvé'
+      });
+    }
+
+    const isOwner = request.userId === req.user.id;
+    const canManageLoans = permissionService.hasPermission(req.user, permissionService.PERMISSIONS.LOANS_MANAGE);
+
+    if (!isOwner && !canManageLoans) {
+      return res.status(403).json({
+        success: false,
+        error: 'Vous ne pouvez signaler un incident que sur vos propres emprunts'
+      });
+    }
+
+    if (status === Borrowing.Statuses.DAMAGED_ON_RETURN && !canManageLoans) {
+      return res.status(403).json({
+        success: false,
+        error: `Accès refusé: permission ${permissionService.PERMISSIONS.LOANS_MANAGE} requise pour enregistrer un retour endommagé`
+      });
+    }
+
+    const result = await libraryFacade.reportIncident(req.user, requestId, status, note);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error('Erreur lors du signalement d\'incident:', error);
+
+    if (error.message.includes('Statut d\'incident invalide')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('Signalement impossible')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du signalement d\'incident'
+    });
+  }
+};
+
+/**
+ * @description Récupère la file d'examen des incidents (pertes, retours contestés, dégâts)
+ * @access Permission loans:manage (vérifiée par la route)
+ */
+const getIncidents = async (req, res) => {
+  try {
+    const incidents = await libraryFacade.getIncidentQueue();
+
+    res.status(200).json({
+      success: true,
+      count: incidents.length,
+      data: incidents
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des incidents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des incidents'
+    });
+  }
+};
+
+/**
+ * @description Clôt un incident (body: outcome 'returned' ou 'withdrawn', repair, replacementCost, note)
+ * @access Permission loans:manage (vérifiée par la route)
+ */
+const resolveIncident = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { outcome, repair, replacementCost, note } = req.body;
+
+    const result = await libraryFacade.resolveIncident(req.user, requestId, outcome, {
+      repair: repair === true,
+      replacementCost: replacementCost !== undefined ? replacementCost : null,
+      note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'examen de l\'incident:', error);
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('Issue invalide') || error.message.includes('Montant invalide')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('Résolution impossible')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'examen de l\'incident'
+    });
+  }
+};
+
+/**
+ * @description Réserve un livre indisponible (file d'attente FIFO)
+ * @access Permission loans:request (vérifiée par la route)
+ */
+const placeHold = async (req, res) => {
+  try {
+    const { bookId } = req.body;
+
+    if (!bookId) {
+      return res.status(400).json({
+        success: false,
+        error: 'L\'ID du livre est requis'
+      });
+    }
+
+    const result = await libraryFacade.placeHold(req.user, bookId);
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      data: result.hold
+    });
+  } catch (error) {
+    console.error('Erreur lors de la réservation:', error);
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Livre disponible, réservation déjà en cours ou limite de réservations atteinte
+    if (error.message.includes('est disponible') ||
+        error.message.includes('déjà une réservation') ||
+        error.message.includes('Limite de réservations')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la réservation'
+    });
+  }
+};
+
+/**
+ * @description Récupère les réservations de l'utilisateur connecté avec sa position dans chaque file
+ * @access Member (propres réservations), Librarian, Admin
+ */
+const getMyHolds = async (req, res) => {
+  try {
+    const holds = await holdService.findUserHolds(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: holds.length,
+      data: holds
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des réservations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des réservations'
+    });
+  }
+};
+
+/**
+ * @description Récupère la file d'attente d'un livre
+ * @access Permission loans:view-all (vérifiée par la route)
+ */
+const getBookQueue = async (req, res) => {
+  try {
+    const queue = await holdService.getQueue(req.params.bookId);
+
+    res.status(200).json({
+      success: true,
+      count: queue.length,
+      data: queue
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la file d\'attente:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de la file d\'attente'
+    });
+  }
+};
+
+/**
+ * @description Annule une réservation
+ * @access Member (sa propre réservation), Librarian, Admin
+ */
+const cancelHold = async (req, res) => {
+  try {
+    const hold = await holdService.findHoldById(req.params.holdId);
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        error: 'Réservation non trouvée'
+      });
+    }
+
+    // Vérifier que c'est bien le membre qui a réservé (ou un gestionnaire des emprunts)
+    const isOwner = hold.userId === req.user.id;
+    const canManageLoans = permissionService.hasPermission(req.user, permissionService.PERMISSIONS.LOANS_MANAGE);
+
+    if (!isOwner && !canManageLoans) {
+      return res.status(403).json({
+        success: false,
+        error: 'Vous ne pouvez annuler que vos propres réservations'
+      });
+    }
+
+    const result = await libraryFacade.cancelHold(req.user, req.params.holdId);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'annulation de la réservation:', error);
+
+    if (error.message.includes('plus active')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'annulation de la réservation'
+    });
+  }
+};
+
 module.exports = {
   requestBook,
+  getEligibility,
   getPendingRequests,
   getActiveLoans,
   reviewRequest,
+  bulkReviewRequests,
   getMyBorrowings,
-  returnBook
+  returnBook,
+  renewBook,
+  recallLoans,
+  deskCheckout,
+  deskCheckin,
+  cancelRequest,
+  reportIncident,
+  getIncidents,
+  resolveIncident,
+  placeHold,
+  getMyHolds,
+  getBookQueue,
+  cancelHold
 };
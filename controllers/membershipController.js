@@ -0,0 +1,124 @@
+/**
+ * @file membershipController.js
+ * @description Controller pour les adhésions des membres.
+ * Les membres consultent la date d'expiration de leur adhésion; les bibliothécaires consultent
+ * et renouvellent les adhésions (renouvellements journalisés dans l'audit).
+ */
+
+const membershipService = require('../services/membershipService');
+const userService = require('../services/userService');
+const auditService = require('../services/auditService');
+
+/**
+ * @description Récupère l'adhésion de l'utilisateur connecté
+ * @access Utilisateur connecté
+ */
+const getMyMembership = async (req, res) => {
+  try {
+    const membership = await membershipService.getMembership(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: membership
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'adhésion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de l\'adhésion'
+    });
+  }
+};
+
+/**
+ * @description Récupère l'adhésion d'un membre
+ * @access Permission memberships:manage (vérifiée par la route)
+ */
+const getUserMembership = async (req, res) => {
+  try {
+    const user = await userService.findUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Utilisateur non trouvé'
+      });
+    }
+
+    const membership = await membershipService.getMembership(user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...membership,
+        user: { id: user.id, name: user.name, email: user.email }
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'adhésion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de l\'adhésion'
+    });
+  }
+};
+
+/**
+ * @description Renouvelle l'adhésion d'un membre pour une période de son rôle
+ * @access Permission memberships:manage (vérifiée par la route)
+ */
+const renewMembership = async (req, res) => {
+  try {
+    const user = await userService.findUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Utilisateur non trouvé'
+      });
+    }
+
+    const { previous, membership } = await membershipService.renewMembership(user.id, {
+      renewedBy: req.user.id
+    });
+
+    await auditService.record({
+      actor: req.user,
+      action: auditService.ACTIONS.MEMBERSHIP_RENEW,
+      entity: 'user',
+      entityId: user.id,
+      before: { startedAt: previous.startedAt, expiresAt: previous.expiresAt, status: previous.status },
+      after: { startedAt: membership.startedAt, expiresAt: membership.expiresAt, status: membership.status }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: membership.expiresAt
+        ? `Adhésion de ${user.name} renouvelée jusqu'au ${new Date(membership.expiresAt).toLocaleDateString('fr-FR')}`
+        : `Adhésion de ${user.name} renouvelée (sans expiration pour le rôle ${user.role})`,
+      data: {
+        ...membership,
+        previousExpiresAt: previous.expiresAt,
+        user: { id: user.id, name: user.name, email: user.email }
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors du renouvellement de l\'adhésion:', error);
+
+    if (error.message.includes('non trouvé')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du renouvellement de l\'adhésion'
+    });
+  }
+};
+
+module.exports = {
+  getMyMembership,
+  getUserMembership,
+  renewMembership
+};
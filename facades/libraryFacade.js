@@ -12,13 +12,28 @@
 const userService = require('../services/userService');
 const borrowingService = require('../services/borrowingService');
 const bookServiceProxy = require('../services/bookServiceProxy');
-const watchlistService = require('../services/watchlistService');
+const holdService = require('../services/holdService');
+const inventoryService = require('../services/inventoryService');
+const permissionService = require('../services/permissionService');
+const itemService = require('../services/itemService');
+const loanPolicyService = require('../services/loanPolicyService');
+const eligibilityService = require('../services/eligibilityService');
+const fineService = require('../services/fineService');
+const calendarService = require('../services/calendarService');
+const autoApprovalService = require('../services/autoApprovalService');
+const auditService = require('../services/auditService');
 
 // Observer Pattern
 const notificationSubject = require('../patterns/observer/notificationSubject');
 const NewRequestObserver = require('../patterns/observer/newRequestObserver');
+const RequestCancelledObserver = require('../patterns/observer/requestCancelledObserver');
 const BookAvailableObserver = require('../patterns/observer/bookAvailableObserver');
+const HoldExpiredObserver = require('../patterns/observer/holdExpiredObserver');
+const LoanRecalledObserver = require('../patterns/observer/loanRecalledObserver');
+const Borrowing = require('../models/borrowing');
+const Hold = require('../models/hold');
 const Notification = require('../models/notification');
+const LibraryCard = require('../models/libraryCard');
 
 class LibraryFacade {
   constructor() {
@@ -38,10 +53,21 @@ class LibraryFacade {
     // Attacher NewRequestObserver pour notifier les bibliothécaires
     const newRequestObserver = new NewRequestObserver();
     notificationSubject.attach(Notification.Types.NEW_REQUEST, newRequestObserver);
+
+    // Attacher RequestCancelledObserver pour signaler aux bibliothécaires les demandes annulées
+    const requestCancelledObserver = new RequestCancelledObserver();
+    notificationSubject.attach(Notification.Types.REQUEST_CANCELLED, requestCancelledObserver);
     
-    // Attacher BookAvailableObserver pour la watchlist
+    // Attacher BookAvailableObserver et HoldExpiredObserver pour les réservations
     const bookAvailableObserver = new BookAvailableObserver();
     notificationSubject.attach(Notification.Types.BOOK_AVAILABLE, bookAvailableObserver);
+
+    const holdExpiredObserver = new HoldExpiredObserver();
+    notificationSubject.attach(Notification.Types.HOLD_EXPIRED, holdExpiredObserver);
+
+    // Attacher LoanRecalledObserver pour prévenir les emprunteurs d'un exemplaire rappelé
+    const loanRecalledObserver = new LoanRecalledObserver();
+    notificationSubject.attach(Notification.Types.LOAN_RECALLED, loanRecalledObserver);
     
     console.log('✓ Observers initialisés');
   }
@@ -51,12 +77,18 @@ class LibraryFacade {
    * 1. Vérifier l'utilisateur existe
    * 2. Vérifier le livre existe et est disponible
    * 3. Vérifier l'utilisateur n'a pas déjà une demande en cours pour ce livre
-   * 4. Créer la demande d'emprunt
+   * 4. Vérifier l'éligibilité du membre selon la politique de prêt applicable
+   *    (emprunts en cours, demandes en attente, retards, amendes, adhésion expirée)
+   * 5. Créer la demande d'emprunt
+   * 6. Approuver immédiatement la demande si une règle d'approbation automatique s'applique
+   *    (sinon, ou si l'approbation échoue, la demande attend un bibliothécaire)
    * 
    * @param {string} userId - ID de l'utilisateur qui fait la demande
    * @param {string} bookId - ID du livre demandé
    * @returns {Promise<Object>} La demande d'emprunt créée avec les informations du livre
-   * @throws {Error} Si l'utilisateur, le livre n'existe pas, ou si le livre n'est pas disponible
+   * (approval contient le résultat de l'approbation automatique, null si la demande est en attente)
+   * @throws {Error} Si l'utilisateur, le livre n'existe pas, si le livre n'est pas disponible
+   * ou si le membre n'est pas éligible (error.reasons contient les motifs du refus)
    */
   async requestBook(userId, bookId) {
     try {
@@ -76,11 +108,16 @@ class LibraryFacade {
       }
       console.log(`  ✓ Livre trouvé: "${book.title}" par ${book.author}`);
 
-      // ÉTAPE 3: Vérifier que le livre est disponible
-      if (book.availableQuantity <= 0) {
+      // ÉTAPE 3: Vérifier que le livre est disponible (ou mis de côté pour ce membre)
+      const hold = await holdService.findActiveHold(userId, bookId);
+      const hasReadyHold = hold !== null && hold.status === Hold.Statuses.READY;
+
+      if (book.availableQuantity <= 0 && !hasReadyHold) {
         throw new Error(`Le livre "${book.title}" n'est plus disponible (0/${book.totalQuantity} disponible)`);
       }
-      console.log(`  ✓ Livre disponible (${book.availableQuantity}/${book.totalQuantity})`);
+      console.log(hasReadyHold
+        ? `  ✓ Exemplaire ${hold.itemBarcode} mis de côté pour ce membre`
+        : `  ✓ Livre disponible (${book.availableQuantity}/${book.totalQuantity})`);
 
       // ÉTAPE 4: Vérifier que l'utilisateur n'a pas déjà une demande en cours pour ce livre
       const hasPendingRequest = await borrowingService.hasPendingRequestForBook(userId, bookId);
@@ -89,11 +126,57 @@ class LibraryFacade {
       }
       console.log(`  ✓ Pas de demande en cours pour ce livre`);
 
-      // ÉTAPE 5: Créer la demande d'emprunt
+      // ÉTAPE 5: Vérifier l'éligibilité du membre (politique du rôle et du genre du livre)
+      const loanPolicy = this._resolveLoanPolicy(user, book);
+      const eligibility = await eligibilityService.assertEligible(userId, loanPolicy);
+      console.log(`  ✓ Membre éligible (${eligibility.activeLoans}/${loanPolicy.maxLoans} emprunts, ${eligibility.pendingRequests}/${loanPolicy.maxPendingRequests} demandes)`);
+
+      // ÉTAPE 6: Créer la demande d'emprunt
       const borrowingRequest = await borrowingService.createBorrowingRequest(userId, bookId);
       console.log(`  ✓ Demande d'emprunt créée avec succès (ID: ${borrowingRequest.id})`);
 
-      // ÉTAPE 6: Notifier les bibliothécaires (Observer Pattern)
+      await auditService.record({
+        actor: user,
+        action: auditService.ACTIONS.LOAN_REQUEST,
+        entity: 'borrowing',
+        entityId: borrowingRequest.id,
+        after: borrowingRequest
+      });
+
+      // ÉTAPE 7: Approbation automatique si une règle définie par les administrateurs s'applique
+      const autoApprovalRule = autoApprovalService.findMatchingRule({
+        role: user.role,
+        genre: book.genre,
+        availableCopies: book.availableQuantity,
+        activeLoans: eligibility.activeLoans,
+        overdueLoans: eligibility.overdueLoans,
+        fineBalance: eligibility.fineBalance
+      });
+
+      if (autoApprovalRule) {
+        try {
+          const approval = await this._approveRequest(null, borrowingRequest, null, { autoApprovalRule });
+          console.log(`  ✓ Demande approuvée automatiquement (règle "${autoApprovalRule.name}")`);
+
+          const approvedRequest = await borrowingService.findRequestById(borrowingRequest.id);
+          return {
+            borrowing: approvedRequest || borrowingRequest,
+            book: book,
+            user: {
+              id: user.id,
+              name: user.name,
+              email: user.email
+            },
+            approval: approval,
+            message: `Emprunt de "${book.title}" approuvé automatiquement. Retour prévu le ${approval.dueDate}`
+          };
+        } catch (approvalError) {
+          // La demande reste en attente: elle sera examinée par un bibliothécaire
+          console.error(`⚠️ Approbation automatique impossible (règle "${autoApprovalRule.name}"):`, approvalError.message);
+        }
+      }
+
+      // ÉTAPE 8: Notifier les bibliothécaires (Observer Pattern)
       try {
         const librarians = await userService.findUsersByRole('Librarian');
         await notificationSubject.notify(Notification.Types.NEW_REQUEST, {
@@ -118,6 +201,7 @@ class LibraryFacade {
           name: user.name,
           email: user.email
         },
+        approval: null,
         message: `Demande d'emprunt créée avec succès pour "${book.title}"`
       };
 
@@ -127,12 +211,125 @@ class LibraryFacade {
     }
   }
 
+  /**
+   * @description Orchestre l'annulation d'une demande par le membre qui l'a faite
+   * 1. Vérifier que la demande existe et appartient au membre
+   * 2. Passer la demande au statut 'cancelled' si elle est toujours en attente (transaction:
+   *    une demande examinée au même moment par un bibliothécaire n'est pas annulée)
+   * 3. Notifier les bibliothécaires que la demande a quitté leur file (Observer Pattern)
+   *
+   * @param {Object} user - Le membre qui annule sa demande
+   * @param {string} requestId - ID de la demande
+   * @returns {Promise<Object>} Résultat de l'annulation
+   * @throws {Error} Si la demande n'existe pas, appartient à un autre membre ou a déjà été traitée
+   */
+  async cancelRequest(user, requestId) {
+    try {
+      console.log(`📚 Facade: Annulation de la demande ${requestId} par ${user.name}`);
+
+      // ÉTAPE 1: Récupérer la demande et vérifier son propriétaire
+      const request = await borrowingService.findRequestById(requestId);
+      if (!request) {
+        throw new Error(`Demande ${requestId} non trouvée`);
+      }
+      if (request.userId !== user.id) {
+        throw new Error('Accès refusé: vous ne pouvez annuler que vos propres demandes');
+      }
+
+      // ÉTAPE 2: Annuler si la demande est toujours en attente
+      const { updated, status } = await borrowingService.updateRequestIfStatus(requestId, Borrowing.Statuses.PENDING, {
+        status: Borrowing.Statuses.CANCELLED
+      });
+      if (!updated) {
+        throw new Error(`Cette demande a déjà été traitée (statut: ${status})`);
+      }
+      console.log('  ✓ Demande annulée');
+
+      await auditService.record({
+        actor: user,
+        action: auditService.ACTIONS.LOAN_CANCEL,
+        entity: 'borrowing',
+        entityId: requestId,
+        before: request,
+        after: { ...request, status: Borrowing.Statuses.CANCELLED }
+      });
+
+      const book = await bookServiceProxy.findBookById(request.bookId);
+      const bookTitle = book ? book.title : 'Titre inconnu';
+
+      // ÉTAPE 3: Notifier les bibliothécaires (Observer Pattern)
+      try {
+        const librarians = await userService.findUsersByRole('Librarian');
+        await notificationSubject.notify(Notification.Types.REQUEST_CANCELLED, {
+          requestId,
+          userId: user.id,
+          userName: user.name,
+          bookTitle,
+          bookId: request.bookId,
+          librarians
+        });
+      } catch (notifError) {
+        console.error('⚠️ Erreur notification bibliothécaires:', notifError.message);
+      }
+
+      return {
+        success: true,
+        requestId,
+        bookTitle,
+        status: Borrowing.Statuses.CANCELLED,
+        message: `Demande d'emprunt pour "${bookTitle}" annulée`
+      };
+    } catch (error) {
+      console.error('✗ Erreur lors de l\'annulation de la demande:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Calcule la politique de prêt applicable à un emprunteur pour un livre
+   * @param {Object|null} borrower - Emprunteur (null s'il n'existe plus: politique par défaut)
+   * @param {Object} book - Livre emprunté
+   * @param {Object|null} item - Exemplaire prêté (inconnu tant qu'il n'est pas choisi)
+   * @returns {Object} Politique résolue par le loanPolicyService
+   * @private
+   */
+  _resolveLoanPolicy(borrower, book, item = null) {
+    return loanPolicyService.resolve({
+      role: borrower ? borrower.role : null,
+      genre: book.genre,
+      itemType: item ? item.itemType : undefined
+    });
+  }
+
+  /**
+   * @description Évalue l'éligibilité d'un membre, pour un livre précis ou selon la politique de son rôle
+   * @param {Object} user - Le membre
+   * @param {string|null} bookId - ID du livre envisagé (optionnel)
+   * @returns {Promise<Object>} { eligible, reasons, activeLoans, pendingRequests, overdueLoans, policy }
+   * @throws {Error} Si le livre n'existe pas
+   */
+  async checkEligibility(user, bookId = null) {
+    let book = { genre: null };
+    if (bookId) {
+      book = await bookServiceProxy.findBookById(bookId);
+      if (!book) {
+        throw new Error(`Livre ${bookId} non trouvé`);
+      }
+    }
+
+    const loanPolicy = this._resolveLoanPolicy(user, book);
+    const result = await eligibilityService.evaluate(user.id, loanPolicy);
+    return { ...result, policy: loanPolicy };
+  }
+
   /**
    * @description Orchestre l'action "examiner une demande" (approuver ou rejeter)
    * Cette méthode coordonne plusieurs étapes:
-   * 1. Vérifier que l'utilisateur est bibliothécaire ou admin
+   * 1. Vérifier que l'utilisateur a la permission loans:review
    * 2. Récupérer la demande
-   * 3. Si approbation: vérifier la disponibilité du livre, approuver et marquer le livre comme non disponible
+   * 3. Si approbation: vérifier la disponibilité du livre et la limite d'emprunts de la politique de prêt,
+   *    approuver et retirer un exemplaire du stock (transaction); la date de retour par défaut dépend
+   *    de la politique applicable (rôle de l'emprunteur, genre du livre, type de l'exemplaire prêté)
    * 4. Si rejet: rejeter simplement
    * 
    * @param {Object} librarianUser - Utilisateur bibliothécaire qui examine la demande
@@ -147,8 +344,8 @@ class LibraryFacade {
       console.log(`📋 Facade: Examen de la demande ${requestId} - Action: ${action}`);
 
       // ÉTAPE 1: Vérifier que l'utilisateur a les permissions
-      if (librarianUser.role !== 'Librarian' && librarianUser.role !== 'Admin') {
-        throw new Error('Accès refusé: Seuls les bibliothécaires et administrateurs peuvent examiner les demandes');
+      if (!permissionService.hasPermission(librarianUser, permissionService.PERMISSIONS.LOANS_REVIEW)) {
+        throw new Error(`Accès refusé: la permission ${permissionService.PERMISSIONS.LOANS_REVIEW} est requise pour examiner les demandes`);
       }
       console.log(`  ✓ Permissions vérifiées: ${librarianUser.name} (${librarianUser.role})`);
 
@@ -166,10 +363,22 @@ class LibraryFacade {
 
       // ÉTAPE 3: Traiter selon l'action
       if (action === 'reject') {
-        // REJET: Simple mise à jour du statut
-        await borrowingService.updateRequest(requestId, { status: 'rejected' });
+        // REJET: Mise à jour du statut, si aucun autre bibliothécaire ne l'a traitée entre-temps
+        const { updated, status } = await borrowingService.updateRequestIfStatus(requestId, 'pending', { status: 'rejected' });
+        if (!updated) {
+          throw new Error(`Cette demande a déjà été traitée (statut: ${status})`);
+        }
         console.log(`  ✓ Demande rejetée`);
 
+        await auditService.record({
+          actor: librarianUser,
+          action: auditService.ACTIONS.LOAN_REJECT,
+          entity: 'borrowing',
+          entityId: requestId,
+          before: request,
+          after: { ...request, status: 'rejected' }
+        });
+
         return {
           success: true,
           action: 'rejected',
@@ -179,57 +388,7 @@ class LibraryFacade {
 
       } else if (action === 'approve') {
         // APPROBATION: Processus plus complexe
-        
-        // ÉTAPE 3a: Re-vérifier la disponibilité du livre (CRUCIAL pour éviter les conflits)
-        const book = await bookServiceProxy.findBookById(request.bookId);
-        if (!book) {
-          throw new Error(`Livre ${request.bookId} non trouvé`);
-        }
-
-        if (book.availableQuantity <= 0) {
-          throw new Error(`Le livre "${book.title}" n'est plus disponible (0/${book.totalQuantity})`);
-        }
-        console.log(`  ✓ Livre "${book.title}" disponible (${book.availableQuantity}/${book.totalQuantity})`);
-
-        // ÉTAPE 3b: Calculer la date de retour
-        const approvalDate = Date.now();
-        let dueDate;
-        
-        if (returnDueDate) {
-          // Utiliser la date fournie par le librarian
-          dueDate = new Date(returnDueDate).getTime();
-          console.log(`  ✓ Date de retour personnalisée: ${new Date(dueDate).toLocaleDateString()}`);
-        } else {
-          // Par défaut: 14 jours
-          const durationInDays = 14;
-          dueDate = approvalDate + (durationInDays * 24 * 60 * 60 * 1000);
-          console.log(`  ✓ Date de retour par défaut (+14 jours): ${new Date(dueDate).toLocaleDateString()}`);
-        }
-
-        await borrowingService.updateRequest(requestId, {
-          status: 'approved',
-          approvalDate: approvalDate,
-          dueDate: dueDate
-        });
-        console.log(`  ✓ Demande approuvée (date de retour: ${new Date(dueDate).toLocaleDateString()})`);
-
-        // ÉTAPE 3c: Décrémenter la quantité disponible
-        const newAvailableQuantity = book.availableQuantity - 1;
-        await bookServiceProxy.updateBook(request.bookId, { 
-          availableQuantity: newAvailableQuantity,
-          isAvailable: newAvailableQuantity > 0 // Pour compatibilité
-        }, librarianUser);
-        console.log(`  ✓ Quantité disponible mise à jour: ${newAvailableQuantity}/${book.totalQuantity}`);
-
-        return {
-          success: true,
-          action: 'approved',
-          requestId: requestId,
-          bookTitle: book.title,
-          dueDate: new Date(dueDate).toLocaleDateString(),
-          availableQuantity: newAvailableQuantity,
-          message: `Emprunt approuvé. Retour prévu le ${new Date(dueDate).toLocaleDateString()}. Restant: ${newAvailableQuantity}/${book.totalQuantity}`
-        };
+        return await this._approveRequest(librarianUser, request, returnDueDate);
 
       } else {
         throw new Error(`Action invalide: ${action}. Actions valides: 'approve' ou 'reject'`);
@@ -241,6 +400,151 @@ class LibraryFacade {
     }
   }
 
+  /**
+   * @description Approuve une demande en attente et prête un exemplaire
+   * 1. Re-vérifier la disponibilité du livre
+   * 2. Vérifier la limite d'emprunts en cours de l'emprunteur
+   * 3. Calculer la date de retour (date fournie ou durée de la politique de prêt applicable)
+   * 4. Approuver et retirer un exemplaire du stock (transaction)
+   *
+   * @param {Object|null} librarianUser - Bibliothécaire qui approuve (null: approbation automatique)
+   * @param {Object} request - La demande en attente
+   * @param {string|null} returnDueDate - Date de retour prévue (optionnel)
+   * @param {Object} options - Options
+   * @param {AutoApprovalRule|null} options.autoApprovalRule - Règle d'approbation automatique appliquée
+   * @returns {Promise<Object>} Résultat de l'approbation
+   * @throws {Error} Si le livre n'est plus disponible ou si l'emprunteur a atteint sa limite d'emprunts
+   * @private
+   */
+  async _approveRequest(librarianUser, request, returnDueDate, { autoApprovalRule = null } = {}) {
+    // ÉTAPE 1: Re-vérifier la disponibilité du livre (CRUCIAL pour éviter les conflits)
+    const book = await bookServiceProxy.findBookById(request.bookId);
+    if (!book) {
+      throw new Error(`Livre ${request.bookId} non trouvé`);
+    }
+
+    const hold = await holdService.findActiveHold(request.userId, request.bookId);
+    const hasReadyHold = hold !== null && hold.status === Hold.Statuses.READY;
+
+    if (book.availableQuantity <= 0 && !hasReadyHold) {
+      throw new Error(`Le livre "${book.title}" n'est plus disponible (0/${book.totalQuantity})`);
+    }
+    console.log(`  ✓ Livre "${book.title}" disponible (${book.availableQuantity}/${book.totalQuantity}${hasReadyHold ? ', exemplaire réservé' : ''})`);
+
+    // ÉTAPE 2: Vérifier la limite d'emprunts en cours de l'emprunteur
+    const borrower = await userService.findUserById(request.userId);
+    await eligibilityService.assertEligible(request.userId, this._resolveLoanPolicy(borrower, book), {
+      checks: [eligibilityService.REASONS.MAX_LOANS]
+    });
+
+    // ÉTAPE 3: Calculer la date de retour (placée sur un jour d'ouverture, à l'heure de fermeture)
+    const approvalDate = Date.now();
+    let loanPolicy = null;
+    let dueDate;
+    
+    if (returnDueDate) {
+      // Utiliser la date fournie par le librarian
+      dueDate = this._customDueDate(returnDueDate);
+      console.log(`  ✓ Date de retour personnalisée: ${new Date(dueDate).toLocaleDateString()}`);
+    } else {
+      // Par défaut: durée d'emprunt de la politique applicable à l'exemplaire qui sera prêté
+      dueDate = (selectedItem) => {
+        loanPolicy = this._resolveLoanPolicy(borrower, book, selectedItem);
+        return calendarService.adjustDueDate(approvalDate + (loanPolicy.loanDays * 24 * 60 * 60 * 1000));
+      };
+    }
+
+    // ÉTAPE 4: Approuver et décrémenter la quantité disponible dans une même transaction
+    // (la disponibilité est revérifiée dans la transaction: deux approbations simultanées
+    // ne peuvent pas prêter le même exemplaire)
+    const autoApproval = autoApprovalRule ? { ruleId: autoApprovalRule.id, ruleName: autoApprovalRule.name } : null;
+    const checkoutResult = await inventoryService.checkout(request.id, { approvalDate, dueDate, autoApproval });
+    const { book: updatedBook, item, hold: fulfilledHold } = checkoutResult;
+    dueDate = checkoutResult.dueDate;
+    const newAvailableQuantity = updatedBook.availableQuantity;
+    if (loanPolicy) {
+      console.log(`  ✓ Date de retour par défaut (+${loanPolicy.loanDays} jours, politique de prêt)`);
+    }
+    console.log(`  ✓ Demande approuvée (date de retour: ${new Date(dueDate).toLocaleDateString()})`);
+    console.log(`  ✓ Exemplaire prêté: ${item.barcode}${fulfilledHold ? ' (réservation honorée)' : ''}`);
+    console.log(`  ✓ Quantité disponible mise à jour: ${newAvailableQuantity}/${book.totalQuantity}`);
+
+    await auditService.record({
+      actor: librarianUser,
+      action: auditService.ACTIONS.LOAN_APPROVE,
+      entity: 'borrowing',
+      entityId: request.id,
+      before: request,
+      after: { ...request, status: 'approved', approvalDate, dueDate, itemId: item.id, itemBarcode: item.barcode, autoApproval },
+      metadata: {
+        bookId: request.bookId,
+        availableQuantity: newAvailableQuantity,
+        holdId: fulfilledHold ? fulfilledHold.id : null,
+        loanDays: loanPolicy ? loanPolicy.loanDays : null,
+        loanPolicies: loanPolicy ? loanPolicy.appliedPolicies : [],
+        autoApprovalRule: autoApproval
+      }
+    });
+
+    return {
+      success: true,
+      action: 'approved',
+      requestId: request.id,
+      bookTitle: book.title,
+      itemBarcode: item.barcode,
+      dueDate: new Date(dueDate).toLocaleDateString(),
+      availableQuantity: newAvailableQuantity,
+      autoApproval,
+      message: `Emprunt approuvé. Retour prévu le ${new Date(dueDate).toLocaleDateString()}. Restant: ${newAvailableQuantity}/${book.totalQuantity}`
+    };
+  }
+
+  /**
+   * @description Examine plusieurs demandes avec la même logique que reviewRequest
+   * Les demandes sont traitées l'une après l'autre, dans l'ordre reçu: chaque approbation tient compte
+   * du stock laissé par la précédente. L'échec d'une demande n'interrompt pas le traitement des suivantes.
+   *
+   * @param {Object} librarianUser - L'utilisateur bibliothécaire
+   * @param {Array<Object>} reviews - [{ requestId, action ('approve' ou 'reject'), returnDueDate (optionnel) }]
+   * @returns {Promise<Object>} { processed, succeeded, failed, results: [{ requestId, action, success, message | error, reasons }] }
+   */
+  async reviewRequests(librarianUser, reviews) {
+    console.log(`📚 Facade: Examen groupé de ${reviews.length} demande(s) par ${librarianUser.name}`);
+
+    const results = [];
+    for (const review of reviews) {
+      const { requestId = null, action = null, returnDueDate = null } = review || {};
+
+      try {
+        if (!requestId || (action !== 'approve' && action !== 'reject')) {
+          throw new Error('L\'ID de la demande et une action valide ("approve" ou "reject") sont requis');
+        }
+        if (returnDueDate && Number.isNaN(new Date(returnDueDate).getTime())) {
+          throw new Error(`Date de retour invalide: ${returnDueDate}`);
+        }
+
+        const result = await this.reviewRequest(librarianUser, requestId, action, returnDueDate);
+        results.push({ requestId, action, success: true, message: result.message, data: result });
+      } catch (error) {
+        const failure = { requestId, action, success: false, error: error.message };
+        if (error.reasons) {
+          failure.reasons = error.reasons;
+        }
+        results.push(failure);
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    console.log(`  ✓ Examen groupé terminé: ${succeeded} réussi(s), ${results.length - succeeded} échec(s)`);
+
+    return {
+      processed: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
+
   /**
    * @description Récupère toutes les demandes en attente (utilitaire)
    * @returns {Promise<Array>} Liste des demandes en attente avec les détails
@@ -304,10 +608,12 @@ class LibraryFacade {
             id: borrowing.id,
             requestDate: new Date(borrowing.requestDate).toLocaleDateString(),
             approvalDate: borrowing.approvalDate ? new Date(borrowing.approvalDate).toLocaleDateString() : 'N/A',
-            dueDate: borrowing.dueDate ? new Date(borrowing.dueDate).toLocaleDateString() : 'N/A',
-            dueDateTimestamp: borrowing.dueDate || null,
-            isLate: borrowing.dueDate && Date.now() > borrowing.dueDate,
+            dueDate: borrowing.dueDate ? new Date(calendarService.effectiveDueDate(borrowing.dueDate)).toLocaleDateString() : 'N/A',
+            dueDateTimestamp: borrowing.dueDate ? calendarService.effectiveDueDate(borrowing.dueDate) : null,
+            isLate: calendarService.isOverdue(borrowing.dueDate),
             status: borrowing.status,
+            itemBarcode: borrowing.itemBarcode,
+            recall: borrowing.recall,
             book: book ? {
               id: book.id,
               title: book.title,
@@ -331,13 +637,514 @@ class LibraryFacade {
     }
   }
 
+  /**
+   * @description Orchestre le renouvellement d'un emprunt
+   * Cette méthode coordonne plusieurs étapes:
+   * 1. Récupérer l'emprunt et vérifier qu'il est en cours
+   * 2. Vérifier qu'aucun autre membre n'attend ce livre (demandes ou réservations en attente)
+   * 3. Appliquer la politique de prêt applicable (rôle de l'emprunteur, genre du livre, type de
+   *    l'exemplaire prêté): durée et nombre de renouvellements
+   * 4. Repousser la date de retour et historiser le renouvellement (transaction)
+   *
+   * @param {Object} user - L'utilisateur qui renouvelle (l'emprunteur ou un gestionnaire des emprunts)
+   * @param {string} requestId - ID de l'emprunt
+   * @returns {Promise<Object>} Résultat du renouvellement avec la nouvelle date de retour
+   * @throws {Error} Si l'emprunt n'est pas en cours, si le livre est attendu ou si la limite est atteinte
+   */
+  async renewLoan(user, requestId) {
+    try {
+      console.log(`📚 Facade: Renouvellement de l'emprunt ${requestId}`);
+
+      // ÉTAPE 1: Récupérer l'emprunt
+      const request = await borrowingService.findRequestById(requestId);
+      if (!request) {
+        throw new Error(`Demande ${requestId} non trouvée`);
+      }
+
+      if (request.status !== 'approved') {
+        throw new Error(`Renouvellement impossible: l'emprunt n'est pas en cours (statut: ${request.status})`);
+      }
+
+      const book = await bookServiceProxy.findBookById(request.bookId);
+      if (!book) {
+        throw new Error(`Livre ${request.bookId} non trouvé`);
+      }
+      console.log(`  ✓ Emprunt de "${book.title}" trouvé (${request.renewalCount} renouvellement(s))`);
+
+      // ÉTAPE 2: Refuser si d'autres membres attendent ce livre
+      const waiting = await this._countWaitingMembers(request.bookId, request.userId);
+
+      if (waiting > 0) {
+        throw new Error(`Renouvellement impossible: ${waiting} membre(s) attendent "${book.title}"`);
+      }
+      console.log('  ✓ Aucun autre membre n\'attend ce livre');
+
+      // ÉTAPE 3: Politique de prêt applicable à l'emprunteur, au livre et à l'exemplaire prêté
+      const borrower = await userService.findUserById(request.userId);
+      const item = request.itemId ? await itemService.findItemById(request.itemId) : null;
+      const loanPolicy = this._resolveLoanPolicy(borrower, book, item);
+
+      // ÉTAPE 4: Repousser la date de retour sur un jour d'ouverture (limite revérifiée dans la transaction)
+      const { before, after } = await borrowingService.renewLoan(requestId, {
+        extensionMs: loanPolicy.loanDays * 24 * 60 * 60 * 1000,
+        adjustDueDate: dueDate => calendarService.adjustDueDate(dueDate),
+        maxRenewals: loanPolicy.maxRenewals,
+        renewedBy: user.id
+      });
+      const newDueDate = new Date(after.dueDate).toLocaleDateString();
+      console.log(`  ✓ Emprunt renouvelé jusqu'au ${newDueDate} (${after.renewalCount}/${loanPolicy.maxRenewals})`);
+
+      await auditService.record({
+        actor: user,
+        action: auditService.ACTIONS.LOAN_RENEW,
+        entity: 'borrowing',
+        entityId: requestId,
+        before: { dueDate: before.dueDate, renewalCount: before.renewalCount || 0 },
+        after: { dueDate: after.dueDate, renewalCount: after.renewalCount },
+        metadata: {
+          bookId: request.bookId,
+          loanDays: loanPolicy.loanDays,
+          maxRenewals: loanPolicy.maxRenewals,
+          loanPolicies: loanPolicy.appliedPolicies
+        }
+      });
+
+      return {
+        success: true,
+        requestId,
+        bookTitle: book.title,
+        dueDate: newDueDate,
+        dueDateTimestamp: after.dueDate,
+        renewalCount: after.renewalCount,
+        renewalsLeft: loanPolicy.maxRenewals - after.renewalCount,
+        message: `Emprunt de "${book.title}" renouvelé. Nouveau retour prévu le ${newDueDate} (renouvellements restants: ${loanPolicy.maxRenewals - after.renewalCount})`
+      };
+    } catch (error) {
+      console.error('✗ Erreur lors du renouvellement:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Orchestre le rappel d'un exemplaire prêté (forte demande sur le titre)
+   * Cette méthode coordonne plusieurs étapes:
+   * 1. Vérifier les permissions, récupérer l'emprunt en cours et vérifier que d'autres membres attendent le livre
+   * 2. Raccourcir la date de retour selon la politique de prêt applicable: au plus tôt la fin de la durée
+   *    garantie (recallMinLoanDays depuis l'approbation) et du préavis (recallNoticeDays depuis le rappel),
+   *    placée sur un jour d'ouverture (transaction)
+   * 3. Notifier l'emprunteur (Observer Pattern); un retard sur un exemplaire rappelé est facturé
+   *    au tarif de rappel (recallFineDailyRate, recallFineCap)
+   *
+   * @param {Object} librarianUser - Bibliothécaire qui rappelle l'exemplaire
+   * @param {string} requestId - ID de l'emprunt
+   * @param {string} reason - Motif du rappel (optionnel, transmis à l'emprunteur)
+   * @returns {Promise<Object>} Résultat du rappel (nouvelle date de retour, membres en attente)
+   * @throws {Error} Si l'emprunt n'est pas en cours, si personne n'attend le livre, s'il a déjà été rappelé
+   *   ou ne serait pas raccourci
+   */
+  async recallLoan(librarianUser, requestId, reason = '') {
+    try {
+      console.log(`📚 Facade: Rappel de l'emprunt ${requestId}`);
+
+      // ÉTAPE 1: Vérifier les permissions et récupérer l'emprunt
+      if (!permissionService.hasPermission(librarianUser, permissionService.PERMISSIONS.LOANS_MANAGE)) {
+        throw new Error(`Accès refusé: la permission ${permissionService.PERMISSIONS.LOANS_MANAGE} est requise pour rappeler un exemplaire`);
+      }
+
+      const request = await borrowingService.findRequestById(requestId);
+      if (!request) {
+        throw new Error(`Demande ${requestId} non trouvée`);
+      }
+
+      if (request.status !== 'approved') {
+        throw new Error(`Rappel impossible: l'emprunt n'est pas en cours (statut: ${request.status})`);
+      }
+
+      const book = await bookServiceProxy.findBookById(request.bookId);
+      if (!book) {
+        throw new Error(`Livre ${request.bookId} non trouvé`);
+      }
+
+      // Un rappel n'est justifié que si d'autres membres attendent ce livre
+      const waiting = await this._countWaitingMembers(request.bookId, request.userId);
+
+      if (waiting === 0) {
+        throw new Error(`Rappel impossible: aucun autre membre n'attend "${book.title}"`);
+      }
+      console.log(`  ✓ Emprunt de "${book.title}" trouvé (${waiting} membre(s) en attente)`);
+
+      // ÉTAPE 2: Raccourcir la date de retour (politique de l'emprunteur, du livre et de l'exemplaire prêté)
+      const borrower = await userService.findUserById(request.userId);
+      const item = request.itemId ? await itemService.findItemById(request.itemId) : null;
+      const loanPolicy = this._resolveLoanPolicy(borrower, book, item);
+
+      const { before, after } = await borrowingService.recallLoan(requestId, {
+        minLoanMs: loanPolicy.recallMinLoanDays * 24 * 60 * 60 * 1000,
+        noticeMs: loanPolicy.recallNoticeDays * 24 * 60 * 60 * 1000,
+        adjustDueDate: dueDate => calendarService.adjustDueDate(dueDate),
+        recalledBy: librarianUser.id,
+        reason
+      });
+      const newDueDate = new Date(after.dueDate).toLocaleDateString();
+      console.log(`  ✓ Exemplaire rappelé: retour avancé du ${new Date(before.dueDate).toLocaleDateString()} au ${newDueDate}`);
+
+      await auditService.record({
+        actor: librarianUser,
+        action: auditService.ACTIONS.LOAN_RECALL,
+        entity: 'borrowing',
+        entityId: requestId,
+        before: { dueDate: before.dueDate },
+        after: { dueDate: after.dueDate, recall: after.recall },
+        metadata: {
+          bookId: request.bookId,
+          waiting,
+          recallMinLoanDays: loanPolicy.recallMinLoanDays,
+          recallNoticeDays: loanPolicy.recallNoticeDays,
+          loanPolicies: loanPolicy.appliedPolicies
+        }
+      });
+
+      // ÉTAPE 3: Notifier l'emprunteur (Observer Pattern)
+      try {
+        await notificationSubject.notify(Notification.Types.LOAN_RECALLED, {
+          requestId,
+          userId: request.userId,
+          bookId: book.id,
+          bookTitle: book.title,
+          dueDate: after.dueDate,
+          reason
+        });
+      } catch (notifError) {
+        console.error('⚠️ Erreur notification rappel:', notifError.message);
+        // Le rappel est enregistré même si la notification échoue
+      }
+
+      return {
+        success: true,
+        requestId,
+        bookTitle: book.title,
+        previousDueDate: new Date(before.dueDate).toLocaleDateString(),
+        dueDate: newDueDate,
+        dueDateTimestamp: after.dueDate,
+        waiting,
+        message: `Exemplaire de "${book.title}" rappelé. Retour exigé le ${newDueDate}`
+      };
+    } catch (error) {
+      console.error('✗ Erreur lors du rappel:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Rappelle plusieurs emprunts avec la même logique que recallLoan
+   * L'échec d'un rappel n'interrompt pas le traitement des suivants.
+   *
+   * @param {Object} librarianUser - Bibliothécaire qui rappelle les exemplaires
+   * @param {Array<string>} requestIds - IDs des emprunts sélectionnés
+   * @param {string} reason - Motif du rappel (optionnel)
+   * @returns {Promise<Object>} { processed, succeeded, failed, results: [{ requestId, success, message | error }] }
+   */
+  async recallLoans(librarianUser, requestIds, reason = '') {
+    console.log(`📚 Facade: Rappel de ${requestIds.length} emprunt(s) par ${librarianUser.name}`);
+
+    const results = [];
+    for (const requestId of requestIds) {
+      try {
+        const result = await this.recallLoan(librarianUser, requestId, reason);
+        results.push({ requestId, success: true, message: result.message, data: result });
+      } catch (error) {
+        results.push({ requestId, success: false, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    console.log(`  ✓ Rappel terminé: ${succeeded} réussi(s), ${results.length - succeeded} échec(s)`);
+
+    return {
+      processed: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
+
+  /**
+   * @description Date de retour fournie par le bibliothécaire, placée sur un jour d'ouverture
+   * Une date déjà passée est refusée: l'emprunt serait en retard dès sa création.
+   * @param {string} returnDueDate - Date de retour saisie
+   * @returns {number} Timestamp de la date de retour ajustée
+   * @throws {Error} Si la date est invalide ou déjà passée
+   * @private
+   */
+  _customDueDate(returnDueDate) {
+    const requested = new Date(returnDueDate).getTime();
+    if (Number.isNaN(requested)) {
+      throw new Error(`Date de retour invalide: ${returnDueDate}`);
+    }
+
+    const dueDate = calendarService.adjustDueDate(requested);
+    if (dueDate <= Date.now()) {
+      throw new Error(`Date de retour déjà passée: ${returnDueDate}`);
+    }
+    return dueDate;
+  }
+
+  /**
+   * @description Compte les membres qui attendent un livre (demande en attente ou réservation)
+   * Un membre qui a à la fois une demande et une réservation n'est compté qu'une fois.
+   * @param {string} bookId - ID du livre
+   * @param {string} excludeUserId - ID du membre à ignorer (l'emprunteur actuel)
+   * @returns {Promise<number>} Nombre de membres distincts en attente
+   * @private
+   */
+  async _countWaitingMembers(bookId, excludeUserId) {
+    const requestUserIds = await borrowingService.findWaitingRequestUserIds(bookId, excludeUserId);
+    const holdUserIds = await holdService.findWaitingUserIds(bookId, excludeUserId);
+    return new Set([...requestUserIds, ...holdUserIds]).size;
+  }
+
+  /**
+   * @description Notifie les membres dont la réservation est prête ou a expiré (Observer Pattern)
+   * Une erreur de notification ne bloque pas l'opération en cours.
+   * @param {Object} book - Livre concerné
+   * @param {Array<Hold>} promoted - Réservations devenues prêtes
+   * @param {Array<Hold>} expired - Réservations expirées
+   * @private
+   */
+  async _notifyHolds(book, promoted, expired) {
+    try {
+      if (expired.length > 0) {
+        await notificationSubject.notify(Notification.Types.HOLD_EXPIRED, {
+          bookId: book.id,
+          bookTitle: book.title,
+          holds: expired
+        });
+      }
+      if (promoted.length > 0) {
+        await notificationSubject.notify(Notification.Types.BOOK_AVAILABLE, {
+          bookId: book.id,
+          bookTitle: book.title,
+          holds: promoted
+        });
+      }
+    } catch (notifError) {
+      console.error('⚠️ Erreur notification réservations:', notifError.message);
+    }
+  }
+
+  /**
+   * @description Orchestre la réservation d'un livre indisponible
+   * Cette méthode coordonne plusieurs étapes:
+   * 1. Vérifier que le livre existe et qu'aucun exemplaire n'est en rayon
+   * 2. Vérifier la limite de réservations actives de la politique de prêt applicable
+   * 3. Ajouter le membre en fin de file d'attente
+   *
+   * @param {Object} user - Le membre qui réserve
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Object>} La réservation et la position dans la file
+   * @throws {Error} Si le livre est disponible, si la limite de réservations est atteinte
+   * ou si le membre a déjà une réservation active
+   */
+  async placeHold(user, bookId) {
+    try {
+      console.log(`📚 Facade: Réservation du livre ${bookId} par ${user.email}`);
+
+      const book = await bookServiceProxy.findBookById(bookId);
+      if (!book) {
+        throw new Error(`Livre ${bookId} non trouvé`);
+      }
+
+      if (book.availableQuantity > 0) {
+        throw new Error(`Le livre "${book.title}" est disponible (${book.availableQuantity}/${book.totalQuantity}): faites directement une demande d'emprunt`);
+      }
+
+      const loanPolicy = this._resolveLoanPolicy(user, book);
+      const activeHolds = await holdService.countActiveHolds(user.id);
+      if (activeHolds >= loanPolicy.maxHolds) {
+        throw new Error(`Limite de réservations atteinte: ${activeHolds} réservation(s) active(s) (maximum ${loanPolicy.maxHolds})`);
+      }
+
+      const hold = await holdService.placeHold(user.id, bookId);
+      const queue = await holdService.getQueue(bookId);
+      const position = queue.find(entry => entry.id === hold.id).position;
+      console.log(`  ✓ Réservation créée (position ${position})`);
+
+      await auditService.record({
+        actor: user,
+        action: auditService.ACTIONS.HOLD_PLACE,
+        entity: 'hold',
+        entityId: hold.id,
+        after: hold,
+        metadata: { bookId, position }
+      });
+
+      return {
+        hold: { ...hold, position },
+        message: `Réservation de "${book.title}" enregistrée: vous êtes en position ${position} dans la file d'attente`
+      };
+    } catch (error) {
+      console.error('✗ Erreur lors de la réservation:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Annule une réservation; l'exemplaire éventuellement mis de côté passe au suivant
+   * @param {Object} user - L'utilisateur qui annule
+   * @param {string} holdId - ID de la réservation
+   * @returns {Promise<Object>} Résultat de l'annulation
+   * @throws {Error} Si la réservation n'existe pas ou n'est plus active
+   */
+  async cancelHold(user, holdId) {
+    try {
+      console.log(`📚 Facade: Annulation de la réservation ${holdId}`);
+
+      const { hold, promoted } = await holdService.cancelHold(holdId);
+      const book = await bookServiceProxy.findBookById(hold.bookId);
+      console.log(`  ✓ Réservation annulée${promoted.length > 0 ? ', exemplaire passé au suivant' : ''}`);
+
+      await auditService.record({
+        actor: user,
+        action: auditService.ACTIONS.HOLD_CANCEL,
+        entity: 'hold',
+        entityId: holdId,
+        before: hold,
+        after: { ...hold, status: Hold.Statuses.CANCELLED },
+        metadata: { bookId: hold.bookId }
+      });
+
+      if (book) {
+        await this._notifyHolds(book, promoted, []);
+      }
+
+      return {
+        success: true,
+        holdId,
+        message: `Réservation${book ? ` de "${book.title}"` : ''} annulée`
+      };
+    } catch (error) {
+      console.error('✗ Erreur lors de l\'annulation de la réservation:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Journalise les réservations expirées et notifie les membres concernés
+   * @param {string} bookId - ID du livre
+   * @param {Object} result - Résultat du traitement de la file { expired, promoted }
+   * @private
+   */
+  async _handleQueueResult(bookId, { expired, promoted }) {
+    for (const hold of expired) {
+      await auditService.record({
+        actor: null,
+        action: auditService.ACTIONS.HOLD_EXPIRE,
+        entity: 'hold',
+        entityId: hold.id,
+        before: { ...hold, status: Hold.Statuses.READY },
+        after: hold,
+        metadata: { bookId }
+      });
+    }
+
+    if (expired.length > 0 || promoted.length > 0) {
+      const book = await bookServiceProxy.findBookById(bookId);
+      if (book) {
+        await this._notifyHolds(book, promoted, expired);
+      }
+    }
+  }
+
+  /**
+   * @description Traite la file d'attente d'un livre (exemplaires ajoutés ou remis en rayon)
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Object>} { expired, promoted }
+   */
+  async processHoldQueue(bookId) {
+    const result = await holdService.processQueue(bookId);
+    await this._handleQueueResult(bookId, result);
+    return result;
+  }
+
+  /**
+   * @description Expire les réservations dont le délai de retrait est dépassé et
+   * met les exemplaires libérés de côté pour les réservations suivantes
+   * @returns {Promise<Object>} { expired, promoted } nombre de réservations traitées
+   */
+  async processExpiredHolds() {
+    const results = await holdService.processExpiredHolds();
+    let expired = 0;
+    let promoted = 0;
+
+    for (const result of results) {
+      expired += result.expired.length;
+      promoted += result.promoted.length;
+      await this._handleQueueResult(result.bookId, result);
+    }
+
+    return { expired, promoted };
+  }
+
+  /**
+   * @description Inscrit les frais de retard d'un emprunt au compte de l'emprunteur
+   * Le retour est déjà enregistré: une erreur ici est journalisée sans bloquer le retour.
+   * @param {Borrowing} request - Emprunt retourné
+   * @param {Object} book - Livre emprunté
+   * @param {Item|null} item - Exemplaire retourné
+   * @param {number} returnDate - Timestamp du retour
+   * @returns {Promise<LedgerEntry|null>} Frais inscrits, ou null si rien n'est dû
+   * @private
+   */
+  async _chargeLateFee(request, book, item, returnDate) {
+    try {
+      const borrower = await userService.findUserById(request.userId);
+      const loanPolicy = this._resolveLoanPolicy(borrower, book, item);
+      const recalled = Boolean(request.recall);
+      const { daysLate, chargedDays, amount, dailyRate, cap } = fineService.computeLateFee(request.dueDate, returnDate, loanPolicy, { recalled });
+
+      if (amount <= 0) {
+        console.log(`  ✓ Retard de ${daysLate} jour(s) non facturé (délai de grâce)`);
+        return null;
+      }
+
+      const fine = await fineService.recordCharge(request.userId, amount, {
+        note: `Retard de ${daysLate} jour(s)${recalled ? ' sur un exemplaire rappelé' : ''} - "${book.title}"`,
+        borrowingId: request.id,
+        bookId: book.id,
+        metadata: {
+          daysLate,
+          chargedDays,
+          dailyRate,
+          cap,
+          recalled,
+          loanPolicies: loanPolicy.appliedPolicies
+        }
+      });
+
+      await auditService.record({
+        actor: null,
+        action: auditService.ACTIONS.FINE_CHARGE,
+        entity: 'fine',
+        entityId: fine.id,
+        after: fine,
+        metadata: { userId: request.userId, borrowingId: request.id }
+      });
+
+      return fine;
+    } catch (error) {
+      console.error('⚠️ Erreur lors de l\'inscription des frais de retard:', error.message);
+      return null;
+    }
+  }
+
   /**
    * @description Orchestre le retour d'un livre emprunté
    * Cette méthode coordonne plusieurs étapes:
    * 1. Récupérer la demande d'emprunt
    * 2. Vérifier que le livre est bien en status 'approved'
-   * 3. Mettre à jour le statut à 'returned' avec la date de retour
-   * 4. Remettre le livre comme disponible
+   * 3. Mettre à jour le statut à 'returned' et remettre l'exemplaire en stock (transaction),
+   *    ou le mettre de côté pour la première réservation en attente
+   * 4. En cas de retard, inscrire les frais de retard au compte de l'emprunteur
    * 
    * @param {Object} user - L'utilisateur qui retourne le livre
    * @param {string} requestId - ID de la demande d'emprunt
@@ -367,55 +1174,49 @@ class LibraryFacade {
       }
       console.log(`  ✓ Livre "${book.title}" trouvé`);
 
-      // ÉTAPE 4: Mettre à jour le statut de la demande
+      // ÉTAPE 4: Marquer l'emprunt comme retourné et incrémenter la quantité disponible
+      // dans une même transaction (la quantité ne dépasse jamais totalQuantity)
       const returnDate = Date.now();
-      const isLate = request.dueDate && returnDate > request.dueDate;
-      
-      await borrowingService.updateRequest(requestId, {
-        status: 'returned',
-        returnDate: returnDate
-      });
+      const isLate = calendarService.isOverdue(request.dueDate, returnDate);
+
+      const { book: updatedBook, item, promoted } = await inventoryService.checkin(requestId, returnDate);
+      const newAvailableQuantity = updatedBook.availableQuantity;
       console.log(`  ✓ Demande marquée comme retournée${isLate ? ' (EN RETARD)' : ''}`);
+      console.log(`  ✓ Livre "${book.title}" disponible (${newAvailableQuantity}/${updatedBook.totalQuantity})`);
 
-      // ÉTAPE 5: Incrémenter la quantité disponible
-      // Utilisation du proxy avec un utilisateur système (opération automatique de retour)
-      const systemUser = { role: 'Admin', email: 'system@library.com', name: 'System' };
-      const newAvailableQuantity = book.availableQuantity + 1;
-      console.log(`  → Mise à jour du livre ${request.bookId} - availableQuantity: ${newAvailableQuantity}`);
-      const updatedBook = await bookServiceProxy.updateBook(request.bookId, { 
-        availableQuantity: newAvailableQuantity,
-        isAvailable: true // Toujours true après un retour
-      }, systemUser);
-      console.log(`  ✓ Livre "${book.title}" disponible (${newAvailableQuantity}/${book.totalQuantity})`);
+      await auditService.record({
+        actor: user,
+        action: auditService.ACTIONS.LOAN_RETURN,
+        entity: 'borrowing',
+        entityId: requestId,
+        before: request,
+        after: { ...request, status: 'returned', returnDate },
+        metadata: { bookId: request.bookId, itemBarcode: item ? item.barcode : null, availableQuantity: newAvailableQuantity }
+      });
 
-      // ÉTAPE 6: Notifier les utilisateurs de la watchlist (Observer Pattern)
-      try {
-        const watchers = await watchlistService.getBookWatchers(request.bookId);
-        if (watchers.length > 0) {
-          await notificationSubject.notify(Notification.Types.BOOK_AVAILABLE, {
-            bookId: book.id,
-            bookTitle: book.title,
-            watchers: watchers
-          });
-          
-          // Nettoyer la watchlist après notification
-          await watchlistService.clearBookWatchers(request.bookId);
-        }
-      } catch (notifError) {
-        console.error('⚠️ Erreur notification watchlist:', notifError.message);
-        // Ne pas bloquer le retour si la notification échoue
+      // ÉTAPE 5: Frais de retard selon la politique de prêt applicable
+      const fine = isLate ? await this._chargeLateFee(request, book, item, returnDate) : null;
+
+      // ÉTAPE 6: Notifier le membre pour qui l'exemplaire a été mis de côté (Observer Pattern)
+      if (promoted.length > 0) {
+        console.log(`  ✓ Exemplaire mis de côté pour la réservation ${promoted[0].id}`);
+        await this._notifyHolds(book, promoted, []);
       }
+      const heldFor = promoted.find(hold => item && hold.itemId === item.id) || null;
 
       return {
         success: true,
         requestId: requestId,
         bookTitle: book.title,
+        itemBarcode: item ? item.barcode : null,
         returnDate: new Date(returnDate).toLocaleDateString(),
         wasLate: isLate,
+        fine: fine ? { id: fine.id, amount: fine.amount, daysLate: fine.metadata.daysLate } : null,
+        heldFor: heldFor ? { holdId: heldFor.id, userId: heldFor.userId, expiresAt: heldFor.expiresAt } : null,
         availableQuantity: newAvailableQuantity,
         totalQuantity: book.totalQuantity,
         message: isLate ? 
-          `Livre "${book.title}" retourné (en retard). Disponible: ${newAvailableQuantity}/${book.totalQuantity}` : 
+          `Livre "${book.title}" retourné (en retard${fine ? `, frais: ${fineService.formatAmount(fine.amount)}` : ''}). Disponible: ${newAvailableQuantity}/${book.totalQuantity}` : 
           `Livre "${book.title}" retourné avec succès. Disponible: ${newAvailableQuantity}/${book.totalQuantity}`
       };
     } catch (error) {
@@ -423,6 +1224,466 @@ class LibraryFacade {
       throw error;
     }
   }
+
+  /**
+   * @description Retrouve un membre à partir de l'identifiant saisi au comptoir
+   * @param {string} identifier - Numéro de carte, ID du membre ou adresse email
+   * @returns {Promise<Object|null>} Le membre ou null
+   * @private
+   */
+  async _findMember(identifier) {
+    const value = String(identifier).trim();
+
+    if (value.includes('@')) {
+      return await userService.findUserByEmail(value);
+    }
+    if (LibraryCard.isValidNumber(value)) {
+      const cardHolder = await userService.findUserByCardNumber(value);
+      if (cardHolder) {
+        return cardHolder;
+      }
+      if (await userService.findUserByReplacedCardNumber(value)) {
+        throw new Error(`La carte ${LibraryCard.format(LibraryCard.normalize(value))} a été remplacée et n'est plus valide`);
+      }
+    }
+    return await userService.findUserById(value);
+  }
+
+  /**
+   * @description Orchestre le prêt au comptoir d'un exemplaire scanné
+   * Cette méthode coordonne plusieurs étapes:
+   * 1. Vérifier les permissions, retrouver le membre et l'exemplaire scanné
+   * 2. Vérifier l'éligibilité du membre (emprunts en cours, retards, amendes, adhésion)
+   * 3. Créer l'emprunt approuvé et prêter l'exemplaire dans une même transaction (une demande en attente
+   *    du membre pour ce livre est approuvée, sa réservation prête est honorée)
+   * 4. Notifier les membres dont la réservation devient prête (Observer Pattern)
+   *
+   * @param {Object} librarianUser - Bibliothécaire au comptoir
+   * @param {string} memberIdentifier - Numéro de carte, ID ou email du membre
+   * @param {string} barcode - Code-barres de l'exemplaire scanné
+   * @param {string|null} returnDueDate - Date de retour prévue (optionnel, sinon politique de prêt)
+   * @returns {Promise<Object>} L'emprunt créé
+   * @throws {Error} Si le membre ou l'exemplaire n'existe pas, si l'exemplaire n'est pas prêtable
+   * ou si le membre n'est pas éligible (error.reasons contient les motifs du refus)
+   */
+  async deskCheckout(librarianUser, memberIdentifier, barcode, returnDueDate = null) {
+    try {
+      console.log(`📚 Facade: Prêt au comptoir - Membre: ${memberIdentifier}, Exemplaire: ${barcode}`);
+
+      // ÉTAPE 1: Vérifier les permissions, retrouver le membre et l'exemplaire
+      if (!permissionService.hasPermission(librarianUser, permissionService.PERMISSIONS.LOANS_MANAGE)) {
+        throw new Error(`Accès refusé: la permission ${permissionService.PERMISSIONS.LOANS_MANAGE} est requise pour prêter au comptoir`);
+      }
+
+      const member = await this._findMember(memberIdentifier);
+      if (!member) {
+        throw new Error(`Membre ${memberIdentifier} non trouvé`);
+      }
+
+      const item = await itemService.findItemByBarcode(barcode);
+      if (!item) {
+        throw new Error(`Exemplaire ${barcode} non trouvé`);
+      }
+
+      const book = await bookServiceProxy.findBookById(item.bookId);
+      if (!book) {
+        throw new Error(`Livre ${item.bookId} non trouvé`);
+      }
+      console.log(`  ✓ ${member.name} (${member.role}) - "${book.title}" (${item.barcode}, ${item.status})`);
+
+      // ÉTAPE 2: Vérifier l'éligibilité du membre (pas de limite de demandes: aucune demande n'est créée)
+      const loanPolicy = this._resolveLoanPolicy(member, book, item);
+      await eligibilityService.assertEligible(member.id, loanPolicy, {
+        checks: [
+          eligibilityService.REASONS.MAX_LOANS,
+          eligibilityService.REASONS.OVERDUE_LOANS,
+          eligibilityService.REASONS.UNPAID_FINES,
+          eligibilityService.REASONS.MEMBERSHIP_EXPIRED
+        ]
+      });
+      console.log('  ✓ Membre éligible');
+
+      // ÉTAPE 3: Créer l'emprunt et prêter l'exemplaire (transaction)
+      const approvalDate = Date.now();
+      const dueDate = returnDueDate
+        ? this._customDueDate(returnDueDate)
+        : calendarService.adjustDueDate(approvalDate + (loanPolicy.loanDays * 24 * 60 * 60 * 1000));
+      const pendingRequest = await borrowingService.findPendingRequestForBook(member.id, book.id);
+
+      const { borrowing, book: updatedBook, hold, promoted } = await inventoryService.deskCheckout(item, member.id, {
+        approvalDate,
+        dueDate,
+        requestId: pendingRequest ? pendingRequest.id : null
+      });
+      const formattedDueDate = new Date(borrowing.dueDate).toLocaleDateString();
+      console.log(`  ✓ Emprunt ${borrowing.id} créé (retour le ${formattedDueDate})${hold ? ' - réservation honorée' : ''}`);
+
+      await auditService.record({
+        actor: librarianUser,
+        action: auditService.ACTIONS.LOAN_CHECKOUT,
+        entity: 'borrowing',
+        entityId: borrowing.id,
+        before: pendingRequest,
+        after: borrowing,
+        metadata: {
+          bookId: book.id,
+          availableQuantity: updatedBook.availableQuantity,
+          holdId: hold ? hold.id : null,
+          loanDays: returnDueDate ? null : loanPolicy.loanDays,
+          loanPolicies: loanPolicy.appliedPolicies
+        }
+      });
+
+      // ÉTAPE 4: Notifier les membres dont la réservation devient prête (Observer Pattern)
+      if (promoted.length > 0) {
+        await this._notifyHolds(book, promoted, []);
+      }
+
+      return {
+        success: true,
+        requestId: borrowing.id,
+        member: {
+          id: member.id,
+          name: member.name,
+          email: member.email
+        },
+        bookTitle: book.title,
+        itemBarcode: item.barcode,
+        dueDate: formattedDueDate,
+        dueDateTimestamp: borrowing.dueDate,
+        holdFulfilled: hold !== null,
+        availableQuantity: updatedBook.availableQuantity,
+        message: `"${book.title}" (${item.barcode}) prêté à ${member.name}. Retour prévu le ${formattedDueDate}`
+      };
+    } catch (error) {
+      console.error('✗ Erreur lors du prêt au comptoir:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Orchestre le retour au comptoir d'un exemplaire scanné
+   * Retrouve l'emprunt en cours de l'exemplaire, enregistre le retour (même traitement que returnBook:
+   * frais de retard, réservations) et indique si l'exemplaire doit être mis de côté pour un autre membre.
+   *
+   * @param {Object} librarianUser - Bibliothécaire au comptoir
+   * @param {string} barcode - Code-barres de l'exemplaire scanné
+   * @returns {Promise<Object>} Résultat du retour, avec heldFor (membre à qui l'exemplaire est réservé, ou null)
+   * @throws {Error} Si l'exemplaire n'existe pas ou n'a pas d'emprunt en cours
+   */
+  async deskCheckin(librarianUser, barcode) {
+    try {
+      console.log(`📚 Facade: Retour au comptoir - Exemplaire: ${barcode}`);
+
+      if (!permissionService.hasPermission(librarianUser, permissionService.PERMISSIONS.LOANS_MANAGE)) {
+        throw new Error(`Accès refusé: la permission ${permissionService.PERMISSIONS.LOANS_MANAGE} est requise pour enregistrer un retour au comptoir`);
+      }
+
+      const item = await itemService.findItemByBarcode(barcode);
+      if (!item) {
+        throw new Error(`Exemplaire ${barcode} non trouvé`);
+      }
+
+      const borrowing = await borrowingService.findActiveBorrowingByItem(item.id);
+      if (!borrowing) {
+        throw new Error(`Aucun emprunt en cours pour l'exemplaire ${barcode} (statut: ${item.status})`);
+      }
+
+      const result = await this.returnBook(librarianUser, borrowing.id);
+      const borrower = await userService.findUserById(borrowing.userId);
+
+      let heldFor = null;
+      if (result.heldFor) {
+        const holder = await userService.findUserById(result.heldFor.userId);
+        heldFor = {
+          ...result.heldFor,
+          userName: holder ? holder.name : null,
+          userEmail: holder ? holder.email : null
+        };
+      }
+
+      return {
+        ...result,
+        borrower: borrower ? { id: borrower.id, name: borrower.name, email: borrower.email } : null,
+        heldFor,
+        message: heldFor
+          ? `${result.message}. ⚠️ Exemplaire ${barcode} mis de côté pour ${heldFor.userName || heldFor.userId}: à placer sur l'étagère des réservations`
+          : `${result.message}. Exemplaire ${barcode} à remettre en rayon`
+      };
+    } catch (error) {
+      console.error('✗ Erreur lors du retour au comptoir:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Orchestre le signalement d'un incident sur un emprunt en cours
+   * 1. Récupérer l'emprunt et le livre
+   * 2. Passer l'emprunt au statut d'incident (exemplaire mis en réparation s'il est rendu endommagé)
+   * 3. Journaliser le signalement: l'emprunt rejoint la file d'examen des bibliothécaires
+   *
+   * @param {Object} user - L'utilisateur qui signale (l'emprunteur ou un gestionnaire des emprunts)
+   * @param {string} requestId - ID de l'emprunt
+   * @param {string} status - Statut d'incident (declared-lost, claimed-returned, damaged-on-return)
+   * @param {string} note - Commentaire (circonstances, dégâts constatés...)
+   * @returns {Promise<Object>} Résultat du signalement
+   * @throws {Error} Si le statut est inconnu ou si l'emprunt n'est pas en cours
+   */
+  async reportIncident(user, requestId, status, note = '') {
+    try {
+      console.log(`📚 Facade: Signalement d'incident (${status}) - Emprunt ${requestId}`);
+
+      if (!Borrowing.INCIDENT_STATUSES.includes(status)) {
+        throw new Error(`Statut d'incident invalide: ${status} (valeurs acceptées: ${Borrowing.INCIDENT_STATUSES.join(', ')})`);
+      }
+
+      // ÉTAPE 1: Récupérer l'emprunt et le livre
+      const request = await borrowingService.findRequestById(requestId);
+      if (!request) {
+        throw new Error(`Demande ${requestId} non trouvée`);
+      }
+
+      const book = await bookServiceProxy.findBookById(request.bookId);
+      if (!book) {
+        throw new Error(`Livre ${request.bookId} non trouvé`);
+      }
+
+      // ÉTAPE 2: Changer le statut de l'emprunt et de l'exemplaire (statut revérifié dans la transaction)
+      const reportedAt = Date.now();
+      const { item, incident } = await inventoryService.reportIncident(requestId, status, {
+        reportedAt,
+        reportedBy: user.id,
+        note
+      });
+      console.log(`  ✓ Emprunt passé au statut ${status} (en attente d'examen)`);
+
+      // ÉTAPE 3: Journaliser
+      await auditService.record({
+        actor: user,
+        action: auditService.ACTIONS.LOAN_INCIDENT_REPORT,
+        entity: 'borrowing',
+        entityId: requestId,
+        before: request,
+        after: { ...request, status, incident },
+        metadata: { bookId: request.bookId, itemBarcode: item ? item.barcode : null }
+      });
+
+      return {
+        success: true,
+        requestId,
+        bookTitle: book.title,
+        itemBarcode: item ? item.barcode : null,
+        status,
+        incident,
+        message: `Incident enregistré pour "${book.title}": un bibliothécaire va l'examiner`
+      };
+    } catch (error) {
+      console.error('✗ Erreur lors du signalement d\'incident:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Récupère la file d'examen des incidents (emprunts perdus, contestés ou endommagés),
+   * des plus anciens signalements aux plus récents, avec le livre et l'emprunteur
+   * @returns {Promise<Array>} Incidents en attente avec détails
+   */
+  async getIncidentQueue() {
+    try {
+      console.log('📚 Facade: Récupération de la file des incidents');
+
+      const borrowings = (await Promise.all(
+        Borrowing.INCIDENT_STATUSES.map(status => borrowingService.findBorrowingsByStatus(status))
+      )).flat();
+      borrowings.sort((a, b) => (a.incident ? a.incident.reportedAt : 0) - (b.incident ? b.incident.reportedAt : 0));
+      console.log(`  ✓ ${borrowings.length} incident(s) en attente`);
+
+      return await Promise.all(
+        borrowings.map(async (borrowing) => {
+          const book = await bookServiceProxy.findBookById(borrowing.bookId);
+          const user = await userService.findUserById(borrowing.userId);
+
+          return {
+            id: borrowing.id,
+            status: borrowing.status,
+            incident: borrowing.incident,
+            reportedAt: borrowing.incident ? new Date(borrowing.incident.reportedAt).toLocaleDateString() : 'N/A',
+            dueDate: borrowing.dueDate ? new Date(borrowing.dueDate).toLocaleDateString() : 'N/A',
+            dueDateTimestamp: borrowing.dueDate || null,
+            itemId: borrowing.itemId,
+            itemBarcode: borrowing.itemBarcode,
+            book: book ? {
+              id: book.id,
+              title: book.title,
+              author: book.author,
+              coverImageUrl: book.coverImageUrl
+            } : null,
+            user: user ? {
+              id: user.id,
+              name: user.name,
+              email: user.email,
+              role: user.role
+            } : null
+          };
+        })
+      );
+    } catch (error) {
+      console.error('✗ Erreur lors de la récupération des incidents:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Orchestre l'examen d'un incident par un bibliothécaire
+   * 1. Récupérer l'emprunt et le livre
+   * 2. Clore l'incident (transaction):
+   *    - returned: l'exemplaire est retrouvé, remis en rayon (ou en réparation avec repair)
+   *    - withdrawn: l'exemplaire est retiré du fonds (totalQuantity diminue)
+   * 3. Facturer le coût de remplacement (withdrawn) ou les frais de retard (returned)
+   * 4. Notifier le membre pour qui l'exemplaire retrouvé a été mis de côté
+   *
+   * @param {Object} librarianUser - Le bibliothécaire qui examine l'incident
+   * @param {string} requestId - ID de l'emprunt
+   * @param {string} outcome - 'returned' ou 'withdrawn'
+   * @param {Object} options - Options de l'examen
+   * @param {boolean} options.repair - Exemplaire retrouvé à mettre en réparation (returned)
+   * @param {number} options.replacementCost - Coût de remplacement en centimes (withdrawn; par défaut
+   * celui de la politique de prêt applicable)
+   * @param {string} options.note - Commentaire de l'examen
+   * @returns {Promise<Object>} Résultat de l'examen
+   * @throws {Error} Si l'issue ou le montant sont invalides, ou si aucun incident n'est en attente
+   */
+  async resolveIncident(librarianUser, requestId, outcome, { repair = false, replacementCost = null, note = '' } = {}) {
+    try {
+      console.log(`📚 Facade: Examen de l'incident - Emprunt ${requestId} (${outcome})`);
+
+      const { RETURNED, WITHDRAWN } = Borrowing.Statuses;
+      if (outcome !== RETURNED && outcome !== WITHDRAWN) {
+        throw new Error(`Issue invalide: ${outcome} (valeurs acceptées: ${RETURNED}, ${WITHDRAWN})`);
+      }
+      if (replacementCost !== null && (!Number.isInteger(replacementCost) || replacementCost < 0)) {
+        throw new Error('Montant invalide: le coût de remplacement doit être un nombre entier de centimes positif ou nul');
+      }
+
+      // ÉTAPE 1: Récupérer l'emprunt et le livre
+      const request = await borrowingService.findRequestById(requestId);
+      if (!request) {
+        throw new Error(`Demande ${requestId} non trouvée`);
+      }
+
+      const book = await bookServiceProxy.findBookById(request.bookId);
+      if (!book) {
+        throw new Error(`Livre ${request.bookId} non trouvé`);
+      }
+
+      // ÉTAPE 2: Clore l'incident (statut revérifié dans la transaction)
+      const { book: updatedBook, item, promoted, returnDate } = await inventoryService.resolveIncident(requestId, outcome, {
+        resolvedAt: Date.now(),
+        resolvedBy: librarianUser.id,
+        note,
+        repair
+      });
+      console.log(`  ✓ Incident clos: ${outcome}${item ? ` (exemplaire ${item.barcode}: ${item.status})` : ''}`);
+      console.log(`  ✓ Stock de "${book.title}": ${updatedBook.availableQuantity}/${updatedBook.totalQuantity}`);
+
+      await auditService.record({
+        actor: librarianUser,
+        action: auditService.ACTIONS.LOAN_INCIDENT_RESOLVE,
+        entity: 'borrowing',
+        entityId: requestId,
+        before: request,
+        after: { ...request, status: outcome, returnDate },
+        metadata: {
+          bookId: request.bookId,
+          itemBarcode: item ? item.barcode : null,
+          itemStatus: item ? item.status : null,
+          totalQuantity: updatedBook.totalQuantity,
+          availableQuantity: updatedBook.availableQuantity
+        }
+      });
+
+      // ÉTAPE 3: Coût de remplacement ou frais de retard
+      let fine = null;
+      if (outcome === WITHDRAWN) {
+        fine = await this._chargeReplacementCost(request, book, item, replacementCost);
+      } else if (calendarService.isOverdue(request.dueDate, returnDate)) {
+        fine = await this._chargeLateFee(request, book, item, returnDate);
+      }
+
+      // ÉTAPE 4: Notifier le membre pour qui l'exemplaire retrouvé a été mis de côté (Observer Pattern)
+      if (promoted.length > 0) {
+        console.log(`  ✓ Exemplaire mis de côté pour la réservation ${promoted[0].id}`);
+        await this._notifyHolds(book, promoted, []);
+      }
+
+      const summary = outcome === WITHDRAWN
+        ? `Exemplaire de "${book.title}" retiré du fonds`
+        : `Retour de "${book.title}" enregistré${repair ? ' (exemplaire en réparation)' : ''}`;
+
+      return {
+        success: true,
+        requestId,
+        bookTitle: book.title,
+        itemBarcode: item ? item.barcode : null,
+        status: outcome,
+        fine: fine ? { id: fine.id, amount: fine.amount } : null,
+        availableQuantity: updatedBook.availableQuantity,
+        totalQuantity: updatedBook.totalQuantity,
+        message: `${summary}${fine ? `, frais: ${fineService.formatAmount(fine.amount)}` : ''}. Disponible: ${updatedBook.availableQuantity}/${updatedBook.totalQuantity}`
+      };
+    } catch (error) {
+      console.error('✗ Erreur lors de l\'examen de l\'incident:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @description Facture le coût de remplacement d'un exemplaire retiré du fonds
+   * Comme les frais de retard, une erreur est journalisée sans annuler le retrait déjà enregistré.
+   * @param {Borrowing} request - L'emprunt
+   * @param {Object} book - Le livre
+   * @param {Item|null} item - L'exemplaire retiré
+   * @param {number|null} replacementCost - Montant fixé par le bibliothécaire (null: politique de prêt)
+   * @returns {Promise<LedgerEntry|null>} Les frais inscrits, ou null
+   * @private
+   */
+  async _chargeReplacementCost(request, book, item, replacementCost) {
+    try {
+      const borrower = await userService.findUserById(request.userId);
+      const loanPolicy = this._resolveLoanPolicy(borrower, book, item);
+      const amount = replacementCost !== null ? replacementCost : loanPolicy.replacementCost;
+
+      if (amount <= 0) {
+        console.log('  ✓ Aucun coût de remplacement facturé');
+        return null;
+      }
+
+      const fine = await fineService.recordCharge(request.userId, amount, {
+        note: `Remplacement de l'exemplaire ${item ? item.barcode : ''} - "${book.title}"`,
+        borrowingId: request.id,
+        bookId: book.id,
+        metadata: {
+          replacementCost: amount,
+          incident: request.status,
+          loanPolicies: replacementCost !== null ? [] : loanPolicy.appliedPolicies
+        }
+      });
+
+      await auditService.record({
+        actor: null,
+        action: auditService.ACTIONS.FINE_CHARGE,
+        entity: 'fine',
+        entityId: fine.id,
+        after: fine,
+        metadata: { userId: request.userId, borrowingId: request.id }
+      });
+
+      return fine;
+    } catch (error) {
+      console.error('⚠️ Erreur lors de l\'inscription du coût de remplacement:', error.message);
+      return null;
+    }
+  }
 }
 
 module.exports = new LibraryFacade();
@@ -2,7 +2,8 @@
  * @file userFactory.js
  * @description Implémentation du pattern Factory Method.
  * Cette factory crée différents types d'objets utilisateur (Member, Librarian, Admin)
- * en fonction du rôle spécifié.
+ * en fonction du rôle spécifié. Elle consulte le registre des rôles (services/roleService.js):
+ * un rôle défini par un administrateur (ex: Student) est instancié avec sa classe de base.
  * 
  * PATTERN: Factory Method
  * OBJECTIF: Créer différents types d'objets utilisateur en fonction d'un rôle,
@@ -13,6 +14,16 @@ const User = require('../models/user');
 const Member = require('../models/member');
 const Librarian = require('../models/librarian');
 const Admin = require('../models/admin');
+const roleService = require('../services/roleService');
+
+/**
+ * @description Classe instanciée pour chaque classe de base du registre des rôles
+ */
+const BASE_CLASSES = {
+  Member,
+  Librarian,
+  Admin
+};
 
 class UserFactory {
   /**
@@ -22,8 +33,10 @@ class UserFactory {
    * @param {string} data.id - ID de l'utilisateur
    * @param {string} data.email - Email de l'utilisateur
    * @param {string} data.name - Nom de l'utilisateur
-   * @param {string} data.role - Rôle de l'utilisateur (Member, Librarian, Admin)
-   * @returns {User|Member|Librarian|Admin} Instance de l'utilisateur appropriée
+   * @param {string} data.role - Rôle de l'utilisateur (Member, Librarian, Admin ou rôle du registre)
+   * @param {string} data.cardNumber - Numéro de carte de bibliothèque (optionnel)
+   * @param {number} data.membershipExpiresAt - Date d'expiration de l'adhésion (optionnel)
+   * @returns {User|Member|Librarian|Admin} Instance de la classe de base du rôle
    * @throws {Error} Si le rôle est invalide
    */
   static createUser(data) {
@@ -32,24 +45,19 @@ class UserFactory {
       throw new Error('Données utilisateur incomplètes: id, email, name et role sont requis');
     }
 
-    // Utilisation d'un switch pour déterminer quel type d'utilisateur créer
-    switch (data.role) {
-      case 'Member':
-        console.log(`Factory: Création d'un Member - ${data.name}`);
-        return new Member(data.id, data.email, data.name);
-
-      case 'Librarian':
-        console.log(`Factory: Création d'un Librarian - ${data.name}`);
-        return new Librarian(data.id, data.email, data.name);
-
-      case 'Admin':
-        console.log(`Factory: Création d'un Admin - ${data.name}`);
-        return new Admin(data.id, data.email, data.name);
-
-      default:
-        // Si le rôle n'est pas reconnu, lever une erreur
-        throw new Error(`Rôle utilisateur invalide: ${data.role}. Rôles valides: Member, Librarian, Admin`);
+    // Le registre des rôles détermine quelle classe instancier
+    const roleDefinition = roleService.getRole(data.role);
+    if (!roleDefinition) {
+      // Si le rôle n'est pas reconnu, lever une erreur
+      throw new Error(`Rôle utilisateur invalide: ${data.role}. Rôles valides: ${this.getAvailableRoles().join(', ')}`);
     }
+
+    const UserClass = BASE_CLASSES[roleDefinition.baseClass];
+    console.log(`Factory: Création d'un ${data.role} (${roleDefinition.baseClass}) - ${data.name}`);
+    const user = new UserClass(data.id, data.email, data.name, data.role);
+    user.cardNumber = data.cardNumber || null;
+    user.membershipExpiresAt = data.membershipExpiresAt || null;
+    return user;
   }
 
   /**
@@ -92,11 +100,11 @@ class UserFactory {
   }
 
   /**
-   * @description Retourne la liste des rôles valides
+   * @description Retourne la liste des rôles valides (définis dans le registre des rôles)
    * @returns {Array<string>} Liste des rôles disponibles
    */
   static getAvailableRoles() {
-    return ['Member', 'Librarian', 'Admin'];
+    return roleService.getRoleNames();
   }
 
   /**
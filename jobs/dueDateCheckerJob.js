@@ -1,6 +1,7 @@
 const borrowingService = require('../services/borrowingService');
 const bookService = require('../services/bookService');
 const userService = require('../services/userService');
+const calendarService = require('../services/calendarService');
 const notificationSubject = require('../patterns/observer/notificationSubject');
 const DueDateReminderObserver = require('../patterns/observer/dueDateReminderObserver');
 const OverdueObserver = require('../patterns/observer/overdueObserver');
@@ -106,13 +107,15 @@ class DueDateCheckerJob {
             continue;
           }
 
-          const dueDate = new Date(loan.dueDate);
+          // Échéance effective: une fermeture ajoutée après le prêt la repousse au jour d'ouverture suivant
+          const dueDate = new Date(calendarService.effectiveDueDate(loan.dueDate));
           const timeDiff = dueDate.getTime() - now.getTime();
           const daysDiff = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
 
           // CAS 1: Livre en retard
           if (now > dueDate) {
-            const daysOverdue = Math.floor((now.getTime() - dueDate.getTime()) / (1000 * 60 * 60 * 24));
+            // Seuls les jours d'ouverture de la bibliothèque comptent comme jours de retard
+            const daysOverdue = calendarService.countOverdueDays(dueDate.getTime(), now.getTime());
             
             // Envoyer une notification de retard
             await notificationSubject.notify(Notification.Types.OVERDUE, {
@@ -0,0 +1,71 @@
+const libraryFacade = require('../facades/libraryFacade');
+
+/**
+ * Job d'expiration périodique des réservations
+ * Libère les exemplaires mis de côté qui n'ont pas été empruntés dans le délai de retrait
+ * et les attribue aux réservations suivantes de la file d'attente
+ */
+class HoldExpiryJob {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.checkIntervalMs = parseInt(process.env.HOLD_CHECK_INTERVAL_MS, 10) || 60 * 60 * 1000; // 1 heure par défaut
+  }
+
+  /**
+   * Démarrer le job périodique
+   * @param {number} intervalMs - Intervalle en millisecondes (défaut: 1h)
+   */
+  start(intervalMs = null) {
+    if (this.isRunning) {
+      console.log('⚠️ Job d\'expiration des réservations déjà en cours');
+      return;
+    }
+
+    if (intervalMs) {
+      this.checkIntervalMs = intervalMs;
+    }
+
+    console.log(`🕐 Démarrage du job d'expiration des réservations (intervalle: ${this.checkIntervalMs / 1000 / 60} minutes)`);
+
+    // Exécuter immédiatement
+    this.checkHolds();
+
+    // Puis à intervalles réguliers
+    this.interval = setInterval(() => {
+      this.checkHolds();
+    }, this.checkIntervalMs);
+
+    this.isRunning = true;
+  }
+
+  /**
+   * Arrêter le job périodique
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      this.isRunning = false;
+      console.log('🛑 Job d\'expiration des réservations arrêté');
+    }
+  }
+
+  /**
+   * Expirer les réservations dont le délai de retrait est dépassé
+   */
+  async checkHolds() {
+    try {
+      const { expired, promoted } = await libraryFacade.processExpiredHolds();
+
+      if (expired > 0) {
+        console.log(`✓ Réservations: ${expired} expirée(s), ${promoted} exemplaire(s) mis de côté pour les suivants`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur lors de l\'expiration des réservations:', error);
+    }
+  }
+}
+
+// Export singleton
+module.exports = new HoldExpiryJob();
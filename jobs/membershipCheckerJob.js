@@ -0,0 +1,107 @@
+const membershipService = require('../services/membershipService');
+const notificationSubject = require('../patterns/observer/notificationSubject');
+const MembershipExpiringObserver = require('../patterns/observer/membershipExpiringObserver');
+const Notification = require('../models/notification');
+
+/**
+ * Job de vérification périodique des adhésions
+ * Ouvre une première période d'adhésion pour les comptes créés avant les adhésions
+ * et prévient une fois par période les membres dont l'adhésion expire bientôt
+ */
+class MembershipCheckerJob {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.checkIntervalMs = parseInt(process.env.MEMBERSHIP_CHECK_INTERVAL_MS, 10) || 24 * 60 * 60 * 1000; // 24 heures par défaut
+
+    // Initialiser les observers
+    this.initializeObservers();
+  }
+
+  /**
+   * Initialiser l'observer des rappels d'adhésion
+   */
+  initializeObservers() {
+    notificationSubject.attach(Notification.Types.MEMBERSHIP_EXPIRING, new MembershipExpiringObserver());
+
+    console.log('✓ Observer de rappel d\'adhésion initialisé');
+  }
+
+  /**
+   * Démarrer le job périodique
+   * @param {number} intervalMs - Intervalle en millisecondes (défaut: 24h)
+   */
+  start(intervalMs = null) {
+    if (this.isRunning) {
+      console.log('⚠️ Job de vérification des adhésions déjà en cours');
+      return;
+    }
+
+    if (intervalMs) {
+      this.checkIntervalMs = intervalMs;
+    }
+
+    console.log(`🕐 Démarrage du job de vérification des adhésions (intervalle: ${this.checkIntervalMs / 1000 / 60} minutes)`);
+
+    // Exécuter immédiatement
+    this.checkMemberships();
+
+    // Puis à intervalles réguliers
+    this.interval = setInterval(() => {
+      this.checkMemberships();
+    }, this.checkIntervalMs);
+
+    this.isRunning = true;
+  }
+
+  /**
+   * Arrêter le job périodique
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      this.isRunning = false;
+      console.log('🛑 Job de vérification des adhésions arrêté');
+    }
+  }
+
+  /**
+   * Vérifier les adhésions et envoyer les rappels avant expiration
+   */
+  async checkMemberships() {
+    try {
+      const initialized = await membershipService.initializeMissingMemberships();
+      if (initialized > 0) {
+        console.log(`✓ Adhésions: ${initialized} compte(s) existant(s) ont reçu une première période d'adhésion`);
+      }
+
+      const memberships = await membershipService.findMembershipsToRemind();
+      let remindersCount = 0;
+
+      for (const membership of memberships) {
+        try {
+          await notificationSubject.notify(Notification.Types.MEMBERSHIP_EXPIRING, {
+            userId: membership.userId,
+            userName: membership.name,
+            expiresAt: membership.expiresAt,
+            daysRemaining: membership.daysRemaining
+          });
+          await membershipService.markReminderSent(membership.userId, membership.expiresAt);
+          remindersCount++;
+        } catch (error) {
+          console.error(`  ❌ Erreur rappel d'adhésion ${membership.userId}:`, error.message);
+        }
+      }
+
+      if (remindersCount > 0) {
+        console.log(`✓ Adhésions: ${remindersCount} rappel(s) d'expiration envoyé(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur lors de la vérification des adhésions:', error);
+    }
+  }
+}
+
+// Export singleton
+module.exports = new MembershipCheckerJob();
@@ -0,0 +1,97 @@
+/**
+ * @file authMiddleware.js
+ * @description Middlewares d'authentification basés sur les sessions.
+ * Le client envoie son jeton dans l'en-tête "Authorization: Bearer <jeton>".
+ * L'utilisateur est toujours rechargé depuis la base: le rôle envoyé par le client n'est jamais utilisé.
+ */
+
+const sessionService = require('../services/sessionService');
+const userService = require('../services/userService');
+const permissionService = require('../services/permissionService');
+
+/**
+ * @description Extrait le jeton Bearer de l'en-tête Authorization
+ * @param {Object} req - Requête Express
+ * @returns {string|null} Le jeton ou null s'il est absent
+ */
+const extractToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return header.slice('Bearer '.length).trim() || null;
+};
+
+/**
+ * @description Résout req.user à partir du jeton de session
+ * Une requête sans jeton (ou avec un jeton invalide) continue en tant qu'anonyme:
+ * ce sont les routes protégées qui refusent l'accès.
+ */
+const authenticate = async (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const session = await sessionService.validateSession(token);
+    if (!session) {
+      return next();
+    }
+
+    const user = await userService.findUserById(session.userId);
+    if (user) {
+      req.user = user;
+      req.session = session;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @description Refuse les requêtes non authentifiées (401)
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentification requise'
+    });
+  }
+
+  next();
+};
+
+/**
+ * @description Crée un middleware exigeant une permission du registre (401 si anonyme, 403 si refusée)
+ * @param {string} permission - Permission requise (ex: 'loans:review')
+ * @returns {Function} Middleware Express
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentification requise'
+    });
+  }
+
+  if (!permissionService.hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: `Accès refusé: permission ${permission} requise`
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  extractToken,
+  authenticate,
+  requireAuth,
+  requirePermission
+};
@@ -1,7 +1,8 @@
 /**
  * @file admin.js
  * @description Classe représentant un administrateur du système.
- * Un administrateur possède tous les privilèges et peut gérer les comptes utilisateurs.
+ * Un administrateur possède tous les privilèges et peut gérer les comptes utilisateurs
+ * (permissions attribuées au rôle dans le registre, voir services/permissionService.js).
  */
 
 const User = require('./user');
@@ -12,33 +13,10 @@ class Admin extends User {
    * @param {string} id - Identifiant unique de l'administrateur
    * @param {string} email - Adresse email de l'administrateur
    * @param {string} name - Nom complet de l'administrateur
+   * @param {string} role - Nom du rôle (défaut: 'Admin')
    */
-  constructor(id, email, name) {
-    super(id, email, name, 'Admin');
-  }
-
-  /**
-   * @description Vérifie si l'utilisateur a les permissions de gestion du catalogue
-   * @returns {boolean} Toujours true pour un Admin
-   */
-  canManageBooks() {
-    return true;
-  }
-
-  /**
-   * @description Vérifie si l'utilisateur peut approuver des demandes d'emprunt
-   * @returns {boolean} Toujours true pour un Admin
-   */
-  canReviewRequests() {
-    return true;
-  }
-
-  /**
-   * @description Vérifie si l'utilisateur peut gérer d'autres utilisateurs
-   * @returns {boolean} Toujours true pour un Admin
-   */
-  canManageUsers() {
-    return true;
+  constructor(id, email, name, role = 'Admin') {
+    super(id, email, name, role);
   }
 }
 
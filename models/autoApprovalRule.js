@@ -0,0 +1,105 @@
+/**
+ * @file autoApprovalRule.js
+ * @description Classe représentant une règle d'approbation automatique des demandes d'emprunt.
+ * Une demande est approuvée sans intervention d'un bibliothécaire quand toutes les conditions
+ * définies sur la règle sont remplies (rôle de l'emprunteur, genre du livre, exemplaires disponibles,
+ * emprunts en cours, retards, amendes impayées). Une condition absente (null) est toujours remplie.
+ */
+
+class AutoApprovalRule {
+  /**
+   * @description Constructeur de la classe AutoApprovalRule
+   * @param {string} id - Identifiant unique de la règle
+   * @param {string} name - Nom de la règle (affiché dans le journal d'audit)
+   * @param {Object} conditions - Conditions à remplir (voir AutoApprovalRule.CONDITION_FIELDS)
+   * @param {Object} details - Informations complémentaires
+   * @param {string} details.description - Description de la règle
+   * @param {boolean} details.enabled - Règle active (par défaut true)
+   * @param {number} details.createdAt - Timestamp de création
+   * @param {number} details.updatedAt - Timestamp de dernière modification
+   */
+  constructor(id, name, conditions = {}, details = {}) {
+    this.id = id;
+    this.name = name;
+
+    /**
+     * @property {Object} conditions - Conditions définies (les conditions absentes ne sont pas stockées)
+     */
+    this.conditions = {};
+    AutoApprovalRule.CONDITION_FIELDS.forEach(field => {
+      if (conditions[field] !== undefined && conditions[field] !== null) {
+        this.conditions[field] = conditions[field];
+      }
+    });
+
+    /**
+     * @property {string} description - Description de la règle
+     */
+    this.description = details.description || '';
+
+    /**
+     * @property {boolean} enabled - Une règle désactivée n'est jamais appliquée
+     */
+    this.enabled = details.enabled !== false;
+
+    /**
+     * @property {number} createdAt - Date de création (les règles sont évaluées dans cet ordre)
+     */
+    this.createdAt = details.createdAt || Date.now();
+
+    /**
+     * @property {number} updatedAt - Date de dernière modification
+     */
+    this.updatedAt = details.updatedAt || this.createdAt;
+  }
+
+  /**
+   * @description Vérifie si une demande remplit toutes les conditions de la règle
+   * @param {Object} context - { role, genre, availableCopies, activeLoans, overdueLoans, fineBalance }
+   * @returns {boolean} True si la règle s'applique
+   */
+  matches(context = {}) {
+    const { roles, genres, minAvailableCopies, maxActiveLoans, maxOverdueLoans, maxFineBalance } = this.conditions;
+
+    if (!this.enabled) {
+      return false;
+    }
+    if (roles && !roles.includes(context.role)) {
+      return false;
+    }
+    if (genres && (!context.genre || !genres.some(genre => genre.toLowerCase() === context.genre.toLowerCase()))) {
+      return false;
+    }
+    if (minAvailableCopies !== undefined && !(context.availableCopies >= minAvailableCopies)) {
+      return false;
+    }
+    if (maxActiveLoans !== undefined && !(context.activeLoans <= maxActiveLoans)) {
+      return false;
+    }
+    if (maxOverdueLoans !== undefined && !(context.overdueLoans <= maxOverdueLoans)) {
+      return false;
+    }
+    if (maxFineBalance !== undefined && !(context.fineBalance <= maxFineBalance)) {
+      return false;
+    }
+    return true;
+  }
+}
+
+/**
+ * @description Conditions qu'une règle peut définir
+ * - roles: rôles de l'emprunteur acceptés (ex: ['Staff'])
+ * - genres: genres de livre acceptés
+ * - minAvailableCopies: exemplaires en rayon au moment de la demande (au moins)
+ * - maxActiveLoans: emprunts en cours de l'emprunteur (au plus)
+ * - maxOverdueLoans: emprunts en retard de l'emprunteur (au plus, ex: 0)
+ * - maxFineBalance: solde d'amendes impayées en centimes (au plus)
+ */
+AutoApprovalRule.CONDITION_FIELDS = ['roles', 'genres', 'minAvailableCopies', 'maxActiveLoans', 'maxOverdueLoans', 'maxFineBalance'];
+
+/**
+ * @description Conditions de type liste (les autres sont des entiers positifs ou nuls)
+ */
+AutoApprovalRule.LIST_CONDITIONS = ['roles', 'genres'];
+
+module.exports = AutoApprovalRule;
@@ -1,9 +1,14 @@
 /**
  * @file borrowing.js
  * @description Classe représentant un enregistrement d'emprunt.
- * Un emprunt commence comme une demande (pending) qui peut être approuvée ou rejetée.
+ * Un emprunt commence comme une demande (pending) qui peut être approuvée ou rejetée,
+ * ou annulée par le membre tant qu'elle n'a pas été examinée.
+ * Un emprunt en cours peut faire l'objet d'un incident (perte déclarée, retour contesté, dégâts au retour),
+ * examiné par un bibliothécaire qui le clôt par un retour ou par le retrait de l'exemplaire (withdrawn).
  */
 
+const LoanPolicy = require('./loanPolicy');
+
 class Borrowing {
   /**
    * @description Constructeur de la classe Borrowing
@@ -24,7 +29,7 @@ class Borrowing {
     
     /**
      * @property {string} status - Statut de la demande
-     * Valeurs possibles: 'pending', 'approved', 'rejected', 'returned'
+     * Valeurs possibles: voir Borrowing.Statuses
      */
     this.status = 'pending';
     
@@ -42,13 +47,53 @@ class Borrowing {
      * @property {number|null} returnDate - Date de retour réelle du livre
      */
     this.returnDate = null;
+
+    /**
+     * @property {string|null} itemId - ID de l'exemplaire prêté (attribué lors de l'approbation)
+     */
+    this.itemId = null;
+
+    /**
+     * @property {string|null} itemBarcode - Code-barres de l'exemplaire prêté
+     */
+    this.itemBarcode = null;
+
+    /**
+     * @property {number} renewalCount - Nombre de renouvellements déjà accordés
+     */
+    this.renewalCount = 0;
+
+    /**
+     * @property {Array<Object>} renewalHistory - Historique des renouvellements
+     * Chaque entrée: { renewedAt, renewedBy, previousDueDate, newDueDate }
+     */
+    this.renewalHistory = [];
+
+    /**
+     * @property {Object|null} incident - Incident signalé sur l'emprunt
+     * { status, reportedAt, reportedBy, note, resolvedAt, resolvedBy, resolution, resolutionNote }
+     */
+    this.incident = null;
+
+    /**
+     * @property {Object|null} autoApproval - Règle d'approbation automatique appliquée { ruleId, ruleName }
+     * (null si la demande a été examinée par un bibliothécaire)
+     */
+    this.autoApproval = null;
+
+    /**
+     * @property {Object|null} recall - Rappel de l'exemplaire (date de retour raccourcie)
+     * { recalledAt, recalledBy, previousDueDate, newDueDate, reason }
+     */
+    this.recall = null;
   }
 
   /**
    * @description Approuve la demande d'emprunt
-   * @param {number} durationInDays - Durée de l'emprunt en jours (par défaut 14 jours)
+   * @param {number} durationInDays - Durée de l'emprunt en jours (par défaut celle de LoanPolicy.DEFAULTS;
+   * la Facade passe la durée résolue par le loanPolicyService)
    */
-  approve(durationInDays = 14) {
+  approve(durationInDays = LoanPolicy.DEFAULTS.loanDays) {
     this.status = 'approved';
     this.approvalDate = Date.now();
     // Calcul de la date de retour prévue
@@ -80,6 +125,59 @@ class Borrowing {
     }
     return Date.now() > this.dueDate;
   }
+
+  /**
+   * @description Indique si l'emprunt attend l'examen d'un bibliothécaire (incident non résolu)
+   * @returns {boolean} True si le statut est un statut d'incident
+   */
+  isUnderReview() {
+    return Borrowing.INCIDENT_STATUSES.includes(this.status);
+  }
+
+  /**
+   * @description Vérifie qu'un changement de statut est autorisé
+   * @param {string} from - Statut actuel
+   * @param {string} to - Nouveau statut
+   * @returns {boolean} True si la transition est permise
+   */
+  static canTransition(from, to) {
+    return (Borrowing.Transitions[from] || []).includes(to);
+  }
 }
 
+/**
+ * @description Statuts possibles d'un emprunt
+ */
+Borrowing.Statuses = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',                 // Demande annulée par le membre avant examen
+  RETURNED: 'returned',
+  DECLARED_LOST: 'declared-lost',         // Le membre (ou un bibliothécaire) déclare l'exemplaire perdu
+  CLAIMED_RETURNED: 'claimed-returned',   // Le membre affirme l'avoir rendu, mais le retour n'a pas été enregistré
+  DAMAGED_ON_RETURN: 'damaged-on-return', // Exemplaire rendu endommagé (mis en réparation en attendant l'examen)
+  WITHDRAWN: 'withdrawn'                  // Exemplaire retiré du fonds, coût de remplacement facturé
+};
+
+/**
+ * @description Statuts d'incident: l'emprunt figure dans la file d'examen des bibliothécaires
+ */
+Borrowing.INCIDENT_STATUSES = [
+  Borrowing.Statuses.DECLARED_LOST,
+  Borrowing.Statuses.CLAIMED_RETURNED,
+  Borrowing.Statuses.DAMAGED_ON_RETURN
+];
+
+/**
+ * @description Transitions autorisées entre statuts (les statuts absents sont définitifs)
+ */
+Borrowing.Transitions = {
+  [Borrowing.Statuses.PENDING]: [Borrowing.Statuses.APPROVED, Borrowing.Statuses.REJECTED, Borrowing.Statuses.CANCELLED],
+  [Borrowing.Statuses.APPROVED]: [Borrowing.Statuses.RETURNED, ...Borrowing.INCIDENT_STATUSES],
+  [Borrowing.Statuses.DECLARED_LOST]: [Borrowing.Statuses.RETURNED, Borrowing.Statuses.WITHDRAWN],
+  [Borrowing.Statuses.CLAIMED_RETURNED]: [Borrowing.Statuses.RETURNED, Borrowing.Statuses.WITHDRAWN],
+  [Borrowing.Statuses.DAMAGED_ON_RETURN]: [Borrowing.Statuses.RETURNED, Borrowing.Statuses.WITHDRAWN]
+};
+
 module.exports = Borrowing;
@@ -0,0 +1,88 @@
+/**
+ * @file hold.js
+ * @description Classe représentant une réservation (hold) d'un livre.
+ * Les réservations d'un livre forment une file d'attente FIFO: à chaque retour, l'exemplaire
+ * est mis de côté pour la première réservation en attente pendant un délai de retrait.
+ */
+
+class Hold {
+  /**
+   * @description Constructeur de la classe Hold
+   * @param {string} id - Identifiant unique de la réservation
+   * @param {string} userId - ID du membre qui réserve
+   * @param {string} bookId - ID du livre réservé
+   * @param {Object} details - Informations complémentaires
+   * @param {string} details.status - Statut (voir Hold.Statuses)
+   * @param {number} details.createdAt - Timestamp de la réservation (ordre dans la file)
+   * @param {number|null} details.readyAt - Date de mise de côté d'un exemplaire
+   * @param {number|null} details.expiresAt - Date limite de retrait
+   * @param {string|null} details.itemId - ID de l'exemplaire mis de côté
+   * @param {string|null} details.itemBarcode - Code-barres de l'exemplaire mis de côté
+   */
+  constructor(id, userId, bookId, details = {}) {
+    this.id = id;
+    this.userId = userId;
+    this.bookId = bookId;
+
+    /**
+     * @property {string} status - Statut de la réservation
+     * Valeurs possibles: 'waiting', 'ready', 'fulfilled', 'expired', 'cancelled'
+     */
+    this.status = details.status || Hold.Statuses.WAITING;
+
+    /**
+     * @property {number} createdAt - Date de la réservation
+     */
+    this.createdAt = details.createdAt || Date.now();
+
+    /**
+     * @property {number|null} readyAt - Date à laquelle un exemplaire a été mis de côté
+     */
+    this.readyAt = details.readyAt || null;
+
+    /**
+     * @property {number|null} expiresAt - Date limite pour emprunter l'exemplaire mis de côté
+     */
+    this.expiresAt = details.expiresAt || null;
+
+    /**
+     * @property {string|null} itemId - Exemplaire mis de côté
+     */
+    this.itemId = details.itemId || null;
+
+    /**
+     * @property {string|null} itemBarcode - Code-barres de l'exemplaire mis de côté
+     */
+    this.itemBarcode = details.itemBarcode || null;
+  }
+
+  /**
+   * @description Indique si la réservation est encore dans la file (en attente ou prête)
+   * @returns {boolean} True si la réservation est active
+   */
+  isActive() {
+    return this.status === Hold.Statuses.WAITING || this.status === Hold.Statuses.READY;
+  }
+
+  /**
+   * @description Indique si le délai de retrait d'une réservation prête est dépassé
+   * @param {number} now - Timestamp de référence
+   * @returns {boolean} True si l'exemplaire mis de côté doit être libéré
+   */
+  isExpired(now = Date.now()) {
+    return this.status === Hold.Statuses.READY && this.expiresAt !== null && now >= this.expiresAt;
+  }
+}
+
+/**
+ * @description Statuts possibles d'une réservation
+ */
+Hold.Statuses = {
+  WAITING: 'waiting',
+  READY: 'ready',
+  FULFILLED: 'fulfilled',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+module.exports = Hold;
@@ -0,0 +1,91 @@
+/**
+ * @file item.js
+ * @description Classe représentant un exemplaire physique d'un livre.
+ * Chaque exemplaire a son propre code-barres, son état, son emplacement en rayon et son statut.
+ * Les quantités d'un livre (totalQuantity, availableQuantity) sont calculées à partir de ses exemplaires.
+ */
+
+class Item {
+  /**
+   * @description Constructeur de la classe Item
+   * @param {string} id - Identifiant unique de l'exemplaire
+   * @param {string} bookId - ID du livre (notice) auquel appartient l'exemplaire
+   * @param {string} barcode - Code-barres de l'exemplaire
+   * @param {Object} details - Informations complémentaires
+   * @param {string} details.condition - État physique (voir Item.Conditions)
+   * @param {string} details.shelfLocation - Emplacement en rayon (ex: 'A3-12')
+   * @param {string} details.status - Statut (voir Item.Statuses)
+   * @param {string} details.itemType - Type d'exemplaire (ex: 'standard', 'reference')
+   * @param {number} details.createdAt - Timestamp de création
+   */
+  constructor(id, bookId, barcode, details = {}) {
+    this.id = id;
+    this.bookId = bookId;
+    this.barcode = barcode;
+
+    /**
+     * @property {string} condition - État physique de l'exemplaire
+     */
+    this.condition = details.condition || Item.Conditions.GOOD;
+
+    /**
+     * @property {string} shelfLocation - Emplacement en rayon
+     */
+    this.shelfLocation = details.shelfLocation || '';
+
+    /**
+     * @property {string} status - Statut de l'exemplaire
+     * Valeurs possibles: 'available', 'on-loan', 'on-hold', 'in-repair', 'withdrawn'
+     */
+    this.status = details.status || Item.Statuses.AVAILABLE;
+
+    /**
+     * @property {string} itemType - Type d'exemplaire
+     */
+    this.itemType = details.itemType || 'standard';
+
+    /**
+     * @property {number} createdAt - Date de création de l'exemplaire
+     */
+    this.createdAt = details.createdAt || Date.now();
+  }
+
+  /**
+   * @description Indique si l'exemplaire peut être prêté
+   * @returns {boolean} True si l'exemplaire est en rayon
+   */
+  isAvailable() {
+    return this.status === Item.Statuses.AVAILABLE;
+  }
+
+  /**
+   * @description Indique si l'exemplaire fait partie du fonds (compté dans totalQuantity)
+   * @returns {boolean} True si l'exemplaire n'est pas retiré du catalogue
+   */
+  isInCollection() {
+    return this.status !== Item.Statuses.WITHDRAWN;
+  }
+}
+
+/**
+ * @description Statuts possibles d'un exemplaire
+ */
+Item.Statuses = {
+  AVAILABLE: 'available',
+  ON_LOAN: 'on-loan',
+  ON_HOLD: 'on-hold', // Mis de côté pour une réservation
+  IN_REPAIR: 'in-repair',
+  WITHDRAWN: 'withdrawn'
+};
+
+/**
+ * @description États physiques possibles d'un exemplaire
+ */
+Item.Conditions = {
+  NEW: 'new',
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor'
+};
+
+module.exports = Item;
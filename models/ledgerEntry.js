@@ -0,0 +1,63 @@
+/**
+ * @file ledgerEntry.js
+ * @description Classe représentant une écriture du compte d'amendes d'un membre.
+ * Le compte est un journal en ajout seul: le solde dû est calculé à partir des écritures
+ * (frais et remboursements l'augmentent, paiements et remises le diminuent).
+ * Les montants sont exprimés en centimes (entiers) pour éviter les erreurs d'arrondi.
+ */
+
+class LedgerEntry {
+  /**
+   * @description Constructeur de la classe LedgerEntry
+   * @param {string} id - Identifiant unique de l'écriture
+   * @param {string} userId - ID du membre
+   * @param {string} type - Type d'écriture (voir LedgerEntry.Types)
+   * @param {number} amount - Montant en centimes (toujours positif)
+   * @param {Object} details - Informations complémentaires
+   * @param {string} details.note - Motif ou commentaire
+   * @param {string|null} details.borrowingId - Emprunt à l'origine des frais
+   * @param {string|null} details.bookId - Livre concerné
+   * @param {string|null} details.relatedEntryId - Écriture liée (ex: paiement remboursé)
+   * @param {string|null} details.createdBy - ID de l'utilisateur qui a saisi l'écriture (null: système)
+   * @param {Object} details.metadata - Données de calcul (ex: jours de retard, tarif)
+   * @param {number} details.createdAt - Timestamp de l'écriture
+   */
+  constructor(id, userId, type, amount, details = {}) {
+    this.id = id;
+    this.userId = userId;
+    this.type = type;
+    this.amount = amount;
+    this.note = details.note || '';
+    this.borrowingId = details.borrowingId || null;
+    this.bookId = details.bookId || null;
+    this.relatedEntryId = details.relatedEntryId || null;
+    this.createdBy = details.createdBy || null;
+    this.metadata = details.metadata || {};
+    this.createdAt = details.createdAt || Date.now();
+  }
+
+  /**
+   * @description Effet de l'écriture sur le solde dû par le membre
+   * @returns {number} Montant signé en centimes (positif: augmente la dette)
+   */
+  balanceEffect() {
+    return LedgerEntry.DEBIT_TYPES.includes(this.type) ? this.amount : -this.amount;
+  }
+}
+
+/**
+ * @description Types d'écritures
+ */
+LedgerEntry.Types = {
+  CHARGE: 'charge',   // Frais (retard...)
+  PAYMENT: 'payment', // Paiement reçu
+  WAIVER: 'waiver',   // Remise accordée par un bibliothécaire
+  REFUND: 'refund'    // Remboursement d'un paiement
+};
+
+/**
+ * @description Types d'écritures qui augmentent le solde dû
+ */
+LedgerEntry.DEBIT_TYPES = [LedgerEntry.Types.CHARGE, LedgerEntry.Types.REFUND];
+
+module.exports = LedgerEntry;
@@ -1,7 +1,8 @@
 /**
  * @file librarian.js
  * @description Classe représentant un bibliothécaire.
- * Un bibliothécaire peut gérer le catalogue et approuver/rejeter les demandes d'emprunt.
+ * Un bibliothécaire peut gérer le catalogue et approuver/rejeter les demandes d'emprunt
+ * (permissions attribuées au rôle dans le registre, voir services/permissionService.js).
  */
 
 const User = require('./user');
@@ -12,25 +13,10 @@ class Librarian extends User {
    * @param {string} id - Identifiant unique du bibliothécaire
    * @param {string} email - Adresse email du bibliothécaire
    * @param {string} name - Nom complet du bibliothécaire
+   * @param {string} role - Nom du rôle (défaut: 'Librarian')
    */
-  constructor(id, email, name) {
-    super(id, email, name, 'Librarian');
-  }
-
-  /**
-   * @description Vérifie si l'utilisateur a les permissions de bibliothécaire
-   * @returns {boolean} Toujours true pour un Librarian
-   */
-  canManageBooks() {
-    return true;
-  }
-
-  /**
-   * @description Vérifie si l'utilisateur peut approuver des demandes d'emprunt
-   * @returns {boolean} Toujours true pour un Librarian
-   */
-  canReviewRequests() {
-    return true;
+  constructor(id, email, name, role = 'Librarian') {
+    super(id, email, name, role);
   }
 }
 
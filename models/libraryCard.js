@@ -0,0 +1,96 @@
+/**
+ * @file libraryCard.js
+ * @description Classe représentant la carte de bibliothèque d'un utilisateur.
+ * Le numéro de carte compte 14 chiffres: un préfixe d'établissement, un numéro de séquence
+ * et un chiffre de contrôle (algorithme de Luhn) qui détecte les erreurs de saisie au comptoir.
+ * Un utilisateur n'a qu'une carte valide: une carte remplacée (perte, vol) ne l'identifie plus.
+ */
+
+class LibraryCard {
+  /**
+   * @description Constructeur de la classe LibraryCard
+   * @param {string} cardNumber - Numéro de carte (14 chiffres, chiffre de contrôle inclus)
+   * @param {string} userId - ID du titulaire
+   * @param {Object} details - Informations complémentaires
+   * @param {number} details.cardIssuedAt - Timestamp d'émission de la carte
+   * @param {Array<Object>} details.previousCards - Cartes remplacées { cardNumber, issuedAt, replacedAt, replacedBy, reason }
+   */
+  constructor(cardNumber, userId, details = {}) {
+    this.cardNumber = cardNumber;
+    this.userId = userId;
+
+    /**
+     * @property {string} formattedNumber - Numéro affiché sur la carte (groupes de chiffres)
+     */
+    this.formattedNumber = LibraryCard.format(cardNumber);
+
+    /**
+     * @property {number|null} issuedAt - Date d'émission de la carte
+     */
+    this.issuedAt = details.cardIssuedAt || null;
+
+    /**
+     * @property {Array<Object>} previousCards - Cartes remplacées, de la plus ancienne à la plus récente
+     */
+    this.previousCards = details.previousCards || [];
+  }
+
+  /**
+   * @description Calcule le chiffre de contrôle (Luhn) d'une suite de chiffres
+   * @param {string} digits - Chiffres sans le chiffre de contrôle
+   * @returns {number} Chiffre de contrôle (0 à 9)
+   */
+  static computeCheckDigit(digits) {
+    let sum = 0;
+    // En partant de la droite, un chiffre sur deux est doublé (le premier l'est: il précède le contrôle)
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 0) {
+        digit *= 2;
+        if (digit > 9) {
+          digit -= 9;
+        }
+      }
+      sum += digit;
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * @description Retire les espaces et tirets d'un numéro saisi ou scanné
+   * @param {string} value - Numéro saisi
+   * @returns {string} Numéro normalisé
+   */
+  static normalize(value) {
+    return String(value || '').replace(/[\s-]/g, '');
+  }
+
+  /**
+   * @description Vérifie le format et le chiffre de contrôle d'un numéro de carte
+   * @param {string} value - Numéro saisi (espaces et tirets tolérés)
+   * @returns {boolean} True si le numéro est bien formé
+   */
+  static isValidNumber(value) {
+    const cardNumber = LibraryCard.normalize(value);
+    if (cardNumber.length !== LibraryCard.NUMBER_LENGTH || !/^\d+$/.test(cardNumber)) {
+      return false;
+    }
+    return LibraryCard.computeCheckDigit(cardNumber.slice(0, -1)) === Number(cardNumber.slice(-1));
+  }
+
+  /**
+   * @description Formate un numéro de carte pour l'affichage (ex: 2900 0000 0000 15)
+   * @param {string} cardNumber - Numéro de carte
+   * @returns {string} Numéro formaté
+   */
+  static format(cardNumber) {
+    return cardNumber ? cardNumber.replace(/(\d{4})(?=\d)/g, '$1 ') : '';
+  }
+}
+
+/**
+ * @description Longueur d'un numéro de carte, chiffre de contrôle inclus
+ */
+LibraryCard.NUMBER_LENGTH = 14;
+
+module.exports = LibraryCard;
@@ -0,0 +1,123 @@
+/**
+ * @file loanPolicy.js
+ * @description Classe représentant une règle de politique de prêt.
+ * Une règle s'applique aux emprunts qui correspondent à tous ses critères (rôle de l'emprunteur,
+ * genre du livre, type d'exemplaire) et redéfinit tout ou partie des limites de prêt.
+ * Un critère absent (null) correspond à toutes les valeurs.
+ */
+
+class LoanPolicy {
+  /**
+   * @description Constructeur de la classe LoanPolicy
+   * @param {string} id - Identifiant unique de la règle
+   * @param {Object} criteria - Critères d'application
+   * @param {string|null} criteria.role - Rôle de l'emprunteur (ex: 'Student')
+   * @param {string|null} criteria.genre - Genre du livre (ex: 'Roman')
+   * @param {string|null} criteria.itemType - Type d'exemplaire (ex: 'reference')
+   * @param {Object} limits - Limites redéfinies par la règle (voir LoanPolicy.LIMIT_FIELDS)
+   * @param {Object} details - Informations complémentaires
+   * @param {string} details.description - Description de la règle
+   * @param {number} details.createdAt - Timestamp de création
+   * @param {number} details.updatedAt - Timestamp de dernière modification
+   */
+  constructor(id, criteria = {}, limits = {}, details = {}) {
+    this.id = id;
+
+    /**
+     * @property {string|null} role - Rôle de l'emprunteur concerné (null: tous les rôles)
+     */
+    this.role = criteria.role || null;
+
+    /**
+     * @property {string|null} genre - Genre de livre concerné (null: tous les genres)
+     */
+    this.genre = criteria.genre || null;
+
+    /**
+     * @property {string|null} itemType - Type d'exemplaire concerné (null: tous les types)
+     */
+    this.itemType = criteria.itemType || null;
+
+    /**
+     * @property {Object} limits - Limites redéfinies (voir LoanPolicy.DEFAULTS)
+     * Seules les limites présentes remplacent celles des règles moins spécifiques.
+     */
+    this.limits = {};
+    LoanPolicy.LIMIT_FIELDS.forEach(field => {
+      if (limits[field] !== undefined && limits[field] !== null) {
+        this.limits[field] = limits[field];
+      }
+    });
+
+    /**
+     * @property {string} description - Description de la règle
+     */
+    this.description = details.description || '';
+
+    /**
+     * @property {number} createdAt - Date de création de la règle
+     */
+    this.createdAt = details.createdAt || Date.now();
+
+    /**
+     * @property {number} updatedAt - Date de dernière modification de la règle
+     */
+    this.updatedAt = details.updatedAt || this.createdAt;
+  }
+
+  /**
+   * @description Vérifie si la règle s'applique à un emprunt
+   * Un critère défini sur la règle mais inconnu dans le contexte (ex: type d'exemplaire
+   * pas encore choisi au moment de la demande) ne correspond pas.
+   * @param {Object} context - Contexte de l'emprunt { role, genre, itemType }
+   * @returns {boolean} True si tous les critères de la règle correspondent
+   */
+  matches(context = {}) {
+    if (this.role && this.role !== context.role) {
+      return false;
+    }
+    if (this.genre && (!context.genre || this.genre.toLowerCase() !== context.genre.toLowerCase())) {
+      return false;
+    }
+    if (this.itemType && this.itemType !== context.itemType) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @description Nombre de critères définis: une règle plus spécifique l'emporte sur une règle plus générale
+   * @returns {number} Nombre de critères (0 à 3)
+   */
+  specificity() {
+    return [this.role, this.genre, this.itemType].filter(criterion => criterion !== null).length;
+  }
+}
+
+/**
+ * @description Limites de prêt appliquées quand ni le rôle ni aucune règle n'en précisent
+ */
+LoanPolicy.DEFAULTS = {
+  loanDays: 14,          // Durée d'un emprunt (et d'un renouvellement) en jours
+  maxLoans: 5,           // Nombre maximal d'emprunts en cours
+  maxPendingRequests: 3, // Nombre maximal de demandes en attente
+  maxOverdueLoans: 0,    // Nombre d'emprunts en retard tolérés avant blocage des demandes
+  maxRenewals: 2,        // Nombre maximal de renouvellements par emprunt
+  maxHolds: 5,           // Nombre maximal de réservations actives
+  fineDailyRate: 20,     // Frais de retard par jour, en centimes
+  fineGraceDays: 0,      // Jours de retard non facturés
+  fineCap: 1000,         // Plafond des frais de retard d'un emprunt, en centimes
+  maxFineBalance: 500,   // Solde d'amendes impayées au-delà duquel les demandes sont bloquées, en centimes
+  replacementCost: 2500, // Coût de remplacement facturé pour un exemplaire perdu ou détruit, en centimes
+  recallMinLoanDays: 7,  // Durée d'emprunt garantie avant qu'un rappel puisse exiger le retour, en jours
+  recallNoticeDays: 3,   // Délai minimal laissé à l'emprunteur après un rappel, en jours
+  recallFineDailyRate: 100, // Frais de retard par jour pour un exemplaire rappelé, en centimes (sans délai de grâce)
+  recallFineCap: 3000    // Plafond des frais de retard d'un exemplaire rappelé, en centimes
+};
+
+/**
+ * @description Champs de limite qu'une règle ou un rôle peut redéfinir
+ */
+LoanPolicy.LIMIT_FIELDS = Object.keys(LoanPolicy.DEFAULTS);
+
+module.exports = LoanPolicy;
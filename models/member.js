@@ -12,9 +12,10 @@ class Member extends User {
    * @param {string} id - Identifiant unique du membre
    * @param {string} email - Adresse email du membre
    * @param {string} name - Nom complet du membre
+   * @param {string} role - Nom du rôle (défaut: 'Member', ou un rôle personnalisé basé sur Member)
    */
-  constructor(id, email, name) {
-    super(id, email, name, 'Member');
+  constructor(id, email, name, role = 'Member') {
+    super(id, email, name, role);
     
     /**
      * @property {Array<string>} borrowingHistory - Tableau contenant les IDs des emprunts du membre
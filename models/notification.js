@@ -5,7 +5,7 @@
 class Notification {
   /**
    * @param {string} id - Identifiant unique
-   * @param {string} type - Type de notification (DUE_DATE_REMINDER, OVERDUE, NEW_REQUEST, BOOK_AVAILABLE)
+   * @param {string} type - Type de notification (voir Notification.Types)
    * @param {string} message - Message de la notification
    * @param {string} userId - ID de l'utilisateur destinataire
    * @param {string|null} bookId - ID du livre concerné (optionnel)
@@ -84,7 +84,11 @@ Notification.Types = {
   DUE_DATE_REMINDER: 'DUE_DATE_REMINDER', // Rappel 2 jours avant échéance
   OVERDUE: 'OVERDUE',                     // Livre en retard
   NEW_REQUEST: 'NEW_REQUEST',             // Nouvelle demande d'emprunt (pour librarians)
-  BOOK_AVAILABLE: 'BOOK_AVAILABLE'        // Livre disponible (watchlist)
+  REQUEST_CANCELLED: 'REQUEST_CANCELLED', // Demande annulée par le membre (pour librarians)
+  BOOK_AVAILABLE: 'BOOK_AVAILABLE',       // Exemplaire mis de côté pour une réservation
+  HOLD_EXPIRED: 'HOLD_EXPIRED',           // Réservation expirée (exemplaire non retiré à temps)
+  LOAN_RECALLED: 'LOAN_RECALLED',         // Exemplaire rappelé: date de retour raccourcie
+  MEMBERSHIP_EXPIRING: 'MEMBERSHIP_EXPIRING' // Adhésion bientôt expirée (à renouveler)
 };
 
 module.exports = Notification;
@@ -2,8 +2,11 @@
  * @file user.js
  * @description Classe de base pour tous les utilisateurs du système.
  * Cette classe représente l'entité utilisateur générique avec les propriétés communes.
+ * Les droits ne dépendent pas de la classe mais du rôle, via le registre central des permissions.
  */
 
+const permissionService = require('../services/permissionService');
+
 class User {
   /**
    * @description Constructeur de la classe User
@@ -17,6 +20,49 @@ class User {
     this.email = email;
     this.name = name;
     this.role = role;
+
+    /**
+     * @property {string|null} cardNumber - Numéro de la carte de bibliothèque actuelle (renseigné par la Factory)
+     */
+    this.cardNumber = null;
+
+    /**
+     * @property {number|null} membershipExpiresAt - Date d'expiration de l'adhésion (null: sans expiration)
+     */
+    this.membershipExpiresAt = null;
+  }
+
+  /**
+   * @description Vérifie si l'utilisateur dispose d'une permission
+   * @param {string} permission - Permission requise (ex: 'catalog:write')
+   * @returns {boolean} True si le rôle de l'utilisateur possède la permission
+   */
+  can(permission) {
+    return permissionService.hasPermission(this, permission);
+  }
+
+  /**
+   * @description Vérifie si l'utilisateur a les permissions de gestion du catalogue
+   * @returns {boolean} True si le rôle possède catalog:write
+   */
+  canManageBooks() {
+    return this.can(permissionService.PERMISSIONS.CATALOG_WRITE);
+  }
+
+  /**
+   * @description Vérifie si l'utilisateur peut approuver des demandes d'emprunt
+   * @returns {boolean} True si le rôle possède loans:review
+   */
+  canReviewRequests() {
+    return this.can(permissionService.PERMISSIONS.LOANS_REVIEW);
+  }
+
+  /**
+   * @description Vérifie si l'utilisateur peut gérer d'autres utilisateurs
+   * @returns {boolean} True si le rôle possède users:manage
+   */
+  canManageUsers() {
+    return this.can(permissionService.PERMISSIONS.USERS_MANAGE);
   }
 
   /**
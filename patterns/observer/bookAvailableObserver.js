@@ -4,31 +4,31 @@ const Notification = require('../../models/notification');
 
 /**
  * Observer pour la disponibilité des livres
- * Notifie les utilisateurs dans la watchlist quand un livre redevient disponible
+ * Notifie les membres dont la réservation est prête (un exemplaire leur est mis de côté)
  */
 class BookAvailableObserver extends NotificationObserver {
   /**
-   * @param {Object} data - { bookId, bookTitle, watchers }
+   * @param {Object} data - { bookId, bookTitle, holds } (réservations devenues prêtes)
    */
   async update(data) {
     try {
-      const { bookId, bookTitle, watchers } = data;
+      const { bookId, bookTitle, holds } = data;
 
-      console.log(`📖 BookAvailableObserver: "${bookTitle}" est disponible`);
+      console.log(`📖 BookAvailableObserver: "${bookTitle}" mis de côté`);
 
-      if (watchers && watchers.length > 0) {
-        const notificationPromises = watchers.map(watcher =>
+      if (holds && holds.length > 0) {
+        const notificationPromises = holds.map(hold =>
           notificationService.createNotification(
             Notification.Types.BOOK_AVAILABLE,
-            `📖 Bonne nouvelle ! Le livre "${bookTitle}" est maintenant disponible`,
-            watcher.userId,
+            `📖 Bonne nouvelle ! Un exemplaire de "${bookTitle}" vous est réservé jusqu'au ${new Date(hold.expiresAt).toLocaleDateString('fr-FR')}`,
+            hold.userId,
             bookId,
             null
           )
         );
 
         await Promise.all(notificationPromises);
-        console.log(`  ✓ ${watchers.length} utilisateur(s) notifié(s)`);
+        console.log(`  ✓ ${holds.length} utilisateur(s) notifié(s)`);
       }
     } catch (error) {
       console.error('❌ Erreur BookAvailableObserver:', error);
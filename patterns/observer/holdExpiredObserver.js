@@ -0,0 +1,43 @@
+const NotificationObserver = require('./notificationObserver');
+const notificationService = require('../../services/notificationService');
+const Notification = require('../../models/notification');
+
+/**
+ * Observer pour les réservations expirées
+ * Notifie les membres qui n'ont pas emprunté à temps l'exemplaire mis de côté
+ */
+class HoldExpiredObserver extends NotificationObserver {
+  /**
+   * @param {Object} data - { bookId, bookTitle, holds } (réservations expirées)
+   */
+  async update(data) {
+    try {
+      const { bookId, bookTitle, holds } = data;
+
+      console.log(`⌛ HoldExpiredObserver: réservation(s) expirée(s) pour "${bookTitle}"`);
+
+      if (holds && holds.length > 0) {
+        const notificationPromises = holds.map(hold =>
+          notificationService.createNotification(
+            Notification.Types.HOLD_EXPIRED,
+            `⌛ Votre réservation de "${bookTitle}" a expiré: l'exemplaire est passé au membre suivant`,
+            hold.userId,
+            bookId,
+            null
+          )
+        );
+
+        await Promise.all(notificationPromises);
+        console.log(`  ✓ ${holds.length} utilisateur(s) notifié(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur HoldExpiredObserver:', error);
+    }
+  }
+
+  getType() {
+    return Notification.Types.HOLD_EXPIRED;
+  }
+}
+
+module.exports = HoldExpiredObserver;
@@ -0,0 +1,37 @@
+const NotificationObserver = require('./notificationObserver');
+const notificationService = require('../../services/notificationService');
+const Notification = require('../../models/notification');
+
+/**
+ * Observer pour les rappels d'exemplaires
+ * Notifie l'emprunteur que la bibliothèque a raccourci son emprunt et lui indique la nouvelle date de retour
+ */
+class LoanRecalledObserver extends NotificationObserver {
+  /**
+   * @param {Object} data - { requestId, userId, bookId, bookTitle, dueDate, reason }
+   */
+  async update(data) {
+    try {
+      const { requestId, userId, bookId, bookTitle, dueDate, reason } = data;
+
+      console.log(`📣 LoanRecalledObserver: "${bookTitle}" rappelé`);
+
+      await notificationService.createNotification(
+        Notification.Types.LOAN_RECALLED,
+        `📣 La bibliothèque rappelle "${bookTitle}": merci de le rendre avant le ${new Date(dueDate).toLocaleDateString('fr-FR')}${reason ? ` (${reason})` : ''}. Les frais de retard d'un exemplaire rappelé sont majorés.`,
+        userId,
+        bookId,
+        requestId
+      );
+      console.log('  ✓ Emprunteur notifié');
+    } catch (error) {
+      console.error('❌ Erreur LoanRecalledObserver:', error);
+    }
+  }
+
+  getType() {
+    return Notification.Types.LOAN_RECALLED;
+  }
+}
+
+module.exports = LoanRecalledObserver;
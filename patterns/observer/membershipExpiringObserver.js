@@ -0,0 +1,38 @@
+const NotificationObserver = require('./notificationObserver');
+const notificationService = require('../../services/notificationService');
+const Notification = require('../../models/notification');
+
+/**
+ * Observer pour les rappels d'adhésion
+ * Prévient le membre que son adhésion arrive à expiration et qu'il ne pourra plus emprunter sans la renouveler
+ */
+class MembershipExpiringObserver extends NotificationObserver {
+  /**
+   * @param {Object} data - { userId, userName, expiresAt, daysRemaining }
+   */
+  async update(data) {
+    try {
+      const { userId, userName, expiresAt, daysRemaining } = data;
+
+      console.log(`🪪 MembershipExpiringObserver: Adhésion de ${userName} à renouveler`);
+
+      await notificationService.createNotification(
+        Notification.Types.MEMBERSHIP_EXPIRING,
+        `🪪 Votre adhésion expire le ${new Date(expiresAt).toLocaleDateString('fr-FR')} (dans ${daysRemaining} jour(s)). Renouvelez-la à l'accueil de la bibliothèque pour continuer à emprunter.`,
+        userId,
+        null,
+        null
+      );
+
+      console.log(`  ✓ Utilisateur ${userName} notifié`);
+    } catch (error) {
+      console.error('❌ Erreur MembershipExpiringObserver:', error);
+    }
+  }
+
+  getType() {
+    return Notification.Types.MEMBERSHIP_EXPIRING;
+  }
+}
+
+module.exports = MembershipExpiringObserver;
@@ -0,0 +1,43 @@
+const NotificationObserver = require('./notificationObserver');
+const notificationService = require('../../services/notificationService');
+const Notification = require('../../models/notification');
+
+/**
+ * Observer pour les demandes d'emprunt annulées
+ * Notifie les bibliothécaires qu'une demande a quitté la file des demandes à examiner
+ */
+class RequestCancelledObserver extends NotificationObserver {
+  /**
+   * @param {Object} data - { requestId, userId, userName, bookTitle, bookId, librarians }
+   */
+  async update(data) {
+    try {
+      const { requestId, userName, bookTitle, bookId, librarians } = data;
+
+      console.log(`🚫 RequestCancelledObserver: ${userName} a annulé sa demande pour "${bookTitle}"`);
+
+      if (librarians && librarians.length > 0) {
+        const notificationPromises = librarians.map(librarian =>
+          notificationService.createNotification(
+            Notification.Types.REQUEST_CANCELLED,
+            `🚫 ${userName} a annulé sa demande d'emprunt pour "${bookTitle}"`,
+            librarian.id,
+            bookId,
+            requestId
+          )
+        );
+
+        await Promise.all(notificationPromises);
+        console.log(`  ✓ ${librarians.length} bibliothécaire(s) notifié(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Erreur RequestCancelledObserver:', error);
+    }
+  }
+
+  getType() {
+    return Notification.Types.REQUEST_CANCELLED;
+  }
+}
+
+module.exports = RequestCancelledObserver;
@@ -6,21 +6,43 @@ let modalBooks = [];
 
 // Init
 document.addEventListener('DOMContentLoaded', () => {
-    checkSession(); // Vérifier si une session existe
     setupAuthForms();
     setupNavigation();
+    
+    // Lien de réinitialisation reçu par email
+    const resetToken = new URLSearchParams(window.location.search).get('resetToken');
+    if (resetToken) {
+        showResetPasswordForm();
+    } else {
+        checkSession(); // Vérifier si une session existe
+    }
 });
 
 // Check Session
-function checkSession() {
+async function checkSession() {
     const savedUser = localStorage.getItem('currentUser');
     if (savedUser) {
         try {
             currentUser = JSON.parse(savedUser);
+            
+            // Vérifier que la session est toujours valide côté serveur
+            const res = await fetch(`${API}/auth/me`, {
+                headers: {
+                    'Authorization': `Bearer ${currentUser.token}`
+                }
+            });
+            const data = await res.json();
+            
+            if (!data.success) {
+                clearSession();
+                return;
+            }
+            
+            currentUser = { ...data.data, token: currentUser.token };
             showMainApp();
         } catch (error) {
             console.error('Erreur lors de la restauration de la session:', error);
-            localStorage.removeItem('currentUser');
+            clearSession();
         }
     }
 }
@@ -29,20 +51,103 @@ function checkSession() {
 function setupAuthForms() {
     document.getElementById('loginForm').addEventListener('submit', handleLogin);
     document.getElementById('registerForm').addEventListener('submit', handleRegister);
+    document.getElementById('forgotPasswordForm').addEventListener('submit', handleForgotPassword);
+    document.getElementById('resetPasswordForm').addEventListener('submit', handleResetPassword);
+}
+
+// Affiche un seul formulaire d'authentification à la fois
+function showAuthForm(formId) {
+    ['loginForm', 'registerForm', 'forgotPasswordForm', 'resetPasswordForm'].forEach(id => {
+        document.getElementById(id).classList.toggle('hidden', id !== formId);
+    });
 }
 
 function showLoginTab() {
     document.querySelectorAll('.auth-tab').forEach(t => t.classList.remove('active'));
     document.querySelectorAll('.auth-tab')[0].classList.add('active');
-    document.getElementById('loginForm').classList.remove('hidden');
-    document.getElementById('registerForm').classList.add('hidden');
+    showAuthForm('loginForm');
 }
 
 function showRegisterTab() {
     document.querySelectorAll('.auth-tab').forEach(t => t.classList.remove('active'));
     document.querySelectorAll('.auth-tab')[1].classList.add('active');
-    document.getElementById('loginForm').classList.add('hidden');
-    document.getElementById('registerForm').classList.remove('hidden');
+    showAuthForm('registerForm');
+}
+
+function showForgotPasswordForm() {
+    document.getElementById('forgotEmail').value = document.getElementById('loginEmail').value;
+    document.getElementById('forgotError').textContent = '';
+    document.getElementById('forgotSuccess').textContent = '';
+    showAuthForm('forgotPasswordForm');
+}
+
+function showResetPasswordForm() {
+    document.querySelectorAll('.auth-tab').forEach(t => t.classList.remove('active'));
+    showAuthForm('resetPasswordForm');
+}
+
+// Forgot Password
+async function handleForgotPassword(e) {
+    e.preventDefault();
+    const email = document.getElementById('forgotEmail').value;
+    const errorDiv = document.getElementById('forgotError');
+    const successDiv = document.getElementById('forgotSuccess');
+    errorDiv.textContent = '';
+    successDiv.textContent = '';
+    
+    try {
+        const res = await fetch(`${API}/auth/forgot-password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email })
+        });
+        const data = await res.json();
+        
+        if (data.success) {
+            successDiv.textContent = data.message;
+        } else {
+            errorDiv.textContent = data.error || 'Erreur lors de la demande';
+        }
+    } catch (error) {
+        errorDiv.textContent = 'Erreur de connexion au serveur';
+    }
+}
+
+// Reset Password
+async function handleResetPassword(e) {
+    e.preventDefault();
+    const newPassword = document.getElementById('resetPassword').value;
+    const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+    const errorDiv = document.getElementById('resetError');
+    errorDiv.textContent = '';
+    
+    if (newPassword !== confirmPassword) {
+        errorDiv.textContent = 'Les mots de passe ne correspondent pas';
+        return;
+    }
+    
+    const token = new URLSearchParams(window.location.search).get('resetToken');
+    
+    try {
+        const res = await fetch(`${API}/auth/reset-password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token, newPassword })
+        });
+        const data = await res.json();
+        
+        if (data.success) {
+            // Retirer le jeton de l'URL: il n'est plus utilisable
+            window.history.replaceState({}, document.title, window.location.pathname);
+            localStorage.removeItem('currentUser');
+            alert('✅ ' + data.message);
+            showLoginTab();
+        } else {
+            errorDiv.textContent = data.error || 'Erreur lors de la réinitialisation';
+        }
+    } catch (error) {
+        errorDiv.textContent = 'Erreur de connexion au serveur';
+    }
 }
 
 // Login
@@ -109,16 +214,40 @@ function showMainApp() {
     document.getElementById('userRole').textContent = currentUser.role;
     document.getElementById('userAvatar').textContent = currentUser.name.charAt(0).toUpperCase();
     
-    if (currentUser.role === 'Librarian' || currentUser.role === 'Admin') {
-        document.body.classList.add('role-' + currentUser.role.toLowerCase());
+    // Les menus affichés dépendent des permissions du rôle, pas de son nom
+    if (hasPermission('loans:review')) {
+        document.body.classList.add('role-librarian');
+    }
+    if (hasPermission('users:manage')) {
+        document.body.classList.add('role-admin');
     }
     
     loadBooks();
     updateNotificationBadge(); // Charger le compteur de notifications
 }
 
+// Vérifie si l'utilisateur connecté dispose d'une permission
+function hasPermission(permission) {
+    return !!currentUser && Array.isArray(currentUser.permissions) && currentUser.permissions.includes(permission);
+}
+
 // Logout
-function logout() {
+async function logout() {
+    try {
+        await fetch(`${API}/auth/logout`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${currentUser.token}`
+            }
+        });
+    } catch (error) {
+        console.error('Erreur lors de la déconnexion:', error);
+    }
+    clearSession();
+}
+
+// Clear Session
+function clearSession() {
     currentUser = null;
     allBooks = [];
     localStorage.removeItem('currentUser'); // Effacer la session
@@ -175,7 +304,7 @@ async function loadBooks() {
 // Display Books
 function displayBooks(books) {
     const list = document.getElementById('booksList');
-    const isAdmin = currentUser && (currentUser.role === 'Librarian' || currentUser.role === 'Admin');
+    const isAdmin = hasPermission('catalog:write');
     
     if (books.length === 0) {
         list.innerHTML = '<div class="empty-state"><div class="icon">🔍</div><p>Aucun livre trouvé</p></div>';
@@ -213,9 +342,9 @@ function displayBooks(books) {
                         </button>
                         ${!isAvailable ? `
                             <button class="btn-watch" 
-                                    onclick="addToWatchlist('${book.id}')" 
-                                    title="Me notifier quand disponible">
-                                🔔 Notifier
+                                    onclick="placeHold('${book.id}')" 
+                                    title="Rejoindre la file d'attente">
+                                🔔 Réserver
                             </button>
                         ` : ''}
                     `}
@@ -246,8 +375,7 @@ async function quickRequestBook(bookId) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             },
             body: JSON.stringify({ bookId })
         });
@@ -305,9 +433,9 @@ function displayBooksInModal(books) {
             </div>
             ${!isAvailable ? `
                 <button class="btn-watch-small" 
-                        onclick="event.stopPropagation(); addToWatchlist('${book.id}'); closeRequestModal();" 
-                        title="Me notifier quand disponible">
-                    🔔 Notifier
+                        onclick="event.stopPropagation(); placeHold('${book.id}'); closeRequestModal();" 
+                        title="Rejoindre la file d'attente">
+                    🔔 Réserver
                 </button>
             ` : ''}
         </div>
@@ -355,8 +483,7 @@ async function confirmBookRequest() {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             },
             body: JSON.stringify({ bookId: bookIdToRequest })
         });
@@ -381,12 +508,15 @@ function closeRequestModal() {
 async function loadMyBorrowings() {
     const list = document.getElementById('myBorrowingsList');
     list.innerHTML = '<div class="loader">Chargement...</div>';
+    loadMyCard();
+    loadMyMembership();
+    loadMyFines();
+    loadMyHolds();
     
     try {
         const res = await fetch(`${API}/library/my-borrowings`, {
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
@@ -411,12 +541,21 @@ async function loadMyBorrowings() {
                                 <p class="item-subtitle">Demandé le: ${requestDate}</p>
                                 ${b.dueDate ? `<p class="item-subtitle">À retourner avant: ${dueDate}</p>` : ''}
                                 ${isLate ? '<span class="late-badge">⚠️ EN RETARD</span>' : ''}
+                                ${b.status === 'approved' && b.recall ? '<span class="recall-badge">📣 RAPPELÉ: retour anticipé demandé</span>' : ''}
                             </div>
                             <span class="status-badge status-${b.status}">${getStatusText(b.status)}</span>
                         </div>
+                        ${b.status === 'pending' ? `
+                            <div class="item-actions">
+                                <button class="btn-secondary" onclick="cancelRequest('${b.id}')">🚫 Annuler la demande</button>
+                            </div>
+                        ` : ''}
                         ${b.status === 'approved' ? `
                             <div class="item-actions">
                                 <button class="btn-return" onclick="returnBook('${b.id}')">📚 Retourner le livre</button>
+                                ${b.recall ? '' : `<button class="btn-secondary" onclick="renewBook('${b.id}')">🔁 Renouveler${b.renewalCount ? ` (${b.renewalCount})` : ''}</button>`}
+                                <button class="btn-secondary" onclick="reportIncident('${b.id}', 'declared-lost')">❓ Déclarer perdu</button>
+                                <button class="btn-secondary" onclick="reportIncident('${b.id}', 'claimed-returned')">📬 Déjà rendu</button>
                             </div>
                         ` : ''}
                     </div>
@@ -438,8 +577,7 @@ async function loadPendingRequests() {
     try {
         const res = await fetch(`${API}/library/pending-requests`, {
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
@@ -455,6 +593,7 @@ async function loadPendingRequests() {
             list.innerHTML = data.data.map(r => `
                 <div class="request-item">
                     <div class="item-header">
+                        <input type="checkbox" class="request-select" value="${r.id}" onchange="updatePendingSelection()">
                         <div>
                             <h3 class="item-title">${r.book?.title || 'Livre inconnu'}</h3>
                             <p class="item-subtitle">Par: ${r.book?.author || 'N/A'}</p>
@@ -477,6 +616,8 @@ async function loadPendingRequests() {
             document.getElementById('pendingCount').textContent = '0';
             list.innerHTML = '<div class="empty-state"><div class="icon">⏳</div><p>Aucune demande</p></div>';
         }
+        document.getElementById('pendingSelectAll').checked = false;
+        updatePendingSelection();
     } catch (error) {
         document.getElementById('pendingCount').textContent = '0';
         list.innerHTML = '<div class="empty-state"><div class="icon">❌</div><p>Erreur</p></div>';
@@ -484,6 +625,68 @@ async function loadPendingRequests() {
 }
 
 // Review Request
+// Pending Requests Multi-Select
+function getSelectedPendingIds() {
+    return Array.from(document.querySelectorAll('.request-select:checked')).map(input => input.value);
+}
+
+function updatePendingSelection() {
+    const count = getSelectedPendingIds().length;
+    document.getElementById('pendingSelectedCount').textContent = `${count} sélectionnée(s)`;
+}
+
+function toggleAllPending(checked) {
+    document.querySelectorAll('.request-select').forEach(input => { input.checked = checked; });
+    updatePendingSelection();
+}
+
+// Bulk Review (approve/reject selected requests)
+async function bulkReview(action) {
+    const requestIds = getSelectedPendingIds();
+    if (requestIds.length === 0) {
+        alert('⚠️ Sélectionnez au moins une demande');
+        return;
+    }
+
+    const label = action === 'approve' ? 'Approuver' : 'Rejeter';
+    if (!confirm(`${label} ${requestIds.length} demande(s) ?`)) return;
+
+    // Chaque approbation utilise la date de retour choisie sur sa ligne
+    const reviews = requestIds.map(requestId => {
+        const review = { requestId, action };
+        const dateInput = document.getElementById(`returnDate_${requestId}`);
+        if (action === 'approve' && dateInput && dateInput.value) {
+            review.returnDueDate = dateInput.value;
+        }
+        return review;
+    });
+
+    try {
+        const res = await fetch(`${API}/library/review/bulk`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${currentUser.token}`
+            },
+            body: JSON.stringify({ reviews })
+        });
+
+        const data = await res.json();
+        if (!data.success) {
+            alert('❌ ' + data.error);
+            return;
+        }
+
+        const failures = data.data.results.filter(result => !result.success);
+        alert(failures.length === 0
+            ? '✅ ' + data.message
+            : '⚠️ ' + data.message + '\n\n' + failures.map(result => `• ${result.requestId}: ${result.error}`).join('\n'));
+        loadPendingRequests();
+    } catch (error) {
+        alert('❌ Erreur lors de l\'examen groupé');
+    }
+}
+
 async function reviewRequest(requestId, action) {
     let returnDueDate = null;
     
@@ -509,8 +712,7 @@ async function reviewRequest(requestId, action) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             },
             body: JSON.stringify(body)
         });
@@ -542,8 +744,7 @@ async function addBook() {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             },
             body: JSON.stringify({ title, author, genre, coverImageUrl, totalQuantity })
         });
@@ -601,8 +802,7 @@ async function updateBook() {
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json',
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             },
             body: JSON.stringify({ title, author, genre, coverImageUrl, totalQuantity })
         });
@@ -629,8 +829,7 @@ async function deleteBook(bookId) {
         const res = await fetch(`${API}/books/${bookId}`, {
             method: 'DELETE',
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         
@@ -648,7 +847,12 @@ function getStatusText(status) {
         'pending': '⏳ En attente',
         'approved': '✅ Approuvé',
         'rejected': '❌ Rejeté',
-        'returned': '📖 Retourné'
+        'cancelled': '🚫 Annulée',
+        'returned': '📖 Retourné',
+        'declared-lost': '❓ Déclaré perdu',
+        'claimed-returned': '📬 Retour contesté',
+        'damaged-on-return': '🩹 Rendu endommagé',
+        'withdrawn': '🗑️ Remplacé'
     };
     return texts[status] || status;
 }
@@ -661,13 +865,13 @@ async function loadUsers() {
     try {
         const res = await fetch(`${API}/auth/users`, {
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
         
         if (data.success && data.data.length > 0) {
+            const roles = data.roles || ['Member', 'Librarian', 'Admin'];
             list.innerHTML = data.data.map(user => `
                 <div class="user-card">
                     <div class="user-card-left">
@@ -675,15 +879,19 @@ async function loadUsers() {
                         <div class="user-card-info">
                             <h3>${user.name}</h3>
                             <p>${user.email}</p>
+                            <p>${user.membershipExpiresAt
+                                ? `${user.membershipExpiresAt < Date.now() ? '⚠️ Adhésion expirée le' : 'Adhésion jusqu\'au'} ${new Date(user.membershipExpiresAt).toLocaleDateString('fr-FR')}`
+                                : 'Adhésion sans expiration'}</p>
                         </div>
                     </div>
                     <div class="user-card-right">
+                        ${hasPermission('memberships:manage') && user.membershipExpiresAt
+                            ? `<button class="btn-secondary" onclick="renewMembership('${user.id}', '${user.name}')">🔄 Renouveler l'adhésion</button>`
+                            : ''}
                         ${user.id === currentUser.id ? 
                             `<span class="role-badge ${user.role.toLowerCase()}">${user.role}</span>` :
                             `<select class="role-select" onchange="changeUserRole('${user.id}', this.value, '${user.name}')">
-                                <option value="Member" ${user.role === 'Member' ? 'selected' : ''}>Member</option>
-                                <option value="Librarian" ${user.role === 'Librarian' ? 'selected' : ''}>Librarian</option>
-                                <option value="Admin" ${user.role === 'Admin' ? 'selected' : ''}>Admin</option>
+                                ${roles.map(role => `<option value="${role}" ${user.role === role ? 'selected' : ''}>${role}</option>`).join('')}
                             </select>`
                         }
                     </div>
@@ -709,8 +917,7 @@ async function changeUserRole(userId, newRole, userName) {
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json',
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             },
             body: JSON.stringify({ newRole })
         });
@@ -724,6 +931,26 @@ async function changeUserRole(userId, newRole, userName) {
     }
 }
 
+// Renew Membership (Librarian/Admin)
+async function renewMembership(userId, userName) {
+    if (!confirm(`Renouveler l'adhésion de ${userName} ?`)) return;
+
+    try {
+        const res = await fetch(`${API}/memberships/users/${userId}/renew`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${currentUser.token}`
+            }
+        });
+
+        const data = await res.json();
+        alert(data.success ? '✅ ' + data.message : '❌ ' + data.error);
+        if (data.success) loadUsers();
+    } catch (error) {
+        alert('❌ Erreur');
+    }
+}
+
 // Return Book
 async function returnBook(requestId) {
     if (!confirm('Êtes-vous sûr de vouloir retourner ce livre ?')) return;
@@ -733,8 +960,7 @@ async function returnBook(requestId) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         
@@ -746,6 +972,156 @@ async function returnBook(requestId) {
     }
 }
 
+// Renew Book
+async function renewBook(requestId) {
+    try {
+        const res = await fetch(`${API}/library/renew/${requestId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${currentUser.token}`
+            }
+        });
+
+        const data = await res.json();
+        alert(data.success ? '✅ ' + data.message : '❌ ' + data.error);
+        if (data.success) loadMyBorrowings();
+    } catch (error) {
+        alert('❌ Erreur lors du renouvellement');
+    }
+}
+
+// Recall Loaned Copy (Librarian/Admin)
+async function recallLoan(requestId) {
+    const reason = prompt('Rappeler cet exemplaire ? La date de retour sera avancée (durée garantie et préavis respectés) et l\'emprunteur prévenu.\n\nMotif (optionnel) :');
+    if (reason === null) return;
+
+    try {
+        const res = await fetch(`${API}/library/recall`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${currentUser.token}`
+            },
+            body: JSON.stringify({ requestIds: [requestId], reason })
+        });
+
+        const data = await res.json();
+        if (!data.success) {
+            alert('❌ ' + data.error);
+            return;
+        }
+
+        const result = data.data.results[0];
+        alert(result.success ? '✅ ' + result.message : '❌ ' + result.error);
+        loadActiveLoans();
+    } catch (error) {
+        alert('❌ Erreur lors du rappel');
+    }
+}
+
+// Cancel Pending Request
+async function cancelRequest(requestId) {
+    if (!confirm('Annuler cette demande d\'emprunt ?')) return;
+
+    try {
+        const res = await fetch(`${API}/library/cancel/${requestId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${currentUser.token}`
+            }
+        });
+
+        const data = await res.json();
+        alert(data.success ? '✅ ' + data.message : '❌ ' + data.error);
+        if (data.success) loadMyBorrowings();
+    } catch (error) {
+        alert('❌ Erreur lors de l\'annulation');
+    }
+}
+
+// Report Incident (lost / claimed returned)
+async function reportIncident(requestId, status) {
+    const question = status === 'declared-lost'
+        ? 'Déclarer ce livre perdu ? Un bibliothécaire examinera la déclaration (des frais de remplacement peuvent être facturés).'
+        : 'Vous avez rendu ce livre mais le retour n\'a pas été enregistré ? Un bibliothécaire va vérifier.';
+    const note = prompt(question + '\n\nCommentaire (optionnel) :');
+    if (note === null) return;
+
+    try {
+        const res = await fetch(`${API}/library/incidents/${requestId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${currentUser.token}`
+            },
+            body: JSON.stringify({ status, note })
+        });
+
+        const data = await res.json();
+        alert(data.success ? '✅ ' + data.message : '❌ ' + data.error);
+        if (data.success) loadMyBorrowings();
+    } catch (error) {
+        alert('❌ Erreur lors du signalement');
+    }
+}
+
+// Desk Check-out by barcode scan (Librarian/Admin)
+async function deskCheckout() {
+    const result = document.getElementById('deskResult');
+
+    try {
+        const res = await fetch(`${API}/library/desk/checkout`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${currentUser.token}`
+            },
+            body: JSON.stringify({
+                member: document.getElementById('deskMember').value,
+                barcode: document.getElementById('deskCheckoutBarcode').value
+            })
+        });
+
+        const data = await res.json();
+        result.className = 'desk-result';
+        result.textContent = data.success ? '✅ ' + data.message : '❌ ' + data.error;
+        if (data.success) {
+            document.getElementById('deskCheckoutBarcode').value = '';
+            loadActiveLoans();
+        }
+    } catch (error) {
+        result.textContent = '❌ Erreur lors du prêt';
+    }
+}
+
+// Desk Check-in by barcode scan (Librarian/Admin)
+async function deskCheckin() {
+    const result = document.getElementById('deskResult');
+
+    try {
+        const res = await fetch(`${API}/library/desk/checkin`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${currentUser.token}`
+            },
+            body: JSON.stringify({ barcode: document.getElementById('deskCheckinBarcode').value })
+        });
+
+        const data = await res.json();
+        result.className = data.success && data.data.heldFor ? 'desk-result held' : 'desk-result';
+        result.textContent = data.success ? '✅ ' + data.message : '❌ ' + data.error;
+        if (data.success) {
+            document.getElementById('deskCheckinBarcode').value = '';
+            loadActiveLoans();
+        }
+    } catch (error) {
+        result.textContent = '❌ Erreur lors du retour';
+    }
+}
+
 // Load Active Loans (Librarian/Admin)
 async function loadActiveLoans() {
     const list = document.getElementById('activeLoansList');
@@ -754,8 +1130,7 @@ async function loadActiveLoans() {
     try {
         const res = await fetch(`${API}/library/active-loans`, {
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
@@ -779,8 +1154,14 @@ async function loadActiveLoans() {
                                 <p class="loan-subtitle">📅 Approuvé le: ${loan.approvalDate}</p>
                                 <p class="loan-subtitle ${isLate ? 'text-danger' : ''}">⏰ À retourner avant: <strong>${loan.dueDate}</strong></p>
                                 ${isLate ? '<span class="late-badge">⚠️ EN RETARD</span>' : ''}
+                                ${loan.recall ? `<span class="recall-badge">📣 Rappelé le ${new Date(loan.recall.recalledAt).toLocaleDateString()}</span>` : ''}
                             </div>
                         </div>
+                        ${!loan.recall && hasPermission('loans:manage') ? `
+                            <div class="item-actions">
+                                <button class="btn-secondary" onclick="recallLoan('${loan.id}')">📣 Rappeler</button>
+                            </div>
+                        ` : ''}
                     </div>
                 `;
             }).join('');
@@ -817,8 +1198,7 @@ async function loadNotifications() {
     try {
         const res = await fetch(`${API}/notifications`, {
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
@@ -828,6 +1208,9 @@ async function loadNotifications() {
                 const date = new Date(notif.createdAt).toLocaleString('fr-FR');
                 const iconMap = {
                     'NEW_REQUEST': '📬',
+                    'REQUEST_CANCELLED': '🚫',
+                    'LOAN_RECALLED': '📣',
+                    'MEMBERSHIP_EXPIRING': '🪪',
                     'DUE_DATE_REMINDER': '⏰',
                     'OVERDUE': '⚠️',
                     'BOOK_AVAILABLE': '📖'
@@ -872,8 +1255,7 @@ async function updateNotificationBadge() {
     try {
         const res = await fetch(`${API}/notifications/count`, {
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
@@ -898,8 +1280,7 @@ async function markNotificationAsRead(notificationId) {
         const res = await fetch(`${API}/notifications/${notificationId}/read`, {
             method: 'PUT',
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
@@ -921,8 +1302,7 @@ async function markAllNotificationsAsRead() {
         const res = await fetch(`${API}/notifications/read-all`, {
             method: 'PUT',
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
@@ -947,8 +1327,7 @@ async function deleteNotification(notificationId) {
         const res = await fetch(`${API}/notifications/${notificationId}`, {
             method: 'DELETE',
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
@@ -963,71 +1342,219 @@ async function deleteNotification(notificationId) {
 }
 
 /**
- * Ajouter un livre à la watchlist (me notifier quand disponible)
+ * Réserver un livre indisponible (file d'attente)
  */
-async function addToWatchlist(bookId) {
-    console.log('addToWatchlist - currentUser:', currentUser);
-    
+async function placeHold(bookId) {
     if (!currentUser || !currentUser.id) {
         alert('❌ Vous devez être connecté pour utiliser cette fonctionnalité');
-        console.error('addToWatchlist - currentUser invalide:', currentUser);
         return;
     }
-    
-    console.log('addToWatchlist - Envoi requête avec:', {
-        userId: currentUser.id,
-        userRole: currentUser.role,
-        bookId: bookId
-    });
-    
+
     try {
-        const res = await fetch(`${API}/books/${bookId}/watch`, {
+        const res = await fetch(`${API}/library/holds`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
-            }
+                'Authorization': `Bearer ${currentUser.token}`
+            },
+            body: JSON.stringify({ bookId })
         });
         const data = await res.json();
-        
-        console.log('addToWatchlist - Réponse:', data);
-        
+
         if (data.success) {
             alert(data.message);
             loadBooks(); // Recharger pour mettre à jour les boutons
         } else {
-            alert(data.error || 'Erreur lors de l\'ajout à la watchlist');
+            alert(data.error || 'Erreur lors de la réservation');
         }
     } catch (error) {
-        console.error('Erreur ajout watchlist:', error);
-        alert('Erreur lors de l\'ajout à la watchlist');
+        console.error('Erreur réservation:', error);
+        alert('Erreur lors de la réservation');
     }
 }
 
 /**
- * Retirer un livre de la watchlist
+ * Annuler une réservation
  */
-async function removeFromWatchlist(bookId) {
+async function cancelHold(holdId) {
+    if (!confirm('Annuler cette réservation ?')) return;
+
     try {
-        const res = await fetch(`${API}/books/${bookId}/watch`, {
+        const res = await fetch(`${API}/library/holds/${holdId}`, {
             method: 'DELETE',
             headers: {
-                'x-user-id': currentUser.id,
-                'x-user-role': currentUser.role
+                'Authorization': `Bearer ${currentUser.token}`
             }
         });
         const data = await res.json();
-        
+
         if (data.success) {
             alert(data.message);
-            loadBooks(); // Recharger pour mettre à jour les boutons
+            loadMyBorrowings();
         } else {
-            alert(data.error || 'Erreur lors du retrait de la watchlist');
+            alert(data.error || 'Erreur lors de l\'annulation');
+        }
+    } catch (error) {
+        console.error('Erreur annulation réservation:', error);
+        alert('Erreur lors de l\'annulation');
+    }
+}
+
+/**
+ * Afficher les réservations actives de l'utilisateur (position dans la file)
+ */
+async function loadMyCard() {
+    const summary = document.getElementById('myCardSummary');
+
+    try {
+        const res = await fetch(`${API}/cards/me`, {
+            headers: {
+                'Authorization': `Bearer ${currentUser.token}`
+            }
+        });
+        const data = await res.json();
+
+        if (!data.success) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        summary.innerHTML = `
+            <div class="borrowing-item">
+                <div class="item-header">
+                    <div>
+                        <h3 class="item-title">🪪 Carte de bibliothèque : ${data.data.formattedNumber}</h3>
+                        <p class="item-subtitle">À présenter au comptoir pour emprunter</p>
+                    </div>
+                    <button class="btn-secondary" onclick="printMyCard()">🖨️ Imprimer ma carte</button>
+                </div>
+            </div>
+        `;
+    } catch (error) {
+        summary.innerHTML = '';
+    }
+}
+
+async function loadMyMembership() {
+    const summary = document.getElementById('myMembershipSummary');
+
+    try {
+        const res = await fetch(`${API}/memberships/me`, {
+            headers: {
+                'Authorization': `Bearer ${currentUser.token}`
+            }
+        });
+        const data = await res.json();
+
+        // Rien à signaler tant que l'adhésion n'arrive pas à expiration
+        if (!data.success || !['expiring', 'expired'].includes(data.data.status)) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const expiresAt = new Date(data.data.expiresAt).toLocaleDateString('fr-FR');
+        const expired = data.data.status === 'expired';
+        summary.innerHTML = `
+            <div class="borrowing-item">
+                <div class="item-header">
+                    <div>
+                        <h3 class="item-title">🪪 ${expired ? `Adhésion expirée le ${expiresAt}` : `Adhésion valable jusqu'au ${expiresAt}`}</h3>
+                        <p class="item-subtitle">${expired ? 'Renouvelez-la à l\'accueil pour emprunter à nouveau' : `Plus que ${data.data.daysRemaining} jour(s) : pensez à la renouveler à l'accueil`}</p>
+                    </div>
+                    <span class="status-badge ${expired ? 'status-rejected' : 'status-pending'}">${expired ? 'Expirée' : 'À renouveler'}</span>
+                </div>
+            </div>
+        `;
+    } catch (error) {
+        summary.innerHTML = '';
+    }
+}
+
+async function printMyCard() {
+    try {
+        const res = await fetch(`${API}/cards/me/print`, {
+            headers: {
+                'Authorization': `Bearer ${currentUser.token}`
+            }
+        });
+
+        if (!res.ok) {
+            alert('Impossible d\'imprimer la carte');
+            return;
         }
+
+        const url = URL.createObjectURL(await res.blob());
+        window.open(url, '_blank');
+    } catch (error) {
+        alert('Erreur de connexion');
+    }
+}
+
+async function loadMyFines() {
+    const summary = document.getElementById('myFinesSummary');
+
+    try {
+        const res = await fetch(`${API}/fines/me`, {
+            headers: {
+                'Authorization': `Bearer ${currentUser.token}`
+            }
+        });
+        const data = await res.json();
+
+        if (!data.success || data.data.balance <= 0) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const charges = data.data.entries.filter(e => e.type === 'charge').slice(0, 3);
+        summary.innerHTML = `
+            <div class="borrowing-item">
+                <div class="item-header">
+                    <div>
+                        <h3 class="item-title">💶 Amendes à régler : ${data.data.formattedBalance}</h3>
+                        ${charges.map(e => `<p class="item-subtitle">${e.note}</p>`).join('')}
+                    </div>
+                    <span class="status-badge status-rejected">À payer</span>
+                </div>
+            </div>
+        `;
+    } catch (error) {
+        summary.innerHTML = '';
+    }
+}
+
+async function loadMyHolds() {
+    const list = document.getElementById('myHoldsList');
+
+    try {
+        const res = await fetch(`${API}/library/holds/me`, {
+            headers: {
+                'Authorization': `Bearer ${currentUser.token}`
+            }
+        });
+        const data = await res.json();
+        const active = data.success ? data.data.filter(h => h.status === 'waiting' || h.status === 'ready') : [];
+        const titles = Object.fromEntries(allBooks.map(b => [b.id, b.title]));
+
+        list.innerHTML = active.map(h => `
+            <div class="borrowing-item">
+                <div class="item-header">
+                    <div>
+                        <h3 class="item-title">🔔 ${titles[h.bookId] || 'Réservation'}</h3>
+                        ${h.status === 'ready'
+                            ? `<p class="item-subtitle">Exemplaire ${h.itemBarcode} mis de côté jusqu'au ${new Date(h.expiresAt).toLocaleDateString()} : faites votre demande d'emprunt</p>`
+                            : `<p class="item-subtitle">Position dans la file d'attente : ${h.position}</p>`}
+                    </div>
+                    <span class="status-badge status-${h.status === 'ready' ? 'approved' : 'pending'}">${h.status === 'ready' ? 'Prête' : 'En attente'}</span>
+                </div>
+                <div class="item-actions">
+                    ${h.status === 'ready' ? `<button class="btn-borrow" onclick="quickRequestBook('${h.bookId}')">📖 Emprunter</button>` : ''}
+                    <button class="btn-secondary" onclick="cancelHold('${h.id}')">Annuler la réservation</button>
+                </div>
+            </div>
+        `).join('');
     } catch (error) {
-        console.error('Erreur retrait watchlist:', error);
-        alert('Erreur lors du retrait de la watchlist');
+        list.innerHTML = '';
     }
 }
 
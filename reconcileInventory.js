@@ -0,0 +1,40 @@
+/**
+ * @file reconcileInventory.js
+ * @description Script pour réconcilier les quantités disponibles des livres avec les emprunts en cours
+ * Usage:
+ *   node reconcileInventory.js        # simulation: affiche les écarts sans rien modifier
+ *   node reconcileInventory.js --fix  # corrige les écarts
+ */
+
+const inventoryService = require('./services/inventoryService');
+
+async function reconcileInventory() {
+  const fix = process.argv.includes('--fix');
+
+  try {
+    console.log(`📦 Réconciliation du stock${fix ? '' : ' (simulation)'}...`);
+    const report = await inventoryService.reconcile({ fix });
+
+    report.discrepancies.forEach(discrepancy => {
+      console.log(`• ${discrepancy.title} (${discrepancy.bookId}): ` +
+        `enregistré ${discrepancy.recordedQuantity}, attendu ${discrepancy.expectedQuantity} ` +
+        `(${discrepancy.totalQuantity} exemplaire(s), ${discrepancy.activeLoans} emprunt(s) en cours)` +
+        (discrepancy.overbooked ? ' ⚠️ plus d\'emprunts que d\'exemplaires' : ''));
+    });
+
+    if (report.discrepancies.length === 0) {
+      console.log(`\n✓ ${report.checkedBooks} livre(s) vérifié(s), aucun écart`);
+    } else if (fix) {
+      console.log(`\n✓ ${report.fixed.length} livre(s) corrigé(s)`);
+    } else {
+      console.log(`\n${report.discrepancies.length} écart(s) détecté(s). Relancez avec --fix pour corriger.`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('✗ Erreur:', error);
+    process.exit(1);
+  }
+}
+
+reconcileInventory();
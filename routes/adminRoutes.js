@@ -0,0 +1,160 @@
+/**
+ * @file adminRoutes.js
+ * @description Routes d'administration du système.
+ * Délègue la logique métier au adminController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requirePermission } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../services/permissionService');
+
+/**
+ * @route GET /api/admin/permissions
+ * @description Liste les permissions et leur attribution aux rôles
+ * @access Permission roles:manage
+ */
+router.get('/permissions', requirePermission(PERMISSIONS.ROLES_MANAGE), adminController.getPermissions);
+
+/**
+ * @route GET /api/admin/roles
+ * @description Liste les rôles du registre (classe de base, permissions, politique de prêt, durée d'adhésion)
+ * @access Permission roles:manage
+ */
+router.get('/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), adminController.getRoles);
+
+/**
+ * @route POST /api/admin/roles
+ * @description Définit un nouveau rôle (name, baseClass, permissions, loanPolicy, membershipDays, description)
+ * @access Permission roles:manage
+ */
+router.post('/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), adminController.createRole);
+
+/**
+ * @route PUT /api/admin/roles/:role
+ * @description Modifie un rôle (les champs absents sont conservés)
+ * @access Permission roles:manage
+ */
+router.put('/roles/:role', requirePermission(PERMISSIONS.ROLES_MANAGE), adminController.updateRole);
+
+/**
+ * @route DELETE /api/admin/roles/:role
+ * @description Supprime un rôle personnalisé non attribué
+ * @access Permission roles:manage
+ */
+router.delete('/roles/:role', requirePermission(PERMISSIONS.ROLES_MANAGE), adminController.deleteRole);
+
+/**
+ * @route PUT /api/admin/roles/:role/permissions
+ * @description Remplace les permissions d'un rôle
+ * @access Permission roles:manage
+ */
+router.put('/roles/:role/permissions', requirePermission(PERMISSIONS.ROLES_MANAGE), adminController.updateRolePermissions);
+
+/**
+ * @route GET /api/admin/loan-policies
+ * @description Liste les règles de prêt (critères role/genre/itemType et limites redéfinies)
+ * @access Permission policies:manage
+ */
+router.get('/loan-policies', requirePermission(PERMISSIONS.POLICIES_MANAGE), adminController.getLoanPolicies);
+
+/**
+ * @route GET /api/admin/loan-policies/resolve
+ * @description Calcule la politique applicable à un contexte (query: role, genre, itemType)
+ * @access Permission policies:manage
+ */
+router.get('/loan-policies/resolve', requirePermission(PERMISSIONS.POLICIES_MANAGE), adminController.resolveLoanPolicy);
+
+/**
+ * @route POST /api/admin/loan-policies
+ * @description Définit une règle de prêt (role, genre, itemType, limits, description)
+ * @access Permission policies:manage
+ */
+router.post('/loan-policies', requirePermission(PERMISSIONS.POLICIES_MANAGE), adminController.createLoanPolicy);
+
+/**
+ * @route PUT /api/admin/loan-policies/:id
+ * @description Modifie une règle de prêt (les champs absents sont conservés)
+ * @access Permission policies:manage
+ */
+router.put('/loan-policies/:id', requirePermission(PERMISSIONS.POLICIES_MANAGE), adminController.updateLoanPolicy);
+
+/**
+ * @route DELETE /api/admin/loan-policies/:id
+ * @description Supprime une règle de prêt
+ * @access Permission policies:manage
+ */
+router.delete('/loan-policies/:id', requirePermission(PERMISSIONS.POLICIES_MANAGE), adminController.deleteLoanPolicy);
+
+/**
+ * @route GET /api/admin/auto-approval-rules
+ * @description Liste les règles d'approbation automatique des demandes d'emprunt (ordre d'évaluation)
+ * @access Permission policies:manage
+ */
+router.get('/auto-approval-rules', requirePermission(PERMISSIONS.POLICIES_MANAGE), adminController.getAutoApprovalRules);
+
+/**
+ * @route POST /api/admin/auto-approval-rules
+ * @description Définit une règle d'approbation automatique (name, conditions, enabled, description)
+ * @access Permission policies:manage
+ */
+router.post('/auto-approval-rules', requirePermission(PERMISSIONS.POLICIES_MANAGE), adminController.createAutoApprovalRule);
+
+/**
+ * @route PUT /api/admin/auto-approval-rules/:id
+ * @description Modifie une règle d'approbation automatique (les champs absents sont conservés)
+ * @access Permission policies:manage
+ */
+router.put('/auto-approval-rules/:id', requirePermission(PERMISSIONS.POLICIES_MANAGE), adminController.updateAutoApprovalRule);
+
+/**
+ * @route DELETE /api/admin/auto-approval-rules/:id
+ * @description Supprime une règle d'approbation automatique
+ * @access Permission policies:manage
+ */
+router.delete('/auto-approval-rules/:id', requirePermission(PERMISSIONS.POLICIES_MANAGE), adminController.deleteAutoApprovalRule);
+
+/**
+ * @route GET /api/admin/calendar
+ * @description Récupère les horaires d'ouverture et les fermetures exceptionnelles (query: includePast)
+ * @access Permission calendar:manage
+ */
+router.get('/calendar', requirePermission(PERMISSIONS.CALENDAR_MANAGE), adminController.getCalendar);
+
+/**
+ * @route PUT /api/admin/calendar/opening-hours
+ * @description Modifie les horaires hebdomadaires (jour → { open, close } ou null pour fermé)
+ * @access Permission calendar:manage
+ */
+router.put('/calendar/opening-hours', requirePermission(PERMISSIONS.CALENDAR_MANAGE), adminController.updateOpeningHours);
+
+/**
+ * @route POST /api/admin/calendar/closures
+ * @description Ajoute une fermeture exceptionnelle (startDate, endDate au format YYYY-MM-DD, reason)
+ * @access Permission calendar:manage
+ */
+router.post('/calendar/closures', requirePermission(PERMISSIONS.CALENDAR_MANAGE), adminController.createClosure);
+
+/**
+ * @route DELETE /api/admin/calendar/closures/:id
+ * @description Supprime une fermeture exceptionnelle
+ * @access Permission calendar:manage
+ */
+router.delete('/calendar/closures/:id', requirePermission(PERMISSIONS.CALENDAR_MANAGE), adminController.deleteClosure);
+
+/**
+ * @route GET /api/admin/audit
+ * @description Consulte le journal d'audit (filtres: actor, entity, entityId, action, from, to, limit)
+ * @access Permission audit:read
+ */
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), adminController.getAuditLog);
+
+/**
+ * @route POST /api/admin/inventory/reconcile
+ * @description Recalcule les quantités disponibles (simulation par défaut, { "fix": true } pour corriger)
+ * @access Permission inventory:manage
+ */
+router.post('/inventory/reconcile', requirePermission(PERMISSIONS.INVENTORY_MANAGE), adminController.reconcileInventory);
+
+module.exports = router;
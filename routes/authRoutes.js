@@ -7,11 +7,13 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const { requirePermission } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../services/permissionService');
 
 /**
  * @route POST /api/auth/setup-admin
- * @description Crée le premier administrateur (à utiliser une seule fois)
- * @access Public (mais à protéger en production)
+ * @description Crée le premier administrateur (mode bootstrap)
+ * @access Public tant qu'aucun administrateur n'existe, sinon secret de setup à usage unique (en-tête x-setup-secret)
  */
 router.post('/setup-admin', authController.setupAdmin);
 
@@ -29,6 +31,41 @@ router.post('/register', authController.register);
  */
 router.post('/login', authController.login);
 
+/**
+ * @route POST /api/auth/logout
+ * @description Déconnexion: révoque la session courante
+ * @access Privé
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @route POST /api/auth/logout-all
+ * @description Révoque toutes les sessions de l'utilisateur connecté
+ * @access Privé
+ */
+router.post('/logout-all', authController.logoutAll);
+
+/**
+ * @route PUT /api/auth/password
+ * @description Change le mot de passe de l'utilisateur connecté
+ * @access Privé
+ */
+router.put('/password', authController.changePassword);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @description Envoie un lien de réinitialisation du mot de passe par email
+ * @access Public
+ */
+router.post('/forgot-password', authController.forgotPassword);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @description Définit un nouveau mot de passe à partir d'un jeton de réinitialisation
+ * @access Public
+ */
+router.post('/reset-password', authController.resetPassword);
+
 /**
  * @route GET /api/auth/me
  * @description Récupère les informations de l'utilisateur connecté
@@ -38,21 +75,17 @@ router.get('/me', authController.getMe);
 
 /**
  * @route GET /api/auth/users
- * @description Récupère tous les utilisateurs (Admin uniquement)
- * @access Admin
+ * @description Récupère tous les utilisateurs
+ * @access Permission users:manage
  */
-router.get('/users', authController.getAllUsers);
+router.get('/users', requirePermission(PERMISSIONS.USERS_MANAGE), authController.getAllUsers);
 
 /**
  * @route PUT /api/auth/users/:userId/role
- * @description Change le rôle d'un utilisateur (Admin uniquement)
- * @access Admin
+ * @description Change le rôle d'un utilisateur
+ * @access Permission users:manage
  */
-router.put('/users/:userId/role', authController.updateUserRole);
-
-module.exports = router;
-
-router.put('/users/:userId/role', authController.updateUserRole);
+router.put('/users/:userId/role', requirePermission(PERMISSIONS.USERS_MANAGE), authController.updateUserRole);
 
 module.exports = router;
 
@@ -7,7 +7,6 @@
 const express = require('express');
 const router = express.Router();
 const bookController = require('../controllers/bookController');
-const notificationController = require('../controllers/notificationController');
 
 /**
  * @route GET /api/books
@@ -52,29 +51,22 @@ router.put('/:id', bookController.updateBook);
 router.delete('/:id', bookController.deleteBook);
 
 /**
- * WATCHLIST ROUTES
+ * ITEM ROUTES (exemplaires)
  */
 
 /**
- * @route POST /api/books/:id/watch
- * @description Ajouter un livre à la watchlist (me notifier quand disponible)
- * @access Member, Librarian, Admin
- */
-router.post('/:id/watch', (req, res) => notificationController.addToWatchlist(req, res));
-
-/**
- * @route DELETE /api/books/:id/watch
- * @description Retirer un livre de la watchlist
- * @access Member, Librarian, Admin
+ * @route GET /api/books/:id/items
+ * @description Liste les exemplaires d'un livre (code-barres, état, emplacement, statut)
+ * @access Public
  */
-router.delete('/:id/watch', (req, res) => notificationController.removeFromWatchlist(req, res));
+router.get('/:id/items', bookController.getBookItems);
 
 /**
- * @route GET /api/books/:id/watching
- * @description Vérifier si l'utilisateur surveille ce livre
- * @access Member, Librarian, Admin
+ * @route POST /api/books/:id/items
+ * @description Ajoute des exemplaires à un livre (count, condition, shelfLocation, itemType)
+ * @access Permission catalog:write
  */
-router.get('/:id/watching', (req, res) => notificationController.isWatching(req, res));
+router.post('/:id/items', bookController.addBookItems);
 
 module.exports = router;
 
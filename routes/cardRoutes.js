@@ -0,0 +1,55 @@
+/**
+ * @file cardRoutes.js
+ * @description Routes pour les cartes de bibliothèque.
+ * Délègue la logique métier au cardController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const cardController = require('../controllers/cardController');
+const { requireAuth, requirePermission } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../services/permissionService');
+
+/**
+ * @route GET /api/cards/me
+ * @description Récupère la carte de bibliothèque de l'utilisateur connecté
+ * @access Utilisateur connecté
+ */
+router.get('/me', requireAuth, cardController.getMyCard);
+
+/**
+ * @route GET /api/cards/me/print
+ * @description Carte imprimable (SVG avec QR code et code-barres) de l'utilisateur connecté
+ * @access Utilisateur connecté
+ */
+router.get('/me/print', requireAuth, cardController.printMyCard);
+
+/**
+ * @route GET /api/cards/lookup/:cardNumber
+ * @description Retrouve un membre à partir d'un numéro de carte (410 si la carte a été remplacée)
+ * @access Permission cards:manage
+ */
+router.get('/lookup/:cardNumber', requirePermission(PERMISSIONS.CARDS_MANAGE), cardController.lookupCard);
+
+/**
+ * @route GET /api/cards/users/:userId
+ * @description Récupère la carte d'un membre
+ * @access Permission cards:manage
+ */
+router.get('/users/:userId', requirePermission(PERMISSIONS.CARDS_MANAGE), cardController.getUserCard);
+
+/**
+ * @route GET /api/cards/users/:userId/print
+ * @description Carte imprimable (SVG) d'un membre
+ * @access Permission cards:manage
+ */
+router.get('/users/:userId/print', requirePermission(PERMISSIONS.CARDS_MANAGE), cardController.printUserCard);
+
+/**
+ * @route POST /api/cards/users/:userId/replace
+ * @description Remplace la carte d'un membre (perte, vol); l'ancien numéro n'est plus valide
+ * @access Permission cards:manage
+ */
+router.post('/users/:userId/replace', requirePermission(PERMISSIONS.CARDS_MANAGE), cardController.replaceUserCard);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * @file fineRoutes.js
+ * @description Routes pour les comptes d'amendes des membres.
+ * Délègue la logique métier au fineController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const fineController = require('../controllers/fineController');
+const { requireAuth, requirePermission } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../services/permissionService');
+
+/**
+ * @route GET /api/fines/me
+ * @description Récupère le solde et les écritures du compte de l'utilisateur connecté
+ * @access Utilisateur connecté
+ */
+router.get('/me', requireAuth, fineController.getMyAccount);
+
+/**
+ * @route GET /api/fines/users/:userId
+ * @description Récupère le compte d'amendes d'un membre
+ * @access Permission fines:manage
+ */
+router.get('/users/:userId', requirePermission(PERMISSIONS.FINES_MANAGE), fineController.getUserAccount);
+
+/**
+ * @route POST /api/fines/users/:userId/payments
+ * @description Enregistre un paiement (montant en centimes, au plus le solde dû)
+ * @access Permission fines:manage
+ */
+router.post('/users/:userId/payments', requirePermission(PERMISSIONS.FINES_MANAGE), fineController.recordPayment);
+
+/**
+ * @route POST /api/fines/users/:userId/waivers
+ * @description Accorde une remise sur le solde dû
+ * @access Permission fines:manage
+ */
+router.post('/users/:userId/waivers', requirePermission(PERMISSIONS.FINES_MANAGE), fineController.waiveFine);
+
+/**
+ * @route POST /api/fines/users/:userId/refunds
+ * @description Rembourse tout ou partie d'un paiement
+ * @access Permission fines:manage
+ */
+router.post('/users/:userId/refunds', requirePermission(PERMISSIONS.FINES_MANAGE), fineController.refundPayment);
+
+module.exports = router;
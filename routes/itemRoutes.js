@@ -0,0 +1,34 @@
+/**
+ * @file itemRoutes.js
+ * @description Routes pour la gestion des exemplaires physiques (items).
+ * Délègue la logique métier à l'itemController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const itemController = require('../controllers/itemController');
+const { requirePermission } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../services/permissionService');
+
+/**
+ * @route GET /api/items/barcode/:barcode
+ * @description Recherche un exemplaire par son code-barres
+ * @access Permission catalog:write
+ */
+router.get('/barcode/:barcode', requirePermission(PERMISSIONS.CATALOG_WRITE), itemController.getItemByBarcode);
+
+/**
+ * @route GET /api/items/:itemId
+ * @description Récupère un exemplaire par son ID
+ * @access Permission catalog:write
+ */
+router.get('/:itemId', requirePermission(PERMISSIONS.CATALOG_WRITE), itemController.getItemById);
+
+/**
+ * @route PUT /api/items/:itemId
+ * @description Modifie l'état, l'emplacement, le type ou le statut d'un exemplaire
+ * @access Permission catalog:write
+ */
+router.put('/:itemId', requirePermission(PERMISSIONS.CATALOG_WRITE), itemController.updateItem);
+
+module.exports = router;
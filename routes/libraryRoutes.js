@@ -7,34 +7,50 @@
 const express = require('express');
 const router = express.Router();
 const libraryController = require('../controllers/libraryController');
+const { requireAuth, requirePermission } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../services/permissionService');
 
 /**
  * @route POST /api/library/request
  * @description Permet à un membre de demander l'emprunt d'un livre
- * @access Member
+ * @access Permission loans:request
  */
-router.post('/request', libraryController.requestBook);
+router.post('/request', requirePermission(PERMISSIONS.LOANS_REQUEST), libraryController.requestBook);
+
+/**
+ * @route GET /api/library/eligibility
+ * @description Indique si l'utilisateur connecté peut emprunter (query: bookId optionnel) et les motifs de refus
+ * @access Utilisateur connecté
+ */
+router.get('/eligibility', requireAuth, libraryController.getEligibility);
 
 /**
  * @route GET /api/library/pending-requests
  * @description Récupère toutes les demandes d'emprunt en attente
- * @access Librarian, Admin
+ * @access Permission loans:review
  */
-router.get('/pending-requests', libraryController.getPendingRequests);
+router.get('/pending-requests', requirePermission(PERMISSIONS.LOANS_REVIEW), libraryController.getPendingRequests);
 
 /**
  * @route GET /api/library/active-loans
  * @description Récupère tous les emprunts actuellement actifs (approved)
- * @access Librarian, Admin
+ * @access Permission loans:view-all
  */
-router.get('/active-loans', libraryController.getActiveLoans);
+router.get('/active-loans', requirePermission(PERMISSIONS.LOANS_VIEW_ALL), libraryController.getActiveLoans);
 
 /**
  * @route POST /api/library/review
  * @description Permet à un bibliothécaire d'approuver ou rejeter une demande
- * @access Librarian, Admin
+ * @access Permission loans:review
+ */
+router.post('/review', requirePermission(PERMISSIONS.LOANS_REVIEW), libraryController.reviewRequest);
+
+/**
+ * @route POST /api/library/review/bulk
+ * @description Approuve ou rejette plusieurs demandes (action et date de retour par demande), avec un rapport par demande
+ * @access Permission loans:review
  */
-router.post('/review', libraryController.reviewRequest);
+router.post('/review/bulk', requirePermission(PERMISSIONS.LOANS_REVIEW), libraryController.bulkReviewRequests);
 
 /**
  * @route GET /api/library/my-borrowings
@@ -46,9 +62,93 @@ router.get('/my-borrowings', libraryController.getMyBorrowings);
 /**
  * @route POST /api/library/return/:requestId
  * @description Retourne un livre emprunté
- * @access Member (son propre emprunt), Librarian, Admin
+ * @access Emprunteur (son propre emprunt), permission loans:manage
  */
 router.post('/return/:requestId', libraryController.returnBook);
 
+/**
+ * @route POST /api/library/renew/:requestId
+ * @description Renouvelle un emprunt (durée et limite définies par la politique de prêt applicable)
+ * @access Emprunteur (son propre emprunt), permission loans:manage
+ */
+router.post('/renew/:requestId', libraryController.renewBook);
+
+/**
+ * @route POST /api/library/recall
+ * @description Rappelle des exemplaires prêtés (date de retour raccourcie, emprunteurs notifiés), avec un rapport par emprunt
+ * @access Permission loans:manage
+ */
+router.post('/recall', requirePermission(PERMISSIONS.LOANS_MANAGE), libraryController.recallLoans);
+
+/**
+ * @route POST /api/library/desk/checkout
+ * @description Prêt au comptoir: crée un emprunt approuvé pour un membre (numéro de carte, ID ou email) et un exemplaire scanné
+ * @access Permission loans:manage
+ */
+router.post('/desk/checkout', requirePermission(PERMISSIONS.LOANS_MANAGE), libraryController.deskCheckout);
+
+/**
+ * @route POST /api/library/desk/checkin
+ * @description Retour au comptoir d'un exemplaire scanné (indique s'il est mis de côté pour un autre membre)
+ * @access Permission loans:manage
+ */
+router.post('/desk/checkin', requirePermission(PERMISSIONS.LOANS_MANAGE), libraryController.deskCheckin);
+
+/**
+ * @route POST /api/library/cancel/:requestId
+ * @description Annule une demande d'emprunt encore en attente (les bibliothécaires sont notifiés)
+ * @access Auteur de la demande
+ */
+router.post('/cancel/:requestId', requireAuth, libraryController.cancelRequest);
+
+/**
+ * @route POST /api/library/incidents/:requestId
+ * @description Signale un incident sur un emprunt en cours (declared-lost, claimed-returned, damaged-on-return)
+ * @access Emprunteur (son propre emprunt), permission loans:manage (seule pour damaged-on-return)
+ */
+router.post('/incidents/:requestId', requireAuth, libraryController.reportIncident);
+
+/**
+ * @route GET /api/library/incidents
+ * @description File d'examen des incidents, des plus anciens signalements aux plus récents
+ * @access Permission loans:manage
+ */
+router.get('/incidents', requirePermission(PERMISSIONS.LOANS_MANAGE), libraryController.getIncidents);
+
+/**
+ * @route POST /api/library/incidents/:requestId/resolve
+ * @description Clôt un incident: retour (exemplaire retrouvé) ou retrait du fonds avec coût de remplacement
+ * @access Permission loans:manage
+ */
+router.post('/incidents/:requestId/resolve', requirePermission(PERMISSIONS.LOANS_MANAGE), libraryController.resolveIncident);
+
+/**
+ * @route POST /api/library/holds
+ * @description Réserve un livre indisponible (ajout en fin de file d'attente)
+ * @access Permission loans:request
+ */
+router.post('/holds', requirePermission(PERMISSIONS.LOANS_REQUEST), libraryController.placeHold);
+
+/**
+ * @route GET /api/library/holds/me
+ * @description Récupère les réservations de l'utilisateur connecté et sa position dans chaque file
+ * @access Utilisateur connecté
+ */
+router.get('/holds/me', requireAuth, libraryController.getMyHolds);
+
+/**
+ * @route GET /api/library/holds/book/:bookId
+ * @description Récupère la file d'attente d'un livre
+ * @access Permission loans:view-all
+ */
+router.get('/holds/book/:bookId', requirePermission(PERMISSIONS.LOANS_VIEW_ALL), libraryController.getBookQueue);
+
+/**
+ * @route DELETE /api/library/holds/:holdId
+ * @description Annule une réservation (l'exemplaire mis de côté passe au suivant)
+ * @access Titulaire de la réservation, permission loans:manage
+ */
+router.delete('/holds/:holdId', requireAuth, libraryController.cancelHold);
+
 module.exports = router;
 
@@ -0,0 +1,34 @@
+/**
+ * @file membershipRoutes.js
+ * @description Routes pour les adhésions des membres.
+ * Délègue la logique métier au membershipController.
+ */
+
+const express = require('express');
+const router = express.Router();
+const membershipController = require('../controllers/membershipController');
+const { requireAuth, requirePermission } = require('../middlewares/authMiddleware');
+const { PERMISSIONS } = require('../services/permissionService');
+
+/**
+ * @route GET /api/memberships/me
+ * @description Récupère l'adhésion de l'utilisateur connecté (début, expiration, état)
+ * @access Utilisateur connecté
+ */
+router.get('/me', requireAuth, membershipController.getMyMembership);
+
+/**
+ * @route GET /api/memberships/users/:userId
+ * @description Récupère l'adhésion d'un membre
+ * @access Permission memberships:manage
+ */
+router.get('/users/:userId', requirePermission(PERMISSIONS.MEMBERSHIPS_MANAGE), membershipController.getUserMembership);
+
+/**
+ * @route POST /api/memberships/users/:userId/renew
+ * @description Renouvelle l'adhésion d'un membre pour la durée de son rôle
+ * @access Permission memberships:manage
+ */
+router.post('/users/:userId/renew', requirePermission(PERMISSIONS.MEMBERSHIPS_MANAGE), membershipController.renewMembership);
+
+module.exports = router;
@@ -21,11 +21,4 @@ router.put('/:id/read', (req, res) => notificationController.markAsRead(req, res
 // DELETE /api/notifications/:id - Supprimer une notification
 router.delete('/:id', (req, res) => notificationController.deleteNotification(req, res));
 
-/**
- * Routes pour la watchlist
- */
-
-// GET /api/watchlist - Obtenir la watchlist de l'utilisateur
-router.get('/watchlist', (req, res) => notificationController.getWatchlist(req, res));
-
 module.exports = router;
@@ -4,6 +4,7 @@
  */
 
 const database = require('./services/database');
+const itemService = require('./services/itemService');
 
 const books = [
   {
@@ -109,7 +110,8 @@ async function seedBooks() {
         ...book,
         createdAt: Date.now()
       });
-      console.log(`✓ ${book.title} - ID: ${docRef.id}`);
+      const items = await itemService.createItems(docRef.id, book.totalQuantity);
+      console.log(`✓ ${book.title} - ID: ${docRef.id} (${items.length} exemplaire(s))`);
     }
 
     console.log('\n✓ 10 livres ajoutés avec succès !');
@@ -0,0 +1,217 @@
+/**
+ * @file auditService.js
+ * @description Journal d'audit des actions privilégiées (catalogue, emprunts, comptes, rôles).
+ * Chaque entrée indique qui a fait quoi, sur quelle entité, avec les valeurs avant/après.
+ * Le journal est en ajout seul: ce service n'expose aucune méthode de modification ou de suppression.
+ * Les entrées sont stockées dans la collection Firestore "auditLog".
+ */
+
+const database = require('./database');
+
+/**
+ * @description Actions enregistrées dans le journal
+ */
+const ACTIONS = {
+  BOOK_CREATE: 'book.create',
+  BOOK_UPDATE: 'book.update',
+  BOOK_DELETE: 'book.delete',
+  INVENTORY_RECONCILE: 'inventory.reconcile',
+  ITEM_CREATE: 'item.create',
+  ITEM_UPDATE: 'item.update',
+  LOAN_REQUEST: 'loan.request',
+  LOAN_APPROVE: 'loan.approve',
+  LOAN_REJECT: 'loan.reject',
+  LOAN_RETURN: 'loan.return',
+  LOAN_CANCEL: 'loan.cancel',
+  LOAN_CHECKOUT: 'loan.checkout',
+  LOAN_RENEW: 'loan.renew',
+  LOAN_RECALL: 'loan.recall',
+  LOAN_INCIDENT_REPORT: 'loan.incident.report',
+  LOAN_INCIDENT_RESOLVE: 'loan.incident.resolve',
+  HOLD_PLACE: 'hold.place',
+  HOLD_CANCEL: 'hold.cancel',
+  HOLD_EXPIRE: 'hold.expire',
+  FINE_CHARGE: 'fine.charge',
+  FINE_PAYMENT: 'fine.payment',
+  FINE_WAIVE: 'fine.waive',
+  FINE_REFUND: 'fine.refund',
+  CARD_ISSUE: 'card.issue',
+  CARD_REPLACE: 'card.replace',
+  MEMBERSHIP_RENEW: 'membership.renew',
+  USER_REGISTER: 'user.register',
+  USER_ROLE_UPDATE: 'user.role.update',
+  USER_PASSWORD_CHANGE: 'user.password.change',
+  USER_PASSWORD_RESET: 'user.password.reset',
+  USER_SESSIONS_REVOKE: 'user.sessions.revoke',
+  ROLE_CREATE: 'role.create',
+  ROLE_UPDATE: 'role.update',
+  ROLE_DELETE: 'role.delete',
+  ROLE_PERMISSIONS_UPDATE: 'role.permissions.update',
+  LOAN_POLICY_CREATE: 'loan-policy.create',
+  LOAN_POLICY_UPDATE: 'loan-policy.update',
+  LOAN_POLICY_DELETE: 'loan-policy.delete',
+  AUTO_APPROVAL_RULE_CREATE: 'auto-approval-rule.create',
+  AUTO_APPROVAL_RULE_UPDATE: 'auto-approval-rule.update',
+  AUTO_APPROVAL_RULE_DELETE: 'auto-approval-rule.delete',
+  CALENDAR_HOURS_UPDATE: 'calendar.hours.update',
+  CALENDAR_CLOSURE_CREATE: 'calendar.closure.create',
+  CALENDAR_CLOSURE_DELETE: 'calendar.closure.delete',
+  SYSTEM_BOOTSTRAP: 'system.bootstrap'
+};
+
+class AuditService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Nom de la collection Firestore du journal
+     */
+    this.COLLECTION_NAME = 'auditLog';
+
+    /**
+     * @property {Object} ACTIONS - Constantes des actions auditées (ex: ACTIONS.BOOK_DELETE)
+     */
+    this.ACTIONS = ACTIONS;
+
+    /**
+     * @property {number} MAX_RESULTS - Nombre maximal d'entrées retournées par une recherche
+     */
+    this.MAX_RESULTS = 500;
+  }
+
+  /**
+   * @description Réduit un utilisateur aux informations conservées dans le journal
+   * @param {Object|null} user - Utilisateur à l'origine de l'action (null: anonyme)
+   * @returns {Object} Acteur { id, email, role }
+   * @private
+   */
+  _actor(user) {
+    if (!user) {
+      return { id: null, email: null, role: null };
+    }
+
+    return {
+      id: user.id || null,
+      email: user.email || null,
+      role: user.role || null
+    };
+  }
+
+  /**
+   * @description Convertit une valeur (modèle, objet...) en données sérialisables par Firestore
+   * @param {*} value - Valeur à conserver
+   * @returns {Object|null} Copie simple de la valeur
+   * @private
+   */
+  _snapshot(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * @description Ajoute une entrée au journal d'audit
+   * Une erreur d'écriture est journalisée mais n'annule pas l'action déjà effectuée.
+   * @param {Object} entry - Entrée à enregistrer
+   * @param {Object|null} entry.actor - Utilisateur à l'origine de l'action
+   * @param {string} entry.action - Action réalisée (voir ACTIONS)
+   * @param {string} entry.entity - Type d'entité ciblée ('book', 'item', 'borrowing', 'hold', 'fine', 'user', 'role', 'loan-policy', 'auto-approval-rule', 'calendar', 'system')
+   * @param {string|null} entry.entityId - ID de l'entité ciblée
+   * @param {*} entry.before - Valeur avant l'action
+   * @param {*} entry.after - Valeur après l'action
+   * @param {Object} entry.metadata - Informations complémentaires (IP, raison d'un refus...)
+   * @returns {Promise<string|null>} ID de l'entrée créée, ou null en cas d'échec
+   */
+  async record(entry) {
+    const actor = this._actor(entry.actor);
+
+    try {
+      const docRef = await this.db.collection(this.COLLECTION_NAME).add({
+        actorId: actor.id,
+        actorEmail: actor.email,
+        actorRole: actor.role,
+        action: entry.action,
+        entity: entry.entity,
+        entityId: entry.entityId || null,
+        before: this._snapshot(entry.before),
+        after: this._snapshot(entry.after),
+        metadata: this._snapshot(entry.metadata),
+        timestamp: Date.now()
+      });
+
+      return docRef.id;
+    } catch (error) {
+      console.error(`Erreur lors de l'enregistrement de l'action ${entry.action} dans le journal d'audit:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * @description Recherche des entrées du journal, de la plus récente à la plus ancienne
+   * Sans filtre d'égalité, la plage de dates, le tri et la limite sont appliqués par Firestore: seules
+   * les entrées renvoyées sont lues, quelle que soit la taille du journal. Avec un filtre d'égalité,
+   * la plage de dates est appliquée en mémoire sur les entrées filtrées (évite de devoir créer un index
+   * composite par combinaison de filtres).
+   * @param {Object} filters - Filtres de recherche
+   * @param {string} filters.actorId - ID de l'acteur
+   * @param {string} filters.entity - Type d'entité
+   * @param {string} filters.entityId - ID de l'entité
+   * @param {string} filters.action - Action
+   * @param {number} filters.from - Timestamp minimal (inclus)
+   * @param {number} filters.to - Timestamp maximal (inclus)
+   * @param {number} filters.limit - Nombre maximal de résultats (plafonné à MAX_RESULTS)
+   * @returns {Promise<Array<Object>>} Entrées trouvées
+   */
+  async query(filters = {}) {
+    try {
+      const limit = Math.min(filters.limit || this.MAX_RESULTS, this.MAX_RESULTS);
+      const equalityFields = ['actorId', 'entity', 'entityId', 'action'].filter(field => filters[field]);
+      let query = this.db.collection(this.COLLECTION_NAME);
+
+      // Sans filtre d'égalité: plage, tri et limite sur le seul champ timestamp (index simple)
+      if (equalityFields.length === 0) {
+        if (filters.from) {
+          query = query.where('timestamp', '>=', filters.from);
+        }
+        if (filters.to) {
+          query = query.where('timestamp', '<=', filters.to);
+        }
+
+        const snapshot = await query.orderBy('timestamp', 'desc').limit(limit).get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      }
+
+      equalityFields.forEach(field => {
+        query = query.where(field, '==', filters[field]);
+      });
+
+      const snapshot = await query.get();
+      const entries = [];
+
+      snapshot.forEach(doc => {
+        const data = doc.data();
+        if (filters.from && data.timestamp < filters.from) {
+          return;
+        }
+        if (filters.to && data.timestamp > filters.to) {
+          return;
+        }
+        entries.push({ id: doc.id, ...data });
+      });
+
+      return entries
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Erreur lors de la recherche dans le journal d\'audit:', error);
+      throw new Error('Impossible de consulter le journal d\'audit');
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,252 @@
+/**
+ * @file autoApprovalService.js
+ * @description Règles d'approbation automatique des demandes d'emprunt.
+ * À la création d'une demande, la Facade cherche la première règle active (par ordre de création)
+ * dont toutes les conditions sont remplies; la demande est alors approuvée immédiatement, avec la
+ * date de retour de la politique de prêt, et la règle appliquée est enregistrée sur l'emprunt.
+ *
+ * Les règles sont stockées dans la collection Firestore "autoApprovalRules" et gardées en mémoire.
+ */
+
+const database = require('./database');
+const roleService = require('./roleService');
+const AutoApprovalRule = require('../models/autoApprovalRule');
+
+class AutoApprovalService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Nom de la collection Firestore des règles
+     */
+    this.COLLECTION_NAME = 'autoApprovalRules';
+
+    /**
+     * @property {Map<string, AutoApprovalRule>} rules - Registre en mémoire ID → règle
+     */
+    this.rules = new Map();
+  }
+
+  /**
+   * @description Charge les règles enregistrées en base (à appeler au démarrage)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const snapshot = await this.db.collection(this.COLLECTION_NAME).get();
+
+      this.rules.clear();
+      snapshot.forEach(doc => {
+        this.rules.set(doc.id, this._toRule(doc.id, doc.data()));
+      });
+
+      console.log(`✓ ${this.rules.size} règle(s) d'approbation automatique chargée(s)`);
+    } catch (error) {
+      console.error('Erreur lors du chargement des règles d\'approbation automatique:', error);
+      throw new Error('Impossible de charger les règles d\'approbation automatique');
+    }
+  }
+
+  /**
+   * @description Construit une règle à partir des données stockées
+   * @param {string} id - ID de la règle
+   * @param {Object} data - Données de la règle
+   * @returns {AutoApprovalRule} La règle
+   * @private
+   */
+  _toRule(id, data) {
+    return new AutoApprovalRule(id, data.name, data.conditions || {}, data);
+  }
+
+  /**
+   * @description Valide une définition de règle
+   * @param {Object} definition - { name, conditions, enabled }
+   * @returns {Array<string>} Liste des erreurs (vide si valide)
+   * @private
+   */
+  _validate(definition) {
+    const errors = [];
+    const { name, conditions, enabled } = definition;
+
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      errors.push('name est requis');
+    }
+    if (typeof enabled !== 'boolean') {
+      errors.push('enabled doit être un booléen');
+    }
+
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      errors.push('conditions doit être un objet');
+      return errors;
+    }
+
+    const unknown = Object.keys(conditions).filter(field => !AutoApprovalRule.CONDITION_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      errors.push(`condition(s) inconnue(s): ${unknown.join(', ')}`);
+    }
+
+    const defined = AutoApprovalRule.CONDITION_FIELDS.filter(field => conditions[field] !== undefined && conditions[field] !== null);
+    if (defined.length === 0) {
+      errors.push(`au moins une condition est requise (${AutoApprovalRule.CONDITION_FIELDS.join(', ')})`);
+    }
+
+    defined.forEach(field => {
+      const value = conditions[field];
+
+      if (AutoApprovalRule.LIST_CONDITIONS.includes(field)) {
+        if (!Array.isArray(value) || value.length === 0 || value.some(entry => typeof entry !== 'string' || entry.trim() === '')) {
+          errors.push(`conditions.${field} doit être une liste non vide de chaînes`);
+        }
+      } else if (!Number.isInteger(value) || value < 0) {
+        errors.push(`conditions.${field} doit être un entier supérieur ou égal à 0`);
+      }
+    });
+
+    if (Array.isArray(conditions.roles)) {
+      const unknownRoles = conditions.roles.filter(role => !roleService.hasRole(role));
+      if (unknownRoles.length > 0) {
+        errors.push(`rôle(s) inconnu(s): ${unknownRoles.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * @description Liste les règles dans leur ordre d'évaluation (création)
+   * @returns {Array<AutoApprovalRule>} Règles
+   */
+  listRules() {
+    return Array.from(this.rules.values()).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * @description Retourne une règle par son ID
+   * @param {string} ruleId - ID de la règle
+   * @returns {AutoApprovalRule|null} La règle ou null
+   */
+  getRule(ruleId) {
+    return this.rules.get(ruleId) || null;
+  }
+
+  /**
+   * @description Cherche la première règle active applicable à une demande
+   * @param {Object} context - { role, genre, availableCopies, activeLoans, overdueLoans, fineBalance }
+   * @returns {AutoApprovalRule|null} La règle applicable ou null (la demande attend un bibliothécaire)
+   */
+  findMatchingRule(context) {
+    return this.listRules().find(rule => rule.matches(context)) || null;
+  }
+
+  /**
+   * @description Crée une règle d'approbation automatique
+   * @param {Object} definition - Définition de la règle
+   * @param {string} definition.name - Nom de la règle
+   * @param {Object} definition.conditions - Conditions (voir AutoApprovalRule.CONDITION_FIELDS, au moins une)
+   * @param {boolean} definition.enabled - Règle active (par défaut true)
+   * @param {string} definition.description - Description
+   * @returns {Promise<AutoApprovalRule>} La règle créée
+   * @throws {Error} Si la définition est invalide
+   */
+  async createRule(definition) {
+    const now = Date.now();
+    const data = {
+      name: typeof definition.name === 'string' ? definition.name.trim() : definition.name,
+      conditions: definition.conditions,
+      enabled: definition.enabled !== undefined ? definition.enabled : true,
+      description: definition.description || '',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const errors = this._validate(data);
+    if (errors.length > 0) {
+      throw new Error(`Règle d'approbation automatique invalide: ${errors.join(', ')}`);
+    }
+
+    data.conditions = new AutoApprovalRule(null, data.name, data.conditions).conditions;
+
+    try {
+      const docRef = await this.db.collection(this.COLLECTION_NAME).add(data);
+      const rule = this._toRule(docRef.id, data);
+      this.rules.set(rule.id, rule);
+
+      console.log(`✓ Règle d'approbation automatique ${rule.id} créée`);
+      return rule;
+    } catch (error) {
+      console.error('Erreur lors de la création de la règle d\'approbation automatique:', error);
+      throw new Error('Impossible de créer la règle d\'approbation automatique');
+    }
+  }
+
+  /**
+   * @description Modifie une règle (les champs absents sont conservés, les conditions remplacées)
+   * @param {string} ruleId - ID de la règle
+   * @param {Object} changes - Champs à modifier (name, conditions, enabled, description)
+   * @returns {Promise<AutoApprovalRule>} La règle mise à jour
+   * @throws {Error} Si la règle n'existe pas ou si la définition est invalide
+   */
+  async updateRule(ruleId, changes) {
+    const current = this.rules.get(ruleId);
+    if (!current) {
+      throw new Error(`Règle d'approbation automatique ${ruleId} non trouvée`);
+    }
+
+    const data = {
+      name: changes.name !== undefined ? (typeof changes.name === 'string' ? changes.name.trim() : changes.name) : current.name,
+      conditions: changes.conditions !== undefined ? changes.conditions : current.conditions,
+      enabled: changes.enabled !== undefined ? changes.enabled : current.enabled,
+      description: changes.description !== undefined ? changes.description : current.description,
+      createdAt: current.createdAt,
+      updatedAt: Date.now()
+    };
+
+    const errors = this._validate(data);
+    if (errors.length > 0) {
+      throw new Error(`Règle d'approbation automatique invalide: ${errors.join(', ')}`);
+    }
+
+    data.conditions = new AutoApprovalRule(null, data.name, data.conditions).conditions;
+
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc(ruleId).set(data);
+    } catch (error) {
+      console.error(`Erreur lors de la mise à jour de la règle d'approbation automatique ${ruleId}:`, error);
+      throw new Error('Impossible de mettre à jour la règle d\'approbation automatique');
+    }
+
+    const rule = this._toRule(ruleId, data);
+    this.rules.set(ruleId, rule);
+    console.log(`✓ Règle d'approbation automatique ${ruleId} mise à jour`);
+    return rule;
+  }
+
+  /**
+   * @description Supprime une règle
+   * @param {string} ruleId - ID de la règle
+   * @returns {Promise<AutoApprovalRule>} La règle supprimée
+   * @throws {Error} Si la règle n'existe pas
+   */
+  async deleteRule(ruleId) {
+    const current = this.rules.get(ruleId);
+    if (!current) {
+      throw new Error(`Règle d'approbation automatique ${ruleId} non trouvée`);
+    }
+
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc(ruleId).delete();
+    } catch (error) {
+      console.error(`Erreur lors de la suppression de la règle d'approbation automatique ${ruleId}:`, error);
+      throw new Error('Impossible de supprimer la règle d\'approbation automatique');
+    }
+
+    this.rules.delete(ruleId);
+    console.log(`✓ Règle d'approbation automatique ${ruleId} supprimée`);
+    return current;
+  }
+}
+
+module.exports = new AutoApprovalService();
@@ -109,7 +109,7 @@ class BookService {
         data.author,
         data.genre,
         data.coverImageUrl || '',
-        data.totalQuantity || 1,
+        data.totalQuantity !== undefined ? data.totalQuantity : 1,
         data.availableQuantity !== undefined ? data.availableQuantity : (data.totalQuantity || 1)
       );
     } catch (error) {
@@ -156,7 +156,7 @@ class BookService {
           data.author,
           data.genre,
           data.coverImageUrl || '',
-          data.totalQuantity || 1,
+          data.totalQuantity !== undefined ? data.totalQuantity : 1,
           data.availableQuantity !== undefined ? data.availableQuantity : (data.totalQuantity || 1)
         ));
       });
@@ -185,7 +185,7 @@ class BookService {
           data.author,
           data.genre,
           data.coverImageUrl || '',
-          data.totalQuantity || 1,
+          data.totalQuantity !== undefined ? data.totalQuantity : 1,
           data.availableQuantity !== undefined ? data.availableQuantity : (data.totalQuantity || 1)
         ));
       });
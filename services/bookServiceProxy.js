@@ -6,10 +6,20 @@
  * 
  * PATTERN: Proxy (Protection Proxy)
  * OBJECTIF: Contrôler l'accès aux méthodes sensibles du BookService.
- * Vérifie le rôle de l'utilisateur avant d'autoriser des actions comme addBook ou updateBook.
+ * Vérifie les permissions de l'utilisateur (registre central) avant d'autoriser des actions comme addBook ou updateBook.
+ * Chaque écriture autorisée est enregistrée dans le journal d'audit.
+ * Les exemplaires (items) d'un livre sont créés, retirés et modifiés via ce proxy:
+ * les quantités du livre en sont dérivées et ne peuvent pas être modifiées directement.
  */
 
 const bookService = require('./bookService');
+const permissionService = require('./permissionService');
+const auditService = require('./auditService');
+const itemService = require('./itemService');
+const Item = require('../models/item');
+
+const { PERMISSIONS } = permissionService;
+const { ACTIONS } = auditService;
 
 class BookServiceProxy {
   constructor() {
@@ -21,36 +31,19 @@ class BookServiceProxy {
   }
 
   /**
-   * @description Méthode privée pour vérifier si l'utilisateur est admin ou bibliothécaire
+   * @description Méthode privée pour vérifier si l'utilisateur dispose d'une permission
+   * Délègue au registre central des permissions
    * @param {Object} user - Objet utilisateur à vérifier
-   * @returns {boolean} True si l'utilisateur a les permissions nécessaires
+   * @param {string} permission - Permission requise (ex: 'catalog:write')
+   * @returns {boolean} True si l'utilisateur a la permission
    * @private
    */
-  _isAuthorized(user) {
-    if (!user) {
-      return false;
-    }
-    
-    return user.role === 'Admin' || user.role === 'Librarian';
+  _isAuthorized(user, permission) {
+    return permissionService.hasPermission(user, permission);
   }
 
   /**
-   * @description Méthode privée pour vérifier si l'utilisateur est admin
-   * @param {Object} user - Objet utilisateur à vérifier
-   * @returns {boolean} True si l'utilisateur est admin
-   * @private
-   */
-  _isAdmin(user) {
-    if (!user) {
-      return false;
-    }
-    
-    return user.role === 'Admin';
-  }
-
-  /**
-   * @description Ajoute un nouveau livre (PROTÉGÉ - nécessite permissions)
-   * Seuls les Admin et Librarian peuvent ajouter des livres
+   * @description Ajoute un nouveau livre (PROTÉGÉ - permission catalog:write)
    * @param {Object} bookData - Données du livre à ajouter
    * @param {Object} user - Utilisateur qui effectue l'action
    * @returns {Promise<Book>} Le livre créé
@@ -58,20 +51,40 @@ class BookServiceProxy {
    */
   async addBook(bookData, user) {
     // Vérification des permissions AVANT de déléguer au vrai service
-    if (!this._isAuthorized(user)) {
+    if (!this._isAuthorized(user, PERMISSIONS.CATALOG_WRITE)) {
       console.warn(`Tentative non autorisée d'ajout de livre par ${user?.email || 'utilisateur inconnu'}`);
-      throw new Error('Accès refusé: Seuls les administrateurs et bibliothécaires peuvent ajouter des livres');
+      throw new Error(`Accès refusé: la permission ${PERMISSIONS.CATALOG_WRITE} est requise pour ajouter des livres`);
     }
 
     console.log(`✓ Autorisation accordée pour l'ajout de livre par ${user.email} (${user.role})`);
     
+    const totalQuantity = parseInt(bookData.totalQuantity, 10) || 1;
+
     // Déléguer au vrai service
-    return await this.realBookService.addBook(bookData);
+    const created = await this.realBookService.addBook({ ...bookData, totalQuantity });
+    const items = await itemService.createItems(created.id, totalQuantity, {
+      condition: bookData.condition,
+      shelfLocation: bookData.shelfLocation,
+      itemType: bookData.itemType
+    });
+    const book = await this.realBookService.findBookById(created.id);
+
+    await auditService.record({
+      actor: user,
+      action: ACTIONS.BOOK_CREATE,
+      entity: 'book',
+      entityId: book.id,
+      after: book,
+      metadata: { barcodes: items.map(item => item.barcode) }
+    });
+
+    return book;
   }
 
   /**
-   * @description Met à jour un livre (PROTÉGÉ - nécessite permissions)
-   * Seuls les Admin et Librarian peuvent modifier des livres
+   * @description Met à jour un livre (PROTÉGÉ - permission catalog:write)
+   * Un changement de totalQuantity crée des exemplaires ou retire des exemplaires en rayon;
+   * availableQuantity est ignoré (il est calculé à partir des exemplaires).
    * @param {string} bookId - ID du livre à mettre à jour
    * @param {Object} updateData - Données à mettre à jour
    * @param {Object} user - Utilisateur qui effectue l'action
@@ -80,30 +93,62 @@ class BookServiceProxy {
    */
   async updateBook(bookId, updateData, user) {
     // Vérification des permissions AVANT de déléguer au vrai service
-    if (!this._isAuthorized(user)) {
+    if (!this._isAuthorized(user, PERMISSIONS.CATALOG_WRITE)) {
       console.warn(`Tentative non autorisée de modification de livre par ${user?.email || 'utilisateur inconnu'}`);
-      throw new Error('Accès refusé: Seuls les administrateurs et bibliothécaires peuvent modifier des livres');
+      throw new Error(`Accès refusé: la permission ${PERMISSIONS.CATALOG_WRITE} est requise pour modifier des livres`);
     }
 
     console.log(`✓ Autorisation accordée pour la modification du livre ${bookId} par ${user.email} (${user.role})`);
     
+    const before = await this.realBookService.findBookById(bookId);
+    if (!before) {
+      return null;
+    }
+
+    const { totalQuantity, availableQuantity, isAvailable, ...bookData } = updateData;
+
+    if (totalQuantity !== undefined) {
+      const requested = parseInt(totalQuantity, 10);
+      if (!Number.isInteger(requested) || requested < 0) {
+        throw new Error(`Nombre d'exemplaires invalide: ${totalQuantity}`);
+      }
+
+      await itemService.ensureItemsForBook(bookId);
+      const current = await this.realBookService.findBookById(bookId);
+
+      if (requested > current.totalQuantity) {
+        await itemService.createItems(bookId, requested - current.totalQuantity);
+      } else if (requested < current.totalQuantity) {
+        await itemService.withdrawAvailableItems(bookId, current.totalQuantity - requested);
+      }
+    }
+
     // Déléguer au vrai service
-    return await this.realBookService.updateBook(bookId, updateData);
+    const book = await this.realBookService.updateBook(bookId, bookData);
+
+    await auditService.record({
+      actor: user,
+      action: ACTIONS.BOOK_UPDATE,
+      entity: 'book',
+      entityId: bookId,
+      before,
+      after: book
+    });
+
+    return book;
   }
 
   /**
-   * @description Supprime un livre (PROTÉGÉ - nécessite permissions)
-   * Les Admin et Librarian peuvent supprimer des livres
+   * @description Supprime un livre (PROTÉGÉ - permission catalog:delete)
    * @param {string} bookId - ID du livre à supprimer
    * @param {Object} user - Utilisateur qui effectue l'action
    * @returns {Promise<void>}
    * @throws {Error} Si l'utilisateur n'a pas les permissions ou si le livre est emprunté
    */
   async deleteBook(bookId, user) {
-    // Admin et Librarian peuvent supprimer
-    if (!this._isAuthorized(user)) {
+    if (!this._isAuthorized(user, PERMISSIONS.CATALOG_DELETE)) {
       console.warn(`Tentative non autorisée de suppression de livre par ${user?.email || 'utilisateur inconnu'}`);
-      throw new Error('Accès refusé: Seuls les administrateurs et bibliothécaires peuvent supprimer des livres');
+      throw new Error(`Accès refusé: la permission ${PERMISSIONS.CATALOG_DELETE} est requise pour supprimer des livres`);
     }
 
     console.log(`✓ Autorisation accordée pour la suppression du livre ${bookId} par ${user.email} (${user.role})`);
@@ -114,16 +159,100 @@ class BookServiceProxy {
       throw new Error(`Livre ${bookId} non trouvé`);
     }
     
-    if (book.availableQuantity < book.totalQuantity) {
-      const borrowedCount = book.totalQuantity - book.availableQuantity;
+    // Exemplaires en prêt (livre sans exemplaires: écart entre total et disponible)
+    const items = await itemService.findItemsByBook(bookId);
+    const borrowedCount = items.length > 0
+      ? items.filter(item => item.status === Item.Statuses.ON_LOAN).length
+      : book.totalQuantity - book.availableQuantity;
+
+    if (borrowedCount > 0) {
       console.warn(`Tentative de suppression du livre "${book.title}" alors que ${borrowedCount} exemplaire(s) sont emprunté(s)`);
       throw new Error(`Impossible de supprimer le livre "${book.title}" : ${borrowedCount} exemplaire(s) emprunté(s) sur ${book.totalQuantity}`);
     }
     
-    console.log(`✓ Livre "${book.title}" - tous les exemplaires sont disponibles (${book.availableQuantity}/${book.totalQuantity}), suppression autorisée`);
+    console.log(`✓ Livre "${book.title}" - aucun exemplaire emprunté (${book.availableQuantity}/${book.totalQuantity} en rayon), suppression autorisée`);
     
     // Déléguer au vrai service
-    return await this.realBookService.deleteBook(bookId);
+    const result = await this.realBookService.deleteBook(bookId);
+    await itemService.deleteItemsForBook(bookId);
+
+    await auditService.record({
+      actor: user,
+      action: ACTIONS.BOOK_DELETE,
+      entity: 'book',
+      entityId: bookId,
+      before: book
+    });
+
+    return result;
+  }
+
+  /**
+   * @description Ajoute des exemplaires à un livre (PROTÉGÉ - permission catalog:write)
+   * @param {string} bookId - ID du livre
+   * @param {number} count - Nombre d'exemplaires à créer
+   * @param {Object} details - condition, shelfLocation, itemType des nouveaux exemplaires
+   * @param {Object} user - Utilisateur qui effectue l'action
+   * @returns {Promise<Array<Item>>} Exemplaires créés
+   * @throws {Error} Si l'utilisateur n'a pas les permissions
+   */
+  async addItems(bookId, count, details, user) {
+    if (!this._isAuthorized(user, PERMISSIONS.CATALOG_WRITE)) {
+      console.warn(`Tentative non autorisée d'ajout d'exemplaires par ${user?.email || 'utilisateur inconnu'}`);
+      throw new Error(`Accès refusé: la permission ${PERMISSIONS.CATALOG_WRITE} est requise pour ajouter des exemplaires`);
+    }
+
+    await itemService.ensureItemsForBook(bookId);
+    const items = await itemService.createItems(bookId, count, details);
+
+    await auditService.record({
+      actor: user,
+      action: ACTIONS.ITEM_CREATE,
+      entity: 'book',
+      entityId: bookId,
+      after: items
+    });
+
+    return items;
+  }
+
+  /**
+   * @description Modifie un exemplaire: état, emplacement, type ou statut (PROTÉGÉ - permission catalog:write)
+   * @param {string} itemId - ID de l'exemplaire
+   * @param {Object} changes - Champs à modifier
+   * @param {Object} user - Utilisateur qui effectue l'action
+   * @returns {Promise<Item>} L'exemplaire modifié
+   * @throws {Error} Si l'utilisateur n'a pas les permissions
+   */
+  async updateItem(itemId, changes, user) {
+    if (!this._isAuthorized(user, PERMISSIONS.CATALOG_WRITE)) {
+      console.warn(`Tentative non autorisée de modification d'exemplaire par ${user?.email || 'utilisateur inconnu'}`);
+      throw new Error(`Accès refusé: la permission ${PERMISSIONS.CATALOG_WRITE} est requise pour modifier des exemplaires`);
+    }
+
+    const { before, after } = await itemService.updateItem(itemId, changes);
+
+    await auditService.record({
+      actor: user,
+      action: ACTIONS.ITEM_UPDATE,
+      entity: 'item',
+      entityId: itemId,
+      before,
+      after
+    });
+
+    return after;
+  }
+
+  /**
+   * @description Récupère les exemplaires d'un livre (PUBLIC - pas de vérification nécessaire)
+   * Les livres antérieurs aux exemplaires reçoivent leurs exemplaires à la première consultation.
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Array<Item>>} Exemplaires du livre
+   */
+  async findItemsByBook(bookId) {
+    await itemService.ensureItemsForBook(bookId);
+    return await itemService.findItemsByBook(bookId);
   }
 
   /**
@@ -0,0 +1,152 @@
+/**
+ * @file bootstrapService.js
+ * @description Service qui protège l'initialisation du système (création du premier administrateur).
+ * L'initialisation est "réclamée" en créant un document Firestore avec create(),
+ * qui échoue si le document existe déjà: deux appels simultanés ne peuvent pas réussir tous les deux,
+ * même s'ils sont traités par deux instances différentes du serveur.
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+const auditService = require('./auditService');
+
+class BootstrapService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} SYSTEM_COLLECTION - Collection des documents système (verrous d'initialisation)
+     */
+    this.SYSTEM_COLLECTION = 'system';
+  }
+
+  /**
+   * @description Calcule l'ID du verrou associé à une méthode d'initialisation
+   * Le premier administrateur utilise un verrou unique; chaque secret de setup a son propre verrou,
+   * ce qui rend un secret utilisable une seule fois (en changer dans l'environnement en réactive un nouveau).
+   * @param {string} method - 'first-admin' ou 'setup-secret'
+   * @param {string|null} secret - Secret de setup utilisé
+   * @returns {string} ID du document verrou
+   * @private
+   */
+  _lockId(method, secret) {
+    if (method === 'setup-secret') {
+      const fingerprint = crypto.createHash('sha256').update(secret).digest('hex').slice(0, 16);
+      return `setup-secret-${fingerprint}`;
+    }
+    return 'bootstrap';
+  }
+
+  /**
+   * @description Vérifie un secret de setup contre la variable d'environnement SETUP_SECRET
+   * @param {string} secret - Secret fourni par le client
+   * @returns {boolean} True si le secret est configuré et correspond
+   */
+  isValidSetupSecret(secret) {
+    const expected = process.env.SETUP_SECRET;
+    if (!expected || typeof secret !== 'string') {
+      return false;
+    }
+
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const secretHash = crypto.createHash('sha256').update(secret).digest();
+    return crypto.timingSafeEqual(expectedHash, secretHash);
+  }
+
+  /**
+   * @description Réclame le droit d'initialiser le système (opération atomique)
+   * @param {string} method - 'first-admin' ou 'setup-secret'
+   * @param {string|null} secret - Secret de setup (méthode 'setup-secret' uniquement)
+   * @returns {Promise<string>} ID du verrou obtenu (à passer à releaseClaim ou completeClaim)
+   * @throws {Error} Si l'initialisation a déjà été réalisée avec cette méthode
+   */
+  async claim(method, secret = null) {
+    const lockId = this._lockId(method, secret);
+
+    try {
+      await this.db.collection(this.SYSTEM_COLLECTION).doc(lockId).create({
+        method,
+        status: 'in-progress',
+        claimedAt: Date.now()
+      });
+      return lockId;
+    } catch (error) {
+      if (error.code === 6 || error.code === 'already-exists') {
+        throw new Error(method === 'setup-secret'
+          ? 'Accès refusé: ce secret de setup a déjà été utilisé'
+          : 'Accès refusé: le système a déjà été initialisé');
+      }
+      console.error('Erreur lors de la réclamation de l\'initialisation:', error);
+      throw new Error('Impossible de vérifier l\'état d\'initialisation');
+    }
+  }
+
+  /**
+   * @description Libère un verrou après un échec de création de l'administrateur
+   * @param {string} lockId - ID du verrou obtenu avec claim()
+   * @returns {Promise<void>}
+   */
+  async releaseClaim(lockId) {
+    try {
+      await this.db.collection(this.SYSTEM_COLLECTION).doc(lockId).delete();
+    } catch (error) {
+      console.error(`Erreur lors de la libération du verrou ${lockId}:`, error);
+    }
+  }
+
+  /**
+   * @description Finalise l'initialisation: le verrou conserve l'identité de l'administrateur créé
+   * @param {string} lockId - ID du verrou obtenu avec claim()
+   * @param {Object} admin - Administrateur créé
+   * @returns {Promise<void>}
+   */
+  async completeClaim(lockId, admin) {
+    try {
+      await this.db.collection(this.SYSTEM_COLLECTION).doc(lockId).update({
+        status: 'completed',
+        adminId: admin.id,
+        adminEmail: admin.email,
+        completedAt: Date.now()
+      });
+    } catch (error) {
+      console.error(`Erreur lors de la finalisation du verrou ${lockId}:`, error);
+      throw new Error('Impossible de finaliser l\'initialisation');
+    }
+  }
+
+  /**
+   * @description Enregistre une tentative d'initialisation (réussie ou refusée) dans le journal d'audit
+   * @param {Object} entry - Détails de la tentative
+   * @param {string} entry.outcome - 'success' ou 'refused'
+   * @param {string|null} entry.method - Méthode utilisée
+   * @param {string} entry.email - Email demandé pour l'administrateur
+   * @param {string|null} entry.adminId - ID de l'administrateur créé
+   * @param {string|null} entry.reason - Raison du refus
+   * @param {string|null} entry.ip - Adresse IP de l'appelant
+   * @param {string|null} entry.userAgent - User-Agent de l'appelant
+   * @returns {Promise<void>}
+   */
+  async recordAttempt(entry) {
+    const succeeded = entry.outcome === 'success';
+
+    await auditService.record({
+      actor: succeeded ? { id: entry.adminId, email: entry.email, role: 'Admin' } : null,
+      action: auditService.ACTIONS.SYSTEM_BOOTSTRAP,
+      entity: 'system',
+      entityId: entry.method || null,
+      after: succeeded ? { adminId: entry.adminId, email: entry.email } : null,
+      metadata: {
+        outcome: entry.outcome,
+        email: entry.email || null,
+        reason: entry.reason || null,
+        ip: entry.ip || null,
+        userAgent: entry.userAgent || null
+      }
+    });
+  }
+}
+
+module.exports = new BootstrapService();
@@ -35,7 +35,11 @@ class BorrowingService {
         status: 'pending',
         approvalDate: null,
         dueDate: null,
-        returnDate: null
+        returnDate: null,
+        itemId: null,
+        itemBarcode: null,
+        renewalCount: 0,
+        renewalHistory: []
       };
 
       const docRef = await this.db.collection(this.COLLECTION_NAME).add(borrowingData);
@@ -97,6 +101,13 @@ class BorrowingService {
       borrowing.approvalDate = data.approvalDate;
       borrowing.dueDate = data.dueDate;
       borrowing.returnDate = data.returnDate;
+      borrowing.itemId = data.itemId || null;
+      borrowing.itemBarcode = data.itemBarcode || null;
+      borrowing.renewalCount = data.renewalCount || 0;
+      borrowing.renewalHistory = data.renewalHistory || [];
+      borrowing.incident = data.incident || null;
+      borrowing.autoApproval = data.autoApproval || null;
+      borrowing.recall = data.recall || null;
 
       return borrowing;
     } catch (error) {
@@ -121,6 +132,169 @@ class BorrowingService {
     }
   }
 
+  /**
+   * @description Met à jour une demande uniquement si elle a encore le statut attendu
+   * La vérification et l'écriture se font dans une transaction: une demande traitée
+   * simultanément par un autre bibliothécaire n'est pas écrasée.
+   * @param {string} requestId - ID de la demande à mettre à jour
+   * @param {string} expectedStatus - Statut que la demande doit avoir (ex: 'pending')
+   * @param {Object} updateData - Données à mettre à jour
+   * @returns {Promise<Object>} { updated, status } - status est le statut lu dans la transaction
+   */
+  async updateRequestIfStatus(requestId, expectedStatus, updateData) {
+    try {
+      const docRef = this.db.collection(this.COLLECTION_NAME).doc(requestId);
+
+      return await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          return { updated: false, status: null };
+        }
+
+        const { status } = doc.data();
+        if (status !== expectedStatus) {
+          return { updated: false, status };
+        }
+
+        transaction.update(docRef, updateData);
+        return { updated: true, status };
+      });
+    } catch (error) {
+      console.error(`Erreur lors de la mise à jour conditionnelle de la demande ${requestId}:`, error);
+      throw new Error('Impossible de mettre à jour la demande');
+    }
+  }
+
+  /**
+   * @description Renouvelle un emprunt en cours: repousse la date de retour et historise le renouvellement
+   * Le statut et le nombre de renouvellements sont vérifiés dans la transaction:
+   * deux renouvellements simultanés ne peuvent pas dépasser la limite.
+   * @param {string} requestId - ID de l'emprunt
+   * @param {Object} options - Paramètres du renouvellement
+   * @param {number} options.extensionMs - Durée ajoutée à la date de retour (en ms)
+   * @param {Function} options.adjustDueDate - Ajustement de la nouvelle date de retour (ex: jour d'ouverture), optionnel
+   * @param {number} options.maxRenewals - Nombre maximal de renouvellements autorisés
+   * @param {string} options.renewedBy - ID de l'utilisateur qui renouvelle
+   * @returns {Promise<Object>} { before, after } emprunt avant et après renouvellement
+   * @throws {Error} Si l'emprunt n'est pas en cours ou si la limite est atteinte
+   */
+  async renewLoan(requestId, { extensionMs, maxRenewals, renewedBy, adjustDueDate = dueDate => dueDate }) {
+    const docRef = this.db.collection(this.COLLECTION_NAME).doc(requestId);
+
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          throw new Error(`Demande ${requestId} non trouvée`);
+        }
+
+        const data = doc.data();
+        if (data.status !== 'approved') {
+          throw new Error(`Renouvellement impossible: l'emprunt n'est pas en cours (statut: ${data.status})`);
+        }
+
+        if (data.recall) {
+          throw new Error('Renouvellement impossible: l\'exemplaire a été rappelé par la bibliothèque');
+        }
+
+        const renewalCount = data.renewalCount || 0;
+        if (renewalCount >= maxRenewals) {
+          throw new Error(`Renouvellement impossible: limite de ${maxRenewals} renouvellement(s) atteinte`);
+        }
+
+        const renewal = {
+          renewedAt: Date.now(),
+          renewedBy,
+          previousDueDate: data.dueDate,
+          newDueDate: adjustDueDate(data.dueDate + extensionMs)
+        };
+        const updateData = {
+          dueDate: renewal.newDueDate,
+          renewalCount: renewalCount + 1,
+          renewalHistory: [...(data.renewalHistory || []), renewal]
+        };
+
+        transaction.update(docRef, updateData);
+        return {
+          before: { id: requestId, ...data },
+          after: { id: requestId, ...data, ...updateData }
+        };
+      });
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors du renouvellement de l'emprunt ${requestId}:`, error);
+        throw new Error('Impossible de renouveler l\'emprunt');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Rappelle un emprunt en cours: raccourcit la date de retour et enregistre le rappel
+   * Le statut et l'absence de rappel antérieur sont vérifiés dans la transaction.
+   * La nouvelle date est la plus tardive entre la fin de la durée garantie (depuis l'approbation)
+   * et la fin du préavis (depuis le rappel); un rappel ne peut que raccourcir l'emprunt.
+   * @param {string} requestId - ID de l'emprunt
+   * @param {Object} options - Paramètres du rappel
+   * @param {number} options.minLoanMs - Durée d'emprunt garantie (en ms depuis l'approbation)
+   * @param {number} options.noticeMs - Préavis laissé à l'emprunteur (en ms depuis le rappel)
+   * @param {Function} options.adjustDueDate - (timestamp) => timestamp placé sur un jour d'ouverture
+   * @param {string} options.recalledBy - ID du bibliothécaire qui rappelle l'exemplaire
+   * @param {string} options.reason - Motif du rappel
+   * @returns {Promise<Object>} { before, after } - l'emprunt avant et après le rappel
+   * @throws {Error} Si l'emprunt n'est pas en cours, a déjà été rappelé ou ne serait pas raccourci
+   */
+  async recallLoan(requestId, { minLoanMs, noticeMs, adjustDueDate = dueDate => dueDate, recalledBy, reason = '' }) {
+    const docRef = this.db.collection(this.COLLECTION_NAME).doc(requestId);
+
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          throw new Error(`Demande ${requestId} non trouvée`);
+        }
+
+        const data = doc.data();
+        if (data.status !== 'approved') {
+          throw new Error(`Rappel impossible: l'emprunt n'est pas en cours (statut: ${data.status})`);
+        }
+        if (data.recall) {
+          throw new Error('Rappel impossible: l\'exemplaire a déjà été rappelé');
+        }
+
+        const recalledAt = Date.now();
+        const newDueDate = adjustDueDate(Math.max(data.approvalDate + minLoanMs, recalledAt + noticeMs));
+        if (newDueDate >= data.dueDate) {
+          throw new Error(`Rappel impossible: le retour est déjà prévu le ${new Date(data.dueDate).toLocaleDateString()}, avant la fin de la durée garantie`);
+        }
+
+        const recall = {
+          recalledAt,
+          recalledBy,
+          previousDueDate: data.dueDate,
+          newDueDate,
+          reason
+        };
+        const updateData = {
+          dueDate: newDueDate,
+          recall
+        };
+
+        transaction.update(docRef, updateData);
+        return {
+          before: { id: requestId, ...data },
+          after: { id: requestId, ...data, ...updateData }
+        };
+      });
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors du rappel de l'emprunt ${requestId}:`, error);
+        throw new Error('Impossible de rappeler l\'emprunt');
+      }
+      throw error;
+    }
+  }
+
   /**
    * @description Marque un emprunt comme retourné
    * @param {string} borrowingId - ID de l'emprunt à marquer comme retourné
@@ -164,6 +338,13 @@ class BorrowingService {
         borrowing.approvalDate = data.approvalDate;
         borrowing.dueDate = data.dueDate;
         borrowing.returnDate = data.returnDate;
+        borrowing.itemId = data.itemId || null;
+        borrowing.itemBarcode = data.itemBarcode || null;
+        borrowing.renewalCount = data.renewalCount || 0;
+        borrowing.renewalHistory = data.renewalHistory || [];
+        borrowing.incident = data.incident || null;
+        borrowing.autoApproval = data.autoApproval || null;
+        borrowing.recall = data.recall || null;
         
         // Enrichir avec les données du livre
         try {
@@ -211,6 +392,13 @@ class BorrowingService {
         borrowing.approvalDate = data.approvalDate;
         borrowing.dueDate = data.dueDate;
         borrowing.returnDate = data.returnDate;
+        borrowing.itemId = data.itemId || null;
+        borrowing.itemBarcode = data.itemBarcode || null;
+        borrowing.renewalCount = data.renewalCount || 0;
+        borrowing.renewalHistory = data.renewalHistory || [];
+        borrowing.incident = data.incident || null;
+        borrowing.autoApproval = data.autoApproval || null;
+        borrowing.recall = data.recall || null;
         borrowings.push(borrowing);
       });
 
@@ -224,6 +412,70 @@ class BorrowingService {
     }
   }
 
+  /**
+   * @description Liste les utilisateurs ayant une demande en attente pour un livre, hors un utilisateur
+   * @param {string} bookId - ID du livre
+   * @param {string} excludeUserId - ID de l'utilisateur à ignorer (ex: l'emprunteur actuel)
+   * @returns {Promise<Array<string>>} IDs des utilisateurs (un par demande)
+   */
+  async findWaitingRequestUserIds(bookId, excludeUserId) {
+    try {
+      const querySnapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('bookId', '==', bookId)
+        .where('status', '==', 'pending')
+        .get();
+
+      return querySnapshot.docs
+        .map(doc => doc.data().userId)
+        .filter(userId => userId !== excludeUserId);
+    } catch (error) {
+      console.error(`Erreur lors de la recherche des demandes en attente du livre ${bookId}:`, error);
+      throw new Error('Impossible de vérifier les demandes en attente');
+    }
+  }
+
+  /**
+   * @description Récupère les demandes en attente et les emprunts en cours d'un utilisateur
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Array<Borrowing>>} Emprunts au statut 'pending' ou 'approved'
+   */
+  async findUserActiveBorrowings(userId) {
+    try {
+      const querySnapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .get();
+
+      const borrowings = [];
+      querySnapshot.forEach(doc => {
+        const data = doc.data();
+        if (data.status !== 'pending' && data.status !== 'approved') {
+          return;
+        }
+
+        const borrowing = new Borrowing(doc.id, data.userId, data.bookId, data.requestDate);
+        borrowing.status = data.status;
+        borrowing.approvalDate = data.approvalDate;
+        borrowing.dueDate = data.dueDate;
+        borrowing.returnDate = data.returnDate;
+        borrowing.itemId = data.itemId || null;
+        borrowing.itemBarcode = data.itemBarcode || null;
+        borrowing.renewalCount = data.renewalCount || 0;
+        borrowing.renewalHistory = data.renewalHistory || [];
+        borrowing.incident = data.incident || null;
+        borrowing.autoApproval = data.autoApproval || null;
+        borrowing.recall = data.recall || null;
+        borrowings.push(borrowing);
+      });
+
+      return borrowings;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération des emprunts en cours de l'utilisateur ${userId}:`, error);
+      throw new Error('Impossible de récupérer les emprunts en cours');
+    }
+  }
+
   /**
    * @description Vérifie si un utilisateur a déjà une demande en cours pour un livre
    * @param {string} userId - ID de l'utilisateur
@@ -246,6 +498,58 @@ class BorrowingService {
       throw new Error('Impossible de vérifier les demandes en cours');
     }
   }
+
+  /**
+   * @description Récupère la demande en attente d'un utilisateur pour un livre
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Borrowing|null>} La demande en attente ou null
+   */
+  async findPendingRequestForBook(userId, bookId) {
+    try {
+      const querySnapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .where('bookId', '==', bookId)
+        .where('status', '==', 'pending')
+        .limit(1)
+        .get();
+
+      if (querySnapshot.empty) {
+        return null;
+      }
+
+      return await this.findRequestById(querySnapshot.docs[0].id);
+    } catch (error) {
+      console.error('Erreur lors de la recherche de la demande en attente:', error);
+      throw new Error('Impossible de vérifier les demandes en cours');
+    }
+  }
+
+  /**
+   * @description Récupère l'emprunt en cours d'un exemplaire (retour au comptoir par code-barres)
+   * @param {string} itemId - ID de l'exemplaire
+   * @returns {Promise<Borrowing|null>} L'emprunt en cours ou null
+   */
+  async findActiveBorrowingByItem(itemId) {
+    try {
+      const querySnapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('itemId', '==', itemId)
+        .where('status', '==', 'approved')
+        .limit(1)
+        .get();
+
+      if (querySnapshot.empty) {
+        return null;
+      }
+
+      return await this.findRequestById(querySnapshot.docs[0].id);
+    } catch (error) {
+      console.error(`Erreur lors de la recherche de l'emprunt de l'exemplaire ${itemId}:`, error);
+      throw new Error('Impossible de rechercher l\'emprunt de l\'exemplaire');
+    }
+  }
 }
 
 module.exports = new BorrowingService();
@@ -0,0 +1,361 @@
+/**
+ * @file calendarService.js
+ * @description Calendrier d'ouverture de la bibliothèque.
+ * Le calendrier combine des horaires hebdomadaires (un jour sans horaires est un jour de fermeture,
+ * ex: le dimanche) et des fermetures exceptionnelles (jours fériés, inventaire...).
+ * Il sert à placer les dates de retour sur un jour d'ouverture (à l'heure de fermeture)
+ * et à ne compter que les jours d'ouverture dans les retards et les amendes.
+ *
+ * Les horaires sont stockés dans la collection Firestore "calendar" et les fermetures dans
+ * "closures"; ils sont gardés en mémoire pour des calculs synchrones (y compris dans une transaction).
+ * Les dates sont interprétées dans le fuseau horaire du serveur.
+ */
+
+const database = require('./database');
+
+/**
+ * @description Jours de la semaine, dans l'ordre de Date.getDay()
+ */
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * @description Horaires appliqués tant qu'aucun administrateur ne les a modifiés (null: fermé)
+ */
+const DEFAULT_OPENING_HOURS = {
+  sunday: null,
+  monday: { open: '09:00', close: '18:00' },
+  tuesday: { open: '09:00', close: '18:00' },
+  wednesday: { open: '09:00', close: '18:00' },
+  thursday: { open: '09:00', close: '18:00' },
+  friday: { open: '09:00', close: '18:00' },
+  saturday: { open: '10:00', close: '17:00' }
+};
+
+/**
+ * @description Nombre maximal de jours parcourus pour trouver un jour d'ouverture
+ */
+const MAX_LOOKAHEAD_DAYS = 366;
+
+class CalendarService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Collection des paramètres du calendrier (document "openingHours")
+     */
+    this.COLLECTION_NAME = 'calendar';
+
+    /**
+     * @property {string} CLOSURES_COLLECTION - Collection des fermetures exceptionnelles
+     */
+    this.CLOSURES_COLLECTION = 'closures';
+
+    /**
+     * @property {Array<string>} WEEKDAYS - Jours de la semaine (clés des horaires)
+     */
+    this.WEEKDAYS = WEEKDAYS;
+
+    /**
+     * @property {Object} openingHours - Horaires hebdomadaires en mémoire
+     */
+    this.openingHours = { ...DEFAULT_OPENING_HOURS };
+
+    /**
+     * @property {Map<string, Object>} closures - Fermetures exceptionnelles en mémoire (ID → fermeture)
+     */
+    this.closures = new Map();
+  }
+
+  /**
+   * @description Charge les horaires et les fermetures enregistrés en base (à appeler au démarrage)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const settingsDoc = await this.db.collection(this.COLLECTION_NAME).doc('openingHours').get();
+      if (settingsDoc.exists) {
+        this.openingHours = { ...DEFAULT_OPENING_HOURS, ...settingsDoc.data().days };
+      }
+
+      const snapshot = await this.db.collection(this.CLOSURES_COLLECTION).get();
+      this.closures.clear();
+      snapshot.forEach(doc => {
+        this.closures.set(doc.id, { id: doc.id, ...doc.data() });
+      });
+
+      console.log(`✓ Calendrier chargé (${this.closures.size} fermeture(s) exceptionnelle(s))`);
+    } catch (error) {
+      console.error('Erreur lors du chargement du calendrier:', error);
+      throw new Error('Impossible de charger le calendrier');
+    }
+  }
+
+  /**
+   * @description Retourne la clé de jour (YYYY-MM-DD, heure locale) d'une date
+   * @param {Date|number} date - Date ou timestamp
+   * @returns {string} Clé du jour
+   */
+  dayKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * @description Retourne la fermeture exceptionnelle couvrant un jour
+   * @param {Date|number} date - Date ou timestamp
+   * @returns {Object|null} La fermeture ou null
+   */
+  getClosure(date) {
+    const key = this.dayKey(date);
+    return Array.from(this.closures.values())
+      .find(closure => closure.startDate <= key && key <= closure.endDate) || null;
+  }
+
+  /**
+   * @description Indique si la bibliothèque est ouverte un jour donné
+   * @param {Date|number} date - Date ou timestamp
+   * @returns {boolean} True si le jour a des horaires et n'est pas une fermeture exceptionnelle
+   */
+  isOpenDay(date) {
+    const hours = this.openingHours[WEEKDAYS[new Date(date).getDay()]];
+    return Boolean(hours) && this.getClosure(date) === null;
+  }
+
+  /**
+   * @description Retourne l'heure de fermeture d'un jour d'ouverture
+   * @param {Date|number} date - Date ou timestamp d'un jour d'ouverture
+   * @returns {number} Timestamp de la fermeture ce jour-là
+   * @private
+   */
+  _closingTime(date) {
+    const d = new Date(date);
+    const hours = this.openingHours[WEEKDAYS[d.getDay()]];
+    const [hour, minute] = hours.close.split(':').map(Number);
+    d.setHours(hour, minute, 0, 0);
+    return d.getTime();
+  }
+
+  /**
+   * @description Place une date de retour sur un jour d'ouverture: le jour même s'il est ouvert,
+   * sinon le premier jour d'ouverture suivant, à l'heure de fermeture
+   * @param {number} dueDate - Timestamp de la date de retour calculée
+   * @returns {number} Timestamp de la date de retour ajustée (inchangée si aucun jour n'est ouvert)
+   */
+  adjustDueDate(dueDate) {
+    const day = new Date(dueDate);
+    day.setHours(12, 0, 0, 0);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+      if (this.isOpenDay(day)) {
+        return this._closingTime(day);
+      }
+      day.setDate(day.getDate() + 1);
+    }
+
+    console.warn('⚠️ Aucun jour d\'ouverture dans le calendrier: date de retour non ajustée');
+    return dueDate;
+  }
+
+  /**
+   * @description Date de retour effective d'un emprunt: la date enregistrée, replacée sur un jour d'ouverture
+   * Une fermeture ajoutée après le prêt repousse ainsi l'échéance au premier jour d'ouverture suivant.
+   * @param {number} dueDate - Timestamp de la date de retour enregistrée
+   * @returns {number} Timestamp de la date de retour effective
+   */
+  effectiveDueDate(dueDate) {
+    return this.adjustDueDate(dueDate);
+  }
+
+  /**
+   * @description Indique si un emprunt est en retard à une date donnée (date de retour effective dépassée)
+   * @param {number} dueDate - Timestamp de la date de retour enregistrée
+   * @param {number} at - Timestamp de référence (par défaut: maintenant)
+   * @returns {boolean} True si l'emprunt est en retard
+   */
+  isOverdue(dueDate, at = Date.now()) {
+    return Boolean(dueDate) && at > this.effectiveDueDate(dueDate);
+  }
+
+  /**
+   * @description Compte les jours d'ouverture de retard: jours ouverts après le jour de la date de retour
+   * effective, jusqu'au jour de référence inclus (un retour le jour même après la fermeture ne compte pas)
+   * @param {number} dueDate - Timestamp de la date de retour enregistrée
+   * @param {number} at - Timestamp de référence (retour ou maintenant)
+   * @returns {number} Nombre de jours de retard
+   */
+  countOverdueDays(dueDate, at) {
+    if (!this.isOverdue(dueDate, at)) {
+      return 0;
+    }
+
+    const day = new Date(this.effectiveDueDate(dueDate));
+    day.setHours(12, 0, 0, 0);
+    const lastKey = this.dayKey(at);
+    let count = 0;
+
+    day.setDate(day.getDate() + 1);
+    while (this.dayKey(day) <= lastKey) {
+      if (this.isOpenDay(day)) {
+        count++;
+      }
+      day.setDate(day.getDate() + 1);
+    }
+
+    return count;
+  }
+
+  /**
+   * @description Retourne le calendrier (horaires et fermetures à venir ou en cours)
+   * @param {boolean} includePast - Inclure les fermetures passées
+   * @returns {Object} { openingHours, closures }
+   */
+  getCalendar(includePast = false) {
+    const today = this.dayKey(Date.now());
+    const closures = Array.from(this.closures.values())
+      .filter(closure => includePast || closure.endDate >= today)
+      .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+    return { openingHours: { ...this.openingHours }, closures };
+  }
+
+  /**
+   * @description Valide une heure au format HH:MM
+   * @param {*} value - Valeur reçue
+   * @returns {boolean} True si l'heure est valide
+   * @private
+   */
+  _isTime(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+  }
+
+  /**
+   * @description Valide une date au format YYYY-MM-DD
+   * @param {*} value - Valeur reçue
+   * @returns {boolean} True si la date est valide
+   * @private
+   */
+  _isDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return false;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day;
+  }
+
+  /**
+   * @description Modifie les horaires hebdomadaires (les jours absents sont conservés)
+   * @param {Object} changes - Jour → { open: 'HH:MM', close: 'HH:MM' } ou null (fermé)
+   * @returns {Promise<Object>} Les horaires mis à jour
+   * @throws {Error} Si un jour ou un horaire est invalide, ou si aucun jour ne reste ouvert
+   */
+  async setOpeningHours(changes) {
+    const errors = [];
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new Error('Calendrier invalide: openingHours doit être un objet (jour → { open, close } ou null)');
+    }
+
+    const unknown = Object.keys(changes).filter(day => !WEEKDAYS.includes(day));
+    if (unknown.length > 0) {
+      errors.push(`jour(s) inconnu(s): ${unknown.join(', ')} (valeurs acceptées: ${WEEKDAYS.join(', ')})`);
+    }
+
+    const days = { ...this.openingHours };
+    WEEKDAYS.filter(day => changes[day] !== undefined).forEach(day => {
+      const hours = changes[day];
+      if (hours === null) {
+        days[day] = null;
+      } else if (!hours || !this._isTime(hours.open) || !this._isTime(hours.close) || hours.open >= hours.close) {
+        errors.push(`${day}: horaires attendus { open: 'HH:MM', close: 'HH:MM' } avec open avant close`);
+      } else {
+        days[day] = { open: hours.open, close: hours.close };
+      }
+    });
+
+    if (errors.length === 0 && WEEKDAYS.every(day => !days[day])) {
+      errors.push('au moins un jour d\'ouverture est requis');
+    }
+    if (errors.length > 0) {
+      throw new Error(`Calendrier invalide: ${errors.join(', ')}`);
+    }
+
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc('openingHours').set({ days, updatedAt: Date.now() });
+    } catch (error) {
+      console.error('Erreur lors de l\'enregistrement des horaires:', error);
+      throw new Error('Impossible d\'enregistrer les horaires');
+    }
+
+    this.openingHours = days;
+    console.log('✓ Horaires d\'ouverture mis à jour');
+    return { ...days };
+  }
+
+  /**
+   * @description Ajoute une fermeture exceptionnelle
+   * @param {Object} closure - Fermeture
+   * @param {string} closure.startDate - Premier jour fermé (YYYY-MM-DD)
+   * @param {string} closure.endDate - Dernier jour fermé (YYYY-MM-DD, par défaut startDate)
+   * @param {string} closure.reason - Motif (ex: 'Jour férié')
+   * @returns {Promise<Object>} La fermeture créée
+   * @throws {Error} Si les dates sont invalides
+   */
+  async addClosure({ startDate, endDate, reason }) {
+    const end = endDate || startDate;
+
+    if (!this._isDate(startDate) || !this._isDate(end) || end < startDate) {
+      throw new Error('Calendrier invalide: startDate et endDate attendues au format YYYY-MM-DD, endDate après startDate');
+    }
+
+    const data = {
+      startDate,
+      endDate: end,
+      reason: reason || '',
+      createdAt: Date.now()
+    };
+
+    try {
+      const docRef = await this.db.collection(this.CLOSURES_COLLECTION).add(data);
+      const closure = { id: docRef.id, ...data };
+      this.closures.set(closure.id, closure);
+
+      console.log(`✓ Fermeture exceptionnelle ajoutée du ${startDate} au ${end}`);
+      return closure;
+    } catch (error) {
+      console.error('Erreur lors de l\'ajout de la fermeture:', error);
+      throw new Error('Impossible d\'ajouter la fermeture');
+    }
+  }
+
+  /**
+   * @description Supprime une fermeture exceptionnelle
+   * @param {string} closureId - ID de la fermeture
+   * @returns {Promise<Object>} La fermeture supprimée
+   * @throws {Error} Si la fermeture n'existe pas
+   */
+  async removeClosure(closureId) {
+    const closure = this.closures.get(closureId);
+    if (!closure) {
+      throw new Error(`Fermeture ${closureId} non trouvée`);
+    }
+
+    try {
+      await this.db.collection(this.CLOSURES_COLLECTION).doc(closureId).delete();
+    } catch (error) {
+      console.error(`Erreur lors de la suppression de la fermeture ${closureId}:`, error);
+      throw new Error('Impossible de supprimer la fermeture');
+    }
+
+    this.closures.delete(closureId);
+    console.log(`✓ Fermeture ${closureId} supprimée`);
+    return closure;
+  }
+}
+
+module.exports = new CalendarService();
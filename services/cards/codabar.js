@@ -0,0 +1,86 @@
+/**
+ * @file codabar.js
+ * @description Encodeur de code-barres Codabar, la symbologie historique des cartes de bibliothèque.
+ * Chaque caractère compte 7 éléments (4 barres et 3 espaces alternés, en commençant par une barre),
+ * chacun étroit ou large; les caractères sont séparés par un espace étroit.
+ * Le symbole est encadré par les caractères de début et de fin A à D. Aucune dépendance externe.
+ */
+
+/**
+ * @description Motif de chaque caractère: 1 pour un élément large, 0 pour un élément étroit
+ */
+const PATTERNS = {
+  0: '0000011',
+  1: '0000110',
+  2: '0001001',
+  3: '1100000',
+  4: '0010010',
+  5: '1000010',
+  6: '0100001',
+  7: '0100100',
+  8: '0110000',
+  9: '1001000',
+  '-': '0001100',
+  $: '0011000',
+  A: '0011010',
+  B: '0101001',
+  C: '0001011',
+  D: '0001110'
+};
+
+const WIDE_RATIO = 3;
+const QUIET_ZONE = 10;
+
+/**
+ * @description Encode une valeur en barres
+ * @param {string} value - Chiffres (et tirets ou $) à encoder
+ * @param {Object} options - { start, stop } caractères de début et de fin (A par défaut)
+ * @returns {Object} { bars, width }: barres { offset, width } et largeur totale, en unités étroites
+ * @throws {Error} Si la valeur contient un caractère non encodable
+ */
+const encode = (value, { start = 'A', stop = 'A' } = {}) => {
+  if (!/^[0-9\-$]+$/.test(value)) {
+    throw new Error('Codabar: seuls les chiffres, - et $ sont acceptés');
+  }
+
+  const bars = [];
+  let offset = QUIET_ZONE;
+  `${start}${value}${stop}`.split('').forEach((character, index) => {
+    if (index > 0) {
+      offset += 1; // Espace étroit entre deux caractères
+    }
+    PATTERNS[character].split('').forEach((element, position) => {
+      const width = element === '1' ? WIDE_RATIO : 1;
+      if (position % 2 === 0) {
+        bars.push({ offset, width });
+      }
+      offset += width;
+    });
+  });
+
+  return { bars, width: offset + QUIET_ZONE };
+};
+
+/**
+ * @description Dessine un code-barres Codabar en éléments SVG
+ * @param {string} value - Valeur à encoder
+ * @param {Object} options - { x, y, width, height } zone occupée (marges incluses)
+ * @returns {string} Fragment SVG (fond blanc et barres)
+ */
+const toSvg = (value, { x = 0, y = 0, width = 300, height = 60 } = {}) => {
+  const { bars, width: units } = encode(value);
+  const unit = width / units;
+  const round = (number) => Math.round(number * 100) / 100;
+
+  const path = bars
+    .map(bar => `M${round(x + bar.offset * unit)} ${y}h${round(bar.width * unit)}v${height}h-${round(bar.width * unit)}z`)
+    .join('');
+
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#fff"/>`
+    + `<path d="${path}" fill="#000"/>`;
+};
+
+module.exports = {
+  encode,
+  toSvg
+};
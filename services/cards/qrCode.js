@@ -0,0 +1,334 @@
+/**
+ * @file qrCode.js
+ * @description Encodeur QR code minimal pour les numéros de carte de bibliothèque.
+ * Produit un symbole version 1 (21×21 modules), niveau de correction M, en mode numérique:
+ * jusqu'à 34 chiffres, largement suffisant pour un numéro de carte. Aucune dépendance externe.
+ *
+ * Référence: ISO/IEC 18004 (placement des motifs, codes de format, Reed-Solomon sur GF(256)).
+ */
+
+const SIZE = 21;
+const DATA_CODEWORDS = 16;
+const EC_CODEWORDS = 10;
+const MAX_DIGITS = 34;
+
+/**
+ * @description Multiplie deux éléments de GF(256) (polynôme 0x11D)
+ * @param {number} x - Premier facteur
+ * @param {number} y - Second facteur
+ * @returns {number} Produit
+ */
+const gfMultiply = (x, y) => {
+  let product = 0;
+  for (let i = 7; i >= 0; i--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11D);
+    product ^= ((y >>> i) & 1) * x;
+  }
+  return product;
+};
+
+/**
+ * @description Calcule les mots de correction Reed-Solomon des données
+ * @param {Array<number>} data - Mots de données
+ * @param {number} degree - Nombre de mots de correction
+ * @returns {Array<number>} Mots de correction
+ */
+const reedSolomon = (data, degree) => {
+  // Polynôme générateur (x - α^0)(x - α^1)...(x - α^(degree-1)), coefficient dominant omis
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < degree) {
+        divisor[j] ^= divisor[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+
+  const remainder = new Array(degree).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, index) => {
+      remainder[index] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return remainder;
+};
+
+/**
+ * @description Encode des chiffres en mots de données (mode numérique, bourrage inclus)
+ * @param {string} digits - Chiffres à encoder
+ * @returns {Array<number>} Mots de données
+ */
+const encodeDigits = (digits) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  append(0x1, 4);               // Indicateur de mode numérique
+  append(digits.length, 10);    // Nombre de caractères (versions 1 à 9)
+  for (let i = 0; i < digits.length; i += 3) {
+    const group = digits.slice(i, i + 3);
+    append(Number(group), group.length * 3 + 1); // 3 chiffres → 10 bits, 2 → 7, 1 → 4
+  }
+
+  const capacity = DATA_CODEWORDS * 8;
+  append(0, Math.min(4, capacity - bits.length)); // Terminateur
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xEC; codewords.length < DATA_CODEWORDS; pad ^= 0xEC ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+};
+
+/**
+ * @description Conditions des 8 masques (x: colonne, y: ligne)
+ */
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * @description Dessine les motifs fixes (repères, séparateurs, synchronisation, module sombre)
+ * @returns {Object} { modules, reserved } matrices [y][x]
+ */
+const drawFunctionPatterns = () => {
+  const modules = Array.from({ length: SIZE }, () => new Array(SIZE).fill(false));
+  const reserved = Array.from({ length: SIZE }, () => new Array(SIZE).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Motifs de synchronisation
+  for (let i = 0; i < SIZE; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Motifs de repérage et leurs séparateurs
+  [[3, 3], [SIZE - 4, 3], [3, SIZE - 4]].forEach(([centerX, centerY]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        if (x >= 0 && x < SIZE && y >= 0 && y < SIZE) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Zones d'information de format (remplies après le choix du masque) et module sombre
+  for (let i = 0; i < 9; i++) {
+    reserved[8][i] = true;
+    reserved[i][8] = true;
+  }
+  for (let i = 0; i < 8; i++) {
+    reserved[8][SIZE - 1 - i] = true;
+    reserved[SIZE - 1 - i][8] = true;
+  }
+  set(8, SIZE - 8, true);
+
+  return { modules, reserved };
+};
+
+/**
+ * @description Place les bits de données en zigzag dans les modules libres
+ * @param {Array<Array<boolean>>} modules - Matrice [y][x]
+ * @param {Array<Array<boolean>>} reserved - Modules des motifs fixes
+ * @param {Array<number>} codewords - Mots de données et de correction
+ */
+const placeCodewords = (modules, reserved, codewords) => {
+  let bitIndex = 0;
+  for (let right = SIZE - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5; // La colonne de synchronisation verticale est sautée
+    }
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < SIZE; vertical++) {
+      const y = upward ? SIZE - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex++;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * @description Écrit les deux copies de l'information de format (niveau M et masque)
+ * @param {Array<Array<boolean>>} modules - Matrice [y][x]
+ * @param {number} mask - Numéro du masque (0 à 7)
+ */
+const drawFormatBits = (modules, mask) => {
+  const data = (0 << 3) | mask; // Niveau de correction M: 00
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  // Première copie, autour du repère en haut à gauche
+  for (let i = 0; i <= 5; i++) {
+    modules[i][8] = bit(i);
+  }
+  modules[7][8] = bit(6);
+  modules[8][8] = bit(7);
+  modules[8][7] = bit(8);
+  for (let i = 9; i < 15; i++) {
+    modules[8][14 - i] = bit(i);
+  }
+
+  // Seconde copie, répartie entre les deux autres repères
+  for (let i = 0; i < 8; i++) {
+    modules[8][SIZE - 1 - i] = bit(i);
+  }
+  for (let i = 8; i < 15; i++) {
+    modules[SIZE - 15 + i][8] = bit(i);
+  }
+};
+
+/**
+ * @description Pénalité d'un symbole masqué (plus elle est faible, plus la lecture est fiable)
+ * @param {Array<Array<boolean>>} modules - Matrice [y][x]
+ * @returns {number} Pénalité
+ */
+const penalty = (modules) => {
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < SIZE; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  lines.forEach(line => {
+    // Suites d'au moins 5 modules de même couleur
+    let run = 1;
+    for (let i = 1; i <= SIZE; i++) {
+      if (i < SIZE && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) {
+          score += run - 2;
+        }
+        run = 1;
+      }
+    }
+
+    // Motifs ressemblant à un repère (1:1:3:1:1 bordé de 4 modules clairs)
+    const pattern = line.map(dark => (dark ? '1' : '0')).join('');
+    const padded = `0000${pattern}0000`;
+    ['10111010000', '00001011101'].forEach(finder => {
+      for (let index = padded.indexOf(finder); index !== -1; index = padded.indexOf(finder, index + 1)) {
+        score += 40;
+      }
+    });
+  });
+
+  // Blocs 2×2 de même couleur
+  for (let y = 0; y < SIZE - 1; y++) {
+    for (let x = 0; x < SIZE - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        score += 3;
+      }
+    }
+  }
+
+  // Équilibre entre modules sombres et clairs
+  const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs(dark * 20 - SIZE * SIZE * 10) / (SIZE * SIZE)) * 10;
+
+  return score;
+};
+
+/**
+ * @description Encode une suite de chiffres en QR code
+ * @param {string} digits - Chiffres à encoder (34 au plus)
+ * @returns {Array<Array<boolean>>} Matrice 21×21 [ligne][colonne], true pour un module sombre
+ * @throws {Error} Si la valeur n'est pas une suite de chiffres encodable
+ */
+const encode = (digits) => {
+  if (!/^\d+$/.test(digits) || digits.length > MAX_DIGITS) {
+    throw new Error(`QR code: ${MAX_DIGITS} chiffres au plus sont acceptés`);
+  }
+
+  const data = encodeDigits(digits);
+  const codewords = data.concat(reedSolomon(data, EC_CODEWORDS));
+
+  let best = null;
+  MASKS.forEach((condition, mask) => {
+    const { modules, reserved } = drawFunctionPatterns();
+    placeCodewords(modules, reserved, codewords);
+    for (let y = 0; y < SIZE; y++) {
+      for (let x = 0; x < SIZE; x++) {
+        if (!reserved[y][x] && condition(x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+    drawFormatBits(modules, mask);
+
+    const score = penalty(modules);
+    if (!best || score < best.score) {
+      best = { modules, score };
+    }
+  });
+
+  return best.modules;
+};
+
+/**
+ * @description Dessine un QR code en éléments SVG
+ * @param {string} digits - Chiffres à encoder
+ * @param {Object} options - { x, y, moduleSize } position et taille d'un module (marge de 4 modules incluse)
+ * @returns {string} Fragment SVG (fond blanc et modules sombres)
+ */
+const toSvg = (digits, { x = 0, y = 0, moduleSize = 4 } = {}) => {
+  const modules = encode(digits);
+  const quietZone = 4;
+  const side = (SIZE + quietZone * 2) * moduleSize;
+
+  const path = [];
+  modules.forEach((row, rowIndex) => {
+    row.forEach((dark, columnIndex) => {
+      if (dark) {
+        path.push(`M${x + (columnIndex + quietZone) * moduleSize} ${y + (rowIndex + quietZone) * moduleSize}h${moduleSize}v${moduleSize}h-${moduleSize}z`);
+      }
+    });
+  });
+
+  return `<rect x="${x}" y="${y}" width="${side}" height="${side}" fill="#fff"/>`
+    + `<path d="${path.join('')}" fill="#000"/>`;
+};
+
+module.exports = {
+  SIZE,
+  encode,
+  toSvg
+};
@@ -1,18 +1,30 @@
 /**
  * @file database.js
- * @description Implémentation du pattern Singleton pour gérer la connexion Firebase.
- * Cette classe garantit qu'une seule instance de connexion Firebase existe dans toute l'application.
+ * @description Implémentation du pattern Singleton pour gérer la connexion à la base de données.
+ * Cette classe garantit qu'une seule instance de connexion existe dans toute l'application.
+ * Le stockage est délégué à un adaptateur choisi par la variable d'environnement STORAGE_ADAPTER:
+ * - firestore (défaut): Firebase Firestore, pour la production
+ * - memory: en mémoire, sans Firebase (développement, démos, tests)
+ * - file: fichier JSON local (data/library.json ou STORAGE_FILE)
+ * Tous les adaptateurs exposent la même API (celle de Firestore): les services n'en dépendent pas.
  * 
  * PATTERN: Singleton
- * OBJECTIF: Assurer une connexion unique et partagée au SDK Firebase Admin et à Firestore.
+ * OBJECTIF: Assurer une connexion unique et partagée à la base de données.
  */
 
-const admin = require('firebase-admin');
+/**
+ * @description Adaptateurs de stockage disponibles (chargés à la demande)
+ */
+const ADAPTERS = {
+  firestore: () => require('./storage/firestoreAdapter'),
+  memory: () => require('./storage/memoryAdapter'),
+  file: () => require('./storage/fileAdapter')
+};
 
 class DatabaseConnection {
   /**
    * @description Constructeur privé (conceptuellement) de la classe DatabaseConnection
-   * Initialise Firebase Admin SDK si ce n'est pas déjà fait
+   * Initialise l'adaptateur de stockage configuré si ce n'est pas déjà fait
    */
   constructor() {
     // Vérifier si une instance existe déjà
@@ -20,44 +32,47 @@ class DatabaseConnection {
       return DatabaseConnection.instance;
     }
 
-    // Vérifier si Firebase est déjà initialisé
-    if (!admin.apps.length) {
-      try {
-        // Charger les credentials depuis le fichier de configuration
-        const serviceAccount = require('../config/serviceAccountKey.json');
-        
-        /**
-         * @description Initialisation de Firebase Admin SDK
-         * Cette initialisation se fait une seule fois grâce au pattern Singleton
-         */
-        admin.initializeApp({
-          credential: admin.credential.cert(serviceAccount)
-        });
-
-        console.log('✓ Firebase connected');
-      } catch (error) {
-        console.error('✗ Firebase error:', error.message);
-        throw new Error('Impossible d\'initialiser Firebase Admin SDK');
-      }
+    const adapterName = process.env.STORAGE_ADAPTER || 'firestore';
+    if (!ADAPTERS[adapterName]) {
+      throw new Error(`Adaptateur de stockage inconnu: ${adapterName}. Valeurs acceptées: ${Object.keys(ADAPTERS).join(', ')}`);
     }
 
     /**
-     * @property {admin.firestore.Firestore} db - Instance Firestore
+     * @description Initialisation de l'adaptateur
+     * Cette initialisation se fait une seule fois grâce au pattern Singleton
      */
-    this.db = admin.firestore();
+    const Adapter = ADAPTERS[adapterName]();
 
     /**
-     * @property {admin.auth.Auth} auth - Instance Firebase Auth
+     * @property {Object} adapter - Adaptateur de stockage actif
      */
-    this.auth = admin.auth();
+    this.adapter = new Adapter();
+
+    /**
+     * @property {admin.firestore.Firestore|MemoryDatabase} db - Base de données (API Firestore)
+     */
+    this.db = this.adapter.getDB();
+
+    /**
+     * @property {admin.auth.Auth|null} auth - Instance Firebase Auth (null hors Firestore)
+     */
+    this.auth = this.adapter.getAuth();
 
     // Stocker l'instance unique
     DatabaseConnection.instance = this;
   }
 
   /**
-   * @description Retourne l'instance Firestore
-   * @returns {admin.firestore.Firestore} Instance de la base de données Firestore
+   * @description Retourne le nom de l'adaptateur de stockage actif
+   * @returns {string} 'firestore', 'memory' ou 'file'
+   */
+  getAdapterName() {
+    return this.adapter.name;
+  }
+
+  /**
+   * @description Retourne la base de données (Firestore ou base compatible selon l'adaptateur)
+   * @returns {admin.firestore.Firestore|MemoryDatabase} Instance de la base de données
    */
   getDB() {
     return this.db;
@@ -65,7 +80,7 @@ class DatabaseConnection {
 
   /**
    * @description Retourne l'instance Firebase Auth
-   * @returns {admin.auth.Auth} Instance Firebase Authentication
+   * @returns {admin.auth.Auth|null} Instance Firebase Authentication (null hors Firestore)
    */
   getAuth() {
     return this.auth;
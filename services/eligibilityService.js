@@ -0,0 +1,132 @@
+/**
+ * @file eligibilityService.js
+ * @description Vérifie qu'un membre peut emprunter selon la politique de prêt applicable:
+ * nombre d'emprunts en cours, de demandes en attente, d'emprunts en retard, solde d'amendes impayées
+ * et validité de l'adhésion.
+ * Chaque refus porte un motif lisible par une machine (voir REASONS) en plus du message,
+ * pour que l'interface puisse expliquer le blocage sans analyser le texte de l'erreur.
+ */
+
+const borrowingService = require('./borrowingService');
+const fineService = require('./fineService');
+const membershipService = require('./membershipService');
+const calendarService = require('./calendarService');
+
+/**
+ * @description Motifs de refus d'éligibilité
+ */
+const REASONS = {
+  MAX_LOANS: 'max_loans_reached',
+  MAX_PENDING_REQUESTS: 'max_pending_requests_reached',
+  OVERDUE_LOANS: 'overdue_loans',
+  UNPAID_FINES: 'unpaid_fines',
+  MEMBERSHIP_EXPIRED: 'membership_expired'
+};
+
+class EligibilityService {
+  constructor() {
+    /**
+     * @property {Object} REASONS - Constantes des motifs de refus (ex: REASONS.OVERDUE_LOANS)
+     */
+    this.REASONS = REASONS;
+  }
+
+  /**
+   * @description Évalue l'éligibilité d'un membre
+   * @param {string} userId - ID du membre
+   * @param {Object} loanPolicy - Politique de prêt résolue par le loanPolicyService
+   * @param {Object} options - Options
+   * @param {Array<string>} options.checks - Motifs à vérifier (par défaut: tous)
+   * @param {number} options.now - Timestamp de référence pour les retards (par défaut: maintenant)
+   * @returns {Promise<Object>} { eligible, reasons: [{ reason, message, current, limit }], activeLoans, pendingRequests, overdueLoans, fineBalance, membership }
+   */
+  async evaluate(userId, loanPolicy, { checks = Object.values(REASONS), now = Date.now() } = {}) {
+    const borrowings = await borrowingService.findUserActiveBorrowings(userId);
+    const activeLoans = borrowings.filter(borrowing => borrowing.status === 'approved');
+    const pendingRequests = borrowings.filter(borrowing => borrowing.status === 'pending');
+    const overdueLoans = activeLoans.filter(borrowing => calendarService.isOverdue(borrowing.dueDate, now));
+
+    const fineBalance = checks.includes(REASONS.UNPAID_FINES) ? await fineService.getBalance(userId) : null;
+    const membership = checks.includes(REASONS.MEMBERSHIP_EXPIRED) ? await membershipService.getMembership(userId, now) : null;
+
+    const reasons = [];
+
+    if (checks.includes(REASONS.MAX_LOANS) && activeLoans.length >= loanPolicy.maxLoans) {
+      reasons.push({
+        reason: REASONS.MAX_LOANS,
+        message: `Limite d'emprunts atteinte: ${activeLoans.length} emprunt(s) en cours (maximum ${loanPolicy.maxLoans})`,
+        current: activeLoans.length,
+        limit: loanPolicy.maxLoans
+      });
+    }
+
+    if (checks.includes(REASONS.MAX_PENDING_REQUESTS) && pendingRequests.length >= loanPolicy.maxPendingRequests) {
+      reasons.push({
+        reason: REASONS.MAX_PENDING_REQUESTS,
+        message: `Limite de demandes atteinte: ${pendingRequests.length} demande(s) en attente (maximum ${loanPolicy.maxPendingRequests})`,
+        current: pendingRequests.length,
+        limit: loanPolicy.maxPendingRequests
+      });
+    }
+
+    if (checks.includes(REASONS.OVERDUE_LOANS) && overdueLoans.length > loanPolicy.maxOverdueLoans) {
+      reasons.push({
+        reason: REASONS.OVERDUE_LOANS,
+        message: `Emprunts en retard: ${overdueLoans.length} livre(s) à rendre avant tout nouvel emprunt`,
+        current: overdueLoans.length,
+        limit: loanPolicy.maxOverdueLoans
+      });
+    }
+
+    if (checks.includes(REASONS.UNPAID_FINES) && fineBalance > loanPolicy.maxFineBalance) {
+      reasons.push({
+        reason: REASONS.UNPAID_FINES,
+        message: `Amendes impayées: ${fineService.formatAmount(fineBalance)} dus (maximum toléré ${fineService.formatAmount(loanPolicy.maxFineBalance)})`,
+        current: fineBalance,
+        limit: loanPolicy.maxFineBalance
+      });
+    }
+
+    if (membership && membership.status === membershipService.STATUSES.EXPIRED) {
+      reasons.push({
+        reason: REASONS.MEMBERSHIP_EXPIRED,
+        message: `Adhésion expirée le ${new Date(membership.expiresAt).toLocaleDateString('fr-FR')}: renouvelez-la auprès de la bibliothèque`,
+        current: membership.expiresAt,
+        limit: null
+      });
+    }
+
+    return {
+      eligible: reasons.length === 0,
+      reasons,
+      activeLoans: activeLoans.length,
+      pendingRequests: pendingRequests.length,
+      overdueLoans: overdueLoans.length,
+      fineBalance,
+      membership
+    };
+  }
+
+  /**
+   * @description Vérifie l'éligibilité d'un membre et lève une erreur en cas de refus
+   * L'erreur porte la liste des motifs dans sa propriété reasons.
+   * @param {string} userId - ID du membre
+   * @param {Object} loanPolicy - Politique de prêt résolue
+   * @param {Object} options - Options (voir evaluate)
+   * @returns {Promise<Object>} Résultat de l'évaluation si le membre est éligible
+   * @throws {Error} "Emprunt refusé: ..." avec error.reasons
+   */
+  async assertEligible(userId, loanPolicy, options = {}) {
+    const result = await this.evaluate(userId, loanPolicy, options);
+
+    if (!result.eligible) {
+      const error = new Error(`Emprunt refusé: ${result.reasons.map(entry => entry.message).join('; ')}`);
+      error.reasons = result.reasons;
+      throw error;
+    }
+
+    return result;
+  }
+}
+
+module.exports = new EligibilityService();
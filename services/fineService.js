@@ -0,0 +1,277 @@
+/**
+ * @file fineService.js
+ * @description Service de gestion des amendes et du compte des membres.
+ * Les frais de retard sont calculés avec la politique de prêt applicable (tarif journalier,
+ * jours de grâce, plafond par emprunt) et inscrits au compte du membre, avec les paiements,
+ * remises et remboursements saisis par les bibliothécaires.
+ *
+ * Le compte est un journal en ajout seul (collection Firestore "fineLedger"): le solde est
+ * recalculé à partir des écritures. Les paiements, remises et remboursements sont validés
+ * contre le solde dans une transaction: deux saisies simultanées ne peuvent pas le rendre incohérent.
+ */
+
+const database = require('./database');
+const calendarService = require('./calendarService');
+const LedgerEntry = require('../models/ledgerEntry');
+
+const { Types } = LedgerEntry;
+
+class FineService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Nom de la collection Firestore du journal des amendes
+     */
+    this.COLLECTION_NAME = 'fineLedger';
+  }
+
+  /**
+   * @description Construit une écriture à partir d'un document Firestore
+   * @param {Object} doc - Document Firestore
+   * @returns {LedgerEntry} L'écriture
+   * @private
+   */
+  _toEntry(doc) {
+    const data = doc.data();
+    return new LedgerEntry(doc.id, data.userId, data.type, data.amount, data);
+  }
+
+  /**
+   * @description Calcule le solde dû à partir d'une liste d'écritures
+   * @param {Array<LedgerEntry>} entries - Écritures du compte
+   * @returns {number} Solde en centimes (négatif: avoir en faveur du membre)
+   * @private
+   */
+  _balanceOf(entries) {
+    return entries.reduce((balance, entry) => balance + entry.balanceEffect(), 0);
+  }
+
+  /**
+   * @description Formate un montant en centimes pour l'affichage (ex: 150 → "1,50 €")
+   * @param {number} amount - Montant en centimes
+   * @returns {string} Montant formaté
+   */
+  formatAmount(amount) {
+    return `${(amount / 100).toFixed(2).replace('.', ',')} €`;
+  }
+
+  /**
+   * @description Calcule les frais de retard d'un emprunt
+   * Seuls les jours d'ouverture de la bibliothèque comptent comme jours de retard (voir calendarService).
+   * Un exemplaire rappelé est facturé au tarif de rappel, sans délai de grâce.
+   * @param {number} dueDate - Timestamp de la date de retour prévue
+   * @param {number} returnDate - Timestamp du retour
+   * @param {Object} loanPolicy - Politique de prêt (fineDailyRate, fineGraceDays, fineCap, recallFineDailyRate, recallFineCap)
+   * @param {Object} options - Options
+   * @param {boolean} options.recalled - L'exemplaire a été rappelé
+   * @returns {Object} { daysLate, chargedDays, amount, dailyRate, cap } (montants en centimes, 0 si rien à payer)
+   */
+  computeLateFee(dueDate, returnDate, loanPolicy, { recalled = false } = {}) {
+    const dailyRate = recalled ? loanPolicy.recallFineDailyRate : loanPolicy.fineDailyRate;
+    const graceDays = recalled ? 0 : loanPolicy.fineGraceDays;
+    const cap = recalled ? loanPolicy.recallFineCap : loanPolicy.fineCap;
+
+    const daysLate = calendarService.countOverdueDays(dueDate, returnDate);
+    const chargedDays = Math.max(0, daysLate - graceDays);
+    const amount = Math.min(chargedDays * dailyRate, cap);
+
+    return { daysLate, chargedDays, amount, dailyRate, cap };
+  }
+
+  /**
+   * @description Récupère les écritures d'un membre
+   * @param {string} userId - ID du membre
+   * @returns {Promise<Array<LedgerEntry>>} Écritures (les plus récentes en premier)
+   */
+  async findEntries(userId) {
+    try {
+      const snapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .get();
+
+      return snapshot.docs
+        .map(doc => this._toEntry(doc))
+        .sort((a, b) => b.createdAt - a.createdAt);
+    } catch (error) {
+      console.error(`Erreur lors de la récupération du compte de ${userId}:`, error);
+      throw new Error('Impossible de récupérer le compte d\'amendes');
+    }
+  }
+
+  /**
+   * @description Calcule le solde dû par un membre
+   * @param {string} userId - ID du membre
+   * @returns {Promise<number>} Solde en centimes
+   */
+  async getBalance(userId) {
+    return this._balanceOf(await this.findEntries(userId));
+  }
+
+  /**
+   * @description Récupère le compte d'un membre (solde et écritures)
+   * @param {string} userId - ID du membre
+   * @returns {Promise<Object>} { userId, balance, formattedBalance, entries }
+   */
+  async getAccount(userId) {
+    const entries = await this.findEntries(userId);
+    const balance = this._balanceOf(entries);
+
+    return {
+      userId,
+      balance,
+      formattedBalance: this.formatAmount(balance),
+      entries
+    };
+  }
+
+  /**
+   * @description Inscrit des frais au compte d'un membre
+   * @param {string} userId - ID du membre
+   * @param {number} amount - Montant en centimes
+   * @param {Object} details - Détails de l'écriture (note, borrowingId, bookId, createdBy, metadata)
+   * @returns {Promise<LedgerEntry>} L'écriture créée
+   */
+  async recordCharge(userId, amount, details = {}) {
+    this._validateAmount(amount);
+
+    try {
+      const entry = new LedgerEntry(null, userId, Types.CHARGE, amount, details);
+      const docRef = await this.db.collection(this.COLLECTION_NAME).add(this._toData(entry));
+
+      entry.id = docRef.id;
+      console.log(`✓ Frais de ${this.formatAmount(amount)} inscrits au compte de ${userId}`);
+      return entry;
+    } catch (error) {
+      console.error(`Erreur lors de l'inscription des frais de ${userId}:`, error);
+      throw new Error('Impossible d\'inscrire les frais');
+    }
+  }
+
+  /**
+   * @description Enregistre un paiement (au plus le solde dû)
+   * @param {string} userId - ID du membre
+   * @param {number} amount - Montant en centimes
+   * @param {Object} details - { note, createdBy }
+   * @returns {Promise<Object>} { entry, balance (après) }
+   * @throws {Error} Si le montant est invalide ou dépasse le solde dû
+   */
+  async recordPayment(userId, amount, details = {}) {
+    return await this._recordAdjustment(userId, Types.PAYMENT, amount, details);
+  }
+
+  /**
+   * @description Accorde une remise sur le solde dû
+   * @param {string} userId - ID du membre
+   * @param {number} amount - Montant en centimes
+   * @param {Object} details - { note (motif), createdBy, relatedEntryId (frais concernés, optionnel) }
+   * @returns {Promise<Object>} { entry, balance (après) }
+   * @throws {Error} Si le montant est invalide ou dépasse le solde dû
+   */
+  async waive(userId, amount, details = {}) {
+    return await this._recordAdjustment(userId, Types.WAIVER, amount, details);
+  }
+
+  /**
+   * @description Rembourse tout ou partie d'un paiement
+   * @param {string} userId - ID du membre
+   * @param {number} amount - Montant en centimes
+   * @param {Object} details - { relatedEntryId (paiement remboursé, requis), note, createdBy }
+   * @returns {Promise<Object>} { entry, balance (après) }
+   * @throws {Error} Si le paiement n'existe pas ou si le montant dépasse ce qui reste remboursable
+   */
+  async refund(userId, amount, details = {}) {
+    return await this._recordAdjustment(userId, Types.REFUND, amount, details);
+  }
+
+  /**
+   * @description Vérifie qu'un montant est un nombre entier de centimes strictement positif
+   * @param {*} amount - Montant reçu
+   * @throws {Error} Si le montant est invalide
+   * @private
+   */
+  _validateAmount(amount) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error('Montant invalide: un nombre entier de centimes strictement positif est attendu');
+    }
+  }
+
+  /**
+   * @description Convertit une écriture en données Firestore
+   * @param {LedgerEntry} entry - Écriture
+   * @returns {Object} Données à enregistrer
+   * @private
+   */
+  _toData(entry) {
+    return {
+      userId: entry.userId,
+      type: entry.type,
+      amount: entry.amount,
+      note: entry.note,
+      borrowingId: entry.borrowingId,
+      bookId: entry.bookId,
+      relatedEntryId: entry.relatedEntryId,
+      createdBy: entry.createdBy,
+      metadata: entry.metadata,
+      createdAt: entry.createdAt
+    };
+  }
+
+  /**
+   * @description Enregistre un paiement, une remise ou un remboursement après validation contre le compte
+   * @param {string} userId - ID du membre
+   * @param {string} type - Type d'écriture
+   * @param {number} amount - Montant en centimes
+   * @param {Object} details - Détails de l'écriture
+   * @returns {Promise<Object>} { entry, balance (après) }
+   * @private
+   */
+  async _recordAdjustment(userId, type, amount, details) {
+    this._validateAmount(amount);
+
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(
+          this.db.collection(this.COLLECTION_NAME).where('userId', '==', userId)
+        );
+        const entries = snapshot.docs.map(doc => this._toEntry(doc));
+        const balance = this._balanceOf(entries);
+
+        if (type === Types.REFUND) {
+          const payment = entries.find(entry => entry.id === details.relatedEntryId && entry.type === Types.PAYMENT);
+          if (!payment) {
+            throw new Error(`Paiement ${details.relatedEntryId} non trouvé pour ce membre`);
+          }
+
+          const refunded = entries
+            .filter(entry => entry.type === Types.REFUND && entry.relatedEntryId === payment.id)
+            .reduce((total, entry) => total + entry.amount, 0);
+          if (amount > payment.amount - refunded) {
+            throw new Error(`Montant invalide: ${this.formatAmount(payment.amount - refunded)} restant(s) à rembourser sur ce paiement`);
+          }
+        } else if (amount > balance) {
+          throw new Error(`Montant invalide: supérieur au solde dû (${this.formatAmount(Math.max(0, balance))})`);
+        }
+
+        const entry = new LedgerEntry(null, userId, type, amount, details);
+        const entryRef = this.db.collection(this.COLLECTION_NAME).doc();
+        transaction.set(entryRef, this._toData(entry));
+        entry.id = entryRef.id;
+
+        return { entry, balance: balance + entry.balanceEffect() };
+      });
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors de l'enregistrement de l'écriture ${type} de ${userId}:`, error);
+        throw new Error('Impossible d\'enregistrer l\'écriture');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new FineService();
@@ -0,0 +1,431 @@
+/**
+ * @file holdService.js
+ * @description Service de gestion des réservations (file d'attente FIFO par livre).
+ * Quand un exemplaire revient en rayon et que des membres attendent, il est mis de côté
+ * (statut 'on-hold') pour la première réservation de la file pendant le délai de retrait.
+ * Passé ce délai, la réservation expire et l'exemplaire passe à la réservation suivante.
+ *
+ * Les mises de côté sont faites dans des transactions, avec le recalcul des quantités du livre:
+ * un exemplaire ne peut pas être attribué à deux réservations.
+ * Les réservations sont stockées dans la collection Firestore "holds".
+ */
+
+const database = require('./database');
+const itemService = require('./itemService');
+const Hold = require('../models/hold');
+const Item = require('../models/item');
+
+const { Statuses } = Hold;
+
+class HoldService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Nom de la collection Firestore des réservations
+     */
+    this.COLLECTION_NAME = 'holds';
+
+    /**
+     * @property {number} PICKUP_WINDOW_MS - Délai pour emprunter un exemplaire mis de côté (3 jours par défaut)
+     */
+    this.PICKUP_WINDOW_MS = (parseInt(process.env.HOLD_PICKUP_DAYS, 10) || 3) * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * @description Construit une Hold à partir d'un document Firestore
+   * @param {Object} doc - Document Firestore
+   * @returns {Hold} La réservation
+   * @private
+   */
+  _toHold(doc) {
+    const data = doc.data();
+    return new Hold(doc.id, data.userId, data.bookId, data);
+  }
+
+  /**
+   * @description Lit dans une transaction les réservations d'un livre ayant un statut donné
+   * @param {Object} transaction - Transaction Firestore
+   * @param {string} bookId - ID du livre
+   * @param {string} status - Statut recherché
+   * @returns {Promise<Array<Hold>>} Réservations triées par ordre d'arrivée
+   */
+  async getHoldsInTransaction(transaction, bookId, status) {
+    const snapshot = await transaction.get(
+      this.db.collection(this.COLLECTION_NAME)
+        .where('bookId', '==', bookId)
+        .where('status', '==', status)
+    );
+
+    return snapshot.docs
+      .map(doc => this._toHold(doc))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * @description Met de côté les exemplaires en rayon pour les premières réservations en attente
+   * Les exemplaires et réservations passés en paramètre sont mis à jour en place;
+   * l'appelant doit ensuite recalculer les quantités du livre (itemService.syncBookCounts).
+   * @param {Object} transaction - Transaction Firestore (toutes les lectures doivent être faites)
+   * @param {Array<Item>} items - Exemplaires du livre
+   * @param {Array<Hold>} waitingHolds - Réservations en attente, par ordre d'arrivée
+   * @param {number} now - Timestamp de la mise de côté
+   * @returns {Array<Hold>} Réservations devenues prêtes
+   */
+  allocateInTransaction(transaction, items, waitingHolds, now = Date.now()) {
+    const availableItems = items.filter(item => item.isAvailable());
+    const queue = waitingHolds.filter(hold => hold.status === Statuses.WAITING);
+    const promoted = [];
+
+    while (availableItems.length > 0 && queue.length > 0) {
+      const item = availableItems.shift();
+      const hold = queue.shift();
+
+      item.status = Item.Statuses.ON_HOLD;
+      Object.assign(hold, {
+        status: Statuses.READY,
+        readyAt: now,
+        expiresAt: now + this.PICKUP_WINDOW_MS,
+        itemId: item.id,
+        itemBarcode: item.barcode
+      });
+
+      transaction.update(this.db.collection(itemService.COLLECTION_NAME).doc(item.id), {
+        status: Item.Statuses.ON_HOLD
+      });
+      transaction.update(this.db.collection(this.COLLECTION_NAME).doc(hold.id), {
+        status: hold.status,
+        readyAt: hold.readyAt,
+        expiresAt: hold.expiresAt,
+        itemId: hold.itemId,
+        itemBarcode: hold.itemBarcode
+      });
+      promoted.push(hold);
+    }
+
+    return promoted;
+  }
+
+  /**
+   * @description Marque une réservation prête comme honorée (son exemplaire est prêté)
+   * @param {Object} transaction - Transaction Firestore
+   * @param {Hold} hold - Réservation prête
+   * @param {string} borrowingId - ID de l'emprunt créé à partir de la réservation
+   */
+  fulfillInTransaction(transaction, hold, borrowingId) {
+    transaction.update(this.db.collection(this.COLLECTION_NAME).doc(hold.id), {
+      status: Statuses.FULFILLED,
+      fulfilledAt: Date.now(),
+      borrowingId
+    });
+  }
+
+  /**
+   * @description Libère l'exemplaire d'une réservation prête (expiration ou annulation)
+   * @param {Object} transaction - Transaction Firestore
+   * @param {Hold} hold - Réservation prête
+   * @param {Array<Item>} items - Exemplaires du livre (mis à jour en place)
+   * @private
+   */
+  _releaseItem(transaction, hold, items) {
+    const item = items.find(candidate => candidate.id === hold.itemId);
+    if (item && item.status === Item.Statuses.ON_HOLD) {
+      item.status = Item.Statuses.AVAILABLE;
+      transaction.update(this.db.collection(itemService.COLLECTION_NAME).doc(item.id), {
+        status: Item.Statuses.AVAILABLE
+      });
+    }
+  }
+
+  /**
+   * @description Crée une réservation en fin de file d'attente
+   * @param {string} userId - ID du membre
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Hold>} La réservation créée
+   * @throws {Error} Si le membre a déjà une réservation active pour ce livre
+   */
+  async placeHold(userId, bookId) {
+    const existing = await this.findActiveHold(userId, bookId);
+    if (existing) {
+      throw new Error('Vous avez déjà une réservation en cours pour ce livre');
+    }
+
+    try {
+      const hold = new Hold(null, userId, bookId);
+      const docRef = await this.db.collection(this.COLLECTION_NAME).add({
+        userId,
+        bookId,
+        status: hold.status,
+        createdAt: hold.createdAt,
+        readyAt: null,
+        expiresAt: null,
+        itemId: null,
+        itemBarcode: null
+      });
+
+      hold.id = docRef.id;
+      return hold;
+    } catch (error) {
+      console.error(`Erreur lors de la réservation du livre ${bookId}:`, error);
+      throw new Error('Impossible de créer la réservation');
+    }
+  }
+
+  /**
+   * @description Annule une réservation; si un exemplaire était mis de côté, il passe au suivant de la file
+   * @param {string} holdId - ID de la réservation
+   * @returns {Promise<Object>} { hold (avant annulation), promoted: Array<Hold> }
+   * @throws {Error} Si la réservation n'existe pas ou n'est plus active
+   */
+  async cancelHold(holdId) {
+    const holdRef = this.db.collection(this.COLLECTION_NAME).doc(holdId);
+
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const holdDoc = await transaction.get(holdRef);
+        if (!holdDoc.exists) {
+          throw new Error(`Réservation ${holdId} non trouvée`);
+        }
+
+        const hold = this._toHold(holdDoc);
+        if (!hold.isActive()) {
+          throw new Error(`Cette réservation n'est plus active (statut: ${hold.status})`);
+        }
+
+        let promoted = [];
+        if (hold.status === Statuses.READY) {
+          const items = await itemService.getItemsInTransaction(transaction, hold.bookId);
+          const waitingHolds = await this.getHoldsInTransaction(transaction, hold.bookId, Statuses.WAITING);
+
+          this._releaseItem(transaction, hold, items);
+          promoted = this.allocateInTransaction(transaction, items, waitingHolds);
+          itemService.syncBookCounts(transaction, hold.bookId, items);
+        }
+
+        transaction.update(holdRef, { status: Statuses.CANCELLED, cancelledAt: Date.now() });
+        return { hold, promoted };
+      });
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors de l'annulation de la réservation ${holdId}:`, error);
+        throw new Error('Impossible d\'annuler la réservation');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Traite la file d'attente d'un livre: expire les réservations dont le délai
+   * de retrait est dépassé, puis met de côté les exemplaires en rayon pour les suivants
+   * @param {string} bookId - ID du livre
+   * @param {number} now - Timestamp de référence
+   * @returns {Promise<Object>} { expired: Array<Hold>, promoted: Array<Hold> }
+   */
+  async processQueue(bookId, now = Date.now()) {
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const readyHolds = await this.getHoldsInTransaction(transaction, bookId, Statuses.READY);
+        const waitingHolds = await this.getHoldsInTransaction(transaction, bookId, Statuses.WAITING);
+        const items = await itemService.getItemsInTransaction(transaction, bookId);
+
+        const expired = readyHolds.filter(hold => hold.isExpired(now));
+        expired.forEach(hold => {
+          this._releaseItem(transaction, hold, items);
+          hold.status = Statuses.EXPIRED;
+          transaction.update(this.db.collection(this.COLLECTION_NAME).doc(hold.id), {
+            status: Statuses.EXPIRED,
+            expiredAt: now
+          });
+        });
+
+        const promoted = this.allocateInTransaction(transaction, items, waitingHolds, now);
+        if (expired.length > 0 || promoted.length > 0) {
+          itemService.syncBookCounts(transaction, bookId, items);
+        }
+
+        return { expired, promoted };
+      });
+    } catch (error) {
+      console.error(`Erreur lors du traitement de la file d'attente du livre ${bookId}:`, error);
+      throw new Error('Impossible de traiter la file d\'attente');
+    }
+  }
+
+  /**
+   * @description Traite les files d'attente de tous les livres ayant une réservation expirée
+   * @param {number} now - Timestamp de référence
+   * @returns {Promise<Array<Object>>} Résultats par livre { bookId, expired, promoted }
+   */
+  async processExpiredHolds(now = Date.now()) {
+    let bookIds;
+
+    try {
+      const snapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('status', '==', Statuses.READY)
+        .get();
+
+      bookIds = [...new Set(
+        snapshot.docs
+          .map(doc => this._toHold(doc))
+          .filter(hold => hold.isExpired(now))
+          .map(hold => hold.bookId)
+      )];
+    } catch (error) {
+      console.error('Erreur lors de la recherche des réservations expirées:', error);
+      throw new Error('Impossible de rechercher les réservations expirées');
+    }
+
+    const results = [];
+    for (const bookId of bookIds) {
+      const result = await this.processQueue(bookId, now);
+      results.push({ bookId, ...result });
+    }
+
+    return results;
+  }
+
+  /**
+   * @description Trouve la réservation active (en attente ou prête) d'un membre pour un livre
+   * @param {string} userId - ID du membre
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Hold|null>} La réservation ou null
+   */
+  async findActiveHold(userId, bookId) {
+    try {
+      const snapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .where('bookId', '==', bookId)
+        .get();
+
+      const hold = snapshot.docs
+        .map(doc => this._toHold(doc))
+        .find(candidate => candidate.isActive());
+
+      return hold || null;
+    } catch (error) {
+      console.error(`Erreur lors de la recherche de la réservation de ${userId} pour ${bookId}:`, error);
+      throw new Error('Impossible de vérifier les réservations');
+    }
+  }
+
+  /**
+   * @description Trouve une réservation par son ID
+   * @param {string} holdId - ID de la réservation
+   * @returns {Promise<Hold|null>} La réservation ou null
+   */
+  async findHoldById(holdId) {
+    try {
+      const doc = await this.db.collection(this.COLLECTION_NAME).doc(holdId).get();
+      return doc.exists ? this._toHold(doc) : null;
+    } catch (error) {
+      console.error(`Erreur lors de la recherche de la réservation ${holdId}:`, error);
+      throw new Error('Impossible de récupérer la réservation');
+    }
+  }
+
+  /**
+   * @description Récupère la file d'attente d'un livre (réservations prêtes puis en attente)
+   * Chaque réservation en attente porte sa position (1 = prochaine servie).
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Array<Object>>} Réservations avec leur position
+   */
+  async getQueue(bookId) {
+    try {
+      const snapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('bookId', '==', bookId)
+        .get();
+
+      const holds = snapshot.docs
+        .map(doc => this._toHold(doc))
+        .filter(hold => hold.isActive())
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+      const ready = holds.filter(hold => hold.status === Statuses.READY);
+      const waiting = holds.filter(hold => hold.status === Statuses.WAITING);
+
+      return [
+        ...ready.map(hold => ({ ...hold, position: null })),
+        ...waiting.map((hold, index) => ({ ...hold, position: index + 1 }))
+      ];
+    } catch (error) {
+      console.error(`Erreur lors de la récupération de la file d'attente du livre ${bookId}:`, error);
+      throw new Error('Impossible de récupérer la file d\'attente');
+    }
+  }
+
+  /**
+   * @description Récupère les réservations d'un membre, avec sa position dans chaque file
+   * @param {string} userId - ID du membre
+   * @returns {Promise<Array<Object>>} Réservations (les plus récentes en premier)
+   */
+  async findUserHolds(userId) {
+    try {
+      const snapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .get();
+
+      const holds = snapshot.docs.map(doc => this._toHold(doc));
+      const waitingBooks = [...new Set(
+        holds.filter(hold => hold.status === Statuses.WAITING).map(hold => hold.bookId)
+      )];
+
+      const queues = {};
+      for (const bookId of waitingBooks) {
+        queues[bookId] = await this.getQueue(bookId);
+      }
+
+      return holds
+        .map(hold => {
+          const entry = hold.status === Statuses.WAITING
+            ? queues[hold.bookId].find(queued => queued.id === hold.id)
+            : null;
+          return { ...hold, position: entry ? entry.position : null };
+        })
+        .sort((a, b) => b.createdAt - a.createdAt);
+    } catch (error) {
+      console.error(`Erreur lors de la récupération des réservations de ${userId}:`, error);
+      throw new Error('Impossible de récupérer les réservations');
+    }
+  }
+
+  /**
+   * @description Compte les réservations actives (en attente ou prêtes) d'un membre
+   * @param {string} userId - ID du membre
+   * @returns {Promise<number>} Nombre de réservations actives
+   */
+  async countActiveHolds(userId) {
+    try {
+      const snapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .get();
+
+      return snapshot.docs.filter(doc => this._toHold(doc).isActive()).length;
+    } catch (error) {
+      console.error(`Erreur lors du comptage des réservations de ${userId}:`, error);
+      throw new Error('Impossible de compter les réservations');
+    }
+  }
+
+  /**
+   * @description Liste les membres ayant une réservation en attente sur un livre, hors un membre
+   * @param {string} bookId - ID du livre
+   * @param {string} excludeUserId - ID du membre à ignorer (ex: l'emprunteur actuel)
+   * @returns {Promise<Array<string>>} IDs des membres (un par réservation)
+   */
+  async findWaitingUserIds(bookId, excludeUserId) {
+    const queue = await this.getQueue(bookId);
+    return queue
+      .filter(hold => hold.status === Statuses.WAITING && hold.userId !== excludeUserId)
+      .map(hold => hold.userId);
+  }
+}
+
+module.exports = new HoldService();
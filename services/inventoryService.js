@@ -0,0 +1,618 @@
+/**
+ * @file inventoryService.js
+ * @description Service de gestion du stock des livres lors des emprunts.
+ * Un prêt attribue un exemplaire précis (item) à l'emprunt: le changement de statut de l'emprunt,
+ * celui de l'exemplaire et le recalcul des quantités du livre sont réalisés dans une même
+ * transaction. Deux approbations simultanées ne peuvent pas prêter le même exemplaire
+ * (la transaction est rejouée en cas de conflit).
+ * Au retour, l'exemplaire est mis de côté pour la première réservation en attente (holdService);
+ * à l'approbation, un membre dont la réservation est prête reçoit l'exemplaire mis de côté pour lui.
+ *
+ * Les incidents (perte, retour contesté, dégâts) changent le statut de l'emprunt et de son exemplaire
+ * de la même façon; un exemplaire retiré du fonds n'est plus compté dans totalQuantity.
+ *
+ * Le service permet aussi de réconcilier les quantités des livres: elles sont recalculées
+ * à partir des statuts de leurs exemplaires.
+ */
+
+const database = require('./database');
+const bookService = require('./bookService');
+const borrowingService = require('./borrowingService');
+const itemService = require('./itemService');
+const holdService = require('./holdService');
+const auditService = require('./auditService');
+const Borrowing = require('../models/borrowing');
+const Item = require('../models/item');
+const Hold = require('../models/hold');
+
+class InventoryService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+  }
+
+  /**
+   * @description Borne une quantité disponible entre 0 et le nombre total d'exemplaires
+   * @param {number} quantity - Quantité calculée
+   * @param {number} totalQuantity - Nombre total d'exemplaires
+   * @returns {number} Quantité bornée
+   * @private
+   */
+  _clamp(quantity, totalQuantity) {
+    return Math.max(0, Math.min(quantity, totalQuantity));
+  }
+
+  /**
+   * @description Exécute une transaction de stock
+   * Les erreurs métier levées dans la transaction sont propagées telles quelles;
+   * les erreurs de stockage (qui portent un code Firestore) sont remplacées par un message générique.
+   * @param {string} label - Description de l'opération (pour les logs)
+   * @param {Function} updateFunction - async (transaction) => résultat
+   * @param {string} failureMessage - Message en cas d'erreur de stockage
+   * @returns {Promise<*>} Résultat de la transaction
+   * @private
+   */
+  async _runTransaction(label, updateFunction, failureMessage) {
+    try {
+      return await this.db.runTransaction(updateFunction);
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur de stockage lors de ${label}:`, error);
+        throw new Error(failureMessage);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Approuve une demande et prête un exemplaire en rayon (opération atomique)
+   * @param {string} requestId - ID de la demande d'emprunt
+   * @param {Object} dates - Dates de l'emprunt
+   * @param {number} dates.approvalDate - Timestamp de l'approbation
+   * @param {number|Function} dates.dueDate - Timestamp de la date de retour prévue, ou fonction
+   * (item) => timestamp appelée avec l'exemplaire choisi (la durée peut dépendre de son type)
+   * @param {Object|null} dates.autoApproval - Règle d'approbation automatique appliquée { ruleId, ruleName }
+   * @returns {Promise<Object>} { borrowing (avant), book (après), item (prêté), hold (réservation honorée ou null), dueDate }
+   * @throws {Error} Si la demande n'est plus en attente ou si aucun exemplaire n'est disponible
+   */
+  async checkout(requestId, { approvalDate, dueDate, autoApproval = null }) {
+    const borrowingRef = this.db.collection(borrowingService.COLLECTION_NAME).doc(requestId);
+
+    const request = await borrowingService.findRequestById(requestId);
+    if (request) {
+      await itemService.ensureItemsForBook(request.bookId);
+    }
+
+    return await this._runTransaction(`l'approbation de ${requestId}`, async (transaction) => {
+      const borrowingDoc = await transaction.get(borrowingRef);
+      if (!borrowingDoc.exists) {
+        throw new Error(`Demande ${requestId} non trouvée`);
+      }
+
+      const borrowing = borrowingDoc.data();
+      if (borrowing.status !== 'pending') {
+        throw new Error(`Cette demande a déjà été traitée (statut: ${borrowing.status})`);
+      }
+
+      const bookRef = this.db.collection(bookService.COLLECTION_NAME).doc(borrowing.bookId);
+      const bookDoc = await transaction.get(bookRef);
+      if (!bookDoc.exists) {
+        throw new Error(`Livre ${borrowing.bookId} non trouvé`);
+      }
+
+      const book = bookDoc.data();
+      const items = await itemService.getItemsInTransaction(transaction, borrowing.bookId);
+      const readyHolds = await holdService.getHoldsInTransaction(transaction, borrowing.bookId, Hold.Statuses.READY);
+
+      // Réservation prête de l'emprunteur: l'exemplaire mis de côté pour lui est prêté
+      const hold = readyHolds.find(candidate => candidate.userId === borrowing.userId);
+      const heldItem = hold ? items.find(candidate => candidate.id === hold.itemId) : null;
+      const item = (heldItem && heldItem.status === Item.Statuses.ON_HOLD)
+        ? heldItem
+        : items.find(candidate => candidate.isAvailable());
+
+      if (!item) {
+        throw new Error(`Le livre "${book.title}" n'est plus disponible (0/${book.totalQuantity})`);
+      }
+
+      const itemDueDate = typeof dueDate === 'function' ? dueDate(item) : dueDate;
+
+      if (hold && item === heldItem) {
+        holdService.fulfillInTransaction(transaction, hold, requestId);
+      }
+      item.status = Item.Statuses.ON_LOAN;
+      transaction.update(this.db.collection(itemService.COLLECTION_NAME).doc(item.id), {
+        status: Item.Statuses.ON_LOAN
+      });
+      transaction.update(borrowingRef, {
+        status: 'approved',
+        approvalDate,
+        dueDate: itemDueDate,
+        itemId: item.id,
+        itemBarcode: item.barcode,
+        autoApproval
+      });
+      const counts = itemService.syncBookCounts(transaction, borrowing.bookId, items);
+
+      return {
+        borrowing: { id: requestId, ...borrowing },
+        book: { id: borrowing.bookId, ...book, ...counts },
+        item,
+        hold: (hold && item === heldItem) ? hold : null,
+        dueDate: itemDueDate
+      };
+    }, 'Impossible d\'approuver l\'emprunt');
+  }
+
+  /**
+   * @description Prête au comptoir un exemplaire scanné: crée un emprunt approuvé en une étape (opération atomique)
+   * L'exemplaire doit être en rayon, ou mis de côté pour ce membre. Si le membre avait une demande en attente
+   * pour ce livre, elle est approuvée avec cet exemplaire au lieu de créer un nouvel emprunt.
+   * Si le membre avait une réservation prête sur un autre exemplaire, elle est honorée et l'exemplaire
+   * qui lui était mis de côté passe à la réservation suivante.
+   * @param {Item} scannedItem - Exemplaire scanné
+   * @param {string} userId - ID du membre
+   * @param {Object} options - Paramètres du prêt
+   * @param {number} options.approvalDate - Timestamp du prêt
+   * @param {number|Function} options.dueDate - Timestamp de retour prévu, ou fonction (item) => timestamp
+   * @param {string|null} options.requestId - Demande en attente du membre pour ce livre (optionnel)
+   * @returns {Promise<Object>} { borrowing (après), book (après), item (prêté), hold (réservation honorée ou null), dueDate, promoted }
+   * @throws {Error} Si l'exemplaire n'est pas prêtable à ce membre
+   */
+  async deskCheckout(scannedItem, userId, { approvalDate, dueDate, requestId = null }) {
+    const borrowingsRef = this.db.collection(borrowingService.COLLECTION_NAME);
+    const bookRef = this.db.collection(bookService.COLLECTION_NAME).doc(scannedItem.bookId);
+
+    return await this._runTransaction(`le prêt au comptoir de ${scannedItem.barcode}`, async (transaction) => {
+      const requestDoc = requestId ? await transaction.get(borrowingsRef.doc(requestId)) : null;
+
+      const bookDoc = await transaction.get(bookRef);
+      if (!bookDoc.exists) {
+        throw new Error(`Livre ${scannedItem.bookId} non trouvé`);
+      }
+
+      const book = bookDoc.data();
+      const items = await itemService.getItemsInTransaction(transaction, scannedItem.bookId);
+      const readyHolds = await holdService.getHoldsInTransaction(transaction, scannedItem.bookId, Hold.Statuses.READY);
+      const waitingHolds = await holdService.getHoldsInTransaction(transaction, scannedItem.bookId, Hold.Statuses.WAITING);
+
+      const item = items.find(candidate => candidate.id === scannedItem.id);
+      if (!item) {
+        throw new Error(`Exemplaire ${scannedItem.barcode} non trouvé`);
+      }
+
+      const memberHold = readyHolds.find(candidate => candidate.userId === userId) || null;
+      if (item.status === Item.Statuses.ON_HOLD) {
+        const holder = readyHolds.find(candidate => candidate.itemId === item.id);
+        if (holder && holder.userId !== userId) {
+          throw new Error(`L'exemplaire ${item.barcode} est mis de côté pour un autre membre`);
+        }
+      } else if (!item.isAvailable()) {
+        throw new Error(`L'exemplaire ${item.barcode} n'est pas en rayon (statut: ${item.status})`);
+      }
+
+      const itemDueDate = typeof dueDate === 'function' ? dueDate(item) : dueDate;
+      const reuseRequest = requestDoc && requestDoc.exists && requestDoc.data().status === 'pending';
+      const borrowingRef = reuseRequest ? requestDoc.ref : borrowingsRef.doc();
+
+      // Réservation prête du membre: honorée par ce prêt (l'exemplaire qui lui était mis de côté est libéré)
+      if (memberHold) {
+        holdService.fulfillInTransaction(transaction, memberHold, borrowingRef.id);
+        const heldItem = items.find(candidate => candidate.id === memberHold.itemId);
+        if (heldItem && heldItem !== item && heldItem.status === Item.Statuses.ON_HOLD) {
+          heldItem.status = Item.Statuses.AVAILABLE;
+          transaction.update(this.db.collection(itemService.COLLECTION_NAME).doc(heldItem.id), {
+            status: Item.Statuses.AVAILABLE
+          });
+        }
+      }
+
+      item.status = Item.Statuses.ON_LOAN;
+      transaction.update(this.db.collection(itemService.COLLECTION_NAME).doc(item.id), {
+        status: Item.Statuses.ON_LOAN
+      });
+
+      const loanData = {
+        status: 'approved',
+        approvalDate,
+        dueDate: itemDueDate,
+        itemId: item.id,
+        itemBarcode: item.barcode
+      };
+      let borrowing;
+      if (reuseRequest) {
+        transaction.update(borrowingRef, loanData);
+        borrowing = { id: borrowingRef.id, ...requestDoc.data(), ...loanData };
+      } else {
+        borrowing = {
+          userId,
+          bookId: scannedItem.bookId,
+          requestDate: approvalDate,
+          returnDate: null,
+          renewalCount: 0,
+          renewalHistory: [],
+          ...loanData
+        };
+        transaction.set(borrowingRef, borrowing);
+        borrowing = { id: borrowingRef.id, ...borrowing };
+      }
+
+      const promoted = holdService.allocateInTransaction(transaction, items, waitingHolds);
+      const counts = itemService.syncBookCounts(transaction, scannedItem.bookId, items);
+
+      return {
+        borrowing,
+        book: { id: scannedItem.bookId, ...book, ...counts },
+        item,
+        hold: memberHold,
+        dueDate: itemDueDate,
+        promoted
+      };
+    }, 'Impossible d\'enregistrer le prêt au comptoir');
+  }
+
+  /**
+   * @description Marque un emprunt comme retourné et remet son exemplaire en rayon (opération atomique)
+   * @param {string} requestId - ID de l'emprunt
+   * @param {number} returnDate - Timestamp du retour
+   * @returns {Promise<Object>} { borrowing (avant), book (après), item (retourné), promoted (réservations devenues prêtes) }
+   * @throws {Error} Si l'emprunt n'est pas en cours
+   */
+  async checkin(requestId, returnDate) {
+    const borrowingRef = this.db.collection(borrowingService.COLLECTION_NAME).doc(requestId);
+
+    const request = await borrowingService.findRequestById(requestId);
+    if (request) {
+      await itemService.ensureItemsForBook(request.bookId);
+    }
+
+    return await this._runTransaction(`le retour de ${requestId}`, async (transaction) => {
+      const borrowingDoc = await transaction.get(borrowingRef);
+      if (!borrowingDoc.exists) {
+        throw new Error(`Demande ${requestId} non trouvée`);
+      }
+
+      const borrowing = borrowingDoc.data();
+      if (borrowing.status !== 'approved') {
+        throw new Error(`Ce livre ne peut être retourné (statut: ${borrowing.status})`);
+      }
+
+      const bookRef = this.db.collection(bookService.COLLECTION_NAME).doc(borrowing.bookId);
+      const bookDoc = await transaction.get(bookRef);
+      if (!bookDoc.exists) {
+        throw new Error(`Livre ${borrowing.bookId} non trouvé`);
+      }
+
+      const book = bookDoc.data();
+      const items = await itemService.getItemsInTransaction(transaction, borrowing.bookId);
+      const waitingHolds = await holdService.getHoldsInTransaction(transaction, borrowing.bookId, Hold.Statuses.WAITING);
+      // Emprunt antérieur aux exemplaires: un exemplaire en prêt quelconque est remis en rayon
+      const item = items.find(candidate => candidate.id === borrowing.itemId)
+        || items.find(candidate => candidate.status === Item.Statuses.ON_LOAN);
+
+      if (item && item.status === Item.Statuses.ON_LOAN) {
+        item.status = Item.Statuses.AVAILABLE;
+        transaction.update(this.db.collection(itemService.COLLECTION_NAME).doc(item.id), {
+          status: Item.Statuses.AVAILABLE
+        });
+      }
+      transaction.update(borrowingRef, {
+        status: 'returned',
+        returnDate
+      });
+
+      // Exemplaire mis de côté pour la prochaine réservation de la file
+      const promoted = holdService.allocateInTransaction(transaction, items, waitingHolds);
+      const counts = itemService.syncBookCounts(transaction, borrowing.bookId, items);
+
+      return {
+        borrowing: { id: requestId, ...borrowing },
+        book: { id: borrowing.bookId, ...book, ...counts },
+        item: item || null,
+        promoted
+      };
+    }, 'Impossible d\'enregistrer le retour');
+  }
+
+  /**
+   * @description Signale un incident sur un emprunt en cours (opération atomique)
+   * Un exemplaire rendu endommagé est mis en réparation et le retour est daté du signalement,
+   * comme pour un retour contesté; un exemplaire déclaré perdu reste compté comme prêté.
+   * @param {string} requestId - ID de l'emprunt
+   * @param {string} status - Statut d'incident (voir Borrowing.INCIDENT_STATUSES)
+   * @param {Object} details - { reportedAt, reportedBy, note }
+   * @returns {Promise<Object>} { borrowing (avant), book (après), item, incident }
+   * @throws {Error} Si l'emprunt n'est pas en cours
+   */
+  async reportIncident(requestId, status, { reportedAt, reportedBy, note = '' }) {
+    const borrowingRef = this.db.collection(borrowingService.COLLECTION_NAME).doc(requestId);
+
+    return await this._runTransaction(`le signalement d'incident sur ${requestId}`, async (transaction) => {
+      const borrowingDoc = await transaction.get(borrowingRef);
+      if (!borrowingDoc.exists) {
+        throw new Error(`Demande ${requestId} non trouvée`);
+      }
+
+      const borrowing = borrowingDoc.data();
+      if (!Borrowing.canTransition(borrowing.status, status)) {
+        throw new Error(`Signalement impossible: l'emprunt n'est pas en cours (statut: ${borrowing.status})`);
+      }
+
+      const bookRef = this.db.collection(bookService.COLLECTION_NAME).doc(borrowing.bookId);
+      const bookDoc = await transaction.get(bookRef);
+      if (!bookDoc.exists) {
+        throw new Error(`Livre ${borrowing.bookId} non trouvé`);
+      }
+
+      const book = bookDoc.data();
+      const items = await itemService.getItemsInTransaction(transaction, borrowing.bookId);
+      const item = items.find(candidate => candidate.id === borrowing.itemId) || null;
+
+      const incident = { status, reportedAt, reportedBy, note };
+      const updateData = { status, incident };
+      let counts = null;
+
+      if (status !== Borrowing.Statuses.DECLARED_LOST) {
+        updateData.returnDate = reportedAt;
+      }
+      if (status === Borrowing.Statuses.DAMAGED_ON_RETURN && item && item.status === Item.Statuses.ON_LOAN) {
+        item.status = Item.Statuses.IN_REPAIR;
+        transaction.update(this.db.collection(itemService.COLLECTION_NAME).doc(item.id), {
+          status: Item.Statuses.IN_REPAIR
+        });
+        counts = itemService.syncBookCounts(transaction, borrowing.bookId, items);
+      }
+      transaction.update(borrowingRef, updateData);
+
+      return {
+        borrowing: { id: requestId, ...borrowing },
+        book: { id: borrowing.bookId, ...book, ...counts },
+        item,
+        incident
+      };
+    }, 'Impossible d\'enregistrer l\'incident');
+  }
+
+  /**
+   * @description Clôt un incident (opération atomique)
+   * - returned: l'exemplaire est remis en rayon (ou en réparation) et mis de côté pour la
+   *   prochaine réservation de la file s'il est disponible
+   * - withdrawn: l'exemplaire est retiré du fonds (totalQuantity diminue)
+   * @param {string} requestId - ID de l'emprunt
+   * @param {string} outcome - Statut final (Borrowing.Statuses.RETURNED ou WITHDRAWN)
+   * @param {Object} details - { resolvedAt, resolvedBy, note, repair (exemplaire à réparer) }
+   * @returns {Promise<Object>} { borrowing (avant), book (après), item, promoted, returnDate }
+   * @throws {Error} Si l'emprunt n'attend pas d'examen
+   */
+  async resolveIncident(requestId, outcome, { resolvedAt, resolvedBy, note = '', repair = false }) {
+    const borrowingRef = this.db.collection(borrowingService.COLLECTION_NAME).doc(requestId);
+
+    return await this._runTransaction(`la résolution de l'incident sur ${requestId}`, async (transaction) => {
+      const borrowingDoc = await transaction.get(borrowingRef);
+      if (!borrowingDoc.exists) {
+        throw new Error(`Demande ${requestId} non trouvée`);
+      }
+
+      const borrowing = borrowingDoc.data();
+      if (!Borrowing.INCIDENT_STATUSES.includes(borrowing.status) || !Borrowing.canTransition(borrowing.status, outcome)) {
+        throw new Error(`Résolution impossible: aucun incident en attente sur cet emprunt (statut: ${borrowing.status})`);
+      }
+
+      const bookRef = this.db.collection(bookService.COLLECTION_NAME).doc(borrowing.bookId);
+      const bookDoc = await transaction.get(bookRef);
+      if (!bookDoc.exists) {
+        throw new Error(`Livre ${borrowing.bookId} non trouvé`);
+      }
+
+      const book = bookDoc.data();
+      const items = await itemService.getItemsInTransaction(transaction, borrowing.bookId);
+      const waitingHolds = await holdService.getHoldsInTransaction(transaction, borrowing.bookId, Hold.Statuses.WAITING);
+      const item = items.find(candidate => candidate.id === borrowing.itemId) || null;
+
+      let itemStatus = Item.Statuses.WITHDRAWN;
+      if (outcome === Borrowing.Statuses.RETURNED) {
+        itemStatus = repair ? Item.Statuses.IN_REPAIR : Item.Statuses.AVAILABLE;
+      }
+      if (item && item.status !== Item.Statuses.WITHDRAWN) {
+        item.status = itemStatus;
+        transaction.update(this.db.collection(itemService.COLLECTION_NAME).doc(item.id), { status: itemStatus });
+      }
+
+      const returnDate = borrowing.returnDate || resolvedAt;
+      transaction.update(borrowingRef, {
+        status: outcome,
+        returnDate,
+        incident: {
+          ...borrowing.incident,
+          resolvedAt,
+          resolvedBy,
+          resolution: outcome,
+          resolutionNote: note
+        }
+      });
+
+      const promoted = itemStatus === Item.Statuses.AVAILABLE
+        ? holdService.allocateInTransaction(transaction, items, waitingHolds)
+        : [];
+      const counts = itemService.syncBookCounts(transaction, borrowing.bookId, items);
+
+      return {
+        borrowing: { id: requestId, ...borrowing },
+        book: { id: borrowing.bookId, ...book, ...counts },
+        item,
+        promoted,
+        returnDate
+      };
+    }, 'Impossible de clore l\'incident');
+  }
+
+  /**
+   * @description Compare les quantités enregistrées d'un livre à celles attendues
+   * Pour un livre sans exemplaires (créé avant leur introduction), la quantité attendue est
+   * totalQuantity moins les emprunts en cours; sinon elle est calculée depuis les exemplaires.
+   * @param {string} bookId - ID du livre
+   * @param {Object} book - Données du livre
+   * @param {Array<Item>} items - Exemplaires du livre
+   * @param {number} activeLoans - Nombre d'emprunts en cours pour ce livre
+   * @returns {Object|null} Écart constaté, ou null si le livre est cohérent
+   * @private
+   */
+  _checkBook(bookId, book, items, activeLoans) {
+    const recordedTotal = book.totalQuantity || 0;
+    let expectedTotal = recordedTotal;
+    let expectedQuantity = this._clamp(recordedTotal - activeLoans, recordedTotal);
+    let itemsOnLoan = null;
+
+    if (items.length > 0) {
+      const counts = itemService.computeCounts(items);
+      expectedTotal = counts.totalQuantity;
+      expectedQuantity = counts.availableQuantity;
+      itemsOnLoan = items.filter(item => item.status === Item.Statuses.ON_LOAN).length;
+    }
+
+    if (book.availableQuantity === expectedQuantity && recordedTotal === expectedTotal) {
+      return null;
+    }
+
+    return {
+      bookId,
+      title: book.title,
+      totalQuantity: recordedTotal,
+      expectedTotalQuantity: expectedTotal,
+      activeLoans,
+      itemsOnLoan,
+      recordedQuantity: book.availableQuantity,
+      expectedQuantity,
+      hasItems: items.length > 0,
+      // Plus d'emprunts en cours que d'exemplaires: la quantité ne peut pas être corrigée seule
+      overbooked: activeLoans > expectedTotal
+    };
+  }
+
+  /**
+   * @description Recalcule les quantités de chaque livre à partir de ses exemplaires
+   * En mode simulation (défaut), les écarts sont seulement signalés. Avec fix, chaque livre
+   * en écart est corrigé dans une transaction qui relit ses exemplaires; les livres
+   * sans exemplaires reçoivent leurs exemplaires (migration).
+   * @param {Object} options - Options de la réconciliation
+   * @param {boolean} options.fix - Corriger les écarts (false: simulation)
+   * @param {Object|null} options.actor - Utilisateur à l'origine de la correction (journal d'audit)
+   * @returns {Promise<Object>} Rapport { checkedBooks, discrepancies, fixed }
+   */
+  async reconcile({ fix = false, actor = null } = {}) {
+    let checkedBooks;
+    let discrepancies;
+
+    try {
+      const [booksSnapshot, loansSnapshot, itemsSnapshot] = await Promise.all([
+        this.db.collection(bookService.COLLECTION_NAME).get(),
+        this.db.collection(borrowingService.COLLECTION_NAME).where('status', '==', 'approved').get(),
+        this.db.collection(itemService.COLLECTION_NAME).get()
+      ]);
+
+      const activeLoansByBook = {};
+      loansSnapshot.forEach(doc => {
+        const { bookId } = doc.data();
+        activeLoansByBook[bookId] = (activeLoansByBook[bookId] || 0) + 1;
+      });
+
+      const itemsByBook = {};
+      itemsSnapshot.forEach(doc => {
+        const data = doc.data();
+        itemsByBook[data.bookId] = itemsByBook[data.bookId] || [];
+        itemsByBook[data.bookId].push(new Item(doc.id, data.bookId, data.barcode, data));
+      });
+
+      discrepancies = [];
+      booksSnapshot.forEach(doc => {
+        const discrepancy = this._checkBook(
+          doc.id,
+          doc.data(),
+          itemsByBook[doc.id] || [],
+          activeLoansByBook[doc.id] || 0
+        );
+        if (discrepancy) {
+          discrepancies.push(discrepancy);
+        }
+      });
+
+      checkedBooks = booksSnapshot.size;
+      console.log(`✓ Réconciliation: ${checkedBooks} livre(s) vérifié(s), ${discrepancies.length} écart(s)`);
+
+      if (!fix) {
+        return { checkedBooks, discrepancies, fixed: [] };
+      }
+    } catch (error) {
+      console.error('Erreur lors de la réconciliation du stock:', error);
+      throw new Error('Impossible de réconcilier le stock');
+    }
+
+    const fixed = [];
+    for (const discrepancy of discrepancies) {
+      const correction = await this._fixBook(discrepancy.bookId);
+      if (correction) {
+        fixed.push(correction);
+        await auditService.record({
+          actor,
+          action: auditService.ACTIONS.INVENTORY_RECONCILE,
+          entity: 'book',
+          entityId: correction.bookId,
+          before: { totalQuantity: correction.totalQuantity, availableQuantity: correction.recordedQuantity },
+          after: { totalQuantity: correction.expectedTotalQuantity, availableQuantity: correction.expectedQuantity },
+          metadata: { activeLoans: correction.activeLoans, itemsOnLoan: correction.itemsOnLoan }
+        });
+      }
+    }
+
+    console.log(`✓ Réconciliation: ${fixed.length} livre(s) corrigé(s)`);
+    return { checkedBooks, discrepancies, fixed };
+  }
+
+  /**
+   * @description Corrige les quantités d'un livre (les exemplaires et emprunts sont relus dans la transaction)
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Object|null>} Correction appliquée, ou null si le livre est redevenu cohérent
+   * @private
+   */
+  async _fixBook(bookId) {
+    const bookRef = this.db.collection(bookService.COLLECTION_NAME).doc(bookId);
+    const loansQuery = this.db.collection(borrowingService.COLLECTION_NAME)
+      .where('bookId', '==', bookId)
+      .where('status', '==', 'approved');
+
+    const correction = await this._runTransaction(`la correction du stock de ${bookId}`, async (transaction) => {
+      const bookDoc = await transaction.get(bookRef);
+      if (!bookDoc.exists) {
+        return null;
+      }
+
+      const loans = await transaction.get(loansQuery);
+      const items = await itemService.getItemsInTransaction(transaction, bookId);
+      const discrepancy = this._checkBook(bookId, bookDoc.data(), items, loans.size);
+      if (!discrepancy) {
+        return null;
+      }
+
+      if (items.length > 0) {
+        itemService.syncBookCounts(transaction, bookId, items);
+      } else {
+        transaction.update(bookRef, {
+          availableQuantity: discrepancy.expectedQuantity,
+          isAvailable: discrepancy.expectedQuantity > 0
+        });
+      }
+      return discrepancy;
+    }, 'Impossible de corriger le stock');
+
+    // Livre sans exemplaires: création des exemplaires une fois la quantité corrigée
+    if (correction && !correction.hasItems) {
+      await itemService.ensureItemsForBook(bookId);
+    }
+
+    return correction;
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,464 @@
+/**
+ * @file itemService.js
+ * @description Service pour gérer les exemplaires physiques des livres (collection "items").
+ * Les quantités d'un livre sont dérivées des statuts de ses exemplaires:
+ * - totalQuantity: exemplaires non retirés du catalogue
+ * - availableQuantity: exemplaires en rayon (statut 'available')
+ * Elles sont recalculées dans la même transaction que chaque changement de statut.
+ *
+ * Les codes-barres sont attribués à partir d'un compteur (document counters/items)
+ * incrémenté dans une transaction: deux exemplaires ne peuvent pas recevoir le même code.
+ */
+
+const database = require('./database');
+const bookService = require('./bookService');
+const borrowingService = require('./borrowingService');
+const Item = require('../models/item');
+
+const { Statuses } = Item;
+
+/**
+ * @description Statuts qu'un bibliothécaire peut attribuer manuellement
+ * (les prêts et retours passent par l'inventoryService)
+ */
+const MANUAL_STATUSES = [Statuses.AVAILABLE, Statuses.IN_REPAIR, Statuses.WITHDRAWN];
+
+/**
+ * @description Champs modifiables d'un exemplaire
+ */
+const EDITABLE_FIELDS = ['condition', 'shelfLocation', 'itemType', 'status'];
+
+class ItemService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Nom de la collection Firestore pour les exemplaires
+     */
+    this.COLLECTION_NAME = 'items';
+
+    /**
+     * @property {string} COUNTER_COLLECTION - Collection du compteur de codes-barres
+     * @property {string} COUNTER_ID - Document du compteur de codes-barres
+     */
+    this.COUNTER_COLLECTION = 'counters';
+    this.COUNTER_ID = 'items';
+
+    /**
+     * @property {string} BARCODE_PREFIX - Préfixe des codes-barres générés
+     */
+    this.BARCODE_PREFIX = process.env.ITEM_BARCODE_PREFIX || 'LIB';
+  }
+
+  /**
+   * @description Construit un Item à partir d'un document Firestore
+   * @param {Object} doc - Document Firestore
+   * @returns {Item} L'exemplaire
+   * @private
+   */
+  _toItem(doc) {
+    const data = doc.data();
+    return new Item(doc.id, data.bookId, data.barcode, data);
+  }
+
+  /**
+   * @description Formate un code-barres à partir d'un numéro de séquence
+   * @param {number} sequence - Numéro de séquence
+   * @returns {string} Code-barres (ex: LIB00000042)
+   * @private
+   */
+  _formatBarcode(sequence) {
+    return `${this.BARCODE_PREFIX}${String(sequence).padStart(8, '0')}`;
+  }
+
+  /**
+   * @description Calcule les quantités d'un livre à partir de ses exemplaires
+   * @param {Array<Item>} items - Exemplaires du livre
+   * @returns {Object} { totalQuantity, availableQuantity, isAvailable }
+   */
+  computeCounts(items) {
+    const totalQuantity = items.filter(item => item.isInCollection()).length;
+    const availableQuantity = items.filter(item => item.isAvailable()).length;
+
+    return {
+      totalQuantity,
+      availableQuantity,
+      isAvailable: availableQuantity > 0 // Pour compatibilité
+    };
+  }
+
+  /**
+   * @description Requête des exemplaires d'un livre
+   * @param {string} bookId - ID du livre
+   * @returns {Object} Requête Firestore
+   */
+  itemsQuery(bookId) {
+    return this.db.collection(this.COLLECTION_NAME).where('bookId', '==', bookId);
+  }
+
+  /**
+   * @description Lit les exemplaires d'un livre dans une transaction
+   * @param {Object} transaction - Transaction Firestore
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Array<Item>>} Exemplaires triés par code-barres
+   */
+  async getItemsInTransaction(transaction, bookId) {
+    const snapshot = await transaction.get(this.itemsQuery(bookId));
+    return snapshot.docs
+      .map(doc => this._toItem(doc))
+      .sort((a, b) => a.barcode.localeCompare(b.barcode));
+  }
+
+  /**
+   * @description Écrit dans une transaction les quantités d'un livre calculées depuis ses exemplaires
+   * @param {Object} transaction - Transaction Firestore
+   * @param {string} bookId - ID du livre
+   * @param {Array<Item>} items - Exemplaires du livre (état après modification)
+   * @returns {Object} Quantités écrites
+   */
+  syncBookCounts(transaction, bookId, items) {
+    const counts = this.computeCounts(items);
+    transaction.update(this.db.collection(bookService.COLLECTION_NAME).doc(bookId), {
+      ...counts,
+      updatedAt: Date.now()
+    });
+    return counts;
+  }
+
+  /**
+   * @description Réserve des codes-barres dans une transaction (lecture du compteur)
+   * L'écriture du compteur est faite par l'appelant via la fonction retournée,
+   * car Firestore impose que toutes les lectures précèdent les écritures.
+   * @param {Object} transaction - Transaction Firestore
+   * @param {number} count - Nombre de codes-barres à réserver
+   * @returns {Promise<Object>} { barcodes, commit: Function }
+   * @private
+   */
+  async _reserveBarcodes(transaction, count) {
+    const counterRef = this.db.collection(this.COUNTER_COLLECTION).doc(this.COUNTER_ID);
+    const counterDoc = await transaction.get(counterRef);
+    const lastSequence = counterDoc.exists ? counterDoc.data().lastSequence : 0;
+
+    const barcodes = [];
+    for (let i = 1; i <= count; i++) {
+      barcodes.push(this._formatBarcode(lastSequence + i));
+    }
+
+    return {
+      barcodes,
+      commit: () => transaction.set(counterRef, { lastSequence: lastSequence + count })
+    };
+  }
+
+  /**
+   * @description Prépare dans une transaction la création d'exemplaires
+   * @param {Object} transaction - Transaction Firestore
+   * @param {string} bookId - ID du livre
+   * @param {Array<string>} barcodes - Codes-barres réservés
+   * @param {Object} details - condition, shelfLocation, itemType, status des nouveaux exemplaires
+   * @returns {Array<Item>} Exemplaires créés
+   * @private
+   */
+  _createInTransaction(transaction, bookId, barcodes, details = {}) {
+    const now = Date.now();
+
+    return barcodes.map(barcode => {
+      const ref = this.db.collection(this.COLLECTION_NAME).doc();
+      const item = new Item(ref.id, bookId, barcode, { ...details, createdAt: now });
+
+      transaction.set(ref, {
+        bookId,
+        barcode: item.barcode,
+        condition: item.condition,
+        shelfLocation: item.shelfLocation,
+        status: item.status,
+        itemType: item.itemType,
+        createdAt: item.createdAt
+      });
+
+      return item;
+    });
+  }
+
+  /**
+   * @description Ajoute des exemplaires à un livre et met à jour ses quantités
+   * @param {string} bookId - ID du livre
+   * @param {number} count - Nombre d'exemplaires à créer
+   * @param {Object} details - Informations communes aux exemplaires
+   * @param {string} details.condition - État physique
+   * @param {string} details.shelfLocation - Emplacement en rayon
+   * @param {string} details.itemType - Type d'exemplaire
+   * @returns {Promise<Array<Item>>} Exemplaires créés
+   * @throws {Error} Si le livre n'existe pas ou si les données sont invalides
+   */
+  async createItems(bookId, count, details = {}) {
+    if (!Number.isInteger(count) || count < 1 || count > 100) {
+      throw new Error('Nombre d\'exemplaires invalide (entre 1 et 100)');
+    }
+    if (details.condition && !Object.values(Item.Conditions).includes(details.condition)) {
+      throw new Error(`État invalide: ${details.condition}. Valeurs acceptées: ${Object.values(Item.Conditions).join(', ')}`);
+    }
+
+    const bookRef = this.db.collection(bookService.COLLECTION_NAME).doc(bookId);
+
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const bookDoc = await transaction.get(bookRef);
+        if (!bookDoc.exists) {
+          throw new Error(`Livre ${bookId} non trouvé`);
+        }
+
+        const existingItems = await this.getItemsInTransaction(transaction, bookId);
+        const { barcodes, commit } = await this._reserveBarcodes(transaction, count);
+
+        const created = this._createInTransaction(transaction, bookId, barcodes, {
+          condition: details.condition,
+          shelfLocation: details.shelfLocation,
+          itemType: details.itemType
+        });
+        commit();
+        this.syncBookCounts(transaction, bookId, [...existingItems, ...created]);
+
+        return created;
+      });
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors de la création d'exemplaires pour le livre ${bookId}:`, error);
+        throw new Error('Impossible de créer les exemplaires');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Retire du catalogue des exemplaires en rayon (réduction du nombre d'exemplaires)
+   * @param {string} bookId - ID du livre
+   * @param {number} count - Nombre d'exemplaires à retirer
+   * @returns {Promise<Array<Item>>} Exemplaires retirés
+   * @throws {Error} Si pas assez d'exemplaires sont en rayon
+   */
+  async withdrawAvailableItems(bookId, count) {
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const items = await this.getItemsInTransaction(transaction, bookId);
+        const available = items.filter(item => item.isAvailable());
+
+        if (available.length < count) {
+          throw new Error(`Impossible de retirer ${count} exemplaire(s): seulement ${available.length} en rayon`);
+        }
+
+        // Retirer en priorité les exemplaires en moins bon état
+        const conditionOrder = Object.values(Item.Conditions);
+        const withdrawn = available
+          .sort((a, b) => conditionOrder.indexOf(b.condition) - conditionOrder.indexOf(a.condition))
+          .slice(0, count);
+
+        withdrawn.forEach(item => {
+          item.status = Statuses.WITHDRAWN;
+          transaction.update(this.db.collection(this.COLLECTION_NAME).doc(item.id), {
+            status: Statuses.WITHDRAWN,
+            updatedAt: Date.now()
+          });
+        });
+        this.syncBookCounts(transaction, bookId, items);
+
+        return withdrawn;
+      });
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors du retrait d'exemplaires du livre ${bookId}:`, error);
+        throw new Error('Impossible de retirer les exemplaires');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Modifie un exemplaire (état, emplacement, type, statut manuel)
+   * @param {string} itemId - ID de l'exemplaire
+   * @param {Object} changes - Champs à modifier
+   * @returns {Promise<Object>} { before, after } exemplaire avant et après modification
+   * @throws {Error} Si l'exemplaire n'existe pas ou si la modification est interdite
+   */
+  async updateItem(itemId, changes) {
+    const updateData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) {
+        updateData[field] = changes[field];
+      }
+    });
+
+    if (updateData.status && !MANUAL_STATUSES.includes(updateData.status)) {
+      throw new Error(`Statut invalide: ${updateData.status}. Valeurs acceptées: ${MANUAL_STATUSES.join(', ')}`);
+    }
+    if (updateData.condition && !Object.values(Item.Conditions).includes(updateData.condition)) {
+      throw new Error(`État invalide: ${updateData.condition}. Valeurs acceptées: ${Object.values(Item.Conditions).join(', ')}`);
+    }
+
+    const itemRef = this.db.collection(this.COLLECTION_NAME).doc(itemId);
+
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const itemDoc = await transaction.get(itemRef);
+        if (!itemDoc.exists) {
+          throw new Error(`Exemplaire ${itemId} non trouvé`);
+        }
+
+        const before = this._toItem(itemDoc);
+        if (updateData.status && updateData.status !== before.status && before.status === Statuses.ON_LOAN) {
+          throw new Error(`L'exemplaire ${before.barcode} est en prêt: enregistrez d'abord son retour`);
+        }
+        if (updateData.status && updateData.status !== before.status && before.status === Statuses.ON_HOLD) {
+          throw new Error(`L'exemplaire ${before.barcode} est mis de côté pour une réservation: annulez d'abord la réservation`);
+        }
+
+        const items = await this.getItemsInTransaction(transaction, before.bookId);
+        const after = new Item(itemId, before.bookId, before.barcode, { ...before, ...updateData });
+
+        transaction.update(itemRef, { ...updateData, updatedAt: Date.now() });
+        if (updateData.status) {
+          this.syncBookCounts(transaction, before.bookId, items.map(item => (item.id === itemId ? after : item)));
+        }
+
+        return { before, after };
+      });
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors de la mise à jour de l'exemplaire ${itemId}:`, error);
+        throw new Error('Impossible de mettre à jour l\'exemplaire');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Crée les exemplaires d'un livre qui n'en a pas encore (livres créés avant les exemplaires)
+   * totalQuantity exemplaires sont créés; les emprunts en cours du livre se voient attribuer
+   * un exemplaire, marqué 'on-loan'.
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<number>} Nombre d'exemplaires créés (0 si le livre en avait déjà)
+   */
+  async ensureItemsForBook(bookId) {
+    const bookRef = this.db.collection(bookService.COLLECTION_NAME).doc(bookId);
+    const loansQuery = this.db.collection(borrowingService.COLLECTION_NAME)
+      .where('bookId', '==', bookId)
+      .where('status', '==', 'approved');
+
+    try {
+      return await this.db.runTransaction(async (transaction) => {
+        const bookDoc = await transaction.get(bookRef);
+        if (!bookDoc.exists) {
+          return 0;
+        }
+
+        const existingItems = await this.getItemsInTransaction(transaction, bookId);
+        if (existingItems.length > 0) {
+          return 0;
+        }
+
+        const count = bookDoc.data().totalQuantity || 0;
+        if (count <= 0) {
+          return 0;
+        }
+
+        const loans = await transaction.get(loansQuery);
+        const { barcodes, commit } = await this._reserveBarcodes(transaction, count);
+
+        const created = this._createInTransaction(transaction, bookId, barcodes);
+        loans.docs.slice(0, created.length).forEach((loanDoc, index) => {
+          const item = created[index];
+          item.status = Statuses.ON_LOAN;
+          transaction.update(this.db.collection(this.COLLECTION_NAME).doc(item.id), { status: Statuses.ON_LOAN });
+          transaction.update(loanDoc.ref, { itemId: item.id, itemBarcode: item.barcode });
+        });
+        commit();
+        this.syncBookCounts(transaction, bookId, created);
+
+        console.log(`✓ ${created.length} exemplaire(s) créé(s) pour le livre ${bookId} (migration)`);
+        return created.length;
+      });
+    } catch (error) {
+      console.error(`Erreur lors de la création des exemplaires du livre ${bookId}:`, error);
+      throw new Error('Impossible de créer les exemplaires du livre');
+    }
+  }
+
+  /**
+   * @description Récupère les exemplaires d'un livre
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<Array<Item>>} Exemplaires triés par code-barres
+   */
+  async findItemsByBook(bookId) {
+    try {
+      const snapshot = await this.itemsQuery(bookId).get();
+      return snapshot.docs
+        .map(doc => this._toItem(doc))
+        .sort((a, b) => a.barcode.localeCompare(b.barcode));
+    } catch (error) {
+      console.error(`Erreur lors de la récupération des exemplaires du livre ${bookId}:`, error);
+      throw new Error('Impossible de récupérer les exemplaires');
+    }
+  }
+
+  /**
+   * @description Trouve un exemplaire par son ID
+   * @param {string} itemId - ID de l'exemplaire
+   * @returns {Promise<Item|null>} L'exemplaire ou null
+   */
+  async findItemById(itemId) {
+    try {
+      const doc = await this.db.collection(this.COLLECTION_NAME).doc(itemId).get();
+      return doc.exists ? this._toItem(doc) : null;
+    } catch (error) {
+      console.error(`Erreur lors de la recherche de l'exemplaire ${itemId}:`, error);
+      throw new Error('Impossible de récupérer l\'exemplaire');
+    }
+  }
+
+  /**
+   * @description Trouve un exemplaire par son code-barres
+   * @param {string} barcode - Code-barres scanné
+   * @returns {Promise<Item|null>} L'exemplaire ou null
+   */
+  async findItemByBarcode(barcode) {
+    try {
+      const snapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('barcode', '==', barcode)
+        .limit(1)
+        .get();
+
+      return snapshot.empty ? null : this._toItem(snapshot.docs[0]);
+    } catch (error) {
+      console.error(`Erreur lors de la recherche du code-barres ${barcode}:`, error);
+      throw new Error('Impossible de rechercher l\'exemplaire');
+    }
+  }
+
+  /**
+   * @description Supprime tous les exemplaires d'un livre (suppression du livre)
+   * @param {string} bookId - ID du livre
+   * @returns {Promise<number>} Nombre d'exemplaires supprimés
+   */
+  async deleteItemsForBook(bookId) {
+    try {
+      const snapshot = await this.itemsQuery(bookId).get();
+      const batch = this.db.batch();
+
+      snapshot.forEach(doc => {
+        batch.delete(doc.ref);
+      });
+
+      await batch.commit();
+      return snapshot.size;
+    } catch (error) {
+      console.error(`Erreur lors de la suppression des exemplaires du livre ${bookId}:`, error);
+      throw new Error('Impossible de supprimer les exemplaires');
+    }
+  }
+}
+
+module.exports = new ItemService();
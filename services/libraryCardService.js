@@ -0,0 +1,239 @@
+/**
+ * @file libraryCardService.js
+ * @description Service de gestion des cartes de bibliothèque.
+ * Chaque utilisateur reçoit à l'inscription un numéro de carte unique (voir models/libraryCard.js),
+ * attribué à partir d'un compteur Firestore dans une transaction. Une carte perdue est remplacée
+ * par un nouveau numéro; l'ancien est conservé dans l'historique mais n'identifie plus personne.
+ *
+ * Le numéro est stocké sur le document de l'utilisateur (collection "users"): la recherche par
+ * numéro de carte se fait via userService.findUserByCardNumber.
+ */
+
+const database = require('./database');
+const userService = require('./userService');
+const LibraryCard = require('../models/libraryCard');
+const qrCode = require('./cards/qrCode');
+const codabar = require('./cards/codabar');
+
+class LibraryCardService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COUNTER_COLLECTION - Collection du compteur de numéros de carte
+     * @property {string} COUNTER_ID - Document du compteur de numéros de carte
+     */
+    this.COUNTER_COLLECTION = 'counters';
+    this.COUNTER_ID = 'libraryCards';
+
+    /**
+     * @property {string} CARD_PREFIX - Préfixe d'établissement des numéros (4 chiffres)
+     */
+    this.CARD_PREFIX = /^\d{4}$/.test(process.env.LIBRARY_CARD_PREFIX || '') ? process.env.LIBRARY_CARD_PREFIX : '2900';
+
+    /**
+     * @property {string} LIBRARY_NAME - Nom de la bibliothèque imprimé sur les cartes
+     */
+    this.LIBRARY_NAME = process.env.LIBRARY_NAME || 'Bibliothèque';
+  }
+
+  /**
+   * @description Construit la carte d'un utilisateur à partir de son document
+   * @param {string} userId - ID de l'utilisateur
+   * @param {Object} data - Données de l'utilisateur
+   * @returns {LibraryCard|null} La carte ou null si aucune n'a été émise
+   * @private
+   */
+  _toCard(userId, data) {
+    return data.cardNumber ? new LibraryCard(data.cardNumber, userId, data) : null;
+  }
+
+  /**
+   * @description Formate un numéro de carte à partir d'un numéro de séquence
+   * @param {number} sequence - Numéro de séquence
+   * @returns {string} Numéro de carte avec son chiffre de contrôle
+   * @private
+   */
+  _formatCardNumber(sequence) {
+    const sequenceLength = LibraryCard.NUMBER_LENGTH - this.CARD_PREFIX.length - 1;
+    const digits = `${this.CARD_PREFIX}${String(sequence).padStart(sequenceLength, '0')}`;
+    return `${digits}${LibraryCard.computeCheckDigit(digits)}`;
+  }
+
+  /**
+   * @description Réserve un numéro de carte dans une transaction (lecture du compteur)
+   * L'écriture du compteur est faite par l'appelant via la fonction retournée,
+   * car Firestore impose que toutes les lectures précèdent les écritures.
+   * @param {Object} transaction - Transaction Firestore
+   * @returns {Promise<Object>} { cardNumber, commit: Function }
+   * @private
+   */
+  async _reserveCardNumber(transaction) {
+    const counterRef = this.db.collection(this.COUNTER_COLLECTION).doc(this.COUNTER_ID);
+    const counterDoc = await transaction.get(counterRef);
+    const lastSequence = counterDoc.exists ? counterDoc.data().lastSequence : 0;
+
+    return {
+      cardNumber: this._formatCardNumber(lastSequence + 1),
+      commit: () => transaction.set(counterRef, { lastSequence: lastSequence + 1 })
+    };
+  }
+
+  /**
+   * @description Récupère la carte d'un utilisateur
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<LibraryCard|null>} La carte, ou null si aucune n'a été émise
+   * @throws {Error} Si l'utilisateur n'existe pas
+   */
+  async getCard(userId) {
+    let userDoc;
+    try {
+      userDoc = await this.db.collection(userService.COLLECTION_NAME).doc(userId).get();
+    } catch (error) {
+      console.error(`Erreur lors de la récupération de la carte de l'utilisateur ${userId}:`, error);
+      throw new Error('Impossible de récupérer la carte de bibliothèque');
+    }
+
+    if (!userDoc.exists) {
+      throw new Error(`Utilisateur ${userId} non trouvé`);
+    }
+    return this._toCard(userId, userDoc.data());
+  }
+
+  /**
+   * @description Émet la carte d'un utilisateur qui n'en a pas encore (inscription, comptes existants)
+   * Sans effet si l'utilisateur a déjà une carte: sa carte actuelle est retournée.
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<LibraryCard>} La carte de l'utilisateur
+   * @throws {Error} Si l'utilisateur n'existe pas
+   */
+  async issueCard(userId) {
+    const userRef = this.db.collection(userService.COLLECTION_NAME).doc(userId);
+
+    try {
+      const card = await this.db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) {
+          throw new Error(`Utilisateur ${userId} non trouvé`);
+        }
+
+        const existing = this._toCard(userId, userDoc.data());
+        if (existing) {
+          return existing;
+        }
+
+        const { cardNumber, commit } = await this._reserveCardNumber(transaction);
+        const changes = { cardNumber, cardIssuedAt: Date.now() };
+        transaction.update(userRef, changes);
+        commit();
+
+        return new LibraryCard(cardNumber, userId, changes);
+      });
+
+      console.log(`✓ Carte ${card.cardNumber} de l'utilisateur ${userId}`);
+      return card;
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors de l'émission de la carte de l'utilisateur ${userId}:`, error);
+        throw new Error('Impossible d\'émettre la carte de bibliothèque');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Remplace la carte d'un utilisateur (perte, vol, carte abîmée)
+   * Un nouveau numéro est attribué; l'ancien est ajouté à l'historique et n'identifie plus l'utilisateur.
+   * @param {string} userId - ID de l'utilisateur
+   * @param {Object} options - Informations de remplacement
+   * @param {string} options.replacedBy - ID de l'utilisateur qui remplace la carte
+   * @param {string} options.reason - Motif du remplacement
+   * @returns {Promise<Object>} { card, previousCardNumber }
+   * @throws {Error} Si l'utilisateur n'existe pas
+   */
+  async replaceCard(userId, { replacedBy = null, reason = '' } = {}) {
+    const userRef = this.db.collection(userService.COLLECTION_NAME).doc(userId);
+
+    try {
+      const result = await this.db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) {
+          throw new Error(`Utilisateur ${userId} non trouvé`);
+        }
+
+        const data = userDoc.data();
+        const { cardNumber, commit } = await this._reserveCardNumber(transaction);
+        const now = Date.now();
+
+        const previousCards = data.previousCards || [];
+        const previousCardNumbers = data.previousCardNumbers || [];
+        if (data.cardNumber) {
+          previousCards.push({
+            cardNumber: data.cardNumber,
+            issuedAt: data.cardIssuedAt || null,
+            replacedAt: now,
+            replacedBy,
+            reason
+          });
+          previousCardNumbers.push(data.cardNumber);
+        }
+
+        const changes = { cardNumber, cardIssuedAt: now, previousCards, previousCardNumbers };
+        transaction.update(userRef, changes);
+        commit();
+
+        return {
+          card: new LibraryCard(cardNumber, userId, changes),
+          previousCardNumber: data.cardNumber || null
+        };
+      });
+
+      console.log(`✓ Carte de l'utilisateur ${userId} remplacée: ${result.previousCardNumber || 'aucune'} → ${result.card.cardNumber}`);
+      return result;
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors du remplacement de la carte de l'utilisateur ${userId}:`, error);
+        throw new Error('Impossible de remplacer la carte de bibliothèque');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Produit la carte imprimable d'un utilisateur au format SVG (85,6 × 54 mm)
+   * Le numéro y figure en clair, en QR code et en code-barres Codabar (lecteurs de comptoir).
+   * @param {Object} user - Titulaire de la carte
+   * @param {LibraryCard} card - Carte à imprimer
+   * @returns {string} Document SVG
+   */
+  renderCardSvg(user, card) {
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const issuedAt = card.issuedAt ? new Date(card.issuedAt).toLocaleDateString('fr-FR') : '';
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<svg xmlns="http://www.w3.org/2000/svg" width="85.6mm" height="54mm" viewBox="0 0 856 540">',
+      '<rect x="1" y="1" width="854" height="538" rx="30" fill="#fff" stroke="#2c3e50" stroke-width="2"/>',
+      '<rect x="1" y="1" width="854" height="90" rx="30" fill="#2c3e50"/>',
+      '<rect x="1" y="60" width="854" height="31" fill="#2c3e50"/>',
+      `<text x="40" y="60" font-family="sans-serif" font-size="36" font-weight="bold" fill="#fff">${escape(this.LIBRARY_NAME)}</text>`,
+      '<text x="40" y="150" font-family="sans-serif" font-size="22" fill="#7f8c8d">Carte de bibliothèque</text>',
+      `<text x="40" y="200" font-family="sans-serif" font-size="38" font-weight="bold" fill="#2c3e50">${escape(user.name)}</text>`,
+      `<text x="40" y="240" font-family="sans-serif" font-size="24" fill="#2c3e50">${escape(user.role)}</text>`,
+      issuedAt ? `<text x="40" y="280" font-family="sans-serif" font-size="20" fill="#7f8c8d">Émise le ${escape(issuedAt)}</text>` : '',
+      qrCode.toSvg(card.cardNumber, { x: 600, y: 110, moduleSize: 8 }),
+      codabar.toSvg(card.cardNumber, { x: 40, y: 360, width: 540, height: 100 }),
+      `<text x="310" y="500" text-anchor="middle" font-family="monospace" font-size="30" fill="#2c3e50">${escape(card.formattedNumber)}</text>`,
+      '</svg>'
+    ].filter(Boolean).join('\n');
+  }
+}
+
+module.exports = new LibraryCardService();
@@ -0,0 +1,300 @@
+/**
+ * @file loanPolicyService.js
+ * @description Moteur des politiques de prêt.
+ * La politique applicable à un emprunt est calculée en partant de la politique de base du rôle
+ * de l'emprunteur (roleService), puis en appliquant les règles définies par les administrateurs
+ * qui correspondent au contexte (rôle, genre du livre, type d'exemplaire), de la plus générale
+ * à la plus spécifique: une règle "Student + reference" l'emporte sur une règle "reference".
+ *
+ * Les règles sont stockées dans la collection Firestore "loanPolicies" et gardées en mémoire
+ * pour que la Facade puisse résoudre une politique de manière synchrone (y compris dans une transaction).
+ */
+
+const database = require('./database');
+const roleService = require('./roleService');
+const LoanPolicy = require('../models/loanPolicy');
+
+class LoanPolicyService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Nom de la collection Firestore pour les règles de prêt
+     */
+    this.COLLECTION_NAME = 'loanPolicies';
+
+    /**
+     * @property {Map<string, LoanPolicy>} policies - Registre en mémoire ID → règle
+     */
+    this.policies = new Map();
+  }
+
+  /**
+   * @description Charge les règles enregistrées en base (à appeler au démarrage)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const snapshot = await this.db.collection(this.COLLECTION_NAME).get();
+
+      this.policies.clear();
+      snapshot.forEach(doc => {
+        this.policies.set(doc.id, this._toPolicy(doc.id, doc.data()));
+      });
+
+      console.log(`✓ ${this.policies.size} règle(s) de prêt chargée(s)`);
+    } catch (error) {
+      console.error('Erreur lors du chargement des règles de prêt:', error);
+      throw new Error('Impossible de charger les règles de prêt');
+    }
+  }
+
+  /**
+   * @description Construit une règle à partir des données stockées
+   * @param {string} id - ID de la règle
+   * @param {Object} data - Données de la règle
+   * @returns {LoanPolicy} La règle
+   * @private
+   */
+  _toPolicy(id, data) {
+    return new LoanPolicy(id, data, data.limits || {}, data);
+  }
+
+  /**
+   * @description Normalise un critère (chaîne non vide ou null)
+   * @param {*} value - Valeur reçue
+   * @returns {string|null} Critère normalisé
+   * @private
+   */
+  _normalizeCriterion(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    const trimmed = String(value).trim();
+    return trimmed === '' ? null : trimmed;
+  }
+
+  /**
+   * @description Valide une définition de règle
+   * @param {Object} definition - { role, genre, itemType, limits }
+   * @returns {Array<string>} Liste des erreurs (vide si valide)
+   * @private
+   */
+  _validate(definition) {
+    const errors = [];
+    const { role, genre, itemType, limits } = definition;
+
+    if (!role && !genre && !itemType) {
+      errors.push('au moins un critère est requis (role, genre ou itemType)');
+    }
+    if (role && !roleService.hasRole(role)) {
+      errors.push(`rôle ${role} inconnu`);
+    }
+
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      errors.push('limits doit être un objet');
+      return errors;
+    }
+
+    const unknown = Object.keys(limits).filter(field => !LoanPolicy.LIMIT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      errors.push(`limite(s) inconnue(s): ${unknown.join(', ')}`);
+    }
+
+    const defined = LoanPolicy.LIMIT_FIELDS.filter(field => limits[field] !== undefined && limits[field] !== null);
+    if (defined.length === 0) {
+      errors.push(`au moins une limite est requise (${LoanPolicy.LIMIT_FIELDS.join(', ')})`);
+    }
+    defined.forEach(field => {
+      const minimum = field === 'loanDays' ? 1 : 0;
+      if (!Number.isInteger(limits[field]) || limits[field] < minimum) {
+        errors.push(`limits.${field} doit être un entier supérieur ou égal à ${minimum}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * @description Recherche une règle ayant exactement les mêmes critères
+   * @param {Object} criteria - { role, genre, itemType }
+   * @param {string|null} excludeId - ID de la règle à ignorer (mise à jour)
+   * @returns {LoanPolicy|undefined} Règle en conflit
+   * @private
+   */
+  _findSameCriteria(criteria, excludeId = null) {
+    const sameGenre = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+    return this.listPolicies().find(policy =>
+      policy.id !== excludeId &&
+      policy.role === criteria.role &&
+      sameGenre(policy.genre, criteria.genre) &&
+      policy.itemType === criteria.itemType
+    );
+  }
+
+  /**
+   * @description Liste les règles, des plus générales aux plus spécifiques
+   * @returns {Array<LoanPolicy>} Règles de prêt
+   */
+  listPolicies() {
+    return Array.from(this.policies.values())
+      .sort((a, b) => a.specificity() - b.specificity() || a.createdAt - b.createdAt);
+  }
+
+  /**
+   * @description Retourne une règle par son ID
+   * @param {string} policyId - ID de la règle
+   * @returns {LoanPolicy|null} La règle ou null
+   */
+  getPolicy(policyId) {
+    return this.policies.get(policyId) || null;
+  }
+
+  /**
+   * @description Calcule la politique de prêt applicable à un emprunt
+   * @param {Object} context - Contexte de l'emprunt
+   * @param {string} context.role - Rôle de l'emprunteur
+   * @param {string} context.genre - Genre du livre
+   * @param {string} context.itemType - Type d'exemplaire (inconnu avant le choix de l'exemplaire)
+   * @returns {Object} Limites résolues (voir LoanPolicy.DEFAULTS) et appliedPolicies (IDs des règles appliquées)
+   */
+  resolve(context = {}) {
+    const resolved = { ...LoanPolicy.DEFAULTS, ...roleService.getLoanPolicy(context.role) };
+    const appliedPolicies = [];
+
+    this.listPolicies()
+      .filter(policy => policy.matches(context))
+      .forEach(policy => {
+        Object.assign(resolved, policy.limits);
+        appliedPolicies.push(policy.id);
+      });
+
+    return { ...resolved, appliedPolicies };
+  }
+
+  /**
+   * @description Crée une règle de prêt
+   * @param {Object} definition - Définition de la règle
+   * @param {string} definition.role - Rôle concerné (optionnel)
+   * @param {string} definition.genre - Genre concerné (optionnel)
+   * @param {string} definition.itemType - Type d'exemplaire concerné (optionnel)
+   * @param {Object} definition.limits - Limites à redéfinir (voir LoanPolicy.DEFAULTS, au moins une)
+   * @param {string} definition.description - Description de la règle
+   * @returns {Promise<LoanPolicy>} La règle créée
+   * @throws {Error} Si la définition est invalide ou si une règle a déjà les mêmes critères
+   */
+  async createPolicy(definition) {
+    const now = Date.now();
+    const data = {
+      role: this._normalizeCriterion(definition.role),
+      genre: this._normalizeCriterion(definition.genre),
+      itemType: this._normalizeCriterion(definition.itemType),
+      limits: definition.limits,
+      description: definition.description || '',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const errors = this._validate(data);
+    if (errors.length > 0) {
+      throw new Error(`Politique de prêt invalide: ${errors.join(', ')}`);
+    }
+    if (this._findSameCriteria(data)) {
+      throw new Error('Une règle de prêt existe déjà pour ces critères');
+    }
+
+    data.limits = new LoanPolicy(null, data, data.limits).limits;
+
+    try {
+      const docRef = await this.db.collection(this.COLLECTION_NAME).add(data);
+      const policy = this._toPolicy(docRef.id, data);
+      this.policies.set(policy.id, policy);
+
+      console.log(`✓ Règle de prêt ${policy.id} créée`);
+      return policy;
+    } catch (error) {
+      console.error('Erreur lors de la création de la règle de prêt:', error);
+      throw new Error('Impossible de créer la règle de prêt');
+    }
+  }
+
+  /**
+   * @description Modifie une règle de prêt (les champs absents sont conservés, les limites remplacées)
+   * @param {string} policyId - ID de la règle
+   * @param {Object} changes - Champs à modifier (role, genre, itemType, limits, description)
+   * @returns {Promise<LoanPolicy>} La règle mise à jour
+   * @throws {Error} Si la règle n'existe pas ou si la définition est invalide
+   */
+  async updatePolicy(policyId, changes) {
+    const current = this.policies.get(policyId);
+    if (!current) {
+      throw new Error(`Règle de prêt ${policyId} non trouvée`);
+    }
+
+    const pick = (field) => (changes[field] !== undefined
+      ? this._normalizeCriterion(changes[field])
+      : current[field]);
+
+    const data = {
+      role: pick('role'),
+      genre: pick('genre'),
+      itemType: pick('itemType'),
+      limits: changes.limits !== undefined ? changes.limits : current.limits,
+      description: changes.description !== undefined ? changes.description : current.description,
+      createdAt: current.createdAt,
+      updatedAt: Date.now()
+    };
+
+    const errors = this._validate(data);
+    if (errors.length > 0) {
+      throw new Error(`Politique de prêt invalide: ${errors.join(', ')}`);
+    }
+    if (this._findSameCriteria(data, policyId)) {
+      throw new Error('Une règle de prêt existe déjà pour ces critères');
+    }
+
+    data.limits = new LoanPolicy(null, data, data.limits).limits;
+
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc(policyId).set(data);
+    } catch (error) {
+      console.error(`Erreur lors de la mise à jour de la règle de prêt ${policyId}:`, error);
+      throw new Error('Impossible de mettre à jour la règle de prêt');
+    }
+
+    const policy = this._toPolicy(policyId, data);
+    this.policies.set(policyId, policy);
+    console.log(`✓ Règle de prêt ${policyId} mise à jour`);
+    return policy;
+  }
+
+  /**
+   * @description Supprime une règle de prêt
+   * @param {string} policyId - ID de la règle
+   * @returns {Promise<LoanPolicy>} La règle supprimée
+   * @throws {Error} Si la règle n'existe pas
+   */
+  async deletePolicy(policyId) {
+    const current = this.policies.get(policyId);
+    if (!current) {
+      throw new Error(`Règle de prêt ${policyId} non trouvée`);
+    }
+
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc(policyId).delete();
+    } catch (error) {
+      console.error(`Erreur lors de la suppression de la règle de prêt ${policyId}:`, error);
+      throw new Error('Impossible de supprimer la règle de prêt');
+    }
+
+    this.policies.delete(policyId);
+    console.log(`✓ Règle de prêt ${policyId} supprimée`);
+    return current;
+  }
+}
+
+module.exports = new LoanPolicyService();
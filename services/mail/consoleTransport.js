@@ -0,0 +1,26 @@
+/**
+ * @file consoleTransport.js
+ * @description Transport d'email de développement: affiche les messages dans la console.
+ * Aucun email n'est réellement envoyé.
+ */
+
+class ConsoleTransport {
+  /**
+   * @description "Envoie" un email en l'affichant dans la console
+   * @param {Object} mail - Email à envoyer
+   * @param {string} mail.to - Destinataire
+   * @param {string} mail.subject - Sujet
+   * @param {string} mail.text - Contenu texte
+   * @returns {Promise<void>}
+   */
+  async send(mail) {
+    console.log('📧 ─────────────── EMAIL (console) ───────────────');
+    console.log(`  À      : ${mail.to}`);
+    console.log(`  Sujet  : ${mail.subject}`);
+    console.log('');
+    console.log(mail.text);
+    console.log('📧 ────────────────────────────────────────────────');
+  }
+}
+
+module.exports = ConsoleTransport;
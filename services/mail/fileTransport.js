@@ -0,0 +1,44 @@
+/**
+ * @file fileTransport.js
+ * @description Transport d'email de développement: écrit chaque message dans un fichier .txt.
+ * Pratique pour retrouver un lien de réinitialisation sans serveur SMTP.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class FileTransport {
+  /**
+   * @param {string} outputDir - Dossier dans lequel les emails sont écrits
+   */
+  constructor(outputDir) {
+    this.outputDir = outputDir;
+  }
+
+  /**
+   * @description Écrit l'email dans un fichier horodaté
+   * @param {Object} mail - Email à envoyer
+   * @param {string} mail.to - Destinataire
+   * @param {string} mail.subject - Sujet
+   * @param {string} mail.text - Contenu texte
+   * @returns {Promise<void>}
+   */
+  async send(mail) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    const safeRecipient = mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.txt`;
+    const content = [
+      `To: ${mail.to}`,
+      `Subject: ${mail.subject}`,
+      `Date: ${new Date().toISOString()}`,
+      '',
+      mail.text
+    ].join('\n');
+
+    await fs.writeFile(path.join(this.outputDir, fileName), content, 'utf8');
+    console.log(`📧 Email pour ${mail.to} écrit dans ${path.join(this.outputDir, fileName)}`);
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,68 @@
+/**
+ * @file mailService.js
+ * @description Service d'envoi d'emails avec transports interchangeables.
+ * Le transport utilisé est choisi par la variable d'environnement MAIL_TRANSPORT:
+ * - "console" (défaut): affiche les emails dans la console
+ * - "file": écrit les emails dans MAIL_OUTPUT_DIR (défaut: tmp/mails)
+ *
+ * Un transport est un objet exposant `async send({ to, subject, text })`.
+ * Un transport de production (SMTP, API d'un fournisseur...) s'ajoute avec registerTransport().
+ */
+
+const path = require('path');
+const ConsoleTransport = require('./mail/consoleTransport');
+const FileTransport = require('./mail/fileTransport');
+
+class MailService {
+  constructor() {
+    /**
+     * @property {Map<string, Object>} transports - Transports disponibles, indexés par nom
+     */
+    this.transports = new Map();
+    this.transports.set('console', new ConsoleTransport());
+    this.transports.set('file', new FileTransport(
+      process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', 'tmp', 'mails')
+    ));
+
+    /**
+     * @property {string} transportName - Nom du transport actif
+     */
+    this.transportName = process.env.MAIL_TRANSPORT || 'console';
+
+    /**
+     * @property {string} from - Adresse d'expédition
+     */
+    this.from = process.env.MAIL_FROM || 'bibliotheque@library.com';
+  }
+
+  /**
+   * @description Enregistre (ou remplace) un transport
+   * @param {string} name - Nom du transport (valeur de MAIL_TRANSPORT)
+   * @param {Object} transport - Objet exposant une méthode async send(mail)
+   */
+  registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`Transport email invalide: ${name} doit exposer une méthode send()`);
+    }
+    this.transports.set(name, transport);
+  }
+
+  /**
+   * @description Envoie un email via le transport actif
+   * @param {Object} mail - Email à envoyer
+   * @param {string} mail.to - Destinataire
+   * @param {string} mail.subject - Sujet
+   * @param {string} mail.text - Contenu texte
+   * @returns {Promise<void>}
+   */
+  async sendMail(mail) {
+    const transport = this.transports.get(this.transportName);
+    if (!transport) {
+      throw new Error(`Transport email inconnu: ${this.transportName}`);
+    }
+
+    await transport.send({ from: this.from, ...mail });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,263 @@
+/**
+ * @file membershipService.js
+ * @description Service de gestion des adhésions.
+ * L'adhésion commence à l'inscription et dure le nombre de jours défini par le rôle
+ * (voir roleService, membershipDays; null: adhésion sans expiration). Après l'expiration,
+ * les nouvelles demandes d'emprunt sont refusées (voir eligibilityService) jusqu'au renouvellement
+ * par un bibliothécaire. Un rappel est envoyé MEMBERSHIP_REMINDER_DAYS jours avant l'expiration.
+ *
+ * Les dates d'adhésion sont stockées sur le document de l'utilisateur (collection "users").
+ */
+
+const database = require('./database');
+const userService = require('./userService');
+const roleService = require('./roleService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @description États d'une adhésion
+ */
+const STATUSES = {
+  ACTIVE: 'active',       // En cours
+  EXPIRING: 'expiring',   // En cours, expire dans moins de MEMBERSHIP_REMINDER_DAYS jours
+  EXPIRED: 'expired',     // Expirée: nouvelles demandes refusées
+  UNLIMITED: 'unlimited'  // Sans expiration (rôle sans durée d'adhésion)
+};
+
+class MembershipService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {Object} STATUSES - Constantes des états d'adhésion (ex: STATUSES.EXPIRED)
+     */
+    this.STATUSES = STATUSES;
+
+    /**
+     * @property {number} REMINDER_DAYS - Nombre de jours avant l'expiration où le membre est prévenu
+     */
+    this.REMINDER_DAYS = parseInt(process.env.MEMBERSHIP_REMINDER_DAYS, 10) || 30;
+  }
+
+  /**
+   * @description Calcule la date d'expiration d'une adhésion selon la durée du rôle
+   * @param {string} role - Rôle de l'utilisateur
+   * @param {number} startAt - Timestamp de début de la période
+   * @returns {number|null} Timestamp d'expiration, ou null si le rôle n'a pas de durée d'adhésion
+   */
+  computeExpiry(role, startAt) {
+    const membershipDays = roleService.getMembershipDays(role);
+    return membershipDays ? startAt + membershipDays * DAY_MS : null;
+  }
+
+  /**
+   * @description Champs d'adhésion d'un compte créé (à ajouter aux données de l'utilisateur)
+   * @param {string} role - Rôle du nouvel utilisateur
+   * @param {number} now - Timestamp de début (par défaut: maintenant)
+   * @returns {Object} { membershipStartedAt, membershipExpiresAt }
+   */
+  initialMembership(role, now = Date.now()) {
+    return {
+      membershipStartedAt: now,
+      membershipExpiresAt: this.computeExpiry(role, now)
+    };
+  }
+
+  /**
+   * @description Champs d'adhésion après un changement de rôle (à écrire avec le nouveau rôle)
+   * La période en cours garde son début et prend la durée du nouveau rôle; un compte qui n'avait
+   * pas d'expiration (ou pas encore de période) commence une période maintenant.
+   * @param {Object} current - Adhésion actuelle (voir describe)
+   * @param {string} newRole - Nouveau rôle
+   * @param {number} now - Timestamp de référence (par défaut: maintenant)
+   * @returns {Object} { membershipStartedAt, membershipExpiresAt, membershipReminderSentFor }
+   */
+  membershipForRole(current, newRole, now = Date.now()) {
+    const currentDays = roleService.getMembershipDays(current.role);
+    const hasPeriod = current.startedAt !== null && current.expiresAt !== null && currentDays;
+
+    // Début de la période en cours (un renouvellement prolonge depuis l'ancienne expiration)
+    const periodStart = hasPeriod ? current.expiresAt - currentDays * DAY_MS : now;
+    return {
+      membershipStartedAt: hasPeriod ? current.startedAt : now,
+      membershipExpiresAt: this.computeExpiry(newRole, periodStart),
+      membershipReminderSentFor: null
+    };
+  }
+
+  /**
+   * @description Construit l'état de l'adhésion d'un utilisateur à partir de son document
+   * Un compte créé avant les adhésions (sans date de début) n'expire pas tant que le job
+   * de vérification ne lui a pas ouvert une première période.
+   * @param {string} userId - ID de l'utilisateur
+   * @param {Object} data - Données de l'utilisateur
+   * @param {number} now - Timestamp de référence
+   * @returns {Object} { userId, role, startedAt, expiresAt, status, daysRemaining, renewedAt, renewedBy }
+   */
+  describe(userId, data, now = Date.now()) {
+    const expiresAt = data.membershipExpiresAt || null;
+
+    let status = STATUSES.UNLIMITED;
+    if (expiresAt !== null && now >= expiresAt) {
+      status = STATUSES.EXPIRED;
+    } else if (expiresAt !== null) {
+      status = expiresAt - now <= this.REMINDER_DAYS * DAY_MS ? STATUSES.EXPIRING : STATUSES.ACTIVE;
+    }
+
+    return {
+      userId,
+      role: data.role,
+      startedAt: data.membershipStartedAt || null,
+      expiresAt,
+      status,
+      daysRemaining: expiresAt !== null ? Math.max(0, Math.ceil((expiresAt - now) / DAY_MS)) : null,
+      renewedAt: data.membershipRenewedAt || null,
+      renewedBy: data.membershipRenewedBy || null
+    };
+  }
+
+  /**
+   * @description Récupère l'adhésion d'un utilisateur
+   * @param {string} userId - ID de l'utilisateur
+   * @param {number} now - Timestamp de référence (par défaut: maintenant)
+   * @returns {Promise<Object>} État de l'adhésion (voir describe)
+   * @throws {Error} Si l'utilisateur n'existe pas
+   */
+  async getMembership(userId, now = Date.now()) {
+    let userDoc;
+    try {
+      userDoc = await this.db.collection(userService.COLLECTION_NAME).doc(userId).get();
+    } catch (error) {
+      console.error(`Erreur lors de la récupération de l'adhésion de l'utilisateur ${userId}:`, error);
+      throw new Error('Impossible de récupérer l\'adhésion');
+    }
+
+    if (!userDoc.exists) {
+      throw new Error(`Utilisateur ${userId} non trouvé`);
+    }
+    return this.describe(userId, userDoc.data(), now);
+  }
+
+  /**
+   * @description Renouvelle l'adhésion d'un utilisateur pour une période de son rôle
+   * Une adhésion encore en cours est prolongée à partir de sa date d'expiration (aucun jour perdu);
+   * une adhésion expirée repart de la date du renouvellement.
+   * @param {string} userId - ID de l'utilisateur
+   * @param {Object} options - Informations de renouvellement
+   * @param {string} options.renewedBy - ID du bibliothécaire
+   * @returns {Promise<Object>} { previous, membership } états avant et après le renouvellement
+   * @throws {Error} Si l'utilisateur n'existe pas
+   */
+  async renewMembership(userId, { renewedBy = null } = {}) {
+    const userRef = this.db.collection(userService.COLLECTION_NAME).doc(userId);
+
+    try {
+      const result = await this.db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) {
+          throw new Error(`Utilisateur ${userId} non trouvé`);
+        }
+
+        const data = userDoc.data();
+        const now = Date.now();
+        const previous = this.describe(userId, data, now);
+
+        const periodStart = previous.expiresAt !== null && previous.expiresAt > now ? previous.expiresAt : now;
+        const changes = {
+          membershipStartedAt: previous.status === STATUSES.EXPIRED || !previous.startedAt ? now : previous.startedAt,
+          membershipExpiresAt: this.computeExpiry(data.role, periodStart),
+          membershipRenewedAt: now,
+          membershipRenewedBy: renewedBy,
+          membershipReminderSentFor: null
+        };
+        transaction.update(userRef, changes);
+
+        return {
+          previous,
+          membership: this.describe(userId, { ...data, ...changes }, now)
+        };
+      });
+
+      console.log(`✓ Adhésion de l'utilisateur ${userId} renouvelée jusqu'au ${result.membership.expiresAt ? new Date(result.membership.expiresAt).toLocaleDateString('fr-FR') : '(sans expiration)'}`);
+      return result;
+    } catch (error) {
+      if (error.code !== undefined) {
+        console.error(`Erreur lors du renouvellement de l'adhésion de l'utilisateur ${userId}:`, error);
+        throw new Error('Impossible de renouveler l\'adhésion');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Ouvre une première période d'adhésion pour les comptes créés avant les adhésions
+   * La période commence maintenant: aucun compte existant n'est bloqué par la mise en place des adhésions.
+   * @returns {Promise<number>} Nombre de comptes mis à jour
+   */
+  async initializeMissingMemberships() {
+    try {
+      const snapshot = await this.db.collection(userService.COLLECTION_NAME).get();
+      const missing = snapshot.docs.filter(doc => !doc.data().membershipStartedAt);
+
+      if (missing.length > 0) {
+        const batch = this.db.batch();
+        const now = Date.now();
+        missing.forEach(doc => {
+          batch.update(doc.ref, this.initialMembership(doc.data().role, now));
+        });
+        await batch.commit();
+      }
+      return missing.length;
+    } catch (error) {
+      console.error('Erreur lors de l\'initialisation des adhésions:', error);
+      throw new Error('Impossible d\'initialiser les adhésions');
+    }
+  }
+
+  /**
+   * @description Liste les adhésions qui expirent bientôt et dont le membre n'a pas encore été prévenu
+   * @param {number} now - Timestamp de référence (par défaut: maintenant)
+   * @returns {Promise<Array<Object>>} Adhésions { userId, name, expiresAt, daysRemaining, ... }
+   */
+  async findMembershipsToRemind(now = Date.now()) {
+    try {
+      const snapshot = await this.db
+        .collection(userService.COLLECTION_NAME)
+        .where('membershipExpiresAt', '<=', now + this.REMINDER_DAYS * DAY_MS)
+        .get();
+
+      return snapshot.docs
+        .filter(doc => {
+          const data = doc.data();
+          return data.membershipExpiresAt > now && data.membershipReminderSentFor !== data.membershipExpiresAt;
+        })
+        .map(doc => ({ ...this.describe(doc.id, doc.data(), now), name: doc.data().name }));
+    } catch (error) {
+      console.error('Erreur lors de la recherche des adhésions à rappeler:', error);
+      throw new Error('Impossible de récupérer les adhésions à rappeler');
+    }
+  }
+
+  /**
+   * @description Note qu'un rappel a été envoyé pour la période en cours (un seul rappel par période)
+   * @param {string} userId - ID de l'utilisateur
+   * @param {number} expiresAt - Date d'expiration rappelée
+   * @returns {Promise<void>}
+   */
+  async markReminderSent(userId, expiresAt) {
+    try {
+      await this.db.collection(userService.COLLECTION_NAME).doc(userId).update({
+        membershipReminderSentFor: expiresAt
+      });
+    } catch (error) {
+      console.error(`Erreur lors de l'enregistrement du rappel d'adhésion de l'utilisateur ${userId}:`, error);
+      throw new Error('Impossible d\'enregistrer le rappel d\'adhésion');
+    }
+  }
+}
+
+module.exports = new MembershipService();
@@ -0,0 +1,111 @@
+/**
+ * @file passwordResetService.js
+ * @description Service pour gérer les jetons de réinitialisation de mot de passe.
+ * Un jeton est à usage unique et expire rapidement. Comme pour les sessions,
+ * seule son empreinte SHA-256 est stockée côté serveur.
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+
+class PasswordResetService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Nom de la collection Firestore pour les jetons
+     */
+    this.COLLECTION_NAME = 'passwordResets';
+
+    /**
+     * @property {number} TOKEN_TTL_MS - Durée de validité d'un jeton (défaut: 30 minutes)
+     */
+    this.TOKEN_TTL_MS = parseInt(process.env.PASSWORD_RESET_TTL_MS, 10) || 30 * 60 * 1000;
+  }
+
+  /**
+   * @description Calcule l'empreinte d'un jeton (utilisée comme ID du document)
+   * @param {string} token - Jeton brut
+   * @returns {string} Empreinte hexadécimale
+   * @private
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @description Génère un jeton de réinitialisation pour un utilisateur
+   * Les jetons encore valides de cet utilisateur sont invalidés: seul le dernier envoyé fonctionne.
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<Object>} Le jeton brut et sa date d'expiration
+   */
+  async createResetToken(userId) {
+    try {
+      const pending = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .where('usedAt', '==', null)
+        .get();
+
+      const batch = this.db.batch();
+      const now = Date.now();
+
+      pending.forEach(doc => {
+        batch.update(doc.ref, { usedAt: now, invalidated: true });
+      });
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = now + this.TOKEN_TTL_MS;
+
+      batch.set(this.db.collection(this.COLLECTION_NAME).doc(this._hashToken(token)), {
+        userId,
+        createdAt: now,
+        expiresAt,
+        usedAt: null
+      });
+
+      await batch.commit();
+
+      return { token, expiresAt };
+    } catch (error) {
+      console.error(`Erreur lors de la création du jeton de réinitialisation pour ${userId}:`, error);
+      throw new Error('Impossible de créer le jeton de réinitialisation');
+    }
+  }
+
+  /**
+   * @description Consomme un jeton de réinitialisation
+   * La lecture et le marquage "utilisé" se font dans une transaction:
+   * deux requêtes simultanées avec le même jeton ne peuvent pas réussir toutes les deux.
+   * @param {string} token - Jeton brut reçu par email
+   * @returns {Promise<string|null>} ID de l'utilisateur, ou null si le jeton est invalide, expiré ou déjà utilisé
+   */
+  async consumeResetToken(token) {
+    try {
+      const docRef = this.db.collection(this.COLLECTION_NAME).doc(this._hashToken(token));
+
+      return await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+        if (!doc.exists) {
+          return null;
+        }
+
+        const data = doc.data();
+        if (data.usedAt || data.expiresAt <= Date.now()) {
+          return null;
+        }
+
+        transaction.update(docRef, { usedAt: Date.now() });
+        return data.userId;
+      });
+    } catch (error) {
+      console.error('Erreur lors de la consommation du jeton de réinitialisation:', error);
+      throw new Error('Impossible de vérifier le jeton de réinitialisation');
+    }
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,109 @@
+/**
+ * @file passwordService.js
+ * @description Service de hachage et de vérification des mots de passe.
+ * Utilise scrypt (fonction de dérivation de clé volontairement lente) fourni par le module crypto de Node.
+ * Le hash stocké contient ses propres paramètres, ce qui permet de les durcir plus tard
+ * sans invalider les mots de passe existants.
+ *
+ * Format stocké: scrypt$N$r$p$<sel base64>$<hash base64>
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+class PasswordService {
+  constructor() {
+    /**
+     * @property {Object} SCRYPT_PARAMS - Paramètres scrypt utilisés pour les nouveaux hash
+     */
+    this.SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+    /**
+     * @property {number} KEY_LENGTH - Longueur de la clé dérivée (octets)
+     */
+    this.KEY_LENGTH = 64;
+
+    /**
+     * @property {number} MIN_LENGTH - Longueur minimale d'un mot de passe
+     */
+    this.MIN_LENGTH = 8;
+
+    /**
+     * @property {number} MAX_LENGTH - Longueur maximale (évite de dériver des entrées démesurées)
+     */
+    this.MAX_LENGTH = 128;
+  }
+
+  /**
+   * @description Vérifie qu'un mot de passe respecte la politique de sécurité
+   * @param {string} password - Mot de passe en clair
+   * @returns {Array<string>} Liste des règles non respectées (vide si le mot de passe est valide)
+   */
+  validateStrength(password) {
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < this.MIN_LENGTH) {
+      errors.push(`au moins ${this.MIN_LENGTH} caractères`);
+      return errors;
+    }
+
+    if (password.length > this.MAX_LENGTH) {
+      errors.push(`au plus ${this.MAX_LENGTH} caractères`);
+    }
+    if (!/[a-z]/.test(password)) {
+      errors.push('au moins une minuscule');
+    }
+    if (!/[A-Z]/.test(password)) {
+      errors.push('au moins une majuscule');
+    }
+    if (!/[0-9]/.test(password)) {
+      errors.push('au moins un chiffre');
+    }
+
+    return errors;
+  }
+
+  /**
+   * @description Hache un mot de passe avec un sel aléatoire
+   * @param {string} password - Mot de passe en clair
+   * @returns {Promise<string>} Hash au format scrypt$N$r$p$sel$hash
+   */
+  async hashPassword(password) {
+    const { N, r, p } = this.SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const derivedKey = await scrypt(password, salt, this.KEY_LENGTH, { N, r, p });
+
+    return ['scrypt', N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$');
+  }
+
+  /**
+   * @description Vérifie un mot de passe contre un hash stocké (comparaison en temps constant)
+   * @param {string} password - Mot de passe en clair
+   * @param {string} storedHash - Hash enregistré sur le document utilisateur
+   * @returns {Promise<boolean>} True si le mot de passe correspond
+   */
+  async verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') {
+      return false;
+    }
+
+    const parts = storedHash.split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+      return false;
+    }
+
+    const [, N, r, p, saltBase64, hashBase64] = parts;
+    const expected = Buffer.from(hashBase64, 'base64');
+    const derivedKey = await scrypt(password, Buffer.from(saltBase64, 'base64'), expected.length, {
+      N: parseInt(N, 10),
+      r: parseInt(r, 10),
+      p: parseInt(p, 10)
+    });
+
+    return crypto.timingSafeEqual(derivedKey, expected);
+  }
+}
+
+module.exports = new PasswordService();
@@ -0,0 +1,215 @@
+/**
+ * @file permissionService.js
+ * @description Registre central des permissions et de leur attribution aux rôles.
+ * Toutes les vérifications d'accès passent par ce service (Proxy, Facade, middlewares, modèles):
+ * ajouter un rôle ou modifier ses droits ne nécessite plus de modifier le code.
+ *
+ * Les attributions par défaut sont définies ici; les administrateurs peuvent les modifier,
+ * les modifications sont stockées dans la collection Firestore "rolePermissions".
+ * Le registre est gardé en mémoire pour permettre des vérifications synchrones.
+ */
+
+const database = require('./database');
+
+/**
+ * @description Liste des permissions connues du système
+ */
+const PERMISSIONS = {
+  CATALOG_WRITE: 'catalog:write',
+  CATALOG_DELETE: 'catalog:delete',
+  INVENTORY_MANAGE: 'inventory:manage',
+  LOANS_REQUEST: 'loans:request',
+  LOANS_REVIEW: 'loans:review',
+  LOANS_VIEW_ALL: 'loans:view-all',
+  LOANS_MANAGE: 'loans:manage',
+  FINES_MANAGE: 'fines:manage',
+  CARDS_MANAGE: 'cards:manage',
+  MEMBERSHIPS_MANAGE: 'memberships:manage',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  POLICIES_MANAGE: 'policies:manage',
+  CALENDAR_MANAGE: 'calendar:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+/**
+ * @description Description lisible de chaque permission (affichée aux administrateurs)
+ */
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.CATALOG_WRITE]: 'Ajouter et modifier des livres',
+  [PERMISSIONS.CATALOG_DELETE]: 'Supprimer des livres',
+  [PERMISSIONS.INVENTORY_MANAGE]: 'Réconcilier les quantités disponibles du stock',
+  [PERMISSIONS.LOANS_REQUEST]: 'Demander un emprunt',
+  [PERMISSIONS.LOANS_REVIEW]: 'Approuver ou rejeter les demandes d\'emprunt',
+  [PERMISSIONS.LOANS_VIEW_ALL]: 'Consulter les emprunts de tous les membres',
+  [PERMISSIONS.LOANS_MANAGE]: 'Gérer les emprunts des autres membres (retours...)',
+  [PERMISSIONS.FINES_MANAGE]: 'Consulter les comptes d\'amendes, enregistrer paiements, remises et remboursements',
+  [PERMISSIONS.CARDS_MANAGE]: 'Rechercher un membre par numéro de carte, imprimer et remplacer les cartes de bibliothèque',
+  [PERMISSIONS.MEMBERSHIPS_MANAGE]: 'Consulter et renouveler les adhésions des membres',
+  [PERMISSIONS.USERS_MANAGE]: 'Consulter les utilisateurs et changer leur rôle',
+  [PERMISSIONS.ROLES_MANAGE]: 'Modifier les permissions des rôles',
+  [PERMISSIONS.POLICIES_MANAGE]: 'Définir les règles de prêt (durée, limites par rôle, genre et type d\'exemplaire) et d\'approbation automatique',
+  [PERMISSIONS.CALENDAR_MANAGE]: 'Définir les horaires d\'ouverture et les fermetures exceptionnelles',
+  [PERMISSIONS.AUDIT_READ]: 'Consulter le journal d\'audit'
+};
+
+/**
+ * @description Attribution par défaut des permissions aux rôles
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  Member: [
+    PERMISSIONS.LOANS_REQUEST
+  ],
+  Librarian: [
+    PERMISSIONS.LOANS_REQUEST,
+    PERMISSIONS.CATALOG_WRITE,
+    PERMISSIONS.CATALOG_DELETE,
+    PERMISSIONS.LOANS_REVIEW,
+    PERMISSIONS.LOANS_VIEW_ALL,
+    PERMISSIONS.LOANS_MANAGE,
+    PERMISSIONS.FINES_MANAGE,
+    PERMISSIONS.CARDS_MANAGE,
+    PERMISSIONS.MEMBERSHIPS_MANAGE
+  ],
+  Admin: Object.values(PERMISSIONS)
+};
+
+class PermissionService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Collection des attributions modifiées par les administrateurs
+     */
+    this.COLLECTION_NAME = 'rolePermissions';
+
+    /**
+     * @property {Object} PERMISSIONS - Constantes des permissions (ex: PERMISSIONS.LOANS_REVIEW)
+     */
+    this.PERMISSIONS = PERMISSIONS;
+
+    /**
+     * @property {Map<string, Set<string>>} rolePermissions - Registre en mémoire rôle → permissions
+     */
+    this.rolePermissions = new Map();
+    Object.entries(DEFAULT_ROLE_PERMISSIONS).forEach(([role, permissions]) => {
+      this.rolePermissions.set(role, new Set(permissions));
+    });
+  }
+
+  /**
+   * @description Charge les attributions enregistrées en base (à appeler au démarrage)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const snapshot = await this.db.collection(this.COLLECTION_NAME).get();
+
+      snapshot.forEach(doc => {
+        const permissions = (doc.data().permissions || []).filter(p => this.isKnownPermission(p));
+        this.rolePermissions.set(doc.id, new Set(permissions));
+      });
+
+      console.log(`✓ Permissions chargées pour ${this.rolePermissions.size} rôle(s)`);
+    } catch (error) {
+      console.error('Erreur lors du chargement des permissions:', error);
+      throw new Error('Impossible de charger les permissions');
+    }
+  }
+
+  /**
+   * @description Vérifie qu'une permission existe dans le registre
+   * @param {string} permission - Permission à vérifier
+   * @returns {boolean} True si la permission est connue
+   */
+  isKnownPermission(permission) {
+    return Object.values(PERMISSIONS).includes(permission);
+  }
+
+  /**
+   * @description Liste toutes les permissions connues avec leur description
+   * @returns {Array<Object>} Permissions { name, description }
+   */
+  listPermissions() {
+    return Object.values(PERMISSIONS).map(name => ({
+      name,
+      description: PERMISSION_DESCRIPTIONS[name]
+    }));
+  }
+
+  /**
+   * @description Vérifie si un utilisateur dispose d'une permission
+   * @param {Object|null} user - Utilisateur (doit avoir une propriété role)
+   * @param {string} permission - Permission requise
+   * @returns {boolean} True si le rôle de l'utilisateur possède la permission
+   */
+  hasPermission(user, permission) {
+    if (!user || !user.role) {
+      return false;
+    }
+
+    const permissions = this.rolePermissions.get(user.role);
+    return permissions ? permissions.has(permission) : false;
+  }
+
+  /**
+   * @description Retourne les permissions d'un rôle
+   * @param {string} role - Nom du rôle
+   * @returns {Array<string>} Permissions du rôle (vide si le rôle est inconnu)
+   */
+  getRolePermissions(role) {
+    return Array.from(this.rolePermissions.get(role) || []);
+  }
+
+  /**
+   * @description Retourne l'attribution complète rôle → permissions
+   * @returns {Object} Permissions indexées par rôle
+   */
+  getAllRolePermissions() {
+    const result = {};
+    this.rolePermissions.forEach((permissions, role) => {
+      result[role] = Array.from(permissions);
+    });
+    return result;
+  }
+
+  /**
+   * @description Remplace les permissions d'un rôle et enregistre la modification
+   * @param {string} role - Nom du rôle
+   * @param {Array<string>} permissions - Nouvelles permissions
+   * @returns {Promise<Array<string>>} Permissions enregistrées
+   * @throws {Error} Si une permission est inconnue ou si la modification retirerait la gestion des rôles aux administrateurs
+   */
+  async setRolePermissions(role, permissions) {
+    const unknown = permissions.filter(p => !this.isKnownPermission(p));
+    if (unknown.length > 0) {
+      throw new Error(`Permission(s) inconnue(s): ${unknown.join(', ')}`);
+    }
+
+    // Garde-fou: les administrateurs doivent toujours pouvoir corriger les permissions
+    if (role === 'Admin' && !permissions.includes(PERMISSIONS.ROLES_MANAGE)) {
+      throw new Error(`Le rôle Admin doit conserver la permission ${PERMISSIONS.ROLES_MANAGE}`);
+    }
+
+    const uniquePermissions = Array.from(new Set(permissions));
+
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc(role).set({
+        permissions: uniquePermissions,
+        updatedAt: Date.now()
+      });
+    } catch (error) {
+      console.error(`Erreur lors de l'enregistrement des permissions du rôle ${role}:`, error);
+      throw new Error('Impossible d\'enregistrer les permissions');
+    }
+
+    this.rolePermissions.set(role, new Set(uniquePermissions));
+    console.log(`✓ Permissions du rôle ${role} mises à jour: ${uniquePermissions.join(', ') || '(aucune)'}`);
+    return uniquePermissions;
+  }
+}
+
+module.exports = new PermissionService();
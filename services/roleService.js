@@ -0,0 +1,344 @@
+/**
+ * @file roleService.js
+ * @description Registre des rôles utilisateurs.
+ * Un rôle est défini par:
+ * - une classe de base (Member, Librarian ou Admin) instanciée par la UserFactory
+ * - un ensemble de permissions (stocké dans le registre des permissions)
+ * - une politique de prêt de base (durée, nombre maximal d'emprunts, de renouvellements, de réservations),
+ *   que les règles du loanPolicyService peuvent affiner par genre ou type d'exemplaire
+ * - une durée d'adhésion en jours (null: adhésion sans expiration, ex: personnel de la bibliothèque)
+ *
+ * Les rôles Member, Librarian et Admin sont prédéfinis; les administrateurs peuvent en créer
+ * d'autres (Student, Staff, Volunteer, Guest...) sans modifier le code.
+ * Les définitions sont stockées dans la collection Firestore "roles" et gardées en mémoire
+ * pour que la Factory puisse les consulter de manière synchrone.
+ */
+
+const database = require('./database');
+const permissionService = require('./permissionService');
+const LoanPolicy = require('../models/loanPolicy');
+
+/**
+ * @description Classes de base disponibles pour un rôle (voir UserFactory)
+ */
+const BASE_CLASSES = ['Member', 'Librarian', 'Admin'];
+
+/**
+ * @description Politique de prêt appliquée quand un rôle n'en précise pas
+ */
+const DEFAULT_LOAN_POLICY = { ...LoanPolicy.DEFAULTS };
+
+/**
+ * @description Durée d'adhésion, en jours, d'un rôle personnalisé qui n'en précise pas
+ */
+const DEFAULT_MEMBERSHIP_DAYS = 365;
+
+/**
+ * @description Rôles prédéfinis (ne peuvent pas être supprimés)
+ */
+const BUILT_IN_ROLES = {
+  Member: {
+    baseClass: 'Member',
+    description: 'Membre de la bibliothèque',
+    loanPolicy: { ...DEFAULT_LOAN_POLICY },
+    membershipDays: DEFAULT_MEMBERSHIP_DAYS
+  },
+  Librarian: {
+    baseClass: 'Librarian',
+    description: 'Bibliothécaire',
+    loanPolicy: { ...DEFAULT_LOAN_POLICY, maxLoans: 10 },
+    membershipDays: null
+  },
+  Admin: {
+    baseClass: 'Admin',
+    description: 'Administrateur',
+    loanPolicy: { ...DEFAULT_LOAN_POLICY, maxLoans: 10 },
+    membershipDays: null
+  }
+};
+
+class RoleService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Nom de la collection Firestore pour les rôles
+     */
+    this.COLLECTION_NAME = 'roles';
+
+    /**
+     * @property {Array<string>} BASE_CLASSES - Classes de base disponibles
+     */
+    this.BASE_CLASSES = BASE_CLASSES;
+
+    /**
+     * @property {Map<string, Object>} roles - Registre en mémoire nom → définition
+     */
+    this.roles = new Map();
+    Object.entries(BUILT_IN_ROLES).forEach(([name, definition]) => {
+      this.roles.set(name, { name, builtIn: true, ...definition });
+    });
+  }
+
+  /**
+   * @description Charge les rôles enregistrés en base (à appeler au démarrage)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const snapshot = await this.db.collection(this.COLLECTION_NAME).get();
+
+      snapshot.forEach(doc => {
+        this.roles.set(doc.id, this._normalize(doc.id, doc.data()));
+      });
+
+      console.log(`✓ ${this.roles.size} rôle(s) chargé(s): ${this.getRoleNames().join(', ')}`);
+    } catch (error) {
+      console.error('Erreur lors du chargement des rôles:', error);
+      throw new Error('Impossible de charger les rôles');
+    }
+  }
+
+  /**
+   * @description Construit une définition complète à partir des données stockées
+   * @param {string} name - Nom du rôle
+   * @param {Object} data - Données du rôle
+   * @returns {Object} Définition normalisée
+   * @private
+   */
+  _normalize(name, data) {
+    const builtIn = Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+    const defaultMembershipDays = builtIn ? BUILT_IN_ROLES[name].membershipDays : DEFAULT_MEMBERSHIP_DAYS;
+
+    return {
+      name,
+      builtIn,
+      baseClass: data.baseClass,
+      description: data.description || '',
+      loanPolicy: { ...DEFAULT_LOAN_POLICY, ...(data.loanPolicy || {}) },
+      membershipDays: data.membershipDays !== undefined ? data.membershipDays : defaultMembershipDays
+    };
+  }
+
+  /**
+   * @description Valide une définition de rôle
+   * @param {Object} definition - Définition à valider
+   * @returns {Array<string>} Liste des erreurs (vide si valide)
+   * @private
+   */
+  _validate(definition) {
+    const errors = [];
+
+    if (!BASE_CLASSES.includes(definition.baseClass)) {
+      errors.push(`classe de base invalide (valeurs acceptées: ${BASE_CLASSES.join(', ')})`);
+    }
+
+    const policy = definition.loanPolicy || {};
+    LoanPolicy.LIMIT_FIELDS.forEach(field => {
+      if (policy[field] !== undefined && (!Number.isInteger(policy[field]) || policy[field] < 0)) {
+        errors.push(`loanPolicy.${field} doit être un entier positif ou nul`);
+      }
+    });
+
+    if (definition.membershipDays !== undefined && definition.membershipDays !== null
+      && (!Number.isInteger(definition.membershipDays) || definition.membershipDays <= 0)) {
+      errors.push('membershipDays doit être un entier strictement positif (ou null: sans expiration)');
+    }
+
+    if (definition.permissions !== undefined) {
+      if (!Array.isArray(definition.permissions)) {
+        errors.push('permissions doit être un tableau');
+      } else {
+        const unknown = definition.permissions.filter(p => !permissionService.isKnownPermission(p));
+        if (unknown.length > 0) {
+          errors.push(`permission(s) inconnue(s): ${unknown.join(', ')}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * @description Retourne la définition d'un rôle
+   * @param {string} name - Nom du rôle
+   * @returns {Object|null} Définition du rôle (avec ses permissions) ou null
+   */
+  getRole(name) {
+    const role = this.roles.get(name);
+    if (!role) {
+      return null;
+    }
+
+    return { ...role, permissions: permissionService.getRolePermissions(name) };
+  }
+
+  /**
+   * @description Vérifie qu'un rôle existe dans le registre
+   * @param {string} name - Nom du rôle
+   * @returns {boolean} True si le rôle est défini
+   */
+  hasRole(name) {
+    return this.roles.has(name);
+  }
+
+  /**
+   * @description Liste les noms des rôles définis
+   * @returns {Array<string>} Noms des rôles
+   */
+  getRoleNames() {
+    return Array.from(this.roles.keys());
+  }
+
+  /**
+   * @description Liste toutes les définitions de rôles
+   * @returns {Array<Object>} Définitions (avec permissions)
+   */
+  listRoles() {
+    return this.getRoleNames().map(name => this.getRole(name));
+  }
+
+  /**
+   * @description Retourne la politique de prêt d'un rôle
+   * @param {string} name - Nom du rôle
+   * @returns {Object} Politique de prêt (politique par défaut si le rôle est inconnu)
+   */
+  getLoanPolicy(name) {
+    const role = this.roles.get(name);
+    return { ...(role ? role.loanPolicy : DEFAULT_LOAN_POLICY) };
+  }
+
+  /**
+   * @description Retourne la durée d'adhésion d'un rôle
+   * @param {string} name - Nom du rôle
+   * @returns {number|null} Durée en jours, ou null si l'adhésion n'expire pas
+   */
+  getMembershipDays(name) {
+    const role = this.roles.get(name);
+    return role ? role.membershipDays : DEFAULT_MEMBERSHIP_DAYS;
+  }
+
+  /**
+   * @description Crée un nouveau rôle
+   * @param {Object} definition - Définition du rôle
+   * @param {string} definition.name - Nom du rôle (ex: 'Student')
+   * @param {string} definition.baseClass - Classe de base (Member, Librarian, Admin)
+   * @param {Array<string>} definition.permissions - Permissions du rôle
+   * @param {Object} definition.loanPolicy - Politique de prêt (voir LoanPolicy.DEFAULTS)
+   * @param {number|null} definition.membershipDays - Durée d'adhésion en jours (défaut: 365, null: sans expiration)
+   * @param {string} definition.description - Description du rôle
+   * @returns {Promise<Object>} Le rôle créé
+   * @throws {Error} Si le nom est invalide, déjà utilisé ou si la définition est invalide
+   */
+  async createRole(definition) {
+    const { name } = definition;
+
+    if (!name || !/^[A-Za-z][A-Za-z0-9_-]{1,31}$/.test(name)) {
+      throw new Error('Définition de rôle invalide: nom requis (lettres, chiffres, - et _, 2 à 32 caractères)');
+    }
+    if (this.hasRole(name)) {
+      throw new Error(`Le rôle ${name} existe déjà`);
+    }
+
+    return await this._save(name, definition);
+  }
+
+  /**
+   * @description Met à jour un rôle existant (les champs absents sont conservés)
+   * @param {string} name - Nom du rôle
+   * @param {Object} changes - Champs à modifier (baseClass, permissions, loanPolicy, membershipDays, description)
+   * @returns {Promise<Object>} Le rôle mis à jour
+   * @throws {Error} Si le rôle n'existe pas ou si la définition est invalide
+   */
+  async updateRole(name, changes) {
+    const current = this.roles.get(name);
+    if (!current) {
+      throw new Error(`Rôle ${name} non trouvé`);
+    }
+    if (current.builtIn && changes.baseClass && changes.baseClass !== current.baseClass) {
+      throw new Error(`Définition de rôle invalide: la classe de base du rôle prédéfini ${name} ne peut pas être modifiée`);
+    }
+
+    return await this._save(name, {
+      baseClass: changes.baseClass || current.baseClass,
+      description: changes.description !== undefined ? changes.description : current.description,
+      loanPolicy: { ...current.loanPolicy, ...(changes.loanPolicy || {}) },
+      membershipDays: changes.membershipDays !== undefined ? changes.membershipDays : current.membershipDays,
+      permissions: changes.permissions
+    });
+  }
+
+  /**
+   * @description Valide puis enregistre une définition de rôle
+   * @param {string} name - Nom du rôle
+   * @param {Object} definition - Définition complète
+   * @returns {Promise<Object>} Le rôle enregistré
+   * @private
+   */
+  async _save(name, definition) {
+    const errors = this._validate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Définition de rôle invalide: ${errors.join(', ')}`);
+    }
+
+    const data = {
+      baseClass: definition.baseClass,
+      description: definition.description || '',
+      loanPolicy: { ...DEFAULT_LOAN_POLICY, ...(definition.loanPolicy || {}) },
+      membershipDays: definition.membershipDays !== undefined ? definition.membershipDays : DEFAULT_MEMBERSHIP_DAYS,
+      updatedAt: Date.now()
+    };
+
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc(name).set(data);
+    } catch (error) {
+      console.error(`Erreur lors de l'enregistrement du rôle ${name}:`, error);
+      throw new Error('Impossible d\'enregistrer le rôle');
+    }
+
+    this.roles.set(name, this._normalize(name, data));
+
+    if (definition.permissions !== undefined) {
+      await permissionService.setRolePermissions(name, definition.permissions);
+    }
+
+    console.log(`✓ Rôle ${name} enregistré (classe de base: ${data.baseClass})`);
+    return this.getRole(name);
+  }
+
+  /**
+   * @description Supprime un rôle personnalisé
+   * @param {string} name - Nom du rôle
+   * @param {number} assignedUsersCount - Nombre d'utilisateurs ayant encore ce rôle
+   * @returns {Promise<void>}
+   * @throws {Error} Si le rôle est prédéfini, inexistant ou encore attribué
+   */
+  async deleteRole(name, assignedUsersCount) {
+    const current = this.roles.get(name);
+    if (!current) {
+      throw new Error(`Rôle ${name} non trouvé`);
+    }
+    if (current.builtIn) {
+      throw new Error(`Le rôle prédéfini ${name} ne peut pas être supprimé`);
+    }
+    if (assignedUsersCount > 0) {
+      throw new Error(`Le rôle ${name} est encore attribué à ${assignedUsersCount} utilisateur(s)`);
+    }
+
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc(name).delete();
+    } catch (error) {
+      console.error(`Erreur lors de la suppression du rôle ${name}:`, error);
+      throw new Error('Impossible de supprimer le rôle');
+    }
+
+    this.roles.delete(name);
+    await permissionService.setRolePermissions(name, []);
+    console.log(`✓ Rôle ${name} supprimé`);
+  }
+}
+
+module.exports = new RoleService();
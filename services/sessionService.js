@@ -0,0 +1,153 @@
+/**
+ * @file sessionService.js
+ * @description Service pour gérer les sessions d'authentification.
+ * Chaque connexion génère un jeton opaque aléatoire remis au client.
+ * Seule l'empreinte SHA-256 du jeton est stockée côté serveur: une fuite de la base
+ * ne permet donc pas de réutiliser les sessions existantes.
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+
+class SessionService {
+  constructor() {
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore obtenue via le Singleton
+     */
+    this.db = database.getDB();
+
+    /**
+     * @property {string} COLLECTION_NAME - Nom de la collection Firestore pour les sessions
+     */
+    this.COLLECTION_NAME = 'sessions';
+
+    /**
+     * @property {number} SESSION_TTL_MS - Durée de vie d'une session (défaut: 24 heures)
+     */
+    this.SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * @description Calcule l'empreinte d'un jeton (utilisée comme ID du document de session)
+   * @param {string} token - Jeton brut transmis par le client
+   * @returns {string} Empreinte hexadécimale du jeton
+   * @private
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @description Ouvre une nouvelle session pour un utilisateur
+   * @param {string} userId - ID de l'utilisateur authentifié
+   * @param {Object} metadata - Informations sur le client (userAgent, ip)
+   * @returns {Promise<Object>} Le jeton brut (à transmettre une seule fois au client) et sa date d'expiration
+   */
+  async createSession(userId, metadata = {}) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+      const now = Date.now();
+
+      const sessionData = {
+        userId,
+        createdAt: now,
+        expiresAt: now + this.SESSION_TTL_MS,
+        revokedAt: null,
+        userAgent: metadata.userAgent || null,
+        ip: metadata.ip || null
+      };
+
+      await this.db.collection(this.COLLECTION_NAME).doc(this._hashToken(token)).set(sessionData);
+
+      return {
+        token,
+        expiresAt: sessionData.expiresAt
+      };
+    } catch (error) {
+      console.error('Erreur lors de la création de la session:', error);
+      throw new Error('Impossible de créer la session');
+    }
+  }
+
+  /**
+   * @description Valide un jeton et retourne la session associée
+   * Une session expirée ou révoquée est considérée comme inexistante.
+   * @param {string} token - Jeton brut transmis par le client
+   * @returns {Promise<Object|null>} La session active ou null
+   */
+  async validateSession(token) {
+    try {
+      const sessionId = this._hashToken(token);
+      const doc = await this.db.collection(this.COLLECTION_NAME).doc(sessionId).get();
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      const data = doc.data();
+      if (data.revokedAt || data.expiresAt <= Date.now()) {
+        return null;
+      }
+
+      return { id: sessionId, ...data };
+    } catch (error) {
+      console.error('Erreur lors de la validation de la session:', error);
+      throw new Error('Impossible de valider la session');
+    }
+  }
+
+  /**
+   * @description Révoque une session (déconnexion)
+   * @param {string} sessionId - ID de la session (empreinte du jeton)
+   * @returns {Promise<void>}
+   */
+  async revokeSession(sessionId) {
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc(sessionId).update({
+        revokedAt: Date.now()
+      });
+    } catch (error) {
+      console.error(`Erreur lors de la révocation de la session ${sessionId}:`, error);
+      throw new Error('Impossible de révoquer la session');
+    }
+  }
+
+  /**
+   * @description Révoque toutes les sessions actives d'un utilisateur
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string|null} exceptSessionId - Session à conserver (ex: la session courante)
+   * @returns {Promise<number>} Nombre de sessions révoquées
+   */
+  async revokeAllUserSessions(userId, exceptSessionId = null) {
+    try {
+      const snapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .where('revokedAt', '==', null)
+        .get();
+
+      const batch = this.db.batch();
+      const now = Date.now();
+      let count = 0;
+
+      snapshot.forEach(doc => {
+        if (doc.id !== exceptSessionId) {
+          batch.update(doc.ref, { revokedAt: now });
+          count++;
+        }
+      });
+
+      if (count > 0) {
+        await batch.commit();
+      }
+
+      console.log(`✓ ${count} session(s) révoquée(s) pour l'utilisateur ${userId}`);
+      return count;
+    } catch (error) {
+      console.error(`Erreur lors de la révocation des sessions de l'utilisateur ${userId}:`, error);
+      throw new Error('Impossible de révoquer les sessions');
+    }
+  }
+}
+
+module.exports = new SessionService();
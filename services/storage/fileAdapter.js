@@ -0,0 +1,96 @@
+/**
+ * @file fileAdapter.js
+ * @description Adaptateur de stockage dans un fichier JSON local.
+ * La base est chargée en mémoire au démarrage puis réécrite après chaque écriture
+ * (fichier temporaire puis renommage, pour ne jamais laisser un fichier à moitié écrit).
+ * Fichier par défaut: data/library.json (variable d'environnement STORAGE_FILE).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryDatabase = require('./memoryDatabase');
+
+/**
+ * @description Marqueur utilisé pour conserver les dates dans le fichier JSON
+ */
+const DATE_MARKER = '__date';
+
+class FileAdapter {
+  constructor() {
+    /**
+     * @property {string} name - Nom de l'adaptateur
+     */
+    this.name = 'file';
+
+    /**
+     * @property {string} filePath - Chemin du fichier de données
+     */
+    this.filePath = path.resolve(process.env.STORAGE_FILE || path.join(__dirname, '..', '..', 'data', 'library.json'));
+
+    /**
+     * @property {MemoryDatabase} db - Base en mémoire compatible Firestore, synchronisée avec le fichier
+     */
+    this.db = new MemoryDatabase();
+
+    this._load();
+    this.db.onCommit = () => this._save();
+
+    console.log(`✓ Stockage fichier: ${this.filePath}`);
+  }
+
+  /**
+   * @description Charge le fichier de données s'il existe
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      this.db.importData(JSON.parse(content, (key, value) => {
+        return value && typeof value === 'object' && typeof value[DATE_MARKER] === 'string'
+          ? new Date(value[DATE_MARKER])
+          : value;
+      }));
+    } catch (error) {
+      console.error(`✗ Lecture du fichier de données impossible (${this.filePath}):`, error.message);
+      throw new Error('Impossible de charger le fichier de données');
+    }
+  }
+
+  /**
+   * @description Écrit la base complète dans le fichier
+   * @private
+   */
+  _save() {
+    const content = JSON.stringify(this.db.exportData(), function (key, value) {
+      // this[key] est la valeur d'origine (avant l'appel à Date.prototype.toJSON)
+      return this[key] instanceof Date ? { [DATE_MARKER]: this[key].toISOString() } : value;
+    }, 2);
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * @description Retourne la base de données
+   * @returns {MemoryDatabase} Base compatible avec l'API Firestore utilisée par les services
+   */
+  getDB() {
+    return this.db;
+  }
+
+  /**
+   * @description Firebase Auth n'est pas disponible hors Firestore
+   * @returns {null}
+   */
+  getAuth() {
+    return null;
+  }
+}
+
+module.exports = FileAdapter;
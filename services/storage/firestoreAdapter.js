@@ -0,0 +1,67 @@
+/**
+ * @file firestoreAdapter.js
+ * @description Adaptateur de stockage Firebase Firestore (production).
+ * Le SDK Firebase Admin n'est chargé que si cet adaptateur est sélectionné.
+ * Identifiants: config/serviceAccountKey.json (ou chemin défini par FIREBASE_SERVICE_ACCOUNT).
+ */
+
+const path = require('path');
+
+class FirestoreAdapter {
+  constructor() {
+    /**
+     * @property {string} name - Nom de l'adaptateur
+     */
+    this.name = 'firestore';
+
+    const admin = require('firebase-admin');
+
+    // Vérifier si Firebase est déjà initialisé
+    if (!admin.apps.length) {
+      try {
+        // Charger les credentials depuis le fichier de configuration
+        const serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT
+          ? path.resolve(process.env.FIREBASE_SERVICE_ACCOUNT)
+          : path.join(__dirname, '..', '..', 'config', 'serviceAccountKey.json');
+        const serviceAccount = require(serviceAccountPath);
+
+        admin.initializeApp({
+          credential: admin.credential.cert(serviceAccount)
+        });
+
+        console.log('✓ Firebase connected');
+      } catch (error) {
+        console.error('✗ Firebase error:', error.message);
+        throw new Error('Impossible d\'initialiser Firebase Admin SDK');
+      }
+    }
+
+    /**
+     * @property {admin.firestore.Firestore} db - Instance Firestore
+     */
+    this.db = admin.firestore();
+
+    /**
+     * @property {admin.auth.Auth} auth - Instance Firebase Auth
+     */
+    this.auth = admin.auth();
+  }
+
+  /**
+   * @description Retourne l'instance Firestore
+   * @returns {admin.firestore.Firestore} Instance de la base de données Firestore
+   */
+  getDB() {
+    return this.db;
+  }
+
+  /**
+   * @description Retourne l'instance Firebase Auth
+   * @returns {admin.auth.Auth} Instance Firebase Authentication
+   */
+  getAuth() {
+    return this.auth;
+  }
+}
+
+module.exports = FirestoreAdapter;
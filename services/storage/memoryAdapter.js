@@ -0,0 +1,41 @@
+/**
+ * @file memoryAdapter.js
+ * @description Adaptateur de stockage en mémoire.
+ * Les données sont perdues à l'arrêt du serveur: adapté au développement, aux démos et aux tests.
+ */
+
+const MemoryDatabase = require('./memoryDatabase');
+
+class MemoryAdapter {
+  constructor() {
+    /**
+     * @property {string} name - Nom de l'adaptateur
+     */
+    this.name = 'memory';
+
+    /**
+     * @property {MemoryDatabase} db - Base en mémoire compatible Firestore
+     */
+    this.db = new MemoryDatabase();
+
+    console.log('✓ Stockage en mémoire (les données ne sont pas conservées)');
+  }
+
+  /**
+   * @description Retourne la base de données
+   * @returns {MemoryDatabase} Base compatible avec l'API Firestore utilisée par les services
+   */
+  getDB() {
+    return this.db;
+  }
+
+  /**
+   * @description Firebase Auth n'est pas disponible hors Firestore
+   * @returns {null}
+   */
+  getAuth() {
+    return null;
+  }
+}
+
+module.exports = MemoryAdapter;
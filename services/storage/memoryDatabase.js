@@ -0,0 +1,545 @@
+/**
+ * @file memoryDatabase.js
+ * @description Base de données en mémoire compatible avec le sous-ensemble de l'API Firestore
+ * utilisé par les services (collection, doc, add, set, update, delete, create, where, orderBy,
+ * limit, batch, runTransaction). Elle permet de faire tourner l'application sans Firebase.
+ *
+ * Les données sont copiées en entrée et en sortie: modifier un objet retourné par data()
+ * ne modifie jamais la base. Chaque document a un numéro de version utilisé par les transactions
+ * (contrôle optimiste: la transaction est rejouée si un document lu a changé entre-temps).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @description Codes d'erreur gRPC utilisés par Firestore (mêmes valeurs que le SDK)
+ */
+const ERROR_CODES = {
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  ABORTED: 10
+};
+
+/**
+ * @description Nombre maximal de tentatives d'une transaction (comme le SDK Firestore)
+ */
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * @description Crée une erreur portant un code Firestore
+ * @param {number} code - Code d'erreur (voir ERROR_CODES)
+ * @param {string} message - Message d'erreur
+ * @returns {Error} Erreur avec la propriété code
+ */
+const storageError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * @description Génère un identifiant de document aléatoire (20 caractères, comme Firestore)
+ * @returns {string} Identifiant
+ */
+const autoId = () => {
+  const bytes = crypto.randomBytes(20);
+  let id = '';
+  for (let i = 0; i < bytes.length; i++) {
+    id += AUTO_ID_CHARS[bytes[i] % AUTO_ID_CHARS.length];
+  }
+  return id;
+};
+
+/**
+ * @description Copie profonde d'une valeur stockée (objets simples, tableaux, dates)
+ * @param {*} value - Valeur à copier
+ * @returns {*} Copie indépendante
+ */
+const clone = (value) => {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] !== undefined) {
+        copy[key] = clone(value[key]);
+      }
+    });
+    return copy;
+  }
+  return value;
+};
+
+/**
+ * @description Lit un champ, éventuellement imbriqué ('a.b.c')
+ * @param {Object} data - Données du document
+ * @param {string} fieldPath - Chemin du champ
+ * @returns {*} Valeur du champ (undefined si absent)
+ */
+const getField = (data, fieldPath) => {
+  return fieldPath.split('.').reduce((value, key) => {
+    return value !== undefined && value !== null ? value[key] : undefined;
+  }, data);
+};
+
+/**
+ * @description Écrit un champ, éventuellement imbriqué ('a.b.c')
+ * @param {Object} data - Données du document (modifiées en place)
+ * @param {string} fieldPath - Chemin du champ
+ * @param {*} value - Valeur à écrire
+ */
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((object, key) => {
+    if (!object[key] || typeof object[key] !== 'object') {
+      object[key] = {};
+    }
+    return object[key];
+  }, data);
+  target[last] = clone(value);
+};
+
+/**
+ * @description Fusionne récursivement des données dans un document (set avec { merge: true })
+ * @param {Object} target - Données existantes (modifiées en place)
+ * @param {Object} source - Données à fusionner
+ * @returns {Object} Données fusionnées
+ */
+const merge = (target, source) => {
+  Object.keys(source).forEach(key => {
+    const value = source[key];
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+        target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      merge(target[key], value);
+    } else if (value !== undefined) {
+      target[key] = clone(value);
+    }
+  });
+  return target;
+};
+
+/**
+ * @description Valeur comparable (les dates sont comparées par leur timestamp)
+ * @param {*} value - Valeur
+ * @returns {*} Valeur comparable
+ */
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * @description Évalue un filtre where() sur une valeur
+ * @param {*} value - Valeur du champ dans le document
+ * @param {string} op - Opérateur Firestore
+ * @param {*} expected - Valeur attendue
+ * @returns {boolean} True si le document correspond
+ */
+const matches = (value, op, expected) => {
+  // Comme Firestore: un champ absent ne correspond à aucun filtre
+  if (value === undefined) {
+    return false;
+  }
+
+  const a = comparable(value);
+  const b = comparable(expected);
+
+  switch (op) {
+    case '==': return a === b;
+    case '!=': return a !== b && a !== null;
+    case '<': return a !== null && a < b;
+    case '<=': return a !== null && a <= b;
+    case '>': return a !== null && a > b;
+    case '>=': return a !== null && a >= b;
+    case 'in': return expected.map(comparable).includes(a);
+    case 'not-in': return a !== null && !expected.map(comparable).includes(a);
+    case 'array-contains': return Array.isArray(value) && value.map(comparable).includes(b);
+    case 'array-contains-any': return Array.isArray(value) && expected.some(item => value.map(comparable).includes(comparable(item)));
+    default:
+      throw new Error(`Opérateur de requête non supporté: ${op}`);
+  }
+};
+
+/**
+ * @description Photographie d'un document (équivalent de DocumentSnapshot)
+ */
+class MemoryDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+/**
+ * @description Résultat d'une requête (équivalent de QuerySnapshot)
+ */
+class MemoryQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+/**
+ * @description Requête sur une collection (where, orderBy, limit)
+ * Les requêtes sont immuables: chaque méthode retourne une nouvelle requête.
+ */
+class MemoryQuery {
+  constructor(database, collectionName, filters = [], orders = [], limitCount = null) {
+    this._database = database;
+    this._collectionName = collectionName;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limitCount;
+  }
+
+  where(fieldPath, op, value) {
+    return new MemoryQuery(this._database, this._collectionName,
+      [...this._filters, { fieldPath, op, value }], this._orders, this._limit);
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return new MemoryQuery(this._database, this._collectionName,
+      this._filters, [...this._orders, { fieldPath, direction }], this._limit);
+  }
+
+  limit(count) {
+    return new MemoryQuery(this._database, this._collectionName,
+      this._filters, this._orders, count);
+  }
+
+  /**
+   * @description Exécute la requête de manière synchrone (utilisé par get() et les transactions)
+   * @returns {Array<Object>} Entrées { ref, data, version } correspondantes
+   * @private
+   */
+  _run() {
+    const collection = this._database._collection(this._collectionName);
+    let entries = [];
+
+    collection.forEach((entry, id) => {
+      const matchesAll = this._filters.every(filter =>
+        matches(getField(entry.data, filter.fieldPath), filter.op, filter.value)
+      );
+      if (matchesAll) {
+        entries.push({ ref: new MemoryDocumentReference(this._database, this._collectionName, id), ...entry });
+      }
+    });
+
+    if (this._orders.length > 0) {
+      entries = entries.filter(entry => this._orders.every(order => getField(entry.data, order.fieldPath) !== undefined));
+      entries.sort((x, y) => {
+        for (const order of this._orders) {
+          const a = comparable(getField(x.data, order.fieldPath));
+          const b = comparable(getField(y.data, order.fieldPath));
+          if (a < b) return order.direction === 'desc' ? 1 : -1;
+          if (a > b) return order.direction === 'desc' ? -1 : 1;
+        }
+        return 0;
+      });
+    }
+
+    return this._limit !== null ? entries.slice(0, this._limit) : entries;
+  }
+
+  async get() {
+    return new MemoryQuerySnapshot(this._run().map(entry => new MemoryDocumentSnapshot(entry.ref, entry.data)));
+  }
+}
+
+/**
+ * @description Référence vers une collection (équivalent de CollectionReference)
+ */
+class MemoryCollectionReference extends MemoryQuery {
+  constructor(database, collectionName) {
+    super(database, collectionName);
+    this.id = collectionName;
+    this.path = collectionName;
+  }
+
+  doc(id = autoId()) {
+    return new MemoryDocumentReference(this._database, this._collectionName, id);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.create(data);
+    return ref;
+  }
+}
+
+/**
+ * @description Référence vers un document (équivalent de DocumentReference)
+ */
+class MemoryDocumentReference {
+  constructor(database, collectionName, id) {
+    this._database = database;
+    this._collectionName = collectionName;
+    this.id = id;
+    this.path = `${collectionName}/${id}`;
+  }
+
+  get parent() {
+    return new MemoryCollectionReference(this._database, this._collectionName);
+  }
+
+  async get() {
+    const entry = this._database._read(this);
+    return new MemoryDocumentSnapshot(this, entry ? entry.data : undefined);
+  }
+
+  async create(data) {
+    this._database._commit([{ type: 'create', ref: this, data }]);
+  }
+
+  async set(data, options = {}) {
+    this._database._commit([{ type: 'set', ref: this, data, options }]);
+  }
+
+  async update(data) {
+    this._database._commit([{ type: 'update', ref: this, data }]);
+  }
+
+  async delete() {
+    this._database._commit([{ type: 'delete', ref: this }]);
+  }
+}
+
+/**
+ * @description Lot d'écritures appliquées ensemble (équivalent de WriteBatch)
+ */
+class MemoryWriteBatch {
+  constructor(database) {
+    this._database = database;
+    this._writes = [];
+  }
+
+  create(ref, data) {
+    this._writes.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    this._database._commit(this._writes);
+  }
+}
+
+/**
+ * @description Transaction (équivalent de Transaction): lectures puis écritures différées
+ */
+class MemoryTransaction extends MemoryWriteBatch {
+  constructor(database) {
+    super(database);
+    this._reads = new Map();
+  }
+
+  async get(refOrQuery) {
+    if (refOrQuery instanceof MemoryQuery) {
+      const entries = refOrQuery._run();
+      entries.forEach(entry => this._reads.set(entry.ref.path, entry.version));
+      return new MemoryQuerySnapshot(entries.map(entry => new MemoryDocumentSnapshot(entry.ref, entry.data)));
+    }
+
+    const entry = this._database._read(refOrQuery);
+    this._reads.set(refOrQuery.path, entry ? entry.version : 0);
+    return new MemoryDocumentSnapshot(refOrQuery, entry ? entry.data : undefined);
+  }
+}
+
+class MemoryDatabase {
+  constructor() {
+    /**
+     * @property {Map<string, Map<string, Object>>} collections - collection → (id → { data, version })
+     */
+    this.collections = new Map();
+
+    /**
+     * @property {Function|null} onCommit - Appelée après chaque écriture (persistance du FileAdapter)
+     */
+    this.onCommit = null;
+  }
+
+  collection(name) {
+    return new MemoryCollectionReference(this, name);
+  }
+
+  batch() {
+    return new MemoryWriteBatch(this);
+  }
+
+  /**
+   * @description Exécute une fonction dans une transaction
+   * Si un document lu a été modifié avant la validation, la fonction est rejouée.
+   * @param {Function} updateFunction - async (transaction) => résultat
+   * @returns {Promise<*>} Résultat de la fonction
+   */
+  async runTransaction(updateFunction) {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      const transaction = new MemoryTransaction(this);
+      const result = await updateFunction(transaction);
+
+      const unchanged = Array.from(transaction._reads.entries()).every(([path, version]) => {
+        const [collectionName, id] = path.split('/');
+        const entry = this._collection(collectionName).get(id);
+        return (entry ? entry.version : 0) === version;
+      });
+
+      if (unchanged) {
+        this._commit(transaction._writes);
+        return result;
+      }
+    }
+
+    throw storageError(ERROR_CODES.ABORTED, 'Transaction abandonnée: trop de conflits concurrents');
+  }
+
+  /**
+   * @description Retourne (en la créant si besoin) la table d'une collection
+   * @param {string} name - Nom de la collection
+   * @returns {Map<string, Object>} Documents de la collection
+   * @private
+   */
+  _collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * @description Lit l'entrée brute d'un document
+   * @param {MemoryDocumentReference} ref - Référence du document
+   * @returns {Object|undefined} Entrée { data, version }
+   * @private
+   */
+  _read(ref) {
+    return this._collection(ref._collectionName).get(ref.id);
+  }
+
+  /**
+   * @description Applique un ensemble d'écritures de manière atomique
+   * Toutes les écritures sont validées avant d'être appliquées: si l'une échoue, aucune n'est appliquée.
+   * @param {Array<Object>} writes - Écritures { type, ref, data, options }
+   * @private
+   */
+  _commit(writes) {
+    // Calculer le nouvel état de chaque document sans toucher à la base
+    const pending = new Map();
+
+    writes.forEach(write => {
+      const { ref } = write;
+      const current = pending.has(ref.path)
+        ? pending.get(ref.path).data
+        : (this._read(ref) ? clone(this._read(ref).data) : undefined);
+      let next;
+
+      switch (write.type) {
+        case 'create':
+          if (current !== undefined) {
+            throw storageError(ERROR_CODES.ALREADY_EXISTS, `Le document ${ref.path} existe déjà`);
+          }
+          next = clone(write.data);
+          break;
+        case 'set':
+          next = write.options.merge && current !== undefined ? merge(current, write.data) : clone(write.data);
+          break;
+        case 'update':
+          if (current === undefined) {
+            throw storageError(ERROR_CODES.NOT_FOUND, `Aucun document à mettre à jour: ${ref.path}`);
+          }
+          next = current;
+          Object.keys(write.data).forEach(fieldPath => setField(next, fieldPath, write.data[fieldPath]));
+          break;
+        case 'delete':
+          next = undefined;
+          break;
+        default:
+          throw new Error(`Type d'écriture inconnu: ${write.type}`);
+      }
+
+      pending.set(ref.path, { ref, data: next });
+    });
+
+    pending.forEach(({ ref, data }) => {
+      const collection = this._collection(ref._collectionName);
+      const previous = collection.get(ref.id);
+      if (data === undefined) {
+        collection.delete(ref.id);
+      } else {
+        collection.set(ref.id, { data, version: (previous ? previous.version : 0) + 1 });
+      }
+    });
+
+    if (pending.size > 0 && this.onCommit) {
+      this.onCommit();
+    }
+  }
+
+  /**
+   * @description Exporte toutes les données (collection → id → données)
+   * @returns {Object} Données de la base
+   */
+  exportData() {
+    const result = {};
+    this.collections.forEach((documents, name) => {
+      result[name] = {};
+      documents.forEach((entry, id) => {
+        result[name][id] = clone(entry.data);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * @description Remplace toutes les données par celles fournies
+   * @param {Object} data - Données (collection → id → données)
+   */
+  importData(data) {
+    this.collections = new Map();
+    Object.keys(data || {}).forEach(name => {
+      const documents = new Map();
+      Object.keys(data[name]).forEach(id => {
+        documents.set(id, { data: clone(data[name][id]), version: 1 });
+      });
+      this.collections.set(name, documents);
+    });
+  }
+}
+
+MemoryDatabase.ERROR_CODES = ERROR_CODES;
+
+module.exports = MemoryDatabase;
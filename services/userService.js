@@ -6,6 +6,7 @@
 
 const database = require('./database');
 const UserFactory = require('../factories/userFactory');
+const LibraryCard = require('../models/libraryCard');
 
 class UserService {
   constructor() {
@@ -71,6 +72,68 @@ class UserService {
     }
   }
 
+  /**
+   * @description Trouve un utilisateur par son numéro de carte de bibliothèque
+   * Seule la carte actuelle identifie l'utilisateur: un numéro remplacé ne correspond à personne.
+   * @param {string} cardNumber - Numéro de carte (espaces et tirets tolérés)
+   * @returns {Promise<Object|null>} Objet utilisateur ou null si le numéro est invalide ou inconnu
+   */
+  async findUserByCardNumber(cardNumber) {
+    if (!LibraryCard.isValidNumber(cardNumber)) {
+      return null;
+    }
+
+    try {
+      const querySnapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('cardNumber', '==', LibraryCard.normalize(cardNumber))
+        .limit(1)
+        .get();
+
+      if (querySnapshot.empty) {
+        return null;
+      }
+
+      const userDoc = querySnapshot.docs[0];
+      const userData = { id: userDoc.id, ...userDoc.data() };
+
+      // Utiliser la Factory pour créer l'instance appropriée
+      return UserFactory.createUser(userData);
+    } catch (error) {
+      console.error(`Erreur lors de la recherche de l'utilisateur par carte ${cardNumber}:`, error);
+      throw new Error('Impossible de récupérer l\'utilisateur');
+    }
+  }
+
+  /**
+   * @description Trouve le titulaire d'un numéro de carte remplacé (carte perdue ou volée présentée au comptoir)
+   * @param {string} cardNumber - Ancien numéro de carte
+   * @returns {Promise<Object|null>} Objet utilisateur ou null si le numéro n'a jamais été remplacé
+   */
+  async findUserByReplacedCardNumber(cardNumber) {
+    if (!LibraryCard.isValidNumber(cardNumber)) {
+      return null;
+    }
+
+    try {
+      const querySnapshot = await this.db
+        .collection(this.COLLECTION_NAME)
+        .where('previousCardNumbers', 'array-contains', LibraryCard.normalize(cardNumber))
+        .limit(1)
+        .get();
+
+      if (querySnapshot.empty) {
+        return null;
+      }
+
+      const userDoc = querySnapshot.docs[0];
+      return UserFactory.createUser({ id: userDoc.id, ...userDoc.data() });
+    } catch (error) {
+      console.error(`Erreur lors de la recherche de la carte remplacée ${cardNumber}:`, error);
+      throw new Error('Impossible de récupérer l\'utilisateur');
+    }
+  }
+
   /**
    * @description Crée un nouvel utilisateur dans Firestore
    * @param {Object} userData - Données de l'utilisateur à créer
@@ -104,6 +167,45 @@ class UserService {
     }
   }
 
+  /**
+   * @description Récupère le hash du mot de passe d'un utilisateur
+   * Le hash n'est jamais exposé par les instances créées par la Factory.
+   * @param {string} userId - ID de l'utilisateur
+   * @returns {Promise<string|null>} Hash du mot de passe ou null s'il n'est pas défini
+   */
+  async findPasswordHash(userId) {
+    try {
+      const userDoc = await this.db.collection(this.COLLECTION_NAME).doc(userId).get();
+
+      if (!userDoc.exists) {
+        return null;
+      }
+
+      return userDoc.data().passwordHash || null;
+    } catch (error) {
+      console.error(`Erreur lors de la récupération des identifiants de l'utilisateur ${userId}:`, error);
+      throw new Error('Impossible de récupérer les identifiants');
+    }
+  }
+
+  /**
+   * @description Remplace le hash du mot de passe d'un utilisateur
+   * @param {string} userId - ID de l'utilisateur
+   * @param {string} passwordHash - Nouveau hash (voir passwordService)
+   * @returns {Promise<void>}
+   */
+  async updatePasswordHash(userId, passwordHash) {
+    try {
+      await this.db.collection(this.COLLECTION_NAME).doc(userId).update({
+        passwordHash,
+        passwordChangedAt: Date.now()
+      });
+    } catch (error) {
+      console.error(`Erreur lors de la mise à jour du mot de passe de l'utilisateur ${userId}:`, error);
+      throw new Error('Impossible de mettre à jour le mot de passe');
+    }
+  }
+
   /**
    * @description Récupère tous les utilisateurs
    * @returns {Promise<User[]>} Liste de tous les utilisateurs
@@ -156,12 +258,14 @@ class UserService {
    * @description Met à jour le rôle d'un utilisateur
    * @param {string} userId - ID de l'utilisateur
    * @param {string} newRole - Nouveau rôle (Member, Librarian, Admin)
+   * @param {Object} membership - Champs d'adhésion recalculés pour le nouveau rôle (voir membershipService.membershipForRole)
    * @returns {Promise<void>}
    */
-  async updateUserRole(userId, newRole) {
+  async updateUserRole(userId, newRole, membership = {}) {
     try {
       await this.db.collection(this.COLLECTION_NAME).doc(userId).update({
-        role: newRole
+        role: newRole,
+        ...membership
       });
     } catch (error) {
       console.error('Erreur lors de la mise à jour du rôle:', error);